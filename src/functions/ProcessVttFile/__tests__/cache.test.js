@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCacheStats, mergeCacheStats, getOrCreateClient, createTtlCache } = require('../cache');
+const { createTranscriptSource } = require('../sources');
+
+const context = { log: Object.assign(() => {}, { warn: () => {}, error: () => {} }) };
+
+describe('createTtlCache', () => {
+    test('shares one in-flight load between concurrent callers and counts hits', async () => {
+        const cache = createTtlCache(() => 60000);
+        const stats = createCacheStats();
+        const loader = jest.fn(async () => ['a.vtt']);
+
+        const [first, second] = await Promise.all([
+            cache.getOrLoad('drive', loader, stats, 'listings'),
+            cache.getOrLoad('drive', loader, stats, 'listings')
+        ]);
+
+        expect(loader).toHaveBeenCalledTimes(1);
+        expect(second).toBe(first);
+        expect(stats.listings).toEqual({ hits: 1, misses: 1 });
+    });
+
+    test('does not keep failed loads', async () => {
+        const cache = createTtlCache(() => 60000);
+        await expect(cache.getOrLoad('drive', async () => { throw new Error('throttled'); })).rejects.toThrow('throttled');
+        await expect(cache.getOrLoad('drive', async () => 'loaded')).resolves.toBe('loaded');
+    });
+
+    test('reloads expired and deleted entries', async () => {
+        let ttl = 0;
+        const cache = createTtlCache(() => ttl);
+        const loader = jest.fn(async () => 'value');
+
+        await cache.getOrLoad('drive', loader);
+        await cache.getOrLoad('drive', loader);
+        expect(loader).toHaveBeenCalledTimes(2);
+
+        ttl = 60000;
+        await cache.getOrLoad('drive', loader);
+        cache.delete('drive');
+        await cache.getOrLoad('drive', loader);
+        expect(loader).toHaveBeenCalledTimes(4);
+    });
+});
+
+describe('getOrCreateClient', () => {
+    test('reuses clients with the same kind and key parts', () => {
+        const stats = createCacheStats();
+        const factory = jest.fn(() => ({}));
+
+        const first = getOrCreateClient('test', ['tenant', 'secret-1'], factory, stats);
+        const again = getOrCreateClient('test', ['tenant', 'secret-1'], factory, stats);
+        const other = getOrCreateClient('test', ['tenant', 'secret-2'], factory, stats);
+
+        expect(again).toBe(first);
+        expect(other).not.toBe(first);
+        expect(stats.clients).toEqual({ hits: 1, misses: 2 });
+    });
+});
+
+describe('mergeCacheStats', () => {
+    test('adds per-file counters into the batch totals', () => {
+        const total = createCacheStats();
+        mergeCacheStats(total, { clients: { hits: 2, misses: 1 }, listings: { hits: 3 } });
+        mergeCacheStats(total, undefined);
+        expect(total).toEqual({ clients: { hits: 2, misses: 1 }, listings: { hits: 3, misses: 0 } });
+    });
+});
+
+describe('cached listings in transcript sources', () => {
+    let rootDir;
+
+    beforeAll(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vtt-cache-'));
+        fs.writeFileSync(path.join(rootDir, 'first.vtt'), 'WEBVTT\n');
+    });
+
+    afterAll(() => {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('reloads a cached listing once before reporting a file as not found', async () => {
+        const stats = createCacheStats();
+        const source = createTranscriptSource(context, { localTranscriptsDir: rootDir }, 'local', { stats });
+
+        expect((await source.findFile('first.vtt')).path).toBe('first.vtt');
+        fs.writeFileSync(path.join(rootDir, 'second.vtt'), 'WEBVTT\n');
+
+        expect((await source.findFile('second.vtt')).path).toBe('second.vtt');
+        expect(stats.listings).toEqual({ hits: 1, misses: 2 });
+
+        expect(await source.findFile('third.vtt')).toBeNull();
+        expect(stats.listings).toEqual({ hits: 2, misses: 3 });
+    });
+});
@@ -0,0 +1,107 @@
+const { resolveChapterMode, segmentByCohesion, buildChapters, renderChaptersMarkdown } = require('../chapters');
+const { formatTimestamp } = require('../vttParser');
+
+const context = { log: Object.assign(() => {}, { warn: () => {}, error: () => {} }) };
+
+// 24 minutes, one cue every 20 seconds, three 8-minute topics with their own vocabulary
+const TOPICS = [
+    { speaker: 'Jane', words: ['budget', 'invoice', 'finance', 'spending', 'forecast'] },
+    { speaker: 'John', words: ['hiring', 'candidates', 'interview', 'recruiter', 'onboarding'] },
+    { speaker: 'Alex', words: ['database', 'migration', 'schema', 'backup', 'replica'] }
+];
+const cues = Array.from({ length: 72 }, (_, i) => {
+    const topic = TOPICS[Math.floor(i / 24)];
+    const pick = n => topic.words[(i + n) % topic.words.length];
+    return {
+        timestamp: formatTimestamp(i * 20000),
+        speaker: topic.speaker,
+        content: `We reviewed the ${pick(0)} and the ${pick(1)} plan, then the ${pick(2)} again.`,
+        start: i * 20000,
+        end: i * 20000 + 18000
+    };
+});
+
+function fakeClient(answer) {
+    const requests = [];
+    const create = async request => {
+        requests.push(request);
+        if (answer instanceof Error) throw answer;
+        return { usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 }, choices: [{ message: { content: JSON.stringify(answer) } }] };
+    };
+    return { requests, chat: { completions: { create } } };
+}
+
+describe('resolveChapterMode', () => {
+    test('defaults to ai and ignores unknown modes', () => {
+        expect(resolveChapterMode({ chapterMode: 'LOCAL' })).toBe('local');
+        expect(resolveChapterMode({ chapterMode: 'smart' })).toBe('ai');
+    });
+});
+
+describe('segmentByCohesion', () => {
+    test('starts chapters where the vocabulary changes', () => {
+        expect(segmentByCohesion(cues)).toEqual([0, 24, 48]);
+    });
+
+    test('keeps short transcripts in one chapter', () => {
+        expect(segmentByCohesion(cues.slice(0, 15))).toEqual([0]);
+    });
+});
+
+describe('buildChapters', () => {
+    test('segments locally without calling the model', async () => {
+        const client = fakeClient({});
+        const { chapters, stats } = await buildChapters(context, client, 'deployment', cues, { mode: 'local', chunkTokens: 6000 });
+
+        expect(client.requests).toHaveLength(0);
+        expect(stats).toEqual({ mode: 'local', chunks: 1, ai: 0, fallback: 3 });
+        expect(chapters.map(c => [c.start, c.end, c.speakers])).toEqual([
+            ['00:00:00', '00:08:00', ['Jane']],
+            ['00:08:00', '00:16:00', ['John']],
+            ['00:16:00', '00:23:58', ['Alex']]
+        ]);
+        expect(chapters[1].title).toMatch(/hiring|candidates|interview|recruiter|onboarding/i);
+        expect(chapters[1].source).toBe('fallback');
+    });
+
+    test('uses the model chapters, dropping unknown and out-of-order starts', async () => {
+        const client = fakeClient({
+            chapters: [
+                { start: '00:00:20', title: 'Budget review', summary: 'Spending against the forecast.' },
+                { start: '00:12:00', title: 'Hiring' },
+                { start: '00:05:00', title: 'Out of order' },
+                { start: '00:13:13', title: 'Not a cue start' },
+                { start: '00:16:00', title: 'Database migration' }
+            ]
+        });
+        const { chapters, stats, tokens } = await buildChapters(context, client, 'deployment', cues, { chunkTokens: 6000 });
+
+        expect(chapters.map(c => [c.start, c.title, c.source])).toEqual([
+            ['00:00:00', 'Budget review', 'ai'],
+            ['00:12:00', 'Hiring', 'ai'],
+            ['00:16:00', 'Database migration', 'ai']
+        ]);
+        expect(chapters[1].summary).not.toBe('');
+        expect(stats).toEqual({ mode: 'ai', chunks: 1, ai: 3, fallback: 0 });
+        expect(tokens.total).toBe(120);
+    });
+
+    test('falls back to lexical segmentation when the model call fails', async () => {
+        const { chapters, stats } = await buildChapters(context, fakeClient(new Error('timeout')), 'deployment', cues, { chunkTokens: 6000 });
+        expect(chapters).toHaveLength(3);
+        expect(stats.fallback).toBe(3);
+    });
+
+    test('returns no chapters when turned off', async () => {
+        expect((await buildChapters(context, null, 'deployment', cues, { mode: 'off' })).chapters).toEqual([]);
+    });
+});
+
+describe('renderChaptersMarkdown', () => {
+    test('links the table of contents to chapter anchors', () => {
+        const markdown = renderChaptersMarkdown([{ title: 'Budget', start: '00:00:00', end: '00:08:00', speakers: ['Jane'], summary: '', videoLink: 'https://video?t=0' }]);
+        expect(markdown).toContain('1. [Budget](#chapter-1) — 00:00:00–00:08:00');
+        expect(markdown).toContain('[00:00:00](https://video?t=0) – 00:08:00 | *Jane*');
+        expect(renderChaptersMarkdown([])).toBe('');
+    });
+});
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateSchema, checkSchemaPatterns, MAX_PATTERN_INPUT_LENGTH } = require('../schema');
+const { resolveCustomAnalysis } = require('../promptTemplates');
+const { runCustomAnalysis, renderOutputMarkdown } = require('../customAnalysis');
+
+const context = { log: Object.assign(() => {}, { warn: () => {}, error: () => {} }) };
+
+const riskSchema = {
+    type: 'object',
+    required: ['risks'],
+    additionalProperties: false,
+    properties: {
+        risks: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['title', 'severity'],
+                properties: {
+                    title: { type: 'string', minLength: 3 },
+                    severity: { enum: ['low', 'medium', 'high'] },
+                    timestamp: { type: 'string', pattern: '^\\d{2}:\\d{2}:\\d{2}$' }
+                }
+            }
+        }
+    }
+};
+
+// Answers each model call with the next reply in order
+function fakeClient(replies) {
+    const requests = [];
+    const create = async request => {
+        requests.push(request);
+        return { usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }, choices: [{ message: { content: JSON.stringify(replies[requests.length - 1]) } }] };
+    };
+    return { requests, chat: { completions: { create } } };
+}
+
+const blocks = [{ timestamp: '00:00:05', speaker: 'Jane', content: 'The vendor contract may slip.' }];
+
+describe('validateSchema', () => {
+    test('reports each problem with its path', () => {
+        const errors = validateSchema({ risks: [{ title: 'No', severity: 'urgent', timestamp: '5:00' }], extra: 1 }, riskSchema);
+        expect(errors).toEqual([
+            { path: '$.risks[0].title', message: 'must be at least 3 characters' },
+            { path: '$.risks[0].severity', message: 'must be one of "low", "medium", "high"' },
+            { path: '$.risks[0].timestamp', message: 'must match ^\\d{2}:\\d{2}:\\d{2}$' },
+            { path: '$.extra', message: 'is not allowed' }
+        ]);
+        expect(validateSchema({ risks: [{ title: 'Vendor delay', severity: 'high' }] }, riskSchema)).toEqual([]);
+    });
+
+    test('refuses to run a catastrophically backtracking pattern', () => {
+        const started = Date.now();
+        const errors = validateSchema('a'.repeat(28) + '!', { type: 'string', pattern: '^(a+)+$' });
+        expect(errors).toEqual([{ path: '$', message: expect.stringMatching(/^cannot be checked against \^\(a\+\)\+\$: the pattern repeats a group/) }]);
+        expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    test('does not run patterns on overlong strings', () => {
+        const errors = validateSchema('a'.repeat(MAX_PATTERN_INPUT_LENGTH + 1), { type: 'string', pattern: '^(a+)+$' });
+        expect(errors[0].message).toMatch(/too long to check/);
+    });
+});
+
+describe('checkSchemaPatterns', () => {
+    test('finds patterns that are too long or do not compile, through items and properties', () => {
+        const problems = checkSchemaPatterns({
+            type: 'object',
+            properties: {
+                code: { type: 'string', pattern: '(' },
+                tags: { type: 'array', items: { type: 'string', pattern: 'x'.repeat(300) } },
+                ok: { type: 'string', pattern: '^ok$' }
+            }
+        });
+        expect(problems.map(p => p.path)).toEqual(['$.code', '$.tags[]']);
+        expect(problems[1].message).toBe('pattern is longer than 256 characters');
+    });
+
+    test('finds patterns that could backtrack catastrophically', () => {
+        const problems = checkSchemaPatterns({ type: 'array', items: { type: 'string', pattern: '^(a+)+$' } });
+        expect(problems).toEqual([{ path: '$[]', message: 'pattern repeats a group that contains a quantifier or an alternation: (a+)+' }]);
+    });
+});
+
+describe('resolveCustomAnalysis', () => {
+    let templatesDir;
+
+    beforeAll(() => {
+        templatesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vtt-templates-'));
+        fs.writeFileSync(path.join(templatesDir, 'risks.json'), JSON.stringify({ prompt: 'List the risks.\n{{transcript}}', schema: riskSchema, maxTokens: 1024 }));
+        fs.writeFileSync(path.join(templatesDir, 'broken.json'), JSON.stringify({ prompt: 'x', schema: { properties: { a: { pattern: '[' } } } }));
+    });
+
+    afterAll(() => {
+        fs.rmSync(templatesDir, { recursive: true, force: true });
+    });
+
+    test('returns null without a template or schema', async () => {
+        expect(await resolveCustomAnalysis(context, {}, {})).toBeNull();
+    });
+
+    test('loads a named template, with a request schema taking precedence', async () => {
+        const config = { promptTemplatesDir: templatesDir };
+        expect(await resolveCustomAnalysis(context, config, { template: 'risks' }))
+            .toEqual({ name: 'risks', prompt: 'List the risks.\n{{transcript}}', schema: riskSchema, schemaSource: 'template', maxTokens: 1024 });
+
+        const custom = await resolveCustomAnalysis(context, config, { template: 'risks', outputSchema: '{"type":"object"}' });
+        expect(custom.schema).toEqual({ type: 'object' });
+        expect(custom.schemaSource).toBe('request');
+    });
+
+    test('rejects bad requests before any model call', async () => {
+        const config = { promptTemplatesDir: templatesDir };
+        await expect(resolveCustomAnalysis(context, config, { outputSchema: '{nope' })).rejects.toMatchObject({ code: 'INVALID_OPTION' });
+        await expect(resolveCustomAnalysis(context, config, { outputSchema: { type: 'array' } })).rejects.toMatchObject({ code: 'INVALID_OPTION' });
+        await expect(resolveCustomAnalysis(context, config, { outputSchema: { properties: { a: { pattern: '(' } } } })).rejects.toMatchObject({ code: 'INVALID_OPTION' });
+        await expect(resolveCustomAnalysis(context, config, { outputSchema: { properties: { a: { pattern: '^(a+)+$' } } } })).rejects.toMatchObject({ code: 'INVALID_OPTION' });
+        await expect(resolveCustomAnalysis(context, config, { template: '../secrets' })).rejects.toMatchObject({ code: 'INVALID_OPTION' });
+        await expect(resolveCustomAnalysis(context, config, { template: 'missing' })).rejects.toMatchObject({ code: 'TEMPLATE_NOT_FOUND', status: 404 });
+        await expect(resolveCustomAnalysis(context, config, { template: 'broken' })).rejects.toMatchObject({ code: 'CONFIG_INVALID' });
+        await expect(resolveCustomAnalysis(context, {}, { template: 'risks' })).rejects.toMatchObject({ code: 'CONFIG_MISSING' });
+    });
+});
+
+describe('runCustomAnalysis', () => {
+    const custom = { prompt: 'List the risks.\n{{transcript}}', schema: riskSchema };
+
+    test('asks once for a correction when the answer does not match the schema', async () => {
+        const client = fakeClient([
+            { risks: [{ title: 'Vendor delay', severity: 'critical' }] },
+            { risks: [{ title: 'Vendor delay', severity: 'high', timestamp: '00:00:05' }] }
+        ]);
+
+        const result = await runCustomAnalysis(context, client, 'deployment', blocks, custom);
+
+        expect(result).toEqual(expect.objectContaining({ valid: true, attempts: 2, validationErrors: [] }));
+        expect(result.tokens).toEqual({ prompt: 20, completion: 10, total: 30 });
+        expect(client.requests[0].messages[1].content).toContain('00:00:05 Jane: The vendor contract may slip.');
+        expect(client.requests[1].messages[3].content).toContain('$.risks[0].severity');
+    });
+
+    test('returns the remaining errors when the correction still does not match', async () => {
+        const client = fakeClient([{ risks: [] }, { risks: [] }]);
+        const result = await runCustomAnalysis(context, client, 'deployment', blocks, custom);
+        expect(result.valid).toBe(false);
+        expect(result.validationErrors).toEqual([{ path: '$.risks', message: 'must have at least 1 items' }]);
+    });
+
+    test('refuses transcripts over the token budget without calling the model', async () => {
+        const client = fakeClient([]);
+        await expect(runCustomAnalysis(context, client, 'deployment', blocks, custom, { maxTranscriptTokens: 5 }))
+            .rejects.toMatchObject({ code: 'TRANSCRIPT_TOO_LARGE', status: 413, maxTokens: 5 });
+        await expect(runCustomAnalysis(context, client, 'deployment', blocks, custom, { maxTranscriptTokens: 'lots' }))
+            .rejects.toMatchObject({ code: 'CONFIG_INVALID' });
+        expect(client.requests).toHaveLength(0);
+    });
+});
+
+describe('renderOutputMarkdown', () => {
+    test('renders objects as headings and arrays of objects as tables', () => {
+        const markdown = renderOutputMarkdown({ risks: [{ title: 'Vendor delay', severity: 'high' }], owner: 'Jane' });
+        expect(markdown).toBe('## Risks\n\n| Title | Severity |\n|---|---|\n| Vendor delay | high |\n\n## Owner\n\nJane');
+    });
+});
@@ -0,0 +1,104 @@
+const zlib = require('zlib');
+const { createZip } = require('../documents/zip');
+const { unencodableCharacters } = require('../documents/pdf');
+const { buildReportModel, buildCustomReportModel } = require('../documents/model');
+const { isDocumentFormat, generateDocumentOutput, generateCustomDocumentOutput } = require('../documents');
+const { profile: general } = require('../profiles/general');
+
+// Entries of a ZIP archive read back through its central directory
+function readZip(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4B, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(end + 10);
+    let position = buffer.readUInt32LE(end + 16);
+    const entries = {};
+    for (let i = 0; i < count; i++) {
+        const compressedSize = buffer.readUInt32LE(position + 20);
+        const nameLength = buffer.readUInt16LE(position + 28);
+        const localOffset = buffer.readUInt32LE(position + 42);
+        const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+        entries[name] = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize)).toString('utf8');
+        position += 46 + nameLength;
+    }
+    return entries;
+}
+
+const result = {
+    meetingTitle: 'Weekly Sync',
+    summary: 'The team agreed to ship on Tuesday.\n\nMarketing follows a week later.',
+    date: '2025-03-04',
+    duration: '30m 00s',
+    participants: ['Jane', 'John'],
+    keyPoints: [
+        { title: 'Release date agreed ✓', timestamp: '00:01:00', speaker: 'Jane', videoLink: 'https://contoso.sharepoint.com/video?t=60' },
+        { title: 'Injected link', timestamp: '00:02:00', videoLink: 'javascript:alert(1)' }
+    ],
+    actionItems: [{ description: 'Update the changelog', owner: 'John', dueDate: '', timestamp: '' }],
+    decisions: [],
+    openQuestions: [],
+    actualFile: 'Weekly Sync.vtt',
+    metadata: { fileSize: 1200, totalTimestamps: 40, processingTimeMs: 900, openaiTokens: { prompt: 10, completion: 5, total: 15 } }
+};
+
+describe('createZip', () => {
+    test('packs entries in order so they can be read back', () => {
+        const archive = createZip([{ name: 'a.txt', content: 'first' }, { name: 'dir/b.xml', content: Buffer.from('<b/>') }]);
+        expect(archive.readUInt32LE(0)).toBe(0x04034B50);
+        const entries = readZip(archive);
+        expect(Object.keys(entries)).toEqual(['a.txt', 'dir/b.xml']);
+        expect(entries['dir/b.xml']).toBe('<b/>');
+    });
+});
+
+describe('report model', () => {
+    test('lays out the summary, key points and sections, and keeps only http(s) links', () => {
+        const model = buildReportModel(result, general.sections);
+        const links = model.blocks.flatMap(b => b.runs).filter(r => r.link).map(r => r.link);
+        const texts = model.blocks.map(b => b.runs.map(r => r.text).join(''));
+
+        expect(model.title).toBe('Meeting Analysis: Weekly Sync');
+        expect(links).toEqual(['https://contoso.sharepoint.com/video?t=60']);
+        expect(texts).toContain('Marketing follows a week later.');
+        expect(texts).toContain('Action Items (1)');
+        expect(texts.some(t => t.includes('Owner: John'))).toBe(true);
+    });
+
+    test('flattens nested custom output into "Parent › Child" headings', () => {
+        const model = buildCustomReportModel({ ...result, output: { risks: { vendor: ['Contract may slip'] }, owner: 'Jane' } }, 'Risk review');
+        const headings = model.blocks.filter(b => b.type === 'heading').map(b => b.runs[0].text);
+        expect(headings).toEqual(expect.arrayContaining(['Risks › Vendor', 'Owner']));
+    });
+});
+
+describe('document output', () => {
+    test('recognizes the binary formats', () => {
+        expect(isDocumentFormat('DOCX')).toBe(true);
+        expect(isDocumentFormat('html')).toBe(false);
+    });
+
+    test('renders a Word document with the report text and link relationships', () => {
+        const output = generateDocumentOutput(result, 'docx', general.sections);
+        expect(output.downloadable.fileName).toBe('Weekly_Sync_Analysis.docx');
+        expect(output).not.toHaveProperty('metadata');
+
+        const entries = readZip(output.downloadable.content);
+        expect(entries['word/document.xml']).toContain('Release date agreed ✓');
+        expect(entries['word/_rels/document.xml.rels']).toContain('Target="https://contoso.sharepoint.com/video?t=60"');
+        expect(entries['word/_rels/document.xml.rels']).not.toContain('javascript:');
+    });
+
+    test('renders a PDF and reports the characters it could not print', () => {
+        const output = generateDocumentOutput(result, 'pdf', general.sections);
+        const content = output.downloadable.content;
+        expect(content.subarray(0, 8).toString('latin1')).toBe('%PDF-1.4');
+        expect(content.toString('latin1').trimEnd().endsWith('%%EOF')).toBe(true);
+        expect(output.metadata.replacedCharacters).toEqual({ count: 1, characters: '✓' });
+        expect(unencodableCharacters({ title: 'Résumé – “quoted”', blocks: [] })).toEqual([]);
+    });
+
+    test('renders custom analyses under the given file name', () => {
+        const output = generateCustomDocumentOutput({ ...result, output: { owner: 'Jane' } }, 'pdf', 'Risk review', 'Weekly_Sync_risks');
+        expect(output.downloadable.fileName).toBe('Weekly_Sync_risks.pdf');
+        expect(output.downloadable.contentType).toBe('application/pdf');
+    });
+});
@@ -0,0 +1,111 @@
+const {
+    createError,
+    classifyError,
+    classifyUpstreamError,
+    failure,
+    publicMessage,
+    withCorrelationId,
+    errorResponse
+} = require('../errors');
+
+function throttled(retryAfter) {
+    return Object.assign(new Error('Rate limit is exceeded. Try again in 7 seconds.'), { status: 429, headers: { 'Retry-After': retryAfter } });
+}
+
+describe('createError and classification', () => {
+    test('creates errors with a known code, its status and extra properties', () => {
+        const error = createError('AMBIGUOUS_FILE', 'Two files match', { candidates: ['a.vtt', 'b.vtt'] });
+        expect(error).toBeInstanceOf(Error);
+        expect(error).toEqual(expect.objectContaining({ code: 'AMBIGUOUS_FILE', status: 409, candidates: ['a.vtt', 'b.vtt'] }));
+        expect(createError('NO_SUCH_CODE', 'x')).toEqual(expect.objectContaining({ code: 'INTERNAL_ERROR', status: 500 }));
+    });
+
+    test('keeps known codes and falls back otherwise', () => {
+        expect(classifyError(createError('PARSE_FAILED', 'x'))).toBe('PARSE_FAILED');
+        expect(classifyError(Object.assign(new Error('x'), { code: 'ECONNRESET' }), 'UPSTREAM_FAILED')).toBe('UPSTREAM_FAILED');
+        expect(classifyError(undefined)).toBe('INTERNAL_ERROR');
+    });
+
+    test('tells upstream throttling from other upstream failures', () => {
+        expect(classifyUpstreamError(throttled('7'))).toBe('UPSTREAM_THROTTLED');
+        expect(classifyUpstreamError({ response: { status: 503 } })).toBe('UPSTREAM_THROTTLED');
+        expect(classifyUpstreamError({ statusCode: 500 })).toBe('UPSTREAM_FAILED');
+        expect(classifyUpstreamError(createError('FILE_NOT_FOUND', 'x'))).toBe('FILE_NOT_FOUND');
+    });
+
+    test('treats only service and network failures as upstream', () => {
+        expect(classifyUpstreamError(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } }))).toBe('UPSTREAM_FAILED');
+        expect(classifyUpstreamError(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }))).toBe('UPSTREAM_FAILED');
+        expect(classifyUpstreamError(new TypeError("Cannot read properties of undefined (reading 'map')"))).toBe('INTERNAL_ERROR');
+        expect(classifyUpstreamError(Object.assign(new Error('ENOENT: no such file'), { code: 'ENOENT' }))).toBe('INTERNAL_ERROR');
+        expect(failure(classifyUpstreamError(new RangeError('Invalid time value'))).status).toBe(500);
+    });
+});
+
+describe('failure', () => {
+    const original = process.env.DEBUG_ERRORS;
+    afterEach(() => {
+        if (original === undefined) delete process.env.DEBUG_ERRORS;
+        else process.env.DEBUG_ERRORS = original;
+    });
+
+    test('hides the cause and uses generic messages unless debugging', () => {
+        delete process.env.DEBUG_ERRORS;
+        const result = failure('UPSTREAM_FAILED', undefined, { cause: new Error('socket hang up'), debug: { drive: 'abc' }, fileName: 'a.vtt' });
+        expect(result).toEqual({ success: false, status: 502, code: 'UPSTREAM_FAILED', error: 'An upstream service request failed', fileName: 'a.vtt' });
+    });
+
+    test('adds the cause and debug details when DEBUG_ERRORS is set', () => {
+        process.env.DEBUG_ERRORS = 'true';
+        const { debug } = failure('UPSTREAM_FAILED', undefined, { cause: new Error('socket hang up'), debug: { drive: 'abc', empty: undefined } });
+        expect(Object.keys(debug)).toEqual(['drive', 'cause']);
+        expect(debug.cause.message).toBe('socket hang up');
+        expect(debug.cause.stack).toContain('socket hang up');
+    });
+
+    test('passes the upstream retry delay on when throttled', () => {
+        delete process.env.DEBUG_ERRORS;
+        expect(failure('UPSTREAM_THROTTLED', undefined, { cause: throttled('7') }).retryAfterSeconds).toBe(7);
+        expect(failure('UPSTREAM_THROTTLED', undefined, { cause: { headers: { 'retry-after-ms': '1500' } } }).retryAfterSeconds).toBe(2);
+        expect(failure('UPSTREAM_FAILED', undefined, { cause: throttled('7') })).not.toHaveProperty('retryAfterSeconds');
+    });
+});
+
+describe('publicMessage', () => {
+    test('shows request errors as they are and replaces internal ones', () => {
+        expect(publicMessage(new Error('Unsupported language: xx'), 'INVALID_OPTION')).toBe('Unsupported language: xx');
+        expect(publicMessage(new Error('ENOENT /home/site/secrets.json'), 'CONFIG_INVALID')).toBe('Server configuration is invalid');
+        expect(publicMessage(null, 'PARSE_FAILED')).toBe('Unexpected error while processing the request');
+    });
+});
+
+describe('withCorrelationId', () => {
+    const request = headers => ({ headers: new Map(Object.entries(headers)) });
+    const handler = withCorrelationId(async (req, context) => ({ status: 200, headers: { 'Content-Type': 'text/plain' }, body: context.correlationId }));
+
+    test('uses a valid caller-supplied ID', async () => {
+        const response = await handler(request({ 'x-correlation-id': 'abc-123' }), { invocationId: 'inv-1' });
+        expect(response).toEqual({ status: 200, headers: { 'Content-Type': 'text/plain', 'X-Correlation-Id': 'abc-123' }, body: 'abc-123' });
+        expect((await handler(request({ 'x-ms-client-request-id': 'client.7' }), {})).body).toBe('client.7');
+    });
+
+    test('falls back to the invocation ID for missing or unsafe IDs', async () => {
+        expect((await handler(request({ 'x-correlation-id': 'bad id\r\nSet-Cookie: x' }), { invocationId: 'inv-1' })).headers['X-Correlation-Id']).toBe('inv-1');
+        expect((await handler(request({}), {})).body).toMatch(/^[0-9a-f-]{36}$/);
+    });
+});
+
+describe('errorResponse', () => {
+    test('serializes the failure with the correlation ID and a Retry-After header', () => {
+        const response = errorResponse({ correlationId: 'abc-123' }, failure('UPSTREAM_THROTTLED', undefined, { cause: throttled('7') }));
+        expect(response.status).toBe(503);
+        expect(response.headers).toEqual({ 'Content-Type': 'application/json', 'Retry-After': '7' });
+        expect(JSON.parse(response.body)).toEqual(expect.objectContaining({ code: 'UPSTREAM_THROTTLED', correlationId: 'abc-123', retryAfterSeconds: 7 }));
+    });
+
+    test('defaults to 500 without a Retry-After header', () => {
+        const response = errorResponse(undefined, { success: false, code: 'INTERNAL_ERROR' });
+        expect(response.status).toBe(500);
+        expect(response.headers).not.toHaveProperty('Retry-After');
+    });
+});
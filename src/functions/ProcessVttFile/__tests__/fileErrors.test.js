@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const handlers = {};
+
+jest.mock('@azure/functions', () => {
+    const actual = jest.requireActual('@azure/functions');
+    const register = (name, options) => { handlers[name] = options.handler; };
+    return { ...actual, app: { http: register, storageQueue: register, timer: register } };
+});
+
+jest.mock('openai', () => ({ OpenAI: class {} }));
+
+const transcriptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vtt-files-'));
+for (const file of ['Weekly Sync.vtt', 'Weekly Sync Notes.vtt', 'a/Planning.vtt', 'b/Planning.vtt']) {
+    fs.mkdirSync(path.dirname(path.join(transcriptsDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(transcriptsDir, file), 'WEBVTT\n');
+}
+
+process.env.OPENAI_KEY = 'test-key';
+process.env.OPENAI_ENDPOINT = 'https://example.openai.azure.com';
+process.env.TRANSCRIPT_SOURCE = 'local';
+process.env.LOCAL_TRANSCRIPTS_DIR = transcriptsDir;
+
+const { HttpRequest } = require('@azure/functions');
+require('../index');
+
+function createContext() {
+    const log = () => {};
+    return { invocationId: 'test-invocation', log, warn: log, error: log, info: log, extraOutputs: { set: () => {} } };
+}
+
+async function get(name) {
+    const request = new HttpRequest({ method: 'GET', url: `http://localhost/api/ProcessVttFile?name=${encodeURIComponent(name)}` });
+    const response = await handlers.ProcessVttFile(request, createContext());
+    return { status: response.status, body: JSON.parse(response.body) };
+}
+
+describe('file lookup errors', () => {
+    const original = process.env.DEBUG_ERRORS;
+    afterEach(() => {
+        if (original === undefined) delete process.env.DEBUG_ERRORS;
+        else process.env.DEBUG_ERRORS = original;
+    });
+    afterAll(() => fs.rmSync(transcriptsDir, { recursive: true, force: true }));
+
+    test('counts ambiguous matches without listing them', async () => {
+        delete process.env.DEBUG_ERRORS;
+        const { status, body } = await get('Planning');
+        expect(status).toBe(409);
+        expect(body).toEqual(expect.objectContaining({ code: 'AMBIGUOUS_FILE', candidateCount: 2 }));
+        expect(body).not.toHaveProperty('candidates');
+        expect(body).not.toHaveProperty('debug');
+    });
+
+    test('counts partial matches of a missing name without listing them', async () => {
+        delete process.env.DEBUG_ERRORS;
+        const { status, body } = await get('Weekly');
+        expect(status).toBe(404);
+        expect(body).toEqual(expect.objectContaining({ code: 'FILE_NOT_FOUND', candidateCount: 2 }));
+        expect(JSON.stringify(body)).not.toContain('Weekly Sync');
+    });
+
+    test('lists the candidates in debug mode', async () => {
+        process.env.DEBUG_ERRORS = 'true';
+        const ambiguous = await get('Planning');
+        expect(ambiguous.body.debug.candidates.map(c => c.path).sort()).toEqual(['a/Planning.vtt', 'b/Planning.vtt']);
+        const missing = await get('Weekly');
+        expect(missing.body.debug.candidates.map(c => c.name).sort()).toEqual(['Weekly Sync Notes.vtt', 'Weekly Sync.vtt']);
+    });
+});
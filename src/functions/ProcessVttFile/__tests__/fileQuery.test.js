@@ -0,0 +1,60 @@
+const { matchFile, findPartialMatches, toFileQuery, normalizePath, describeQuery } = require('../sources/fileQuery');
+
+const files = [
+    { id: 'item-1', name: 'Weekly Sync.vtt', path: 'Meetings/2024/Weekly Sync.vtt' },
+    { id: 'item-2', name: 'Weekly Sync.vtt', path: 'Meetings/2025/Weekly Sync.vtt' },
+    { id: 'item-3', name: 'Retro.vtt', path: 'Meetings/2025/Retro.vtt' },
+    { id: 'item-4', name: 'Planning.vtt', path: 'Planning.vtt' }
+];
+
+describe('toFileQuery', () => {
+    test('treats strings with a slash as paths and others as names', () => {
+        expect(toFileQuery('Meetings/Retro.vtt')).toEqual({ name: '', path: 'Meetings/Retro.vtt', itemId: '' });
+        expect(toFileQuery('Retro.vtt')).toEqual({ name: 'Retro.vtt', path: '', itemId: '' });
+        expect(toFileQuery({ itemId: 'item-3' })).toEqual({ name: '', path: '', itemId: 'item-3' });
+    });
+
+    test('normalizes backslashes and surrounding slashes', () => {
+        expect(normalizePath('\\Meetings\\2025\\Retro.vtt/')).toBe('Meetings/2025/Retro.vtt');
+        expect(describeQuery({ path: '/Meetings/Retro.vtt' })).toBe('Meetings/Retro.vtt');
+    });
+});
+
+describe('matchFile', () => {
+    test('matches item IDs and paths exactly', () => {
+        expect(matchFile(files, { itemId: 'item-2' }).path).toBe('Meetings/2025/Weekly Sync.vtt');
+        expect(matchFile(files, 'meetings/2024/weekly sync.vtt').id).toBe('item-1');
+        expect(matchFile(files, { itemId: 'missing' })).toBeNull();
+    });
+
+    test('matches names exactly or without the extension, never by a part', () => {
+        expect(matchFile(files, 'retro.vtt').id).toBe('item-3');
+        expect(matchFile(files, 'Planning').id).toBe('item-4');
+        expect(matchFile(files, 'plan')).toBeNull();
+        expect(matchFile(files, 'Standup')).toBeNull();
+    });
+
+    test('reports names that match several files as AMBIGUOUS_FILE with the candidates', () => {
+        expect(() => matchFile(files, 'Weekly Sync.vtt')).toThrow(expect.objectContaining({
+            code: 'AMBIGUOUS_FILE',
+            status: 409,
+            candidates: [
+                { id: 'item-1', name: 'Weekly Sync.vtt', path: 'Meetings/2024/Weekly Sync.vtt' },
+                { id: 'item-2', name: 'Weekly Sync.vtt', path: 'Meetings/2025/Weekly Sync.vtt' }
+            ]
+        }));
+    });
+});
+
+describe('findPartialMatches', () => {
+    test('lists files whose name contains the requested one', () => {
+        expect(findPartialMatches(files, 'plan.vtt')).toEqual([{ id: 'item-4', name: 'Planning.vtt', path: 'Planning.vtt' }]);
+        expect(findPartialMatches(files, 'weekly').map(file => file.id)).toEqual(['item-1', 'item-2']);
+        expect(findPartialMatches(files, 'Standup')).toEqual([]);
+    });
+
+    test('does not suggest anything for paths and item IDs', () => {
+        expect(findPartialMatches(files, 'Meetings/Plan')).toEqual([]);
+        expect(findPartialMatches(files, { itemId: 'item' })).toEqual([]);
+    });
+});
@@ -0,0 +1,62 @@
+const { tokenize, createCueIndex, findSupport, resolveGroundingOptions, groundKeyPoints } = require('../grounding');
+
+const blocks = [
+    { timestamp: '00:00:01', speaker: 'Jane', content: 'Welcome everyone, thanks for joining.' },
+    { timestamp: '00:00:10', speaker: 'John', content: 'The vendor contract renewal is due in March.' },
+    { timestamp: '00:00:20', speaker: 'Jane', content: 'Budget approval needs the finance team.' },
+    { timestamp: '00:00:30', speaker: 'John', content: 'Let us move to the hiring plan for the support desk.' },
+    { timestamp: '00:00:40', speaker: 'Jane', content: 'Two new support engineers start in April.' }
+];
+
+describe('tokenize', () => {
+    test('drops short words and stopwords and stems what is left', () => {
+        expect(tokenize('The managers discussed managing the management of renewals')).toEqual(['manag', 'manag', 'manag', 'renewal']);
+    });
+});
+
+describe('findSupport', () => {
+    test('finds the window that contains the rare words of the text', () => {
+        const support = findSupport(createCueIndex(blocks), 'Vendor contract renewal in March');
+        expect(support.cues.map(c => c.timestamp)).toEqual(['00:00:10']);
+        expect(support.confidence).toBe(1);
+        expect(support.quote).toBe('The vendor contract renewal is due in March.');
+    });
+
+    test('returns null when nothing matches', () => {
+        expect(findSupport(createCueIndex(blocks), 'Quarterly marketing campaign')).toBeNull();
+    });
+});
+
+describe('resolveGroundingOptions', () => {
+    test('defaults to flag mode with a 0.4 minimum and ignores unknown modes', () => {
+        expect(resolveGroundingOptions({})).toEqual({ mode: 'flag', minConfidence: 0.4 });
+        expect(resolveGroundingOptions({ groundingMode: 'DROP', groundingMinConfidence: '0.6' })).toEqual({ mode: 'drop', minConfidence: 0.6 });
+        expect(resolveGroundingOptions({ groundingMode: 'strict', groundingMinConfidence: 'high' })).toEqual({ mode: 'flag', minConfidence: 0.4 });
+    });
+});
+
+describe('groundKeyPoints', () => {
+    const keyPoints = [
+        { title: 'Support desk hiring plan', timestamp: '00:00:01', speaker: '' },
+        { title: 'Vendor contract renewal', timestamp: '00:00:10', speaker: 'John' },
+        { title: 'Quarterly marketing campaign', timestamp: '00:00:20', speaker: 'Jane' }
+    ];
+
+    test('snaps supported points to their cue and flags the rest', () => {
+        const { keyPoints: grounded, stats } = groundKeyPoints(keyPoints, blocks, { mode: 'flag', minConfidence: 0.4 });
+
+        expect(grounded[0]).toEqual(expect.objectContaining({ timestamp: '00:00:30', originalTimestamp: '00:00:01', speaker: 'John', supported: true }));
+        expect(grounded[1]).toEqual(expect.objectContaining({ timestamp: '00:00:10', supported: true }));
+        expect(grounded[1]).not.toHaveProperty('originalTimestamp');
+        expect(grounded[2]).toEqual(expect.objectContaining({ timestamp: '00:00:20', quote: '', confidence: 0, supported: false }));
+        expect(stats).toEqual({ mode: 'flag', minConfidence: 0.4, supported: 2, unsupported: 1, dropped: 0, snapped: 1 });
+    });
+
+    test('removes unsupported points in drop mode and leaves them alone when off', () => {
+        const dropped = groundKeyPoints(keyPoints, blocks, { mode: 'drop', minConfidence: 0.4 });
+        expect(dropped.keyPoints.map(p => p.title)).toEqual(['Support desk hiring plan', 'Vendor contract renewal']);
+        expect(dropped.stats.dropped).toBe(1);
+
+        expect(groundKeyPoints(keyPoints, blocks, { mode: 'off' }).keyPoints).toBe(keyPoints);
+    });
+});
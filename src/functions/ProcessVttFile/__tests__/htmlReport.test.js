@@ -0,0 +1,73 @@
+const { escapeHtml, safeUrl } = require('../htmlEscape');
+const { renderHtmlReport, renderCustomHtmlReport } = require('../htmlReport');
+const { profile: general } = require('../profiles/general');
+
+describe('escapeHtml', () => {
+    test('escapes markup and quotes and maps empty values to an empty string', () => {
+        expect(escapeHtml(`<img src=x onerror="alert('x')">&`)).toBe('&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt;&amp;');
+        expect(escapeHtml(null)).toBe('');
+        expect(escapeHtml(0)).toBe('0');
+    });
+});
+
+describe('safeUrl', () => {
+    test('keeps absolute http(s) URLs only', () => {
+        expect(safeUrl(' https://contoso.sharepoint.com/video?t=5 ')).toBe('https://contoso.sharepoint.com/video?t=5');
+        expect(safeUrl('javascript:alert(1)')).toBe('');
+        expect(safeUrl('data:text/html,<b>x</b>')).toBe('');
+        expect(safeUrl('/relative/path')).toBe('');
+        expect(safeUrl(42)).toBe('');
+    });
+});
+
+describe('renderHtmlReport', () => {
+    const result = {
+        meetingTitle: 'Sync <script>alert(1)</script>',
+        summary: 'Shipping "soon" & <b>fast</b>',
+        keyPoints: [
+            { title: 'Release <date>', timestamp: '00:00:05', speaker: 'Jane', videoLink: 'javascript:alert(1)' },
+            { title: 'Between cues', timestamp: '00:00:07', speaker: 'John', videoLink: '' }
+        ],
+        actionItems: [{ description: '<i>Update</i> the changelog', owner: 'John', dueDate: '', timestamp: '' }],
+        decisions: [],
+        openQuestions: [],
+        timestampBlocks: [
+            { timestamp: '00:00:01', start: 1000, speaker: 'Jane', content: 'Hello <everyone>' },
+            { timestamp: '00:00:05', start: 5000, speaker: 'John', content: 'Release is Tuesday' }
+        ],
+        videoUrl: 'javascript:alert(2)',
+        actualFile: 'sync.vtt',
+        metadata: { processingTimeMs: 10, fileSize: 100, totalTimestamps: 2 }
+    };
+
+    test('escapes model, caller and transcript text', () => {
+        const html = renderHtmlReport(result, general.sections);
+        expect(html).not.toContain('<script>alert(1)</script>');
+        expect(html).toContain('Sync &lt;script&gt;alert(1)&lt;/script&gt;');
+        expect(html).toContain('Shipping &quot;soon&quot; &amp; &lt;b&gt;fast&lt;/b&gt;');
+        expect(html).toContain('&lt;i&gt;Update&lt;/i&gt; the changelog');
+        expect(html).toContain('Hello &lt;everyone&gt;');
+        expect(html).not.toContain('javascript:');
+    });
+
+    test('links timestamps without a recording to the transcript viewer', () => {
+        const html = renderHtmlReport(result, general.sections);
+        expect(html).toContain('<li class="cue" id="cue-1" data-speaker="John">');
+        expect(html).toContain('<a class="timestamp cue-ref" href="#cue-1">00:00:05</a>');
+        // A timestamp between cues points at the cue before it
+        expect(html).toContain('<a class="title cue-ref" href="#cue-1">Between cues</a>');
+    });
+
+    test('allows only its own nonce script', () => {
+        const html = renderHtmlReport(result, general.sections);
+        const nonce = html.match(/script-src 'nonce-([^']+)'/)[1];
+        expect(html).toContain(`<script nonce="${nonce}">`);
+        expect(html.match(/<script/g)).toHaveLength(1);
+    });
+
+    test('renders custom output with the same escaping', () => {
+        const html = renderCustomHtmlReport({ ...result, output: { risks: [{ title: '<b>Vendor</b>' }] }, validation: { attempts: 1 } }, 'Risks <review>');
+        expect(html).toContain('&lt;b&gt;Vendor&lt;/b&gt;');
+        expect(html).toContain('Risks &lt;review&gt;');
+    });
+});
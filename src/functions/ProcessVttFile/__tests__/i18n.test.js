@@ -0,0 +1,75 @@
+const { detectLanguage } = require('../i18n/detectLanguage');
+const { resolveLocalization, finalizeLocalization, createLocalizer } = require('../i18n');
+
+const GERMAN = 'Ja, genau. Ich denke, wir haben das jetzt auf dem Tisch und es ist auch nicht schlecht. '
+    + 'Dann machen wir das mal so, aber wenn es noch Fragen gibt, kann man die hier stellen. Also, das ist schon gut.';
+
+describe('detectLanguage', () => {
+    test('recognizes a language from its function words', () => {
+        const { language, confidence } = detectLanguage(GERMAN);
+        expect(language).toBe('de');
+        expect(confidence).toBeGreaterThan(0.5);
+    });
+
+    test('stays undecided on short or wordless text', () => {
+        expect(detectLanguage('Hello there')).toEqual({ language: null, confidence: 0 });
+        expect(detectLanguage('Contoso Fabrikam Northwind '.repeat(10))).toEqual({ language: null, confidence: 0 });
+    });
+});
+
+describe('resolveLocalization', () => {
+    test('prefers request options over configuration and defaults to auto and UTC', () => {
+        expect(resolveLocalization({}, {})).toEqual({ language: 'auto', locale: undefined, timeZone: 'UTC' });
+        expect(resolveLocalization({ language: 'FR' }, { reportLanguage: 'de', reportTimeZone: 'Europe/Paris' }))
+            .toEqual({ language: 'fr', locale: undefined, timeZone: 'Europe/Paris' });
+    });
+
+    test('takes the locale from a regional language tag', () => {
+        expect(resolveLocalization({ language: 'de_CH' })).toEqual({ language: 'de', locale: 'de-CH', timeZone: 'UTC' });
+    });
+
+    test('rejects unsupported languages, locales and time zones', () => {
+        expect(() => resolveLocalization({ language: 'klingon' })).toThrow(expect.objectContaining({ code: 'INVALID_OPTION' }));
+        expect(() => resolveLocalization({ locale: 'not a locale!' })).toThrow(/Invalid locale/);
+        expect(() => resolveLocalization({ timeZone: 'Mars/Olympus' })).toThrow(/Invalid time zone/);
+    });
+});
+
+describe('finalizeLocalization', () => {
+    const blocks = [{ content: GERMAN }];
+
+    test('settles auto on the detected transcript language', () => {
+        expect(finalizeLocalization({ language: 'auto', timeZone: 'UTC' }, blocks)).toEqual(expect.objectContaining({
+            language: 'de', transcriptLanguage: 'de', locale: 'de', timeZone: 'UTC'
+        }));
+    });
+
+    test('keeps a requested language and falls back to English when undetected', () => {
+        expect(finalizeLocalization({ language: 'es', locale: 'es-MX' }, blocks)).toEqual(expect.objectContaining({ language: 'es', transcriptLanguage: 'de', locale: 'es-MX' }));
+        expect(finalizeLocalization({ language: 'auto' }, [{ content: 'Hi' }]).language).toBe('en');
+    });
+});
+
+describe('createLocalizer', () => {
+    test('fills placeholders from the catalog and translates profile text', () => {
+        const l = createLocalizer({ language: 'de' });
+        expect(l.t('reportTitle', { title: 'Sync' })).toBe('Besprechungsanalyse: Sync');
+        expect(l.t('noSuchKey')).toBe('noSuchKey');
+        expect(l.text('Action Items')).toBe('Aufgaben');
+        expect(l.text('Something custom')).toBe('Something custom');
+        expect(l.languageName('fr')).toBe('Français');
+    });
+
+    test('formats meeting days without shifting them into the time zone', () => {
+        const l = createLocalizer({ language: 'en', locale: 'en-US', timeZone: 'Pacific/Honolulu' });
+        expect(l.date('2025-03-04')).toBe('March 4, 2025');
+        expect(l.date('soon')).toBe('soon');
+        expect(l.dateTime('2025-03-04T12:00:00Z')).toMatch(/^March 4, 2025.*2:00\sAM$/);
+    });
+
+    test('falls back to English and UTC', () => {
+        const l = createLocalizer({ language: 'xx' });
+        expect([l.language, l.locale, l.timeZone]).toEqual(['en', 'en', 'UTC']);
+        expect(l.t('keyPoints')).toBe('Key Points');
+    });
+});
@@ -0,0 +1,120 @@
+const { createJobDocument, createJobTracker, resolveStaleAfterMs, isStaleJob, markStaleJob, toJobStatus } = require('../jobs');
+const { createJobStore } = require('../jobStore');
+const { createError } = require('../errors');
+
+const context = { log: Object.assign(() => {}, { warn: () => {}, error: () => {} }) };
+
+function memoryStore() {
+    const saved = [];
+    return { saved, save: async job => { saved.push(job); } };
+}
+
+describe('job documents and tracking', () => {
+    test('creates a queued job with one pending entry per file', () => {
+        const job = createJobDocument({ fileNames: ['a.vtt', 'b.vtt'], outputFormat: 'json', request: { fileNames: ['a.vtt', 'b.vtt'] } });
+        expect(job).toEqual(expect.objectContaining({ status: 'queued', totalFiles: 2, completedFiles: 0, source: null }));
+        expect(job.files.map(file => file.state)).toEqual(['pending', 'pending']);
+    });
+
+    test('counts finished files and tokens and persists every step', async () => {
+        const store = memoryStore();
+        const tracker = createJobTracker(context, store, createJobDocument({ fileNames: ['a.vtt', 'b.vtt'], outputFormat: 'json' }));
+
+        await tracker.start();
+        await tracker.onFileDone(0, { success: true, metadata: { openaiTokens: { prompt: 10, completion: 5, total: 15 } } });
+        await tracker.onFileDone(1, { success: false, status: 404, code: 'FILE_NOT_FOUND', error: 'File not found' });
+        await tracker.complete({ success: true });
+
+        const job = store.saved[store.saved.length - 1];
+        expect(job).toEqual(expect.objectContaining({ status: 'completed', attempts: 1, completedFiles: 2, successfulFiles: 1, failedFiles: 1 }));
+        expect(job.openaiTokensTotal).toEqual({ prompt: 10, completion: 5, total: 15 });
+        expect(job.files[1]).toEqual(expect.objectContaining({ state: 'failed', status: 404, code: 'FILE_NOT_FOUND' }));
+        expect(store.saved).toHaveLength(4);
+    });
+
+    test('stores only a caller-safe message when a job fails', async () => {
+        const store = memoryStore();
+        const tracker = createJobTracker(context, store, createJobDocument({ fileNames: ['a.vtt'], outputFormat: 'json' }));
+
+        await tracker.fail(createError('CONFIG_MISSING', 'OPENAI_KEY is not set'));
+
+        expect(store.saved[0]).toEqual(expect.objectContaining({ status: 'failed', errorCode: 'CONFIG_MISSING', error: 'Required configuration is missing' }));
+    });
+});
+
+describe('stale jobs', () => {
+    const startedAt = '2024-05-01T10:00:00.000Z';
+    const later = minutes => Date.parse(startedAt) + minutes * 60 * 1000;
+    const runningJob = fileNames => ({ ...createJobDocument({ fileNames, outputFormat: 'json' }), status: 'running', startedAt });
+
+    test('uses 15 minutes unless a positive value is configured', () => {
+        expect(resolveStaleAfterMs(undefined)).toBe(15 * 60 * 1000);
+        expect(resolveStaleAfterMs('-5')).toBe(15 * 60 * 1000);
+        expect(resolveStaleAfterMs('60000')).toBe(60000);
+    });
+
+    test('only running jobs past the limit since their last heartbeat are stale', () => {
+        const job = runningJob(['a.vtt']);
+        expect(isStaleJob(job, undefined, later(10))).toBe(false);
+        expect(isStaleJob(job, undefined, later(20))).toBe(true);
+        expect(isStaleJob({ ...job, heartbeatAt: new Date(later(10)).toISOString() }, undefined, later(20))).toBe(false);
+        expect(isStaleJob({ ...job, status: 'completed' }, undefined, later(20))).toBe(false);
+    });
+
+    test('never marks a job stale while it waits in the queue', () => {
+        const job = { ...createJobDocument({ fileNames: ['a.vtt'], outputFormat: 'json' }), createdAt: startedAt, updatedAt: startedAt };
+        expect(markStaleJob(job, undefined, later(24 * 60))).toBe(false);
+        expect(job.status).toBe('queued');
+    });
+
+    test('records a heartbeat on every save of a running job', async () => {
+        const store = memoryStore();
+        const tracker = createJobTracker(context, store, createJobDocument({ fileNames: ['a.vtt'], outputFormat: 'json' }));
+        await tracker.start();
+        const saved = store.saved[0];
+        expect(saved.heartbeatAt).toBe(saved.updatedAt);
+        expect(isStaleJob(saved, undefined, Date.parse(saved.heartbeatAt) + 60000)).toBe(false);
+        await tracker.complete({});
+    });
+
+    test('marks a stale job failed with JOB_STALE and abandons its unfinished files', () => {
+        const job = runningJob(['a.vtt', 'b.vtt']);
+        job.files[0].state = 'succeeded';
+        job.files[1].state = 'running';
+
+        expect(markStaleJob(job, undefined, later(20))).toBe(true);
+        expect(job).toEqual(expect.objectContaining({ status: 'failed', errorCode: 'JOB_STALE' }));
+        expect(job.error).toContain(startedAt);
+        expect(job.files.map(file => file.state)).toEqual(['succeeded', 'abandoned']);
+        expect(markStaleJob(job, undefined, later(40))).toBe(false);
+    });
+});
+
+describe('toJobStatus', () => {
+    test('reports progress, hides the stored request and includes the result once completed', () => {
+        const job = { ...createJobDocument({ fileNames: ['a.vtt', 'b.vtt'], outputFormat: 'json', request: { fileNames: [] } }), completedFiles: 1, result: { ok: true } };
+        expect(toJobStatus(job)).toEqual(expect.objectContaining({ progress: 50 }));
+        expect(toJobStatus(job)).not.toHaveProperty('request');
+        expect(toJobStatus(job)).not.toHaveProperty('result');
+        expect(toJobStatus({ ...job, status: 'completed' }).result).toEqual({ ok: true });
+        expect(toJobStatus({ ...job, status: 'completed' }, { includeResult: false })).not.toHaveProperty('result');
+    });
+});
+
+describe('createJobStore', () => {
+    test('keeps jobs in memory when configured', async () => {
+        const store = createJobStore(context, { jobStore: 'memory', jobBlobContainer: 'jobs-test' });
+        const job = createJobDocument({ fileNames: ['a.vtt'], outputFormat: 'json' });
+        await store.save(job);
+        job.status = 'running';
+
+        expect(store.kind).toBe('memory');
+        expect(await store.get(job.id)).toEqual(expect.objectContaining({ id: job.id, status: 'queued' }));
+        expect(await store.get('missing')).toBeNull();
+    });
+
+    test('rejects unknown stores as CONFIG_INVALID and a blob store without a connection string as CONFIG_MISSING', () => {
+        expect(() => createJobStore(context, { jobStore: 'table' })).toThrow(expect.objectContaining({ code: 'CONFIG_INVALID' }));
+        expect(() => createJobStore(context, {})).toThrow(expect.objectContaining({ code: 'CONFIG_MISSING' }));
+    });
+});
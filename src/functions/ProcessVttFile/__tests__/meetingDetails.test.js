@@ -0,0 +1,54 @@
+const { findDateInText, resolveMeetingDate, listParticipants, meetingDuration } = require('../meetingDetails');
+
+describe('findDateInText', () => {
+    test('reads numeric, compact and written dates', () => {
+        expect(findDateInText('Weekly sync-20250304_100512-Meeting Transcript.vtt')).toBe('2025-03-04');
+        expect(findDateInText('Retro 2025.11.28')).toBe('2025-11-28');
+        expect(findDateInText('Planning on 4th March 2025')).toBe('2025-03-04');
+        expect(findDateInText('Planning on Sep. 9, 2024')).toBe('2024-09-09');
+    });
+
+    test('takes the first date and skips impossible or ambiguous ones', () => {
+        expect(findDateInText('2025-02-30 moved to 2025-03-02')).toBe('2025-03-02');
+        expect(findDateInText('Sync 03/04/2025')).toBeNull();
+        expect(findDateInText('')).toBeNull();
+    });
+});
+
+describe('resolveMeetingDate', () => {
+    test('prefers a date in a NOTE, then the file name', () => {
+        expect(resolveMeetingDate({ notes: ['no date', 'Weekly sync 2025-03-04'], fileMetadata: { name: 'Sync 2024-01-01.vtt' } }))
+            .toEqual({ date: '2025-03-04', dateSource: 'note' });
+        expect(resolveMeetingDate({ notes: [], fileMetadata: { name: 'Sync 2024-01-01.vtt' } }))
+            .toEqual({ date: '2024-01-01', dateSource: 'filename' });
+    });
+
+    test('takes the meeting length off the creation time', () => {
+        const fileMetadata = { name: 'Sync.vtt', item: { createdDateTime: '2025-03-05T00:30:00Z', lastModifiedDateTime: '2025-03-05T00:31:00Z' } };
+        expect(resolveMeetingDate({ fileMetadata, durationMs: 60 * 60 * 1000 })).toEqual({ date: '2025-03-04', dateSource: 'created' });
+    });
+
+    test('uses the modification time for copied files and null without any date', () => {
+        const copied = { name: 'Sync.vtt', createdDateTime: '2025-06-01T09:00:00Z', lastModifiedDateTime: '2025-03-04T10:00:00Z' };
+        expect(resolveMeetingDate({ fileMetadata: copied })).toEqual({ date: '2025-03-04', dateSource: 'modified' });
+        expect(resolveMeetingDate({ fileMetadata: { name: 'Sync.vtt', createdDateTime: '1970-01-01T00:00:00Z' } })).toEqual({ date: null, dateSource: null });
+    });
+});
+
+describe('participants and duration', () => {
+    const blocks = [
+        { speaker: 'Jane', end: 4000 },
+        { speaker: '', end: 9000 },
+        { speaker: 'John', end: 65000 },
+        { speaker: 'Jane', end: 61000 }
+    ];
+
+    test('lists voices in order of first appearance', () => {
+        expect(listParticipants(blocks)).toEqual(['Jane', 'John']);
+    });
+
+    test('runs until the last cue ends', () => {
+        expect(meetingDuration(blocks)).toEqual({ durationMs: 65000, duration: '1m 05s' });
+        expect(meetingDuration([])).toEqual({ durationMs: 0, duration: '0s' });
+    });
+});
@@ -0,0 +1,50 @@
+const { PROFILES, resolveProfile } = require('../profiles');
+const { normalizeSections, sectionPromptSchema } = require('../profiles/sections');
+
+describe('resolveProfile', () => {
+    test('prefers the request, then ANALYSIS_PROFILE, then general', () => {
+        expect(resolveProfile('Training', { analysisProfile: 'standup' }).name).toBe('training');
+        expect(resolveProfile(undefined, { analysisProfile: 'standup' }).name).toBe('standup');
+        expect(resolveProfile().name).toBe('general');
+    });
+
+    test('rejects unknown profiles as INVALID_OPTION', () => {
+        expect(() => resolveProfile('retro')).toThrow(expect.objectContaining({ code: 'INVALID_OPTION', status: 400 }));
+    });
+
+    test('asks the model for every section of the profile', () => {
+        const schema = sectionPromptSchema(PROFILES.standup.sections);
+        expect(schema).toContain('"updates"');
+        expect(schema).toContain('"blockers"');
+        expect(schema).toContain('"actionItems"');
+    });
+});
+
+describe('training quiz answers', () => {
+    const sections = PROFILES.training.sections;
+    const quiz = answer => ({
+        question: 'Where do you convert a lead?',
+        options: ['On the lead form', 'In the Settings area', 'From the dashboard'],
+        answer
+    });
+
+    test('keep answers that name an option, rewritten to the option text', () => {
+        const { items, errors } = normalizeSections(sections, {
+            quiz: [quiz('on the lead  form.'), quiz('B'), quiz('c) From the dashboard')]
+        });
+        expect(errors).toEqual([]);
+        expect(items.quiz.map(q => q.answer)).toEqual(['On the lead form', 'In the Settings area', 'From the dashboard']);
+    });
+
+    test('drop answers that are not one of the options', () => {
+        const { items, errors } = normalizeSections(sections, {
+            quiz: [quiz('Ask your admin'), quiz('D'), quiz('b) From the dashboard')]
+        });
+        expect(items.quiz).toEqual([]);
+        expect(errors).toHaveLength(3);
+        expect(errors[0]).toEqual({
+            path: '$.quiz[0].answer',
+            message: 'must be one of the options ("On the lead form", "In the Settings area", "From the dashboard")'
+        });
+    });
+});
@@ -0,0 +1,72 @@
+const { resolveRedaction, createRedactor } = require('../redaction');
+
+describe('resolveRedaction', () => {
+    test('is off by default and turns every detector on with "on"', () => {
+        expect(resolveRedaction({}, {}).enabled).toBe(false);
+        expect(resolveRedaction({}, { redaction: 'on' }).detectors).toEqual(['url', 'email', 'iban', 'card', 'phone']);
+        expect(resolveRedaction({ redact: 'off' }, { redaction: 'on' }).enabled).toBe(false);
+    });
+
+    test('adds request terms to the configured terms and patterns', () => {
+        const options = resolveRedaction(
+            { redact: 'email', terms: 'Project Falcon,x' },
+            { redactionTerms: ['Contoso'], redactionPatterns: '["EMP\\\\d{5}", {"name": "ticket id", "pattern": "TKT-\\\\d+"}]' }
+        );
+        expect(options.detectors).toEqual(['email']);
+        expect(options.terms).toEqual(['Contoso', 'Project Falcon']);
+        expect(options.patterns.map(p => p.label)).toEqual(['CUSTOM', 'TICKETID']);
+        expect(options.enabled).toBe(true);
+    });
+
+    test('rejects unknown detectors and invalid configured patterns', () => {
+        expect(() => resolveRedaction({ redact: 'email,ssn' })).toThrow(expect.objectContaining({ code: 'INVALID_OPTION' }));
+        expect(() => resolveRedaction({}, { redactionPatterns: '["("]' })).toThrow(expect.objectContaining({ code: 'CONFIG_INVALID', message: expect.stringMatching(/invalid pattern/) }));
+        expect(() => resolveRedaction({}, { redactionPatterns: '[oops' })).toThrow(expect.objectContaining({ code: 'CONFIG_INVALID' }));
+    });
+
+    test('refuses patterns supplied with the request', () => {
+        for (const patterns of [['^(a+)+$'], '[{"pattern":"INC-\\\\d+"}]', 'INC-\\d+']) {
+            expect(() => resolveRedaction({ redact: 'on', patterns })).toThrow(expect.objectContaining({ code: 'INVALID_OPTION', message: expect.stringMatching(/REDACTION_PATTERNS/) }));
+        }
+        expect(resolveRedaction({ redact: 'on', patterns: '' }).patterns).toEqual([]);
+    });
+
+    test('reveals only with the configured key', () => {
+        expect(() => resolveRedaction({ reveal: true }, {})).toThrow(expect.objectContaining({ code: 'FORBIDDEN' }));
+        expect(() => resolveRedaction({ reveal: 'true', revealKey: 'wrong' }, { redactionRevealKey: 'secret' })).toThrow(/x-redaction-key/);
+        expect(resolveRedaction({ reveal: 'true', revealKey: 'secret' }, { redactionRevealKey: 'secret' }).reveal).toBe(true);
+    });
+});
+
+describe('createRedactor', () => {
+    const options = resolveRedaction({ redact: 'on', terms: ['Falcon'] });
+
+    test('replaces sensitive values with stable numbered placeholders', () => {
+        const redactor = createRedactor(options);
+        expect(redactor.redact('Mail jane@contoso.com or JANE@contoso.com, not bob@contoso.com.'))
+            .toBe('Mail [EMAIL_1] or [EMAIL_1], not [EMAIL_2].');
+        expect(redactor.redact('Card 4111 1111 1111 1111, IBAN GB82 WEST 1234 5698 7654 32, call +44 20 7946 0958.'))
+            .toBe('Card [CARD_1], IBAN [IBAN_1], call [PHONE_1].');
+        expect(redactor.redact('falcon ships, Falconry does not')).toBe('[TERM_1] ships, Falconry does not');
+    });
+
+    test('leaves look-alikes alone', () => {
+        const redactor = createRedactor(options);
+        const text = 'Budget 1.500.000 on 2025-03-04, order 1234567, see https://contoso.com/docs?page=2';
+        expect(redactor.redact(text)).toBe(text);
+        expect(redactor.redact('https://x.blob.core.windows.net/a.vtt?sv=1&sig=abc')).toBe('[URL_1]');
+    });
+
+    test('puts the original values back and reports counts only', () => {
+        const redactor = createRedactor(options);
+        redactor.redact('jane@contoso.com and Falcon, jane@contoso.com again');
+        expect(redactor.rehydrate({ items: ['[EMAIL_1] owns [TERM_1]', '[EMAIL_9]'], count: 2 }))
+            .toEqual({ items: ['jane@contoso.com owns Falcon', '[EMAIL_9]'], count: 2 });
+        expect(redactor.report()).toEqual(expect.objectContaining({ counts: { EMAIL: 2, TERM: 1 }, total: 3, distinctValues: 2, revealed: false }));
+        expect(JSON.stringify(redactor.report())).not.toContain('jane');
+    });
+
+    test('does nothing when disabled', () => {
+        expect(createRedactor({}).redact('jane@contoso.com')).toBe('jane@contoso.com');
+    });
+});
@@ -0,0 +1,69 @@
+const { resolveWriteBack, writeReport } = require('../reportWriter');
+const { isSelfWrittenItem } = require('../webhooks');
+
+const context = { log: Object.assign(() => {}, { warn: () => {}, error: () => {} }) };
+
+describe('resolveWriteBack', () => {
+    test('returns null unless the request or REPORT_SAVE asks for a save', () => {
+        expect(resolveWriteBack({}, {})).toBeNull();
+        expect(resolveWriteBack({ reportSave: 'true' }, { saveReport: false })).toBeNull();
+        expect(resolveWriteBack({ reportSave: 'yes' }, {})).toEqual({ folder: '', conflictBehavior: 'rename' });
+    });
+
+    test('prefers request values and trims the folder', () => {
+        const config = { reportOutputFolder: 'Reports', reportConflictBehavior: 'skip' };
+        expect(resolveWriteBack(config, { saveReport: 'true', outputFolder: '\\Meetings\\Reports\\', conflictBehavior: 'Overwrite' }))
+            .toEqual({ folder: 'Meetings/Reports', conflictBehavior: 'overwrite' });
+        expect(resolveWriteBack(config, { saveReport: true })).toEqual({ folder: 'Reports', conflictBehavior: 'skip' });
+    });
+
+    test('rejects unknown conflict behaviors as INVALID_OPTION', () => {
+        expect(() => resolveWriteBack({}, { saveReport: true, conflictBehavior: 'merge' }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_OPTION', status: 400 }));
+    });
+});
+
+describe('writeReport', () => {
+    const targetFile = { path: 'Meetings/2025/Weekly Sync.vtt' };
+
+    test('saves a JSON report next to the transcript with the Graph conflict behavior', async () => {
+        const saveReport = jest.fn(async ({ fileName }) => ({ id: 'new-item', name: fileName, webUrl: 'https://contoso.sharepoint.com/report' }));
+        const result = { success: true, meetingTitle: 'Weekly Sync', summary: 'Summary', downloadable: null };
+
+        const outcome = await writeReport(context, { kind: 'sharepoint', saveReport }, targetFile, result, { folder: '', conflictBehavior: 'overwrite' });
+
+        expect(saveReport).toHaveBeenCalledWith(expect.objectContaining({
+            folder: 'Meetings/2025',
+            fileName: 'Weekly_Sync_Analysis.json',
+            contentType: 'application/json',
+            conflictBehavior: 'replace'
+        }));
+        expect(JSON.parse(saveReport.mock.calls[0][0].content)).not.toHaveProperty('downloadable');
+        expect(outcome).toEqual(expect.objectContaining({ saved: true, itemId: 'new-item', folder: 'Meetings/2025' }));
+    });
+
+    test('reports sources that cannot save and failed uploads without throwing', async () => {
+        const local = await writeReport(context, { kind: 'local' }, targetFile, {}, { folder: '', conflictBehavior: 'rename' });
+        expect(local).toEqual({ saved: false, error: 'Saving reports is not supported for the local source' });
+
+        const saveReport = async () => { throw new Error('Access denied'); };
+        const failed = await writeReport(context, { kind: 'onedrive', saveReport }, targetFile, { downloadable: { fileName: 'a.md', contentType: 'text/markdown', content: '# A' } }, { folder: 'Reports', conflictBehavior: 'rename' });
+        expect(failed).toEqual({ saved: false, fileName: 'a.md', folder: 'Reports', error: 'Access denied' });
+    });
+});
+
+describe('isSelfWrittenItem', () => {
+    const config = { clientId: 'ABC-123' };
+
+    test('recognizes items uploaded by this app registration', () => {
+        expect(isSelfWrittenItem({ name: 'Sync.vtt', lastModifiedBy: { application: { id: 'abc-123' } } }, config)).toBe(true);
+        expect(isSelfWrittenItem({ name: 'Sync.vtt', createdBy: { application: { id: 'abc-123' } } }, config)).toBe(true);
+        expect(isSelfWrittenItem({ name: 'Sync.vtt', lastModifiedBy: { user: { id: 'user-1' } } }, config)).toBe(false);
+    });
+
+    test('recognizes saved clean transcripts by name, including renamed copies', () => {
+        expect(isSelfWrittenItem({ name: 'Weekly_Sync_Clean.vtt' }, config)).toBe(true);
+        expect(isSelfWrittenItem({ name: 'Weekly_Sync_Clean 2.vtt' }, config)).toBe(true);
+        expect(isSelfWrittenItem({ name: 'Clean room.vtt' }, config)).toBe(false);
+    });
+});
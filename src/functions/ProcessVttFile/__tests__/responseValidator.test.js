@@ -0,0 +1,92 @@
+const {
+    createTranscriptIndex,
+    validateAnswer,
+    answerErrors,
+    buildRepairPrompt,
+    mergeRepairedAnswer,
+    settleSources,
+    combineSources,
+    KEY_POINT_BOUNDS
+} = require('../responseValidator');
+const { profile: general } = require('../profiles/general');
+
+const index = createTranscriptIndex([
+    { timestamp: '00:00:01', speaker: 'Jane Doe' },
+    { timestamp: '00:00:05', speaker: 'John Smith' },
+    { timestamp: '00:00:09', speaker: 'Jane Doe' }
+]);
+
+const point = (timestamp, speaker = 'Jane') => ({ title: `Point at ${timestamp}`, timestamp, speaker });
+const goodAnswer = {
+    summary: 'The team agreed to ship the release next Tuesday.',
+    keyPoints: [point('00:00:01'), point('00:00:05', 'John'), point('00:00:09')],
+    actionItems: [{ description: 'Update the changelog', owner: 'john', timestamp: '00:00:05' }],
+    decisions: [],
+    openQuestions: []
+};
+
+describe('validateAnswer', () => {
+    test('accepts a valid answer and resolves speakers to their VTT spelling', () => {
+        const report = validateAnswer(goodAnswer, { index, profile: general });
+        expect(answerErrors(report)).toEqual([]);
+        expect(report.keyPoints.value.map(p => p.speaker)).toEqual(['Jane Doe', 'John Smith', 'Jane Doe']);
+        expect(report.actionItems.value[0].owner).toBe('John Smith');
+    });
+
+    test('checks every field against the transcript on its own', () => {
+        const report = validateAnswer({
+            summary: 'Too short',
+            keyPoints: [point('00:00:01'), point('00:00:02'), point('00:00:05', 'Alex'), { title: '', timestamp: '00:00:09' }],
+            actionItems: [{ description: 'Update the changelog', owner: 'Alex', timestamp: '00:07' }],
+            decisions: []
+        }, { index, profile: general });
+
+        expect(report.summary).toEqual({ value: '', errors: [{ path: '$.summary', message: 'must be at least 20 characters' }] });
+        expect(report.keyPoints.value).toHaveLength(2);
+        expect(report.keyPoints.errors.map(e => e.message)).toEqual([
+            '00:00:02 does not start any transcript line',
+            'Alex is not a speaker in the transcript',
+            'is required',
+            'expected at least 3 valid items, got 2'
+        ]);
+        // Rejected timestamps and owners are cleared, the item itself is kept
+        expect(report.actionItems.value).toEqual([{ description: 'Update the changelog', owner: '', dueDate: '', timestamp: '' }]);
+        expect(report.actionItems.errors).toHaveLength(2);
+        expect(report.decisions.errors).toEqual([]);
+        expect(report.openQuestions.errors).toEqual([{ path: '$.openQuestions', message: 'is required' }]);
+    });
+
+    test('caps key points at the bounds of the call', () => {
+        const keyPoints = Array.from({ length: 8 }, () => point('00:00:01'));
+        const report = validateAnswer({ ...goodAnswer, keyPoints }, { index, profile: general, bounds: KEY_POINT_BOUNDS.part });
+        expect(report.keyPoints.value).toHaveLength(6);
+        expect(report.keyPoints.errors).toEqual([{ path: '$.keyPoints', message: 'expected at most 6 items, got 8' }]);
+    });
+});
+
+describe('repairs', () => {
+    test('the repair prompt lists the problems and the allowed speakers', () => {
+        const prompt = buildRepairPrompt([{ path: '$.summary', message: 'is required' }], index);
+        expect(prompt).toContain('- $.summary: is required');
+        expect(prompt).toContain('must be one of: Jane Doe, John Smith');
+    });
+
+    test('keeps, per field, whichever answer has fewer problems and records where it came from', () => {
+        const first = validateAnswer({ ...goodAnswer, summary: '', keyPoints: [point('00:00:01')] }, { index, profile: general });
+        const repaired = validateAnswer({ ...goodAnswer, summary: '' }, { index, profile: general });
+        const sources = { summary: 'ai', keyPoints: 'ai', actionItems: 'ai', decisions: 'ai', openQuestions: 'ai' };
+
+        const merged = mergeRepairedAnswer(first, repaired, sources);
+        settleSources(merged, sources);
+
+        expect(merged.keyPoints.value).toHaveLength(3);
+        expect(sources).toEqual({ summary: 'fallback', keyPoints: 'ai-repaired', actionItems: 'ai', decisions: 'ai', openQuestions: 'ai' });
+    });
+
+    test('combines chunk sources: fallback only when no chunk produced the field', () => {
+        expect(combineSources(['fallback', 'ai'])).toBe('ai');
+        expect(combineSources(['ai', 'ai-repaired'])).toBe('ai-repaired');
+        expect(combineSources(['fallback'])).toBe('fallback');
+        expect(combineSources([])).toBe('fallback');
+    });
+});
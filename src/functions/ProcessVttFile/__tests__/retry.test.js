@@ -0,0 +1,57 @@
+const { createRetrier, getErrorStatus, getRetryAfterMs, isRetryable } = require('../retry');
+
+const context = { log: Object.assign(() => {}, { warn: () => {}, error: () => {} }) };
+const settings = { maxRetries: 2, baseDelayMs: 0, maxDelayMs: 10 };
+
+function httpError(status, headers) {
+    return Object.assign(new Error(`HTTP ${status}`), { status, headers });
+}
+
+describe('getErrorStatus and isRetryable', () => {
+    test('read the status from the error, statusCode or the response', () => {
+        expect(getErrorStatus({ statusCode: 503 })).toBe(503);
+        expect(getErrorStatus({ response: { status: 429 } })).toBe(429);
+        expect(isRetryable({ response: { status: 429 } })).toBe(true);
+        expect(isRetryable(httpError(500))).toBe(false);
+    });
+});
+
+describe('getRetryAfterMs', () => {
+    test('prefers retry-after-ms, then Retry-After seconds or date', () => {
+        expect(getRetryAfterMs(httpError(429, { 'retry-after-ms': '250', 'retry-after': '9' }))).toBe(250);
+        expect(getRetryAfterMs(httpError(429, new Map([['retry-after', '2']])))).toBe(2000);
+        expect(getRetryAfterMs(httpError(429, { 'Retry-After': new Date(Date.now() - 1000).toUTCString() }))).toBe(0);
+        expect(getRetryAfterMs(httpError(429, {}))).toBeNull();
+    });
+});
+
+describe('createRetrier', () => {
+    test('retries throttled calls and counts the retries', async () => {
+        const retrier = createRetrier(context, settings);
+        const operation = jest.fn()
+            .mockRejectedValueOnce(httpError(429, { 'retry-after-ms': '1' }))
+            .mockRejectedValueOnce(httpError(503))
+            .mockResolvedValue('done');
+
+        await expect(retrier.run('Graph list', operation)).resolves.toBe('done');
+        expect(operation).toHaveBeenCalledTimes(3);
+        expect(retrier.count).toBe(2);
+    });
+
+    test('gives up after the configured retries', async () => {
+        const retrier = createRetrier(context, settings);
+        const operation = jest.fn().mockRejectedValue(httpError(429));
+
+        await expect(retrier.run('Graph list', operation)).rejects.toThrow('HTTP 429');
+        expect(operation).toHaveBeenCalledTimes(3);
+    });
+
+    test('does not retry other failures', async () => {
+        const retrier = createRetrier(context, settings);
+        const operation = jest.fn().mockRejectedValue(httpError(404));
+
+        await expect(retrier.run('Blob download', operation)).rejects.toThrow('HTTP 404');
+        expect(operation).toHaveBeenCalledTimes(1);
+        expect(retrier.count).toBe(0);
+    });
+});
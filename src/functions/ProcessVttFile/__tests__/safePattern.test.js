@@ -0,0 +1,45 @@
+const { findBacktrackingRisk } = require('../safePattern');
+
+describe('findBacktrackingRisk', () => {
+    test('accepts the patterns schemas typically use', () => {
+        const patterns = [
+            '^\\d{2}:\\d{2}:\\d{2}$',
+            '^[A-Z]+-\\d+$',
+            '^(low|medium|high)$',
+            '^\\S+@\\S+$',
+            '^\\w+\\s*:\\s*\\w+$',
+            '^\\d{1,3}(,\\d{3})*$',
+            '(?<=#)\\d+'
+        ];
+        expect(patterns.map(pattern => findBacktrackingRisk(pattern))).toEqual(patterns.map(() => null));
+    });
+
+    test('refuses quantifiers and alternations inside repeated groups', () => {
+        expect(findBacktrackingRisk('^(a+)+$')).toBe('repeats a group that contains a quantifier or an alternation: (a+)+');
+        expect(findBacktrackingRisk('(a|ab)*c')).toMatch(/^repeats a group/);
+        expect(findBacktrackingRisk('^(?:x(\\d?)+)$')).toMatch(/^repeats a group/);
+    });
+
+    test('refuses quantifiers that compete for the same characters', () => {
+        expect(findBacktrackingRisk('^.*.*.*x$')).toBe('has quantifiers that can match the same text one after another: .*.*.*');
+        expect(findBacktrackingRisk('\\d+0?\\d+')).toBe('has quantifiers that can match the same text one after another: \\d+0?\\d+');
+        // Anchored, two competing quantifiers stay quadratic; unanchored they do not
+        expect(findBacktrackingRisk('\\S+@\\S+')).toMatch(/^has quantifiers/);
+        expect(findBacktrackingRisk('[a-z]+\\d+')).toBeNull();
+    });
+
+    test('refuses backreferences', () => {
+        expect(findBacktrackingRisk('(a)\\1')).toBe('uses a backreference');
+        expect(findBacktrackingRisk('(?<q>["\'])\\w+\\k<q>')).toBe('uses a backreference');
+    });
+
+    test('accepted patterns stay fast on adversarial input', () => {
+        const inputs = ['a', '@', '1', ' ', ':'].map(char => `${char.repeat(2000)}!`);
+        for (const pattern of ['^\\S+@\\S+$', '^\\w+\\s*:\\s*\\w+$', '[a-z]+\\d+']) {
+            expect(findBacktrackingRisk(pattern)).toBeNull();
+            const started = Date.now();
+            inputs.forEach(input => new RegExp(pattern).test(input));
+            expect(Date.now() - started).toBeLessThan(500);
+        }
+    });
+});
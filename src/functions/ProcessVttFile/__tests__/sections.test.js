@@ -0,0 +1,80 @@
+const { normalizeSections, mergeSections, matchSpeaker, finalizeSections, renderSectionsMarkdown } = require('../profiles/sections');
+const { profile: general } = require('../profiles/general');
+
+const sections = general.sections;
+
+describe('normalizeSections', () => {
+    test('keeps valid items, pads timestamps and reports the rest', () => {
+        const { items, errors } = normalizeSections(sections, {
+            actionItems: [
+                { description: '  Update the changelog ', owner: 'John', timestamp: '5:12' },
+                { description: 'ok', owner: 'Jane' },
+                { owner: 'Jane' }
+            ],
+            decisions: 'ship it'
+        });
+
+        expect(items.actionItems).toEqual([{ description: 'Update the changelog', owner: 'John', dueDate: '', timestamp: '00:05:12' }]);
+        expect(items.decisions).toEqual([]);
+        expect(items.openQuestions).toEqual([]);
+        expect(errors.map(e => e.path)).toEqual(['$.actionItems[1].description', '$.actionItems[2].description', '$.decisions']);
+    });
+});
+
+describe('mergeSections', () => {
+    test('concatenates chunk items in order and drops repeated text', () => {
+        const merged = mergeSections(sections, [
+            { actionItems: [{ description: 'Update the changelog.' }], decisions: [{ description: 'Ship on Tuesday' }] },
+            { actionItems: [{ description: 'update the  changelog' }, { description: 'Book the room' }] }
+        ]);
+        expect(merged.actionItems.map(i => i.description)).toEqual(['Update the changelog.', 'Book the room']);
+        expect(merged.decisions).toHaveLength(1);
+        expect(merged.openQuestions).toEqual([]);
+    });
+});
+
+describe('matchSpeaker', () => {
+    const speakers = ['Jane Doe', 'John Smith', 'John Brown'];
+
+    test('matches full names, then a unique first name', () => {
+        expect(matchSpeaker('jane doe', speakers)).toBe('Jane Doe');
+        expect(matchSpeaker('Jane', speakers)).toBe('Jane Doe');
+        expect(matchSpeaker('John', speakers)).toBe('John');
+        expect(matchSpeaker(' ', speakers)).toBe('');
+    });
+});
+
+describe('finalizeSections', () => {
+    test('resolves owners, falls back to the speaker at the timestamp and adds video links', () => {
+        const blocks = [
+            { timestamp: '00:00:01', speaker: 'Jane Doe' },
+            { timestamp: '00:01:00', speaker: 'John Smith' }
+        ];
+        const items = {
+            actionItems: [
+                { description: 'Update the changelog', owner: 'john', timestamp: '00:00:30' },
+                { description: 'Book the room', owner: '', timestamp: '00:02:00' }
+            ]
+        };
+
+        const result = finalizeSections(sections, items, blocks, timestamp => `https://video/#t=${timestamp}`);
+
+        expect(result.actionItems.map(i => i.owner)).toEqual(['John Smith', 'John Smith']);
+        expect(result.actionItems[0].videoLink).toBe('https://video/#t=00:00:30');
+        expect(result.decisions).toEqual([]);
+    });
+});
+
+describe('renderSectionsMarkdown', () => {
+    test('renders tables with escaped cells and the empty text for empty sections', () => {
+        const markdown = renderSectionsMarkdown(sections, {
+            actionItems: [{ description: 'Fix a | b', owner: 'Jane', dueDate: '', timestamp: '00:00:30', videoLink: 'https://video/#t=30' }],
+            decisions: [],
+            openQuestions: []
+        });
+
+        expect(markdown).toContain('| Owner | Action | Due | Time |');
+        expect(markdown).toContain('| Jane | Fix a \\| b | — | [00:00:30](https://video/#t=30) |');
+        expect(markdown).toContain('## 🧭 Decisions (0)\n\n_No decisions recorded._');
+    });
+});
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTranscriptSource, resolveSourceKind, getSourceRequirements } = require('../sources');
+const { createBlobContainerSource } = require('../sources/blobContainerSource');
+
+const context = { log: Object.assign(() => {}, { warn: () => {}, error: () => {} }) };
+
+describe('resolveSourceKind', () => {
+    test('prefers the request, then TRANSCRIPT_SOURCE, then SharePoint', () => {
+        expect(resolveSourceKind('Blob', { transcriptSource: 'local' })).toBe('blob');
+        expect(resolveSourceKind(undefined, { transcriptSource: 'local' })).toBe('local');
+        expect(resolveSourceKind(undefined, {})).toBe('sharepoint');
+    });
+
+    test('rejects unknown sources as INVALID_OPTION', () => {
+        expect(() => resolveSourceKind('ftp', {})).toThrow(expect.objectContaining({ code: 'INVALID_OPTION', status: 400 }));
+    });
+});
+
+describe('getSourceRequirements', () => {
+    test('lists the settings each source needs', () => {
+        expect(getSourceRequirements('blob')).toEqual(['blobConnectionString', 'blobContainer']);
+        expect(getSourceRequirements('onedrive')).toEqual(['tenantId', 'clientId', 'clientSecret', 'onedriveUserId']);
+    });
+});
+
+describe('local folder source', () => {
+    let rootDir;
+
+    beforeAll(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vtt-sources-'));
+        fs.mkdirSync(path.join(rootDir, 'Team', 'Sync'), { recursive: true });
+        fs.mkdirSync(path.join(rootDir, '.hidden'));
+        fs.writeFileSync(path.join(rootDir, 'Team', 'Sync', 'weekly.vtt'), 'WEBVTT\n');
+        fs.writeFileSync(path.join(rootDir, 'notes.txt'), 'not a transcript');
+        fs.writeFileSync(path.join(rootDir, '.hidden', 'skipped.vtt'), 'WEBVTT\n');
+    });
+
+    afterAll(() => {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('lists VTT files with forward-slash paths relative to the folder', async () => {
+        const source = createTranscriptSource(context, { localTranscriptsDir: rootDir }, 'local');
+        const files = await source.listFiles();
+        expect(files.map(file => file.path)).toEqual(['Team/Sync/weekly.vtt']);
+        expect(files[0]).toEqual(expect.objectContaining({ id: 'Team/Sync/weekly.vtt', name: 'weekly.vtt', size: 7 }));
+    });
+
+    test('finds and downloads a file by name', async () => {
+        const source = createTranscriptSource(context, { localTranscriptsDir: rootDir }, 'local');
+        const file = await source.findFile('weekly');
+        expect(await source.download(file)).toBe('WEBVTT\n');
+    });
+
+    test('refuses to read outside the folder', async () => {
+        const source = createTranscriptSource(context, { localTranscriptsDir: rootDir }, 'local');
+        await expect(source.download({ path: '../outside.vtt' })).rejects.toThrow('Path escapes transcript folder');
+    });
+});
+
+describe('blob container source', () => {
+    const accountKey = Buffer.from('test-account-key').toString('base64');
+    const connectionString = account => `DefaultEndpointsProtocol=https;AccountName=${account};AccountKey=${accountKey};EndpointSuffix=core.windows.net`;
+
+    test('keys cached listings by account and container, not only the container name', () => {
+        const first = createBlobContainerSource(context, { blobConnectionString: connectionString('first'), blobContainer: 'transcripts', blobPrefix: 'meetings/' });
+        const second = createBlobContainerSource(context, { blobConnectionString: connectionString('second'), blobContainer: 'transcripts', blobPrefix: 'meetings/' });
+        expect(first.cacheKey).toBe('blob:https://first.blob.core.windows.net/transcripts:meetings/');
+        expect(second.cacheKey).not.toBe(first.cacheKey);
+    });
+
+    test('leaves the SAS token out of the key', () => {
+        const source = createBlobContainerSource(context, {
+            blobConnectionString: 'BlobEndpoint=https://sas.blob.core.windows.net/;SharedAccessSignature=sv=2022-11-02&sig=secret',
+            blobContainer: 'transcripts'
+        });
+        expect(source.cacheKey).toBe('blob:https://sas.blob.core.windows.net/transcripts:');
+    });
+});
@@ -0,0 +1,77 @@
+const { computeSpeakerAnalytics, aggregateSpeakerAnalytics, formatDuration } = require('../speakerAnalytics');
+
+// Jane speaks twice with a short pause (one turn), John cuts in 2s before she stops, then Jane answers
+const blocks = [
+    { speaker: 'Jane', start: 0, end: 5000 },
+    { speaker: 'Jane', start: 6000, end: 10000 },
+    { speaker: 'John', start: 8000, end: 12000 },
+    { speaker: 'Jane', start: 12500, end: 13000 }
+];
+
+describe('computeSpeakerAnalytics', () => {
+    test('counts talk time, turns, monologues and interruptions per speaker', () => {
+        const { speakers, totals } = computeSpeakerAnalytics(blocks);
+        const [jane, john] = speakers;
+
+        expect(jane).toEqual(expect.objectContaining({
+            name: 'Jane',
+            talkTimeMs: 9500,
+            sharePercent: 70.4,
+            turns: 2,
+            averageTurnMs: 4750,
+            interrupted: 1,
+            interruptions: 0,
+            firstSpokenAt: '00:00:00',
+            lastSpokenAt: '00:00:13',
+            longestMonologue: { durationMs: 10000, start: '00:00:00', end: '00:00:10' }
+        }));
+        expect(john).toEqual(expect.objectContaining({ name: 'John', talkTimeMs: 4000, turns: 1, interruptions: 1, overlaps: 1 }));
+        expect(totals).toEqual({
+            speakerCount: 2,
+            totalTalkTimeMs: 13500,
+            totalTurns: 3,
+            totalInterruptions: 1,
+            totalOverlaps: 1,
+            balanceScore: 0.88,
+            dominantSpeaker: 'Jane',
+            meetingDurationMs: 13000
+        });
+    });
+
+    test('does not count overlapping cues of one speaker twice and names missing speakers Unknown', () => {
+        const { speakers } = computeSpeakerAnalytics([
+            { speaker: '', start: 0, end: 4000 },
+            { speaker: '', start: 2000, end: 5000 },
+            { speaker: 'Jane', start: NaN, end: 1000 }
+        ]);
+        expect(speakers).toHaveLength(1);
+        expect(speakers[0]).toEqual(expect.objectContaining({ name: 'Unknown', talkTimeMs: 5000, turns: 1 }));
+    });
+
+    test('returns empty totals for a transcript without cues', () => {
+        const { speakers, totals } = computeSpeakerAnalytics([]);
+        expect(speakers).toEqual([]);
+        expect(totals).toEqual(expect.objectContaining({ speakerCount: 0, balanceScore: null, dominantSpeaker: '', meetingDurationMs: 0 }));
+    });
+});
+
+describe('aggregateSpeakerAnalytics', () => {
+    test('adds up speakers across files and drops per-recording times', () => {
+        const first = computeSpeakerAnalytics(blocks);
+        const second = computeSpeakerAnalytics([{ speaker: 'John', start: 0, end: 20000 }]);
+
+        const { speakers, totals } = aggregateSpeakerAnalytics([first, second, null]);
+
+        expect(speakers[0]).toEqual(expect.objectContaining({ name: 'John', talkTimeMs: 24000, turns: 2, files: 2 }));
+        expect(speakers[0]).not.toHaveProperty('firstSpokenAt');
+        expect(totals).toEqual(expect.objectContaining({ files: 2, meetingDurationMs: 33000, dominantSpeaker: 'John' }));
+    });
+});
+
+describe('formatDuration', () => {
+    test('formats hours, minutes and seconds', () => {
+        expect(formatDuration(3725000)).toBe('1h 02m 05s');
+        expect(formatDuration(250000)).toBe('4m 10s');
+        expect(formatDuration(12400)).toBe('12s');
+    });
+});
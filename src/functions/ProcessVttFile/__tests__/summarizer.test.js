@@ -0,0 +1,138 @@
+const {
+    summarizeTranscript,
+    groupTimestampBlocks,
+    chunkTimestampBlocks,
+    getChunkTokens,
+    estimateTokens,
+    safeParseModelJson
+} = require('../summarizer');
+
+const context = { log: Object.assign(() => {}, { warn: () => {}, error: () => {} }) };
+
+function timestamp(seconds) {
+    return [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60].map(n => String(n).padStart(2, '0')).join(':');
+}
+
+function makeBlocks(count, words = 20) {
+    return Array.from({ length: count }, (_, i) => ({
+        timestamp: timestamp(i),
+        speaker: 'Alex',
+        content: `${'words '.repeat(words)}${i}`,
+        start: i * 1000,
+        end: i * 1000 + 900
+    }));
+}
+
+// Single and map prompts get four key points from their own lines (general profile sections empty);
+// the reduce prompt gets `reduceAnswer`
+function fakeClient(reduceAnswer) {
+    const prompts = [];
+    const create = async request => {
+        const prompt = request.messages[request.messages.length - 1].content;
+        prompts.push(prompt);
+        let answer;
+        if (prompt.includes('Candidate key points')) {
+            answer = reduceAnswer;
+        } else {
+            const stamps = [...prompt.matchAll(/^(\d{2}:\d{2}:\d{2}) /gm)].map(m => m[1]);
+            answer = {
+                summary: 'A part summary that is long enough to keep.',
+                keyPoints: stamps.slice(0, 4).map(t => ({ title: `Point ${t}`, timestamp: t, speaker: 'Alex' })),
+                actionItems: [],
+                decisions: [],
+                openQuestions: []
+            };
+        }
+        return { usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 }, choices: [{ message: { content: JSON.stringify(answer) } }] };
+    };
+    return { prompts, chat: { completions: { create } } };
+}
+
+describe('chunking', () => {
+    test('groups whole cues within the token budget', () => {
+        const blocks = makeBlocks(50);
+        const groups = groupTimestampBlocks(blocks, 200);
+        expect(groups.length).toBeGreaterThan(1);
+        expect(groups.flat()).toEqual(blocks);
+        for (const group of groups) {
+            expect(estimateTokens(chunkTimestampBlocks(group, 200)[0])).toBeLessThanOrEqual(200);
+        }
+    });
+
+    test('keeps an oversized cue as its own chunk', () => {
+        const groups = groupTimestampBlocks(makeBlocks(3, 500), 100);
+        expect(groups.map(g => g.length)).toEqual([1, 1, 1]);
+    });
+});
+
+describe('getChunkTokens', () => {
+    const original = process.env.OPENAI_CHUNK_TOKENS;
+    afterEach(() => {
+        if (original === undefined) delete process.env.OPENAI_CHUNK_TOKENS;
+        else process.env.OPENAI_CHUNK_TOKENS = original;
+    });
+
+    test('uses the requested value, then OPENAI_CHUNK_TOKENS, then the default', () => {
+        delete process.env.OPENAI_CHUNK_TOKENS;
+        expect(getChunkTokens()).toBe(6000);
+        process.env.OPENAI_CHUNK_TOKENS = '800';
+        expect(getChunkTokens()).toBe(800);
+        expect(getChunkTokens(1200)).toBe(1200);
+    });
+
+    test.each(['abc', '100', '2000.5', '-1'])('rejects %s as CONFIG_INVALID', value => {
+        expect(() => getChunkTokens(value)).toThrow(expect.objectContaining({ code: 'CONFIG_INVALID', status: 500 }));
+    });
+});
+
+describe('safeParseModelJson', () => {
+    test('strips code fences', () => {
+        expect(safeParseModelJson('```json\n{"a":1}\n```')).toEqual({ a: 1 });
+    });
+});
+
+describe('summarizeTranscript', () => {
+    test('summarizes a short transcript in one call', async () => {
+        const client = fakeClient();
+        const result = await summarizeTranscript(context, client, 'deployment', makeBlocks(5), { chunkTokens: 6000 });
+        expect(client.prompts).toHaveLength(1);
+        expect(result.reduced).toBe(false);
+        expect(result.chunkCount).toBe(1);
+    });
+
+    test('maps long transcripts per chunk and reduces with the candidate ids', async () => {
+        const client = fakeClient({ summary: 'The whole meeting in a few sentences.', keyPoints: [3, 0, 7, 5].map(id => ({ id, title: `Merged ${id}` })) });
+        const result = await summarizeTranscript(context, client, 'deployment', makeBlocks(400), { chunkTokens: 1000 });
+
+        expect(result.reduced).toBe(true);
+        expect(client.prompts).toHaveLength(result.chunkCount + 1);
+        expect(result.summary).toBe('The whole meeting in a few sentences.');
+        // Returned in transcript order, with the candidates' own timestamps
+        expect(result.keyPoints.map(p => p.title)).toEqual(['Merged 0', 'Merged 3', 'Merged 5', 'Merged 7']);
+        expect(result.keyPoints[0].timestamp).toBe('00:00:00');
+    });
+
+    test('fills a reduce answer below the minimum from unused chunk points', async () => {
+        const client = fakeClient({ summary: 'The whole meeting in a few sentences.', keyPoints: [{ id: 0, title: 'Only one' }] });
+        const result = await summarizeTranscript(context, client, 'deployment', makeBlocks(400), { chunkTokens: 1000 });
+
+        expect(result.keyPoints).toHaveLength(3);
+        expect(result.keyPoints[0].title).toBe('Only one');
+        expect(result.validationErrors).toContainEqual(expect.objectContaining({ path: '$.keyPoints', step: 'reduce' }));
+    });
+
+    test('thins out a reduce answer above the maximum', async () => {
+        const ids = Array.from({ length: 20 }, (_, id) => ({ id, title: `Merged ${id}` }));
+        const client = fakeClient({ summary: 'The whole meeting in a few sentences.', keyPoints: ids });
+        const result = await summarizeTranscript(context, client, 'deployment', makeBlocks(400), { chunkTokens: 1000 });
+
+        expect(result.keyPoints).toHaveLength(12);
+        expect(result.validationErrors).toContainEqual(expect.objectContaining({ message: 'expected at most 12 items, got 20', step: 'reduce' }));
+    });
+
+    test('ignores unknown and repeated reduce ids', async () => {
+        const client = fakeClient({ summary: 'The whole meeting in a few sentences.', keyPoints: [{ id: 1 }, { id: 1 }, { id: 999 }, { id: 2 }, { id: 4 }] });
+        const result = await summarizeTranscript(context, client, 'deployment', makeBlocks(400), { chunkTokens: 1000 });
+        expect(result.keyPoints).toHaveLength(3);
+    });
+});
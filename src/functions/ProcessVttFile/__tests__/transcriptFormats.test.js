@@ -0,0 +1,58 @@
+const { isTranscriptFormat, groupSpeakerParagraphs, renderTranscript } = require('../transcriptFormats');
+const { parseVtt } = require('../vttParser');
+
+// Out of order, with an empty cue and markup-like text, as parsed transcripts can be
+const blocks = [
+    { id: 'b', start: 4000, end: 6500, speaker: 'Jane', content: 'and ship on Tuesday.' },
+    { id: 'a', start: 1000, end: 3999, speaker: 'Jane', content: 'We agreed <finally>' },
+    { id: null, start: 5000, end: 5000, speaker: 'John', content: '' },
+    { id: 'c-->d', start: 7000, end: 9000, speaker: 'John', content: 'R&D signs off.' },
+    { id: null, start: 9500, end: 9800, speaker: '', content: 'Music' }
+];
+
+describe('isTranscriptFormat', () => {
+    test('recognizes the export formats', () => {
+        expect(['srt', 'VTT', 'txt', 'paragraphs'].every(isTranscriptFormat)).toBe(true);
+        expect(isTranscriptFormat('json')).toBe(false);
+    });
+});
+
+describe('renderTranscript', () => {
+    test('writes SubRip cues renumbered in playback order', () => {
+        const { content, cueCount, extension } = renderTranscript(blocks, 'srt');
+        expect(extension).toBe('srt');
+        expect(cueCount).toBe(4);
+        expect(content.split('\n\n')[0]).toBe('1\n00:00:01,000 --> 00:00:03,999\nJane: We agreed <finally>');
+        expect(content.endsWith('4\n00:00:09,500 --> 00:00:09,800\nMusic\n')).toBe(true);
+    });
+
+    test('writes normalized WebVTT that parses back to the same cues', () => {
+        const { content, suffix } = renderTranscript(blocks, 'vtt');
+        expect(suffix).toBe('_Clean');
+        expect(content).toContain('a\n00:00:01.000 --> 00:00:03.999\n<v Jane>We agreed &lt;finally&gt;</v>');
+        expect(content).not.toContain('c-->d');
+
+        const { cues } = parseVtt(content);
+        expect(cues.map(c => [c.speaker, c.text])).toEqual([
+            ['Jane', 'We agreed <finally>'],
+            ['Jane', 'and ship on Tuesday.'],
+            ['John', 'R&D signs off.'],
+            [null, 'Music']
+        ]);
+    });
+
+    test('writes plain text one line per cue', () => {
+        expect(renderTranscript(blocks, 'TXT').content).toBe('Jane: We agreed <finally>\nJane: and ship on Tuesday.\nJohn: R&D signs off.\nMusic\n');
+    });
+
+    test('merges consecutive cues by the same speaker into paragraphs', () => {
+        expect(groupSpeakerParagraphs(blocks)).toEqual([
+            { speaker: 'Jane', timestamp: '00:00:01', start: 1000, end: 6500, text: 'We agreed <finally> and ship on Tuesday.' },
+            { speaker: 'John', timestamp: '00:00:07', start: 7000, end: 9000, text: 'R&D signs off.' },
+            { speaker: '', timestamp: '00:00:09', start: 9500, end: 9800, text: 'Music' }
+        ]);
+        expect(renderTranscript(blocks, 'paragraphs').content).toBe(
+            '[00:00:01] Jane\nWe agreed <finally> and ship on Tuesday.\n\n[00:00:07] John\nR&D signs off.\n\n[00:00:09]\nMusic\n'
+        );
+    });
+});
@@ -0,0 +1,90 @@
+const handlers = {};
+
+jest.mock('@azure/functions', () => {
+    const actual = jest.requireActual('@azure/functions');
+    const register = (name, options) => { handlers[name] = options.handler; };
+    return { ...actual, app: { http: register, storageQueue: register, timer: register } };
+});
+
+// Every model call answers with the same four key points
+jest.mock('openai', () => ({
+    OpenAI: class {
+        constructor() {
+            this.chat = {
+                completions: {
+                    create: async () => ({
+                        usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 },
+                        choices: [{
+                            message: {
+                                content: JSON.stringify({
+                                    summary: 'The team agreed on the release plan for next week.',
+                                    keyPoints: ['00:00:01', '00:00:02', '00:00:03', '00:00:04'].map(t => ({ title: `Point ${t}`, timestamp: t, speaker: 'Jane' }))
+                                })
+                            }
+                        }]
+                    })
+                }
+            };
+        }
+    }
+}));
+
+process.env.OPENAI_KEY = 'test-key';
+process.env.OPENAI_ENDPOINT = 'https://example.openai.azure.com';
+
+const { HttpRequest } = require('@azure/functions');
+require('../index');
+
+const VTT = [
+    'WEBVTT',
+    '',
+    '00:00:01.000 --> 00:00:02.000',
+    '<v Jane>We ship the release next Tuesday.</v>',
+    '',
+    '00:00:03.000 --> 00:00:05.000',
+    '<v John>I will update the changelog.</v>'
+].join('\n');
+
+function createContext() {
+    const log = () => {};
+    return { invocationId: 'test-invocation', log, warn: log, error: log, info: log, extraOutputs: { set: () => {} } };
+}
+
+async function post(body, { query = '', contentType = 'application/json' } = {}) {
+    const request = new HttpRequest({
+        method: 'POST',
+        url: `http://localhost/api/ProcessVttFile${query}`,
+        headers: { 'content-type': contentType },
+        body: { string: body }
+    });
+    const response = await handlers.ProcessVttFile(request, createContext());
+    return { status: response.status, body: JSON.parse(response.body) };
+}
+
+describe('uploaded VTT content', () => {
+    test('processes vttContent from a JSON body without a transcript source', async () => {
+        const { status, body } = await post(JSON.stringify({ name: 'sync.vtt', vttContent: VTT }));
+        expect(status).toBe(200);
+        expect(body.success).toBe(true);
+        expect(body.summary).toBe('The team agreed on the release plan for next week.');
+    });
+
+    test('processes a raw text/vtt body named by the query string', async () => {
+        const { status, body } = await post(VTT, { query: '?name=raw.vtt', contentType: 'text/vtt' });
+        expect(status).toBe(200);
+        expect(body.success).toBe(true);
+    });
+
+    test('rejects content without a WEBVTT header as PARSE_FAILED', async () => {
+        const { status, body } = await post(JSON.stringify({ name: 'notes.vtt', vttContent: 'just some notes' }));
+        expect(status).toBe(422);
+        expect(body.code).toBe('PARSE_FAILED');
+        expect(body.correlationId).toBe('test-invocation');
+    });
+
+    test('rejects a body that is neither VTT nor JSON as INVALID_REQUEST', async () => {
+        const { status, body } = await post('{not json');
+        expect(status).toBe(400);
+        expect(body.code).toBe('INVALID_REQUEST');
+    });
+});
@@ -0,0 +1,77 @@
+const { resolveLinkFormat, timestampToSeconds, buildVideoLink } = require('../videoLinks');
+const { createGraphDriveSource } = require('../sources/graphDriveSource');
+const { getOrCreateClient } = require('../cache');
+
+const context = { log: Object.assign(() => {}, { warn: () => {}, error: () => {} }) };
+
+describe('resolveLinkFormat', () => {
+    test('defaults to stream and ignores case', () => {
+        expect(resolveLinkFormat({})).toBe('stream');
+        expect(resolveLinkFormat({ videoLinkFormat: 'HMS' })).toBe('hms');
+    });
+
+    test('rejects unknown formats as CONFIG_INVALID', () => {
+        expect(() => resolveLinkFormat({ videoLinkFormat: 'youtube' })).toThrow(expect.objectContaining({ code: 'CONFIG_INVALID', status: 500 }));
+    });
+});
+
+describe('buildVideoLink', () => {
+    test('seeks the recording in the configured format', () => {
+        expect(buildVideoLink('https://contoso.sharepoint.com/stream.aspx?id=1', '00:01:05')).toBe('https://contoso.sharepoint.com/stream.aspx?id=1&t=65');
+        expect(buildVideoLink('https://cdn.example.com/sync.mp4#old', '01:00:00', 'seconds')).toBe('https://cdn.example.com/sync.mp4#t=3600');
+        expect(buildVideoLink('https://cdn.example.com/sync.mp4', '1:02:03.500', 'hms')).toBe('https://cdn.example.com/sync.mp4#t=01:02:03');
+    });
+
+    test('returns an empty link without a recording or a valid timestamp', () => {
+        expect(buildVideoLink('', '00:01:05')).toBe('');
+        expect(buildVideoLink('https://cdn.example.com/sync.mp4', '5 minutes')).toBe('');
+        expect(timestampToSeconds('00:61')).toBeNull();
+    });
+});
+
+describe('findRecording', () => {
+    const config = { tenantId: 'recording-tenant', clientId: 'recording-client', clientSecret: 'secret', sharepointDriveId: 'drive-1' };
+    let items;
+
+    // Graph client with the drive items keyed by request path; a missing path is a 404
+    beforeAll(() => {
+        const request = path => {
+            const call = {
+                top: () => call,
+                get: async () => {
+                    if (items[path]) return items[path];
+                    throw Object.assign(new Error('itemNotFound'), { statusCode: 404 });
+                }
+            };
+            return call;
+        };
+        getOrCreateClient('graph', [config.tenantId, config.clientId, config.clientSecret], () => ({ api: request }));
+    });
+
+    const transcript = { name: 'Weekly Sync.vtt', path: 'Meetings/Weekly Sync.vtt', item: { parentReference: { id: 'folder-1' } } };
+
+    test('uses the .mp4 next to the transcript', async () => {
+        items = { '/drives/drive-1/items/folder-1:/Weekly%20Sync.mp4:': { id: 'video-1', name: 'Weekly Sync.mp4', webUrl: 'https://contoso/video-1', file: {} } };
+        const source = createGraphDriveSource(context, config);
+        expect(await source.findRecording(transcript)).toEqual({ itemId: 'video-1', name: 'Weekly Sync.mp4', webUrl: 'https://contoso/video-1' });
+    });
+
+    test('falls back to another video format with the same base name', async () => {
+        items = {
+            '/drives/drive-1/items/folder-1/children': {
+                value: [
+                    { id: 'doc-1', name: 'Weekly Sync.docx', file: {} },
+                    { id: 'video-2', name: 'weekly sync.webm', webUrl: 'https://contoso/video-2', file: { mimeType: 'video/webm' } }
+                ]
+            }
+        };
+        const source = createGraphDriveSource(context, config);
+        expect(await source.findRecording(transcript)).toEqual({ itemId: 'video-2', name: 'weekly sync.webm', webUrl: 'https://contoso/video-2' });
+    });
+
+    test('returns null when the folder has no matching recording', async () => {
+        items = { '/drives/drive-1/items/folder-1/children': { value: [{ id: 'video-3', name: 'Other.mp4', file: {} }] } };
+        const source = createGraphDriveSource(context, config);
+        expect(await source.findRecording(transcript)).toBeNull();
+    });
+});
@@ -0,0 +1,68 @@
+const { parseVtt, parseTimestamp, formatTimestamp } = require('../vttParser');
+
+describe('parseTimestamp', () => {
+    test('reads hours, minutes, seconds and milliseconds', () => {
+        expect(parseTimestamp('01:02:03.456')).toBe(3723456);
+        expect(parseTimestamp('02:03.456')).toBe(123456);
+    });
+
+    test('rejects malformed values', () => {
+        expect(parseTimestamp('1:2:3')).toBeNull();
+        expect(parseTimestamp('')).toBeNull();
+    });
+});
+
+describe('formatTimestamp', () => {
+    test('formats milliseconds as HH:MM:SS, optionally with milliseconds', () => {
+        expect(formatTimestamp(3723456)).toBe('01:02:03');
+        expect(formatTimestamp(3723456, true)).toBe('01:02:03.456');
+        expect(formatTimestamp(-5)).toBe('00:00:00');
+    });
+});
+
+describe('parseVtt', () => {
+    test('keeps cue IDs, end times, settings and the voice of multi-line spans', () => {
+        const vtt = [
+            '\uFEFFWEBVTT - Weekly sync',
+            '',
+            'NOTE recorded by Teams',
+            '',
+            'intro-1',
+            '00:00:01.000 --> 00:00:04.500 align:start line:0',
+            '<v.loud Jane Doe>Hello &amp; welcome',
+            'to the sync</v>',
+            '',
+            '00:00:05.000 --> 00:00:06.000',
+            '<v John>Thanks</v>'
+        ].join('\r\n');
+
+        const { header, notes, cues } = parseVtt(vtt);
+
+        expect(header).toBe('- Weekly sync');
+        expect(notes).toEqual(['recorded by Teams']);
+        expect(cues).toEqual([
+            { id: 'intro-1', start: 1000, end: 4500, speaker: 'Jane Doe', text: 'Hello & welcome to the sync', settings: { align: 'start', line: '0' } },
+            { id: null, start: 5000, end: 6000, speaker: 'John', text: 'Thanks', settings: {} }
+        ]);
+    });
+
+    test('collects STYLE and REGION blocks and skips blocks without a valid timing line', () => {
+        const vtt = 'WEBVTT\n\nSTYLE\n::cue { color: red }\n\nREGION\nid:left width:40%\n\nbroken\n00:00:01 --> 00:00:02\nnope\n\n00:00:03.000 --> 00:00:04.000\nKept';
+
+        const { styles, regions, cues } = parseVtt(vtt);
+
+        expect(styles).toEqual(['::cue { color: red }']);
+        expect(regions).toEqual([{ id: 'left', width: '40%' }]);
+        expect(cues.map(c => c.text)).toEqual(['Kept']);
+    });
+
+    test('starts a cue from a timing line inside the header block', () => {
+        const { cues } = parseVtt('WEBVTT\n00:00:01.000 --> 00:00:02.000\nNo blank line');
+        expect(cues).toHaveLength(1);
+        expect(cues[0].text).toBe('No blank line');
+    });
+
+    test('returns an empty result for empty input', () => {
+        expect(parseVtt('').cues).toEqual([]);
+    });
+});
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { claimItem, collectChangedDrives, isTransientStatus } = require('../webhooks');
+const { createStateStore } = require('../stateStore');
+
+const settings = { leaseMs: 60000, maxAttempts: 3 };
+const item = { driveId: 'drive-1', id: 'item-1', name: 'Weekly Sync.vtt' };
+const now = Date.parse('2024-05-01T10:00:00.000Z');
+
+let containers = 0;
+function newStore() {
+    return createStateStore({ log: () => {} }, {}, { kind: 'memory', container: `webhooks-test-${++containers}` });
+}
+
+describe('claimItem', () => {
+    test('claims a new item once', async () => {
+        const store = newStore();
+        expect(await claimItem(store, 'processed/item-1', item, settings, now)).toBe(1);
+        expect(await claimItem(store, 'processed/item-1', item, settings, now + 1000)).toBe(0);
+        expect(await store.get('processed/item-1')).toEqual(expect.objectContaining({ state: 'processing', attempts: 1, leaseExpiresAt: '2024-05-01T10:01:00.000Z' }));
+    });
+
+    test('takes over a claim whose lease expired', async () => {
+        const store = newStore();
+        await claimItem(store, 'processed/item-1', item, settings, now);
+        expect(await claimItem(store, 'processed/item-1', item, settings, now + 60000)).toBe(2);
+    });
+
+    test('retries transient failures but not permanent ones', async () => {
+        const store = newStore();
+        await store.put('processed/transient', { state: 'failed', transient: true, attempts: 1 });
+        await store.put('processed/permanent', { state: 'failed', transient: false, attempts: 1 });
+
+        expect(await claimItem(store, 'processed/transient', item, settings, now)).toBe(2);
+        expect(await claimItem(store, 'processed/permanent', item, settings, now)).toBe(0);
+    });
+
+    test('closes a lapsed claim as failed once it is out of attempts', async () => {
+        const store = newStore();
+        await store.put('processed/item-1', { state: 'processing', attempts: 3, leaseExpiresAt: new Date(now - 1).toISOString() });
+
+        expect(await claimItem(store, 'processed/item-1', item, settings, now)).toBe(-1);
+        expect(await store.get('processed/item-1')).toEqual(expect.objectContaining({ state: 'failed', transient: false }));
+    });
+
+    test('lets only one of two concurrent callers take over a lapsed claim', async () => {
+        const store = newStore();
+        await claimItem(store, 'processed/item-1', item, settings, now);
+        const results = await Promise.all([
+            claimItem(store, 'processed/item-1', item, settings, now + 60000),
+            claimItem(store, 'processed/item-1', item, settings, now + 60000)
+        ]);
+        expect(results.sort()).toEqual([0, 2]);
+    });
+});
+
+describe('isTransientStatus', () => {
+    test('treats throttling, timeouts, server errors and network failures as transient', () => {
+        expect([408, 429, 500, 503, undefined].map(isTransientStatus)).toEqual([true, true, true, true, true]);
+        expect([400, 404, 422].map(isTransientStatus)).toEqual([false, false, false]);
+    });
+});
+
+describe('collectChangedDrives', () => {
+    const hash = value => crypto.createHash('sha256').update(value).digest('hex');
+
+    async function storeWithSubscriptions() {
+        const store = newStore();
+        await store.put('subscriptions/sub-1', { id: 'sub-1', driveId: 'b!abc', clientStateHash: hash('secret') });
+        await store.put('subscriptions/sub-2', { id: 'sub-2', driveId: 'drive-2', clientStateHash: hash('custom') });
+        return store;
+    }
+
+    test('checks each notification against the clientState of its own subscription', async () => {
+        const body = {
+            value: [
+                { subscriptionId: 'sub-1', clientState: 'secret', resource: 'drives/b%21abc/root' },
+                { subscriptionId: 'sub-1', clientState: 'secret', resource: 'drives/b%21abc/root' },
+                { subscriptionId: 'sub-2', clientState: 'custom', resource: 'drives/drive-2/root' },
+                { subscriptionId: 'sub-2', clientState: 'secret', resource: 'drives/drive-2/root' }
+            ]
+        };
+        expect(await collectChangedDrives(null, { webhookClientState: 'secret' }, body, await storeWithSubscriptions())).toEqual({
+            driveIds: ['b!abc', 'drive-2'],
+            received: 4,
+            rejected: 1
+        });
+    });
+
+    test('rejects notifications for unknown subscriptions or without a clientState', async () => {
+        const body = {
+            value: [
+                { subscriptionId: 'forged', clientState: 'secret', resource: 'drives/other/root' },
+                { subscriptionId: 'sub-1', resource: 'drives/b%21abc/root' },
+                { clientState: 'secret', resource: 'drives/b%21abc/root' }
+            ]
+        };
+        expect(await collectChangedDrives(null, {}, body, await storeWithSubscriptions())).toEqual({ driveIds: [], received: 3, rejected: 3 });
+    });
+
+    test('accepts an empty or malformed body', async () => {
+        expect(await collectChangedDrives(null, {}, null, newStore())).toEqual({ driveIds: [], received: 0, rejected: 0 });
+    });
+});
@@ -0,0 +1,83 @@
+// Module-level caches that survive across files in a batch and across warm invocations.
+// Clients are kept for the lifetime of the worker; drive listings expire after a TTL.
+
+const crypto = require('crypto');
+
+const DEFAULT_LISTING_TTL_MS = 5 * 60 * 1000;
+
+// Per-request counters reported in response metadata
+function createCacheStats() {
+    return {
+        clients: { hits: 0, misses: 0 },
+        listings: { hits: 0, misses: 0 }
+    };
+}
+
+function mergeCacheStats(target, stats) {
+    if (!stats) return target;
+    for (const group of Object.keys(target)) {
+        target[group].hits += stats[group]?.hits || 0;
+        target[group].misses += stats[group]?.misses || 0;
+    }
+    return target;
+}
+
+// Secrets are part of client identity but never kept as plain map keys
+function fingerprint(...parts) {
+    return crypto.createHash('sha256').update(parts.map(p => String(p ?? '')).join('\u0000')).digest('hex');
+}
+
+const clientRegistry = new Map();
+
+function getOrCreateClient(kind, keyParts, factory, stats) {
+    const key = `${kind}:${fingerprint(...keyParts)}`;
+    if (clientRegistry.has(key)) {
+        if (stats) stats.clients.hits++;
+        return clientRegistry.get(key);
+    }
+    if (stats) stats.clients.misses++;
+    const client = factory();
+    clientRegistry.set(key, client);
+    return client;
+}
+
+// Stores promises so concurrent callers share one in-flight load; failed loads are not cached
+function createTtlCache(ttlMs) {
+    const entries = new Map();
+
+    async function getOrLoad(key, loader, stats, group) {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            if (stats) stats[group].hits++;
+            return entry.promise;
+        }
+        if (stats) stats[group].misses++;
+        const promise = Promise.resolve().then(loader);
+        entries.set(key, { promise, expiresAt: Date.now() + ttlMs() });
+        promise.catch(() => {
+            if (entries.get(key)?.promise === promise) entries.delete(key);
+        });
+        return promise;
+    }
+
+    return {
+        getOrLoad,
+        delete: key => entries.delete(key),
+        clear: () => entries.clear()
+    };
+}
+
+function getListingTtlMs() {
+    const configured = Number(process.env.DRIVE_LIST_CACHE_TTL_MS);
+    return Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_LISTING_TTL_MS;
+}
+
+const listingCache = createTtlCache(getListingTtlMs);
+
+module.exports = {
+    createCacheStats,
+    mergeCacheStats,
+    getOrCreateClient,
+    createTtlCache,
+    listingCache
+};
@@ -0,0 +1,300 @@
+const { SYSTEM_MESSAGE, requestJson, languageRule, formatTranscript, groupTimestampBlocks, getChunkTokens } = require('./summarizer');
+const { tokenize } = require('./grounding');
+const { formatTimestamp } = require('./vttParser');
+const { validateSchema } = require('./schema');
+const { SOURCE_AI, SOURCE_FALLBACK } = require('./responseValidator');
+const { escapeHtml, safeUrl } = require('./htmlEscape');
+const { createLocalizer } = require('./i18n');
+
+// Chapters: the transcript split into contiguous stretches about one topic, each with a title,
+// a time range, the speakers involved and a short summary.
+// The model segments every transcript chunk (the same cue-aligned chunks the summarizer uses);
+// a chunk whose answer fails or has no usable chapter is segmented locally by lexical cohesion:
+// word overlap between the cues before and after every cue boundary is compared, and the deepest
+// dips in that overlap (topic shifts) become chapter starts. Fallback titles are the chunk's most
+// distinctive words, fallback summaries its most representative cue.
+// CHAPTER_MODE: ai (default), local (lexical only, no model calls) or off.
+
+const CHAPTER_MODES = ['ai', 'local', 'off'];
+const MIN_CHAPTER_MS = 2 * 60 * 1000;
+const TARGET_CHAPTER_MS = 8 * 60 * 1000;
+const MAX_CHAPTERS_PER_CHUNK = 8;
+const COHESION_WINDOW_CUES = 10;
+const MAX_SUMMARY_LENGTH = 240;
+// Conversational filler that carries no topic, on top of the grounding stopwords
+const TITLE_FILLER = new Set(('yep yes yeah nope think thank thanks sure guess mean kind sort maybe probably basically ' +
+    'gonna wanna gotta don doesn didn isn aren wasn can won let lets need needs put got sorry hello hey everyone ' +
+    'something anything everything someone somebody today tomorrow little bit lot lots way stuff great perfect cool ' +
+    'cannot because though always never still already able again right anyway').split(' '));
+
+const CHAPTER_SCHEMA = {
+    type: 'object',
+    required: ['start', 'title'],
+    properties: {
+        start: { type: 'string', pattern: '^\\d{2}:\\d{2}:\\d{2}$' },
+        title: { type: 'string', minLength: 1, maxLength: 120 },
+        summary: { type: 'string' }
+    }
+};
+
+function resolveChapterMode(config = {}) {
+    const mode = String(config.chapterMode || 'ai').toLowerCase();
+    return CHAPTER_MODES.includes(mode) ? mode : 'ai';
+}
+
+function targetChapterCount(cues) {
+    const span = cues.length > 0 ? cues[cues.length - 1].end - cues[0].start : 0;
+    return Math.min(MAX_CHAPTERS_PER_CHUNK, Math.max(1, Math.round(span / TARGET_CHAPTER_MS)));
+}
+
+function buildChapterPrompt(cues, index, total, language) {
+    return `
+You are a service that outputs ONLY strict JSON. No prose. No Markdown. No code fences.
+${total > 1 ? `This is part ${index + 1} of ${total} of a longer transcript.\n` : ''}Split the meeting transcript${total > 1 ? ' part' : ''} into chapters: consecutive stretches that each cover one topic. Return exactly this JSON schema:
+
+{
+  "chapters": [
+    { "start": "HH:MM:SS", "title": "3-8 word topic title", "summary": "1-2 sentences on what was said" }
+  ]
+}
+
+Rules:
+- Output a single JSON object only.
+- The first chapter starts at ${cues[0].timestamp}; chapters are in chronological order and do not overlap.
+- start must be copied from the HH:MM:SS prefix of the transcript line where the topic begins.
+- Start a new chapter only when the topic clearly changes; about ${targetChapterCount(cues)} chapter(s), at most ${MAX_CHAPTERS_PER_CHUNK}.
+${languageRule(language)}Transcript:
+${formatTranscript(cues)}
+`;
+}
+
+// Model chapters -> cue index where each starts; invalid, unknown or out-of-order starts are dropped
+function chapterStartsFromAnswer(parsed, cues) {
+    const firstCueAt = new Map();
+    cues.forEach((cue, i) => { if (!firstCueAt.has(cue.timestamp)) firstCueAt.set(cue.timestamp, i); });
+
+    const starts = [];
+    for (const item of Array.isArray(parsed?.chapters) ? parsed.chapters : []) {
+        if (validateSchema(item, CHAPTER_SCHEMA).length > 0) continue;
+        const cueIndex = firstCueAt.get(item.start.trim());
+        if (cueIndex === undefined || (starts.length > 0 && cueIndex <= starts[starts.length - 1].cueIndex)) continue;
+        starts.push({ cueIndex, title: item.title.trim(), summary: typeof item.summary === 'string' ? item.summary.trim() : '' });
+    }
+    // The chunk is covered from its first cue
+    if (starts.length > 0) starts[0].cueIndex = 0;
+    return starts.slice(0, MAX_CHAPTERS_PER_CHUNK);
+}
+
+function cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (const [term, count] of a) {
+        normA += count * count;
+        if (b.has(term)) dot += count * b.get(term);
+    }
+    for (const count of b.values()) normB += count * count;
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function termCounts(tokenLists) {
+    const counts = new Map();
+    for (const tokens of tokenLists) {
+        for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+    }
+    return counts;
+}
+
+/**
+ * Lexical cohesion segmentation of a run of cues. Returns the cue indexes where chapters start (always 0 first).
+ */
+function segmentByCohesion(cues) {
+    const target = targetChapterCount(cues);
+    if (target <= 1 || cues.length < 2 * COHESION_WINDOW_CUES) return [0];
+
+    const tokens = cues.map(cue => tokenize(cue.content));
+    const gaps = [];
+    for (let i = 1; i < cues.length; i++) {
+        const before = termCounts(tokens.slice(Math.max(0, i - COHESION_WINDOW_CUES), i));
+        const after = termCounts(tokens.slice(i, i + COHESION_WINDOW_CUES));
+        gaps.push({ index: i, score: cosine(before, after) });
+    }
+    // Light smoothing so single-cue noise does not look like a topic shift
+    const smoothed = gaps.map((gap, i) => {
+        const neighbours = gaps.slice(Math.max(0, i - 1), i + 2);
+        return { ...gap, score: neighbours.reduce((sum, g) => sum + g.score, 0) / neighbours.length };
+    });
+
+    // Depth of each dip: how far the overlap climbs back up on both sides
+    const depths = smoothed.map((gap, i) => {
+        let left = gap.score;
+        for (let j = i - 1; j >= 0 && smoothed[j].score >= left; j--) left = smoothed[j].score;
+        let right = gap.score;
+        for (let j = i + 1; j < smoothed.length && smoothed[j].score >= right; j++) right = smoothed[j].score;
+        return { index: gap.index, depth: (left - gap.score) + (right - gap.score) };
+    });
+
+    const chunkStart = cues[0].start;
+    const chunkEnd = cues[cues.length - 1].end;
+    const starts = [0];
+    for (const candidate of depths.filter(d => d.depth > 0).sort((a, b) => b.depth - a.depth)) {
+        if (starts.length >= target) break;
+        const at = cues[candidate.index].start;
+        if (at - chunkStart < MIN_CHAPTER_MS || chunkEnd - at < MIN_CHAPTER_MS) continue;
+        if (starts.some(s => Math.abs(cues[s].start - at) < MIN_CHAPTER_MS)) continue;
+        starts.push(candidate.index);
+    }
+    return starts.sort((a, b) => a - b);
+}
+
+// Most distinctive words of a chapter (frequent here, rare elsewhere), in their most common spelling
+function fallbackTitle(chapterCues, allCues) {
+    const surface = new Map();
+    const inside = new Map();
+    for (const cue of chapterCues) {
+        for (const word of String(cue.content).match(/[\p{L}\p{N}]+/gu) || []) {
+            const [term] = tokenize(word);
+            if (!term || word.length < 4 || TITLE_FILLER.has(word.toLowerCase()) || TITLE_FILLER.has(term)) continue;
+            inside.set(term, (inside.get(term) || 0) + 1);
+            const spellings = surface.get(term) || new Map();
+            spellings.set(word.toLowerCase(), (spellings.get(word.toLowerCase()) || 0) + 1);
+            surface.set(term, spellings);
+        }
+    }
+    const overall = termCounts(allCues.map(cue => tokenize(cue.content)));
+    const words = [...inside.entries()]
+        .filter(([, count]) => count >= 2)
+        .map(([term, count]) => ({ term, weight: count * Math.log((allCues.length + 1) / ((overall.get(term) || 0) + 1)) }))
+        .sort((a, b) => b.weight - a.weight)
+        .slice(0, 3)
+        .map(({ term }) => [...surface.get(term).entries()].sort((a, b) => b[1] - a[1])[0][0]);
+    if (words.length === 0) return 'Discussion';
+    return words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(', ');
+}
+
+// The cue sharing the most vocabulary with the rest of the chapter
+function fallbackSummary(chapterCues) {
+    const counts = termCounts(chapterCues.map(cue => tokenize(cue.content)));
+    let best = null;
+    for (const cue of chapterCues) {
+        const terms = new Set(tokenize(cue.content));
+        const score = [...terms].reduce((sum, term) => sum + (counts.get(term) || 0) - 1, 0);
+        if (!best || score > best.score) best = { score, cue };
+    }
+    const text = best ? best.cue.content.replace(/\s+/g, ' ').trim() : '';
+    return text.length > MAX_SUMMARY_LENGTH ? `${text.slice(0, MAX_SUMMARY_LENGTH - 1).trimEnd()}…` : text;
+}
+
+function buildChapter(cues, from, to, { title, summary, source }, nextStart) {
+    const chapterCues = cues.slice(from, to);
+    const first = chapterCues[0];
+    const end = nextStart !== undefined ? nextStart : Math.max(...chapterCues.map(cue => cue.end));
+    return {
+        title,
+        start: first.timestamp,
+        end: formatTimestamp(end),
+        startMs: first.start,
+        endMs: end,
+        speakers: [...new Set(chapterCues.map(cue => cue.speaker).filter(Boolean))],
+        summary,
+        videoLink: '',
+        source
+    };
+}
+
+/**
+ * Segments the transcript into chapters.
+ * Returns { chapters, stats: { mode, chunks, ai, fallback }, tokens }.
+ */
+async function buildChapters(context, openaiClient, deployment, timestampBlocks, { mode = 'ai', retrier, chunkTokens, language } = {}) {
+    const tokens = { prompt: 0, completion: 0, total: 0 };
+    const stats = { mode, chunks: 0, ai: 0, fallback: 0 };
+    const cues = (timestampBlocks || []).filter(block => block.timestamp && block.content && Number.isFinite(block.start));
+    if (mode === 'off' || cues.length === 0) return { chapters: [], stats, tokens };
+
+    const groups = groupTimestampBlocks(cues, getChunkTokens(chunkTokens));
+    stats.chunks = groups.length;
+
+    const segments = [];
+    for (let i = 0; i < groups.length; i++) {
+        const group = groups[i];
+        let starts = [];
+        if (mode === 'ai' && openaiClient) {
+            try {
+                const { parsed } = await requestJson(openaiClient, deployment, [
+                    { role: 'system', content: SYSTEM_MESSAGE },
+                    { role: 'user', content: buildChapterPrompt(group, i, groups.length, language) }
+                ], tokens, retrier);
+                starts = chapterStartsFromAnswer(parsed, group).map(s => ({ ...s, source: SOURCE_AI }));
+                if (starts.length === 0) context.log.warn(`⚠️ No usable chapters in the model answer for part ${i + 1}/${groups.length}; using lexical segmentation`);
+            } catch (chapterError) {
+                context.log.warn(`⚠️ Chapter request for part ${i + 1}/${groups.length} failed, using lexical segmentation: ${chapterError?.message || chapterError}`);
+            }
+        }
+        if (starts.length === 0) {
+            starts = segmentByCohesion(group).map(cueIndex => ({ cueIndex, source: SOURCE_FALLBACK }));
+        }
+        starts.forEach((start, j) => segments.push({ group, from: start.cueIndex, to: j + 1 < starts.length ? starts[j + 1].cueIndex : group.length, ...start }));
+    }
+
+    const chapters = segments.map((segment, i) => {
+        const chapterCues = segment.group.slice(segment.from, segment.to);
+        const next = segments[i + 1];
+        const nextStart = next ? next.group[next.from].start : undefined;
+        stats[segment.source === SOURCE_AI ? 'ai' : 'fallback']++;
+        return buildChapter(segment.group, segment.from, segment.to, {
+            title: segment.title || fallbackTitle(chapterCues, cues),
+            summary: segment.summary || fallbackSummary(chapterCues),
+            source: segment.source
+        }, nextStart);
+    });
+    return { chapters, stats, tokens };
+}
+
+// Table of contents linking to the chapter entries; a chapter's start opens the recording there,
+// or jumps to its first line in the transcript viewer when there is no recording
+function renderChaptersHtml(chapters, l10n = createLocalizer(), cueAnchor = () => '') {
+    if (!chapters || chapters.length === 0) return '';
+    const timeLink = chapter => {
+        const href = safeUrl(chapter.videoLink);
+        if (href) return `<a class="timestamp" href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${escapeHtml(chapter.start)}</a>`;
+        const anchor = cueAnchor(chapter.start);
+        return anchor
+            ? `<a class="timestamp cue-ref" href="#${anchor}">${escapeHtml(chapter.start)}</a>`
+            : `<span class="timestamp">${escapeHtml(chapter.start)}</span>`;
+    };
+    return `<div class="chapters">
+        <h2>📑 ${escapeHtml(l10n.t('chapters', { count: chapters.length }))}</h2>
+        <ol class="toc">
+            ${chapters.map((chapter, i) => `<li><a href="#chapter-${i + 1}">${escapeHtml(chapter.title)}</a> <span class="toc-time">${escapeHtml(chapter.start)} – ${escapeHtml(chapter.end)}</span></li>`).join('')}
+        </ol>
+        ${chapters.map((chapter, i) => `<div class="chapter" id="chapter-${i + 1}">
+            <h3>${i + 1}. ${escapeHtml(chapter.title)}</h3>
+            <p class="chapter-meta">${timeLink(chapter)} – ${escapeHtml(chapter.end)}${chapter.speakers.length > 0 ? ` <span class="speaker">${escapeHtml(chapter.speakers.join(', '))}</span>` : ''}</p>
+            ${chapter.summary ? `<p>${escapeHtml(chapter.summary)}</p>` : ''}
+        </div>`).join('')}
+    </div>`;
+}
+
+function renderChaptersMarkdown(chapters, l10n = createLocalizer()) {
+    if (!chapters || chapters.length === 0) return '';
+    const timeRef = chapter => (chapter.videoLink ? `[${chapter.start}](${chapter.videoLink})` : chapter.start);
+    return `## 📑 ${l10n.t('chapters', { count: chapters.length })}
+
+${chapters.map((chapter, i) => `${i + 1}. [${chapter.title}](#chapter-${i + 1}) — ${chapter.start}–${chapter.end}`).join('\n')}
+
+${chapters.map((chapter, i) => `<a id="chapter-${i + 1}"></a>
+### ${i + 1}. ${chapter.title}
+
+${timeRef(chapter)} – ${chapter.end}${chapter.speakers.length > 0 ? ` | *${chapter.speakers.join(', ')}*` : ''}
+${chapter.summary ? `\n${chapter.summary}\n` : ''}`).join('\n')}`;
+}
+
+module.exports = {
+    CHAPTER_MODES,
+    resolveChapterMode,
+    segmentByCohesion,
+    buildChapters,
+    renderChaptersHtml,
+    renderChaptersMarkdown
+};
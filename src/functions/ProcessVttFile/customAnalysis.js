@@ -0,0 +1,188 @@
+const { SYSTEM_MESSAGE, requestJson, formatTranscript, estimateTokens } = require('./summarizer');
+const { validateSchema } = require('./schema');
+const { escapeHtml } = require('./htmlEscape');
+const { createLocalizer } = require('./i18n');
+const { createError } = require('./errors');
+
+// Custom analyses: a caller-chosen prompt template and/or JSON Schema instead of an analysis profile.
+// The whole transcript goes into one request; when the answer does not match the schema the model
+// gets one corrective turn listing the problems, and whatever errors remain are returned.
+// A caller schema has no merge rules, so there is no map-reduce here: transcripts over
+// CUSTOM_ANALYSIS_MAX_TOKENS are refused before the model is called.
+
+const MAX_REPORTED_ERRORS = 20;
+const DEFAULT_MAX_TRANSCRIPT_TOKENS = 30000;
+
+function getMaxTranscriptTokens(configured) {
+    if (configured === undefined || configured === null || configured === '') return DEFAULT_MAX_TRANSCRIPT_TOKENS;
+    const tokens = Number(configured);
+    if (!Number.isInteger(tokens) || tokens <= 0) {
+        throw createError('CONFIG_INVALID', `CUSTOM_ANALYSIS_MAX_TOKENS must be a positive integer (got ${configured})`);
+    }
+    return tokens;
+}
+
+function buildCustomPrompt(custom, transcript) {
+    const schemaText = custom.schema ? JSON.stringify(custom.schema, null, 2) : '';
+
+    if (!custom.prompt) {
+        return `
+You are a service that outputs ONLY strict JSON. No prose. No Markdown. No code fences.
+Analyze the meeting transcript and return a single JSON object that conforms to this JSON Schema:
+
+${schemaText}
+
+Rules:
+- Output a single JSON object only.
+- Timestamps must be copied from the HH:MM:SS prefix of the transcript line they come from.
+Transcript:
+${transcript}
+`;
+    }
+
+    let prompt = custom.prompt;
+    if (prompt.includes('{{schema}}')) {
+        prompt = prompt.split('{{schema}}').join(schemaText);
+    } else if (schemaText) {
+        prompt += `\n\nReturn a single JSON object that conforms to this JSON Schema:\n${schemaText}\n`;
+    }
+    return prompt.includes('{{transcript}}')
+        ? prompt.split('{{transcript}}').join(transcript)
+        : `${prompt}\n\nTranscript:\n${transcript}\n`;
+}
+
+function buildCorrectionPrompt(errors) {
+    return `Your previous answer does not conform to the JSON Schema. Problems found:
+${errors.slice(0, MAX_REPORTED_ERRORS).map(e => `- ${e.path}: ${e.message}`).join('\n')}
+
+Return the complete corrected JSON object only.`;
+}
+
+/**
+ * Runs a custom analysis definition from resolveCustomAnalysis.
+ * Returns { output, valid, validationErrors, attempts, tokens }; throws TRANSCRIPT_TOO_LARGE
+ * when the transcript exceeds maxTranscriptTokens.
+ */
+async function runCustomAnalysis(context, openaiClient, deployment, timestampBlocks, custom, { retrier, maxTranscriptTokens } = {}) {
+    const transcript = formatTranscript(timestampBlocks);
+    const budget = getMaxTranscriptTokens(maxTranscriptTokens);
+    const transcriptTokens = estimateTokens(transcript);
+    if (transcriptTokens > budget) {
+        throw createError('TRANSCRIPT_TOO_LARGE',
+            `Transcript is too long for a custom analysis (~${transcriptTokens} tokens, limit ${budget}); use an analysis profile, which summarizes long transcripts in chunks`,
+            { estimatedTokens: transcriptTokens, maxTokens: budget });
+    }
+
+    const tokens = { prompt: 0, completion: 0, total: 0 };
+    const messages = [
+        { role: 'system', content: SYSTEM_MESSAGE },
+        { role: 'user', content: buildCustomPrompt(custom, transcript) }
+    ];
+    const requestOptions = { maxTokens: custom.maxTokens };
+
+    let answer = await requestJson(openaiClient, deployment, messages, tokens, retrier, requestOptions);
+    let errors = custom.schema ? validateSchema(answer.parsed, custom.schema) : [];
+    let attempts = 1;
+
+    if (errors.length > 0) {
+        context.log.warn(`⚠️ Custom analysis output failed schema validation (${errors.length} problem(s)); asking for a correction`);
+        messages.push(
+            { role: 'assistant', content: answer.content },
+            { role: 'user', content: buildCorrectionPrompt(errors) }
+        );
+        answer = await requestJson(openaiClient, deployment, messages, tokens, retrier, requestOptions);
+        errors = validateSchema(answer.parsed, custom.schema);
+        attempts++;
+    }
+
+    return {
+        output: answer.parsed,
+        valid: errors.length === 0,
+        validationErrors: errors.slice(0, MAX_REPORTED_ERRORS),
+        attempts,
+        tokens
+    };
+}
+
+// Field names to headings: "actionItems" / "action_items" -> "Action Items"
+function humanize(key) {
+    return String(key)
+        .replace(/[_-]+/g, ' ')
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/^\w/, c => c.toUpperCase());
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function scalarText(value) {
+    if (value === null || value === undefined || value === '') return '';
+    if (Array.isArray(value)) return value.map(scalarText).join('; ');
+    if (isPlainObject(value)) return JSON.stringify(value);
+    return String(value);
+}
+
+// Columns of an array of objects: every key seen, in first-seen order
+function tableColumns(rows) {
+    return [...new Set(rows.flatMap(row => Object.keys(row)))];
+}
+
+/**
+ * Renders arbitrary schema-shaped output generically: objects become headed blocks,
+ * arrays of objects tables, arrays of scalars lists and scalars paragraphs.
+ */
+function renderOutputHtml(value, l10n = createLocalizer(), depth = 2) {
+    if (Array.isArray(value)) {
+        if (value.length === 0) return `<p class="empty">${escapeHtml(l10n.t('none'))}</p>`;
+        if (value.every(isPlainObject)) {
+            const columns = tableColumns(value);
+            return `<table class="items-table">
+            <tr>${columns.map(c => `<th>${escapeHtml(humanize(c))}</th>`).join('')}</tr>
+            ${value.map(row => `<tr>${columns.map(c => `<td>${escapeHtml(scalarText(row[c]) || '—')}</td>`).join('')}</tr>`).join('')}
+        </table>`;
+        }
+        return `<ul>${value.map(item => `<li>${escapeHtml(scalarText(item))}</li>`).join('')}</ul>`;
+    }
+    if (isPlainObject(value)) {
+        const level = Math.min(depth, 6);
+        return Object.entries(value)
+            .map(([key, child]) => `<div class="items">
+        <h${level}>${escapeHtml(humanize(key))}</h${level}>
+        ${renderOutputHtml(child, l10n, depth + 1)}
+    </div>`)
+            .join('\n    ');
+    }
+    return `<p>${escapeHtml(scalarText(value) || '—').replace(/\n/g, '<br>')}</p>`;
+}
+
+function renderOutputMarkdown(value, l10n = createLocalizer(), depth = 2) {
+    const cell = text => (text || '—').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    if (Array.isArray(value)) {
+        if (value.length === 0) return `_${l10n.t('none')}_`;
+        if (value.every(isPlainObject)) {
+            const columns = tableColumns(value);
+            return [
+                `| ${columns.map(humanize).join(' | ')} |`,
+                `|${columns.map(() => '---').join('|')}|`,
+                ...value.map(row => `| ${columns.map(c => cell(scalarText(row[c]))).join(' | ')} |`)
+            ].join('\n');
+        }
+        return value.map(item => `- ${scalarText(item)}`).join('\n');
+    }
+    if (isPlainObject(value)) {
+        const hashes = '#'.repeat(Math.min(depth, 6));
+        return Object.entries(value)
+            .map(([key, child]) => `${hashes} ${humanize(key)}\n\n${renderOutputMarkdown(child, l10n, depth + 1)}`)
+            .join('\n\n');
+    }
+    return scalarText(value) || '—';
+}
+
+module.exports = {
+    runCustomAnalysis,
+    renderOutputHtml,
+    renderOutputMarkdown,
+    humanize,
+    scalarText
+};
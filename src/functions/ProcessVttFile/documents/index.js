@@ -0,0 +1,69 @@
+const { buildReportModel, buildCustomReportModel } = require('./model');
+const { renderDocx } = require('./docx');
+const { renderPdf, unencodableCharacters } = require('./pdf');
+
+// Binary report formats. Both are produced in-process from the same report model:
+//   docx  - Word document (WordprocessingML in a ZIP package)
+//   pdf   - PDF 1.4 with the standard Helvetica fonts; characters outside Windows-1252 print as "?"
+//           and are listed in metadata.replacedCharacters
+const DOCUMENT_FORMATS = {
+    docx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        extension: 'docx',
+        render: renderDocx,
+        unsupported: () => []
+    },
+    pdf: {
+        contentType: 'application/pdf',
+        extension: 'pdf',
+        render: renderPdf,
+        unsupported: unencodableCharacters
+    }
+};
+
+const MAX_LISTED_CHARACTERS = 20;
+
+function isDocumentFormat(format) {
+    return Object.prototype.hasOwnProperty.call(DOCUMENT_FORMATS, String(format || '').toLowerCase());
+}
+
+function renderDocument(model, format, baseName) {
+    const { contentType, extension, render, unsupported } = DOCUMENT_FORMATS[format.toLowerCase()];
+    const content = render(model);
+    const replaced = unsupported(model);
+    return {
+        success: true,
+        outputFormat: extension,
+        downloadable: {
+            contentType,
+            fileName: `${baseName}.${extension}`,
+            content,
+            size: content.length
+        },
+        ...(replaced.length > 0 ? {
+            metadata: { replacedCharacters: { count: replaced.length, characters: replaced.slice(0, MAX_LISTED_CHARACTERS).join('') } }
+        } : {})
+    };
+}
+
+/**
+ * Renders a profile analysis result as a binary document.
+ * The Buffer is returned in downloadable.content, named like the HTML and Markdown reports.
+ */
+function generateDocumentOutput(result, format, sections) {
+    return renderDocument(buildReportModel(result, sections), format, `${result.meetingTitle.replace(/[^a-z0-9]/gi, '_')}_Analysis`);
+}
+
+/**
+ * Renders a custom analysis result (template and/or outputSchema) as a binary document named baseName.
+ */
+function generateCustomDocumentOutput(result, format, heading, baseName) {
+    return renderDocument(buildCustomReportModel(result, heading), format, baseName);
+}
+
+module.exports = {
+    DOCUMENT_FORMATS,
+    isDocumentFormat,
+    generateDocumentOutput,
+    generateCustomDocumentOutput
+};
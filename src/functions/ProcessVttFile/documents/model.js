@@ -0,0 +1,192 @@
+const { createLocalizer } = require('../i18n');
+const { safeUrl } = require('../htmlEscape');
+const { humanize, scalarText } = require('../customAnalysis');
+
+// Format-neutral layout of the analysis report, shared by the DOCX and PDF renderers.
+// A report is a list of blocks; each block holds runs of text with optional styling and a link:
+//   { type: 'title' | 'info' | 'heading' | 'paragraph' | 'bullet' | 'quote', runs: [{ text, bold, italic, link }] }
+// Links come from the model and the caller, so only http(s) URLs are kept (see htmlEscape.safeUrl).
+
+function run(text, style = {}) {
+    const { link, ...rest } = style;
+    const href = safeUrl(link);
+    return { text: String(text ?? ''), ...rest, ...(href ? { link: href } : {}) };
+}
+
+function block(type, runs) {
+    return { type, runs: runs.filter(r => r.text) };
+}
+
+// Timestamp that seeks the recording when there is one
+function timeRun(item) {
+    if (!item.timestamp) return [];
+    return [run(item.timestamp, { bold: true, link: item.videoLink || undefined }), run('  ')];
+}
+
+function displayValue(value) {
+    return Array.isArray(value) ? value.join('; ') : String(value || '');
+}
+
+function sectionBlocks(section, items, l10n) {
+    const blocks = [block('heading', [run(`${l10n.text(section.title)} (${items.length})`)])];
+    if (items.length === 0) {
+        blocks.push(block('paragraph', [run(l10n.text(section.empty), { italic: true })]));
+        return blocks;
+    }
+    for (const item of items) {
+        if (section.render.columns) {
+            const fields = section.render.columns
+                .filter(c => displayValue(item[c.field]))
+                .flatMap((c, i) => [run(i > 0 ? ' · ' : ''), run(`${l10n.text(c.label)}: `, { bold: true }), run(displayValue(item[c.field]))]);
+            blocks.push(block('bullet', [...timeRun(item), ...fields]));
+        } else {
+            const { text, by } = section.render;
+            blocks.push(block('bullet', [
+                ...timeRun(item),
+                run(item[text]),
+                ...(by && item[by] ? [run(` — ${item[by]}`, { italic: true })] : [])
+            ]));
+        }
+    }
+    return blocks;
+}
+
+// Chapter list: start time (linked), title, range and speakers, then the chapter summary
+function chapterBlocks(chapters, l10n) {
+    if (chapters.length === 0) return [];
+    const blocks = [block('heading', [run(l10n.t('chapters', { count: chapters.length }))])];
+    chapters.forEach((chapter, i) => {
+        blocks.push(block('bullet', [
+            ...timeRun({ timestamp: chapter.start, videoLink: chapter.videoLink }),
+            run(`${i + 1}. ${chapter.title}`, { bold: true }),
+            run(` (${chapter.start} – ${chapter.end})`),
+            ...(chapter.speakers.length > 0 ? [run(` — ${chapter.speakers.join(', ')}`, { italic: true })] : [])
+        ]));
+        if (chapter.summary) blocks.push(block('quote', [run(chapter.summary)]));
+    });
+    return blocks;
+}
+
+// Title with the meeting date, duration, participants and generation time
+function headerBlocks(title, result, l10n) {
+    const { t } = l10n;
+    return [
+        block('title', [run(t('reportTitle', { title }))]),
+        block('info', [
+            run(`${t('meetingDate')}: `, { bold: true }), run(l10n.date(result.date) || t('unknown')),
+            run(' | '), run(`${t('duration')}: `, { bold: true }), run(result.duration || '—')
+        ]),
+        block('info', [run(`${t('participants')}: `, { bold: true }), run((result.participants || []).join(', ') || '—')]),
+        block('info', [run(`${t('generated')}: `, { bold: true }), run(l10n.dateTime(new Date()))])
+    ];
+}
+
+function processingBlocks(result, l10n) {
+    const { t } = l10n;
+    const metadata = result.metadata || {};
+    const tokens = metadata.openaiTokens || {};
+    return [
+        block('heading', [run(t('processingInformation'))]),
+        block('paragraph', [
+            run(`${t('file')}: `, { bold: true }), run(t('bytes', { count: metadata.fileSize })),
+            run(' | '), run(`${t('timestamps')}: `, { bold: true }), run(metadata.totalTimestamps),
+            run(' | '), run(`${t('processing')}: `, { bold: true }), run(`${metadata.processingTimeMs}ms`)
+        ]),
+        block('paragraph', [run(`${t('transcriptLanguage')}: `, { bold: true }), run(l10n.languageName(metadata.transcriptLanguage))]),
+        block('paragraph', [
+            run(`${t('tokens')}: `, { bold: true }),
+            run(t('tokenUsage', { prompt: tokens.prompt || 0, completion: tokens.completion || 0, total: tokens.total || 0 }))
+        ]),
+        block('info', [run(`${t('file')}: ${result.actualFile} | ${t('processed')}: ${l10n.dateTime(metadata.processedAt)}`)])
+    ];
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Schema-shaped custom output, laid out like the HTML and Markdown renderers: objects become headings,
+// arrays become bullets (objects as "Field: value" runs) and scalars paragraphs.
+// The model has one heading level, so nested objects are flattened into "Parent › Child" headings.
+function outputBlocks(value, l10n, title = '') {
+    if (Array.isArray(value)) {
+        if (value.length === 0) return [block('paragraph', [run(l10n.t('none'), { italic: true })])];
+        return value.map(item => block('bullet', isPlainObject(item)
+            ? Object.entries(item)
+                .filter(([, field]) => scalarText(field))
+                .flatMap(([key, field], i) => [run(i > 0 ? ' · ' : ''), run(`${humanize(key)}: `, { bold: true }), run(scalarText(field))])
+            : [run(scalarText(item))]));
+    }
+    if (isPlainObject(value)) {
+        return Object.entries(value).flatMap(([key, child]) => {
+            const heading = title ? `${title} › ${humanize(key)}` : humanize(key);
+            return isPlainObject(child)
+                ? outputBlocks(child, l10n, heading)
+                : [block('heading', [run(heading)]), ...outputBlocks(child, l10n, heading)];
+        });
+    }
+    return String(scalarText(value) || '—').split(/\n\s*\n/).filter(p => p.trim()).map(p => block('paragraph', [run(p.replace(/\s*\n\s*/g, ' ').trim())]));
+}
+
+/**
+ * Report blocks for a profile analysis result: title with meeting details, summary, chapters,
+ * key points (timestamps link into the recording), profile sections and processing information.
+ */
+function buildReportModel(result, sections = []) {
+    const { meetingTitle, keyPoints = [], summary = '' } = result;
+    const l10n = createLocalizer(result.localization);
+    const { t } = l10n;
+    const blocks = [
+        ...headerBlocks(meetingTitle, result, l10n),
+
+        block('heading', [run(t('executiveSummary'))]),
+        ...String(summary).split(/\n\s*\n/).filter(p => p.trim()).map(p => block('paragraph', [run(p.replace(/\s*\n\s*/g, ' ').trim())])),
+
+        ...chapterBlocks(result.chapters || [], l10n),
+
+        block('heading', [run(t('keyDiscussionPoints', { count: keyPoints.length }))])
+    ];
+
+    for (const point of keyPoints.filter(p => p.title && p.title.trim() !== '')) {
+        blocks.push(block('bullet', [
+            ...timeRun(point),
+            ...(point.speaker ? [run(`${point.speaker}: `, { italic: true })] : []),
+            run(point.title),
+            ...(point.supported === false ? [run(` (${t('notFoundInTranscript')})`, { italic: true })] : [])
+        ]));
+        if (point.quote) blocks.push(block('quote', [run(`“${point.quote}”`, { italic: true })]));
+    }
+
+    for (const section of sections) {
+        blocks.push(...sectionBlocks(section, result[section.key] || [], l10n));
+    }
+
+    blocks.push(...processingBlocks(result, l10n));
+    return {
+        title: t('reportTitle', { title: meetingTitle }),
+        blocks,
+        language: l10n.locale,
+        pageLabel: (page, pages) => t('page', { page, pages })
+    };
+}
+
+/**
+ * Report blocks for a custom analysis result: title with meeting details, the schema-shaped output
+ * and processing information.
+ */
+function buildCustomReportModel(result, heading) {
+    const l10n = createLocalizer(result.localization);
+    const { t } = l10n;
+    return {
+        title: t('reportTitle', { title: heading }),
+        blocks: [
+            ...headerBlocks(heading, result, l10n),
+            ...outputBlocks(result.output, l10n),
+            ...processingBlocks(result, l10n)
+        ],
+        language: l10n.locale,
+        pageLabel: (page, pages) => t('page', { page, pages })
+    };
+}
+
+module.exports = { buildReportModel, buildCustomReportModel };
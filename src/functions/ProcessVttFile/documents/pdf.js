@@ -0,0 +1,282 @@
+const zlib = require('zlib');
+
+// PDF 1.4 writer for a report model (see model.js). Text is set in the standard Helvetica fonts
+// with WinAnsiEncoding, so no font files are embedded; characters outside Windows-1252 print as "?"
+// (unencodableCharacters lists them, so the caller can report the substitution).
+// Lines are wrapped with the Helvetica AFM widths, links become URI annotations over the linked text
+// and every page gets a "Page n of N" footer. A4 portrait.
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 56;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const LINE_SPACING = 1.35;
+
+const FONTS = [
+    { key: 'F1', name: 'Helvetica', bold: false, italic: false },
+    { key: 'F2', name: 'Helvetica-Bold', bold: true, italic: false },
+    { key: 'F3', name: 'Helvetica-Oblique', bold: false, italic: true },
+    { key: 'F4', name: 'Helvetica-BoldOblique', bold: true, italic: true }
+];
+
+const TEXT_COLOR = [0.2, 0.2, 0.2];
+const LINK_COLOR = [0, 0.48, 0.8];
+const BLOCK_STYLES = {
+    title: { size: 20, bold: true, color: [0, 0.48, 0.8], after: 10 },
+    info: { size: 9, color: [0.4, 0.4, 0.4], after: 2 },
+    heading: { size: 14, bold: true, color: [0, 0.35, 0.62], before: 16, after: 8, rule: true },
+    paragraph: { size: 10.5, after: 6 },
+    bullet: { size: 10.5, indent: 18, after: 4 },
+    quote: { size: 9.5, indent: 30, color: [0.33, 0.33, 0.33], after: 6 }
+};
+
+// Advance widths (1/1000 em) for character codes 32-126; the oblique faces share their upright widths
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+// Windows-1252 codes above 0x7F used by reports (quotes, dashes, bullet, ellipsis, middle dot)
+const SPECIAL_WIDTHS = { 0x85: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333, 0x95: 350, 0x96: 556, 0x97: 1000, 0xB7: 278 };
+
+// Unicode -> Windows-1252 for the 0x80-0x9F block; Latin-1 maps to itself
+const CP1252 = {
+    0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87,
+    0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B, 0x0152: 0x8C, 0x017D: 0x8E, 0x2018: 0x91,
+    0x2019: 0x92, 0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x02DC: 0x98,
+    0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B, 0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F
+};
+
+// Windows-1252 code of a character, or null when it has none (line breaks and other controls included)
+function winAnsiCode(ch) {
+    const code = ch.codePointAt(0);
+    if (code === 0x09) return 0x20;
+    if ((code >= 0x20 && code <= 0x7E) || (code >= 0xA0 && code <= 0xFF)) return code;
+    return CP1252[code] || null;
+}
+
+function toWinAnsi(text) {
+    return Array.from(String(text), ch => winAnsiCode(ch) ?? 0x3F);
+}
+
+/**
+ * Distinct characters of the model's text that the PDF prints as "?", in order of appearance.
+ */
+function unencodableCharacters(model) {
+    const found = new Set();
+    const texts = [model.title, model.pageLabel?.(1, 1), ...model.blocks.flatMap(b => b.runs.map(r => r.text))];
+    for (const text of texts) {
+        for (const ch of String(text ?? '')) {
+            if (winAnsiCode(ch) === null && !/\s/.test(ch)) found.add(ch);
+        }
+    }
+    return [...found];
+}
+
+function fontFor(run, style) {
+    const bold = Boolean(run.bold || style.bold);
+    const italic = Boolean(run.italic);
+    return FONTS.find(f => f.bold === bold && f.italic === italic);
+}
+
+function textWidth(bytes, font, size) {
+    const table = font.bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    const units = bytes.reduce((sum, b) => sum + (b >= 32 && b <= 126 ? table[b - 32] : (SPECIAL_WIDTHS[b] || 556)), 0);
+    return units * size / 1000;
+}
+
+// Literal string with everything outside printable ASCII octal-escaped
+function pdfString(bytes) {
+    return `(${bytes.map(b => {
+        if (b === 0x28 || b === 0x29 || b === 0x5C) return `\\${String.fromCharCode(b)}`;
+        return b >= 32 && b <= 126 ? String.fromCharCode(b) : `\\${b.toString(8).padStart(3, '0')}`;
+    }).join('')})`;
+}
+
+function color(rgb, op) {
+    return `${rgb.map(c => Number(c.toFixed(3))).join(' ')} ${op}`;
+}
+
+// Greedy line breaking over the block's words; a word wider than the line is split by characters
+function layoutLines(runs, style, width) {
+    const lines = [];
+    let line = [];
+    let lineWidth = 0;
+
+    const pushLine = () => {
+        while (line.length && line[line.length - 1].space) lineWidth -= line.pop().width;
+        lines.push(line);
+        line = [];
+        lineWidth = 0;
+    };
+
+    for (const run of runs) {
+        const font = fontFor(run, style);
+        for (const piece of run.text.split(/(\s+)/).filter(Boolean)) {
+            const space = /^\s+$/.test(piece);
+            if (space && line.length === 0) continue;
+            let bytes = toWinAnsi(space ? ' ' : piece);
+            let pieceWidth = textWidth(bytes, font, style.size);
+            if (!space && lineWidth + pieceWidth > width && line.length > 0) pushLine();
+            while (!space && pieceWidth > width) {
+                let count = bytes.length;
+                while (count > 1 && textWidth(bytes.slice(0, count), font, style.size) > width) count--;
+                line.push({ bytes: bytes.slice(0, count), font, run, width: textWidth(bytes.slice(0, count), font, style.size) });
+                pushLine();
+                bytes = bytes.slice(count);
+                pieceWidth = textWidth(bytes, font, style.size);
+            }
+            line.push({ bytes, font, run, space, width: pieceWidth });
+            lineWidth += pieceWidth;
+        }
+    }
+    if (line.length) pushLine();
+
+    // Adjacent pieces of the same run are drawn (and linked) as one segment
+    return lines.map(pieces => pieces.reduce((segments, piece) => {
+        const last = segments[segments.length - 1];
+        if (last && last.run === piece.run) {
+            last.bytes = last.bytes.concat(piece.bytes);
+            last.width += piece.width;
+        } else {
+            segments.push({ bytes: piece.bytes, font: piece.font, run: piece.run, width: piece.width });
+        }
+        return segments;
+    }, []));
+}
+
+function paginate(model) {
+    const pages = [];
+    let page;
+    let y;
+    const newPage = () => {
+        page = { ops: [], links: [] };
+        pages.push(page);
+        y = PAGE_HEIGHT - MARGIN;
+    };
+    newPage();
+
+    for (const block of model.blocks) {
+        const style = { ...BLOCK_STYLES.paragraph, ...BLOCK_STYLES[block.type] };
+        const indent = style.indent || 0;
+        const lineHeight = style.size * LINE_SPACING;
+        const lines = layoutLines(block.runs, style, CONTENT_WIDTH - indent);
+        if (lines.length === 0) continue;
+
+        if (y < PAGE_HEIGHT - MARGIN) y -= style.before || 0;
+        // Headings are kept with at least two following lines
+        const keep = block.type === 'heading' ? lineHeight * 3 : lineHeight;
+        if (y - keep < MARGIN) newPage();
+
+        lines.forEach((segments, lineIndex) => {
+            if (y - lineHeight < MARGIN) newPage();
+            y -= lineHeight;
+            const baseline = y + (lineHeight - style.size) / 2;
+            if (block.type === 'bullet' && lineIndex === 0) {
+                page.ops.push(`BT /F1 ${style.size} Tf ${color(TEXT_COLOR, 'rg')} ${(MARGIN + indent - 11).toFixed(2)} ${baseline.toFixed(2)} Td ${pdfString([0x95])} Tj ET`);
+            }
+            let x = MARGIN + indent;
+            for (const segment of segments) {
+                const rgb = segment.run.link ? LINK_COLOR : (style.color || TEXT_COLOR);
+                page.ops.push(`BT /${segment.font.key} ${style.size} Tf ${color(rgb, 'rg')} ${x.toFixed(2)} ${baseline.toFixed(2)} Td ${pdfString(segment.bytes)} Tj ET`);
+                if (segment.run.link) {
+                    page.ops.push(`${color(LINK_COLOR, 'RG')} 0.5 w ${x.toFixed(2)} ${(baseline - 1.5).toFixed(2)} m ${(x + segment.width).toFixed(2)} ${(baseline - 1.5).toFixed(2)} l S`);
+                    page.links.push({ rect: [x, baseline - 3, x + segment.width, baseline + style.size], uri: segment.run.link });
+                }
+                x += segment.width;
+            }
+        });
+
+        if (style.rule) {
+            y -= 3;
+            page.ops.push(`0.867 0.867 0.867 RG 0.75 w ${MARGIN} ${y.toFixed(2)} m ${(PAGE_WIDTH - MARGIN).toFixed(2)} ${y.toFixed(2)} l S`);
+        }
+        y -= style.after || 0;
+    }
+
+    pages.forEach((p, index) => {
+        const footer = toWinAnsi(model.pageLabel ? model.pageLabel(index + 1, pages.length) : `Page ${index + 1} of ${pages.length}`);
+        const x = (PAGE_WIDTH - textWidth(footer, FONTS[0], 8)) / 2;
+        p.ops.push(`BT /F1 8 Tf ${color([0.5, 0.5, 0.5], 'rg')} ${x.toFixed(2)} ${(MARGIN / 2).toFixed(2)} Td ${pdfString(footer)} Tj ET`);
+    });
+    return pages;
+}
+
+function pdfDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+/**
+ * Renders a report model to a PDF Buffer.
+ */
+function renderPdf(model) {
+    const pages = paginate(model);
+
+    // Object numbers: 1 catalog, 2 page tree, 3 info, fonts, then page + content + annotations per page
+    const objects = [];
+    const reserve = () => objects.push(null);
+    reserve(); reserve(); reserve();
+    const fontRefs = FONTS.map(font => {
+        objects.push(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.name} /Encoding /WinAnsiEncoding >>`);
+        return `/${font.key} ${objects.length} 0 R`;
+    });
+
+    const pageRefs = pages.map(page => {
+        const stream = zlib.deflateSync(Buffer.from(page.ops.join('\n'), 'latin1'));
+        objects.push(Buffer.concat([
+            Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+            stream,
+            Buffer.from('\nendstream', 'latin1')
+        ]));
+        const contentRef = objects.length;
+        const annotRefs = page.links.map(link => {
+            objects.push(`<< /Type /Annot /Subtype /Link /Rect [${link.rect.map(v => v.toFixed(2)).join(' ')}] /Border [0 0 0] /A << /S /URI /URI ${pdfString([...Buffer.from(link.uri, 'utf8')])} >> >>`);
+            return `${objects.length} 0 R`;
+        });
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontRefs.join(' ')} >> >> /Contents ${contentRef} 0 R${annotRefs.length ? ` /Annots [${annotRefs.join(' ')}]` : ''} >>`);
+        return `${objects.length} 0 R`;
+    });
+
+    objects[0] = `<< /Type /Catalog /Pages 2 0 R${model.language ? ` /Lang ${pdfString(toWinAnsi(model.language))}` : ''} >>`;
+    objects[1] = `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pageRefs.length} >>`;
+    objects[2] = `<< /Title ${pdfString(toWinAnsi(model.title))} /Producer (VTT Meeting Transcript Processor) /CreationDate (${pdfDate(new Date())}) >>`;
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    let length = chunks[0].length;
+    const offsets = objects.map((object, index) => {
+        const offset = length;
+        const body = Buffer.isBuffer(object) ? object : Buffer.from(object, 'latin1');
+        const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+        chunks.push(chunk);
+        length += chunk.length;
+        return offset;
+    });
+
+    const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root 1 0 R /Info 3 0 R >>`,
+        'startxref',
+        String(length),
+        '%%EOF'
+    ].join('\n');
+    chunks.push(Buffer.from(`${xref}\n`, 'latin1'));
+    return Buffer.concat(chunks);
+}
+
+module.exports = { renderPdf, unencodableCharacters };
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { getErrorStatus, getRetryAfterMs } = require('./retry');
+
+// Error model shared by every route. Failures carry a stable `code` (callers branch on it, so codes are
+// never renamed), the HTTP status that goes with it, a message safe to show to the caller and the
+// request's correlation ID. Stack traces, upstream messages and drive listings only go into `debug`
+// when DEBUG_ERRORS is set; otherwise they are logged and nothing more.
+
+const ERROR_STATUS = {
+    INVALID_REQUEST: 400,
+    INVALID_OPTION: 400,
+    FORBIDDEN: 403,
+    FILE_NOT_FOUND: 404,
+    TEMPLATE_NOT_FOUND: 404,
+    JOB_NOT_FOUND: 404,
+    JOB_STALE: 500,
+    AMBIGUOUS_FILE: 409,
+    TRANSCRIPT_TOO_LARGE: 413,
+    PARSE_FAILED: 422,
+    OUTPUT_SCHEMA_MISMATCH: 422,
+    UPSTREAM_FAILED: 502,
+    UPSTREAM_THROTTLED: 503,
+    CONFIG_MISSING: 500,
+    CONFIG_INVALID: 500,
+    INTERNAL_ERROR: 500
+};
+
+// Messages for codes whose underlying error text is not meant for callers
+const GENERIC_MESSAGES = {
+    UPSTREAM_FAILED: 'An upstream service request failed',
+    UPSTREAM_THROTTLED: 'An upstream service is throttling requests; retry later',
+    CONFIG_MISSING: 'Required configuration is missing',
+    CONFIG_INVALID: 'Server configuration is invalid',
+    INTERNAL_ERROR: 'Unexpected error while processing the request'
+};
+
+// Caller-supplied IDs are echoed in headers and logs, so only short token-like values are accepted
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Error with a stable code and its HTTP status; extra properties (candidates, missing, ...) are copied on.
+ */
+function createError(code, message, props = {}) {
+    const error = new Error(message);
+    error.code = ERROR_STATUS[code] ? code : 'INTERNAL_ERROR';
+    error.status = ERROR_STATUS[error.code];
+    return Object.assign(error, props);
+}
+
+// Code of a thrown error: its own when it has a known one, otherwise the fallback
+function classifyError(error, fallback = 'INTERNAL_ERROR') {
+    return ERROR_STATUS[error?.code] ? error.code : fallback;
+}
+
+// Socket-level failures reaching Graph, Blob storage or Azure OpenAI (fetch puts them in `cause`)
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET']);
+
+// Errors raised by the Graph, Blob and OpenAI clients carry the HTTP status or response they got
+function isUpstreamError(error) {
+    return getErrorStatus(error) !== undefined || NETWORK_ERROR_CODES.has(error?.code) || NETWORK_ERROR_CODES.has(error?.cause?.code);
+}
+
+// Graph, Blob and Azure OpenAI errors: throttling that outlasted the retries, or any other failure.
+// Anything that did not come from a service (a bug, a bad file read) is an INTERNAL_ERROR.
+function classifyUpstreamError(error) {
+    if (ERROR_STATUS[error?.code]) return error.code;
+    if (!isUpstreamError(error)) return 'INTERNAL_ERROR';
+    return [429, 503].includes(Number(getErrorStatus(error))) ? 'UPSTREAM_THROTTLED' : 'UPSTREAM_FAILED';
+}
+
+// DEBUG_ERRORS=true adds stacks, upstream messages and drive listings to error responses
+function isDebugEnabled() {
+    return /^(true|1|yes|on)$/i.test(String(process.env.DEBUG_ERRORS || '').trim());
+}
+
+// Error objects are reduced to their message and stack; undefined details are dropped
+function debugDetails(details) {
+    const entries = Object.entries(details)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => [key, value instanceof Error ? { message: value.message, stack: value.stack } : value]);
+    return isDebugEnabled() && entries.length > 0 ? { debug: Object.fromEntries(entries) } : {};
+}
+
+/**
+ * Failure result for the processing functions: { success: false, status, code, error, ... }.
+ * A thrown `cause` fills in the retry delay for throttling; it and the `debug` details are only
+ * included in debug mode.
+ */
+function failure(code, message, { cause, debug = {}, ...extra } = {}) {
+    const retryAfterMs = code === 'UPSTREAM_THROTTLED' && cause ? getRetryAfterMs(cause) : null;
+    return {
+        success: false,
+        status: ERROR_STATUS[code] || 500,
+        code,
+        error: message || GENERIC_MESSAGES[code] || GENERIC_MESSAGES.INTERNAL_ERROR,
+        ...(retryAfterMs !== null ? { retryAfterSeconds: Math.ceil(retryAfterMs / 1000) } : {}),
+        ...extra,
+        ...debugDetails({ ...debug, cause })
+    };
+}
+
+// Message of a thrown error for the caller: its own for request and option problems, generic otherwise
+function publicMessage(error, code) {
+    return GENERIC_MESSAGES[code] || error?.message || GENERIC_MESSAGES.INTERNAL_ERROR;
+}
+
+function resolveCorrelationId(request, context) {
+    const supplied = request?.headers?.get?.('x-correlation-id') || request?.headers?.get?.('x-ms-client-request-id');
+    if (supplied && CORRELATION_ID_PATTERN.test(supplied)) return supplied;
+    return context?.invocationId || crypto.randomUUID();
+}
+
+/**
+ * Wraps an HTTP handler: resolves the correlation ID (x-correlation-id, x-ms-client-request-id or the
+ * invocation ID), exposes it as context.correlationId and returns it as X-Correlation-Id on every response.
+ */
+function withCorrelationId(handler) {
+    return async (request, context) => {
+        const correlationId = resolveCorrelationId(request, context);
+        context.correlationId = correlationId;
+        const response = await handler(request, context);
+        return { ...response, headers: { ...(response?.headers || {}), 'X-Correlation-Id': correlationId } };
+    };
+}
+
+/**
+ * JSON error response for a failure result (see failure()); adds the correlation ID and Retry-After.
+ */
+function errorResponse(context, result) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (result.retryAfterSeconds !== undefined) headers['Retry-After'] = String(result.retryAfterSeconds);
+    return {
+        status: result.status || 500,
+        headers,
+        body: JSON.stringify({ ...result, correlationId: context?.correlationId, timestamp: new Date().toISOString() })
+    };
+}
+
+module.exports = {
+    ERROR_STATUS,
+    createError,
+    classifyError,
+    classifyUpstreamError,
+    isDebugEnabled,
+    failure,
+    publicMessage,
+    withCorrelationId,
+    errorResponse
+};
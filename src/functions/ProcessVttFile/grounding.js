@@ -0,0 +1,156 @@
+// Grounds key points in the transcript with local text similarity (no AI involved).
+// Each key point is scored against windows of consecutive cues: the score is the share of the
+// point's IDF-weighted vocabulary that the window contains, so rare words count more than common ones.
+// The best window supplies the snapped timestamp (its first matching cue), a supporting quote and
+// the confidence; near-ties are broken by distance to the timestamp the model gave.
+
+const WINDOW_CUES = 3;
+const TIE_MARGIN = 0.05;
+const MAX_QUOTE_LENGTH = 240;
+const DEFAULT_MIN_CONFIDENCE = 0.4;
+const GROUNDING_MODES = ['flag', 'drop', 'off'];
+
+const STOPWORDS = new Set(('the and for are but not you all any can had her was one our out has him his how its may new now ' +
+    'see who did get let say she too use that with have this will your from they know want been good much some time very ' +
+    'when come here just like long make many more only over such take than them well were what into also about would ' +
+    'there their which could should other these those then being going yeah okay right thing things really actually ' +
+    'discussion discussed meeting talk talked mention mentioned explain explained overview review reviewed').split(' '));
+
+// Lowercase words of 3+ letters without stopwords, reduced by a light suffix stemmer
+function tokenize(text) {
+    return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(word => word.length >= 3 && !STOPWORDS.has(word))
+        .map(stem);
+}
+
+// "managing", "manager", "management" -> "manag"; good enough to line up paraphrased titles with speech
+function stem(word) {
+    let base = word;
+    for (const suffix of ['ations', 'ation', 'ments', 'ment', 'ings', 'ing', 'ies', 'ied', 'ers', 'er', 'es', 'ed', 'ly', 's']) {
+        if (word.length - suffix.length >= 4 && word.endsWith(suffix)) {
+            base = suffix === 'ies' || suffix === 'ied' ? `${word.slice(0, -suffix.length)}y` : word.slice(0, -suffix.length);
+            break;
+        }
+    }
+    return base.length > 4 && base.endsWith('e') ? base.slice(0, -1) : base;
+}
+
+function timestampToSeconds(timestamp) {
+    const match = typeof timestamp === 'string' && timestamp.match(/^(\d{2}):(\d{2}):(\d{2})$/);
+    return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : null;
+}
+
+function truncateQuote(text) {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    return clean.length > MAX_QUOTE_LENGTH ? `${clean.slice(0, MAX_QUOTE_LENGTH - 1).trimEnd()}…` : clean;
+}
+
+/**
+ * Builds the per-cue token sets and IDF table once per transcript.
+ */
+function createCueIndex(timestampBlocks) {
+    const cues = (timestampBlocks || [])
+        .filter(block => block.timestamp && block.content)
+        .map(block => ({ block, tokens: new Set(tokenize(block.content)) }));
+    const documentFrequency = new Map();
+    for (const cue of cues) {
+        for (const token of cue.tokens) documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    }
+    const idf = token => Math.log((cues.length + 1) / ((documentFrequency.get(token) || 0) + 1)) + 1;
+    return { cues, idf };
+}
+
+/**
+ * Finds the best supporting window for one piece of text.
+ * Returns { confidence, cues: [blocks that matched], quote } or null when nothing matches.
+ */
+function findSupport(cueIndex, text, hintTimestamp) {
+    const terms = [...new Set(tokenize(text))];
+    if (terms.length === 0 || cueIndex.cues.length === 0) return null;
+
+    const weights = new Map(terms.map(term => [term, cueIndex.idf(term)]));
+    const totalWeight = [...weights.values()].reduce((sum, w) => sum + w, 0);
+    const hintSeconds = timestampToSeconds(hintTimestamp);
+
+    let best = null;
+    for (let start = 0; start < cueIndex.cues.length; start++) {
+        const window = cueIndex.cues.slice(start, start + WINDOW_CUES);
+        const matched = terms.filter(term => window.some(cue => cue.tokens.has(term)));
+        if (matched.length === 0) continue;
+        // Windows are anchored on a matching cue so the snapped timestamp lands on supporting speech
+        if (!matched.some(term => window[0].tokens.has(term))) continue;
+
+        const score = matched.reduce((sum, term) => sum + weights.get(term), 0) / totalWeight;
+        const seconds = timestampToSeconds(window[0].block.timestamp);
+        const distance = hintSeconds === null || seconds === null ? 0 : Math.abs(seconds - hintSeconds);
+        const better = !best
+            || score > best.score + TIE_MARGIN
+            || (score > best.score - TIE_MARGIN && distance < best.distance);
+        if (better) best = { score, distance, window, matched };
+    }
+    if (!best) return null;
+
+    const supporting = best.window.filter(cue => best.matched.some(term => cue.tokens.has(term)));
+    return {
+        confidence: Math.round(best.score * 100) / 100,
+        cues: supporting.map(cue => cue.block),
+        quote: truncateQuote(supporting.map(cue => cue.block.content).join(' '))
+    };
+}
+
+function resolveGroundingOptions(config = {}) {
+    const mode = String(config.groundingMode || 'flag').toLowerCase();
+    const minConfidence = Number(config.groundingMinConfidence);
+    return {
+        mode: GROUNDING_MODES.includes(mode) ? mode : 'flag',
+        minConfidence: Number.isFinite(minConfidence) && minConfidence >= 0 ? minConfidence : DEFAULT_MIN_CONFIDENCE
+    };
+}
+
+/**
+ * Grounds key points in the transcript cues.
+ * Supported points get the cue's start as timestamp (the model's value is kept in originalTimestamp
+ * when it differs), quote, confidence and supported: true; a missing speaker is taken from the cue.
+ * Unsupported points are flagged (supported: false) or, in drop mode, removed.
+ * Returns { keyPoints, stats }.
+ */
+function groundKeyPoints(keyPoints, timestampBlocks, options = {}) {
+    const { mode, minConfidence } = options;
+    const stats = { mode, minConfidence, supported: 0, unsupported: 0, dropped: 0, snapped: 0 };
+    if (mode === 'off') return { keyPoints, stats };
+
+    const cueIndex = createCueIndex(timestampBlocks);
+    const grounded = [];
+    for (const point of keyPoints || []) {
+        const support = findSupport(cueIndex, point.title, point.timestamp);
+        if (!support || support.confidence < minConfidence) {
+            stats.unsupported++;
+            if (mode === 'drop') {
+                stats.dropped++;
+                continue;
+            }
+            // A weak match is not evidence, so no quote is attached
+            grounded.push({ ...point, quote: '', confidence: support?.confidence || 0, supported: false });
+            continue;
+        }
+
+        stats.supported++;
+        const cue = support.cues[0];
+        const snapped = { ...point, timestamp: cue.timestamp };
+        if (point.timestamp !== cue.timestamp) {
+            stats.snapped++;
+            snapped.originalTimestamp = point.timestamp || '';
+        }
+        if (!snapped.speaker && cue.speaker) snapped.speaker = cue.speaker;
+        grounded.push({ ...snapped, quote: support.quote, confidence: support.confidence, supported: true });
+    }
+    return { keyPoints: grounded, stats };
+}
+
+module.exports = {
+    tokenize,
+    createCueIndex,
+    findSupport,
+    resolveGroundingOptions,
+    groundKeyPoints
+};
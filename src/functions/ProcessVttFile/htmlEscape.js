@@ -0,0 +1,32 @@
+// Everything interpolated into the HTML reports comes from the model, the VTT or the caller,
+// so it is escaped as text and links are only emitted for web URLs.
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const SAFE_URL_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * Escapes a value for use in element content and quoted attribute values.
+ */
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"']/g, c => HTML_ENTITIES[c]);
+}
+
+/**
+ * Normalized absolute http(s) URL, or '' for anything else (javascript:, data:, relative, malformed).
+ * The result still has to be escaped when it goes into an attribute.
+ */
+function safeUrl(value) {
+    if (typeof value !== 'string' || value.trim() === '') return '';
+    try {
+        const url = new URL(value.trim());
+        return SAFE_URL_PROTOCOLS.includes(url.protocol) ? url.href : '';
+    } catch {
+        return '';
+    }
+}
+
+module.exports = {
+    escapeHtml,
+    safeUrl
+};
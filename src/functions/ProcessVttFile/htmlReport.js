@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const { escapeHtml, safeUrl } = require('./htmlEscape');
+const { timestampToSeconds, buildVideoLink } = require('./videoLinks');
+const { formatDuration } = require('./speakerAnalytics');
+const { renderSectionsHtml } = require('./profiles/sections');
+const { renderChaptersHtml } = require('./chapters');
+const { renderOutputHtml } = require('./customAnalysis');
+const { createLocalizer } = require('./i18n');
+
+// HTML reports as single self-contained files. Every value from the model, the VTT or the caller
+// is escaped and only http(s) links are emitted. As a second line of defence the page carries a
+// Content-Security-Policy that loads nothing external and only runs the viewer script (per-report nonce).
+// The transcript viewer lists every cue with a text search and speaker filters; timestamps open the
+// recording, and key points and chapters jump to the cue they come from (#cue-N).
+// Labels and dates follow result.localization (see i18n/).
+
+const STYLES = `
+        body { font-family: Arial, sans-serif; margin: 40px; line-height: 1.6; color: #333; }
+        .header { text-align: center; border-bottom: 2px solid #007acc; padding-bottom: 20px; margin-bottom: 30px; }
+        .summary { background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0; }
+        .key-points { margin: 30px 0; }
+        ul.keypoint-list { margin: 0 0 0 20px; padding: 0; }
+        li.keypoint-item { margin-bottom: 14px; padding: 10px 0; border-bottom: 1px solid #eee; }
+        .timestamp { font-weight: bold; color: #007acc; font-family: monospace; margin-right: 10px; }
+        .speaker { font-style: italic; color: #666; margin-right: 10px; }
+        .title { font-weight: bold; }
+        a.cue-ref { color: inherit; }
+        .quote { color: #555; font-size: 0.9em; margin: 6px 0 0 20px; border-left: 3px solid #ddd; padding-left: 10px; }
+        .unsupported { color: #b35c00; font-size: 0.9em; margin-left: 10px; }
+        .items { margin: 30px 0; }
+        table.items-table { width: 100%; border-collapse: collapse; }
+        table.items-table th, table.items-table td { text-align: left; padding: 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+        table.items-table th { background: #f5f5f5; }
+        .empty { color: #666; font-style: italic; }
+        .share-bar { background: #007acc; height: 8px; border-radius: 4px; display: inline-block; }
+        .chapters { margin: 30px 0; }
+        ol.toc { margin: 0 0 20px 20px; padding: 0; }
+        ol.toc li { margin-bottom: 6px; }
+        .toc-time { color: #666; font-family: monospace; font-size: 0.9em; margin-left: 8px; }
+        .chapter { padding: 10px 0; border-bottom: 1px solid #eee; }
+        .chapter h3 { margin: 0 0 4px 0; }
+        .chapter-meta { color: #666; margin: 0 0 6px 0; }
+        .transcript { margin: 30px 0; }
+        .transcript-tools { position: sticky; top: 0; background: #fff; padding: 10px 0; border-bottom: 1px solid #ddd; }
+        .transcript-tools input[type="search"] { width: 60%; padding: 6px 8px; font-size: 1em; }
+        .speaker-filter { margin-top: 8px; }
+        .speaker-filter label { margin-right: 14px; white-space: nowrap; }
+        .transcript-count { color: #666; margin-left: 10px; }
+        ol.cues { list-style: none; margin: 0; padding: 0; }
+        li.cue { padding: 4px 6px; border-bottom: 1px solid #f2f2f2; scroll-margin-top: 110px; }
+        li.cue:target { background: #fff3c4; }
+        mark { background: #ffe066; }
+        .metadata { background: #e8f4f8; padding: 20px; border-radius: 8px; margin-top: 30px; }
+        h1 { color: #007acc; margin: 0; }
+        h2 { color: #005a9e; border-bottom: 1px solid #ddd; padding-bottom: 10px; }
+        footer { text-align: center; margin-top: 40px; padding-top: 20px; border-top: 1px solid #ddd; color: #666; }`;
+
+// Plain ES5 so the report opens in any browser; matches are highlighted with DOM nodes, never innerHTML
+const VIEWER_SCRIPT = `
+(function () {
+    var tools = document.getElementById('transcript-tools');
+    if (!tools) return;
+    var search = document.getElementById('transcript-search');
+    var count = document.getElementById('transcript-count');
+    var empty = document.getElementById('transcript-empty');
+    var boxes = Array.prototype.slice.call(tools.querySelectorAll('input[type="checkbox"]'));
+    var cues = Array.prototype.slice.call(document.querySelectorAll('li.cue')).map(function (el) {
+        var text = el.querySelector('.cue-text');
+        return { el: el, text: text, original: text.textContent, speaker: el.getAttribute('data-speaker') || '' };
+    });
+
+    function highlight(cue, query) {
+        cue.text.textContent = '';
+        var lower = cue.original.toLowerCase();
+        var at = 0;
+        var found = query ? lower.indexOf(query) : -1;
+        while (found !== -1) {
+            cue.text.appendChild(document.createTextNode(cue.original.slice(at, found)));
+            var hit = document.createElement('mark');
+            hit.textContent = cue.original.slice(found, found + query.length);
+            cue.text.appendChild(hit);
+            at = found + query.length;
+            found = lower.indexOf(query, at);
+        }
+        cue.text.appendChild(document.createTextNode(cue.original.slice(at)));
+    }
+
+    function apply() {
+        var query = search.value.trim().toLowerCase();
+        var speakers = boxes.filter(function (box) { return box.checked; }).map(function (box) { return box.value; });
+        var shown = 0;
+        cues.forEach(function (cue) {
+            var visible = speakers.indexOf(cue.speaker) !== -1 &&
+                (!query || cue.original.toLowerCase().indexOf(query) !== -1 || cue.speaker.toLowerCase().indexOf(query) !== -1);
+            cue.el.hidden = !visible;
+            highlight(cue, visible ? query : '');
+            if (visible) shown++;
+        });
+        count.textContent = count.getAttribute('data-template').replace('{shown}', shown).replace('{total}', cues.length);
+        empty.hidden = shown > 0;
+    }
+
+    // A jump to a cue hidden by the current filters clears them first
+    function reveal() {
+        var target = location.hash ? document.getElementById(location.hash.slice(1)) : null;
+        if (!target || !target.classList.contains('cue')) return;
+        if (target.hidden) {
+            search.value = '';
+            boxes.forEach(function (box) { box.checked = true; });
+            apply();
+        }
+        target.scrollIntoView();
+    }
+
+    search.addEventListener('input', apply);
+    boxes.forEach(function (box) { box.addEventListener('change', apply); });
+    window.addEventListener('hashchange', reveal);
+    tools.hidden = false;
+    apply();
+    reveal();
+})();`;
+
+// Timestamp -> id of the cue it points at: the first cue with that exact timestamp,
+// otherwise the last cue starting at or before it
+function createCueAnchors(timestampBlocks) {
+    const firstCueAt = new Map();
+    timestampBlocks.forEach((block, i) => { if (block.timestamp && !firstCueAt.has(block.timestamp)) firstCueAt.set(block.timestamp, i); });
+    return timestamp => {
+        if (!timestamp || timestampBlocks.length === 0) return '';
+        if (firstCueAt.has(timestamp)) return `cue-${firstCueAt.get(timestamp)}`;
+        const seconds = timestampToSeconds(timestamp);
+        if (seconds === null) return '';
+        let index = 0;
+        timestampBlocks.forEach((block, i) => { if (Number.isFinite(block.start) && block.start <= seconds * 1000) index = i; });
+        return `cue-${index}`;
+    };
+}
+
+// Opens the recording when there is one, otherwise jumps to the cue
+function timestampLink(timestamp, videoLink, anchor) {
+    const href = safeUrl(videoLink);
+    if (href) return `<a class="timestamp" href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${escapeHtml(timestamp)}</a>`;
+    if (anchor) return `<a class="timestamp cue-ref" href="#${anchor}">${escapeHtml(timestamp)}</a>`;
+    return `<span class="timestamp">${escapeHtml(timestamp)}</span>`;
+}
+
+function renderMeetingHeader(heading, result, l10n, extraLines = []) {
+    const { t } = l10n;
+    return `<div class="header">
+        <h1>${escapeHtml(t('reportTitle', { title: heading }))}</h1>
+        <p><strong>${escapeHtml(t('meetingDate'))}:</strong> ${escapeHtml(l10n.date(result.date) || t('unknown'))} | <strong>${escapeHtml(t('duration'))}:</strong> ${escapeHtml(result.duration || '—')}</p>
+        <p><strong>${escapeHtml(t('participants'))}:</strong> ${escapeHtml((result.participants || []).join(', ') || '—')}</p>
+        <p><strong>${escapeHtml(t('generated'))}:</strong> ${escapeHtml(l10n.dateTime(new Date()))}</p>
+        ${extraLines.join('\n        ')}
+    </div>`;
+}
+
+function renderKeyPoints(keyPoints, cueAnchor, l10n) {
+    const points = keyPoints.filter(point => point.title && String(point.title).trim() !== '');
+    return `<div class="key-points">
+        <h2>🎯 ${escapeHtml(l10n.t('keyDiscussionPoints', { count: keyPoints.length }))}</h2>
+        <ul class="keypoint-list">
+            ${points.map(point => {
+                const anchor = cueAnchor(point.timestamp);
+                return `
+                <li class="keypoint-item">
+                    ${point.timestamp ? timestampLink(point.timestamp, point.videoLink, anchor) : ''}
+                    ${point.speaker ? `<span class="speaker">${escapeHtml(point.speaker)}</span>` : ''}
+                    ${anchor ? `<a class="title cue-ref" href="#${anchor}">${escapeHtml(point.title)}</a>` : `<span class="title">${escapeHtml(point.title)}</span>`}
+                    ${point.supported === false ? `<span class="unsupported">⚠️ ${escapeHtml(l10n.t('notFoundInTranscript'))}</span>` : ''}
+                    ${point.quote ? `<div class="quote">“${escapeHtml(point.quote)}”</div>` : ''}
+                </li>`;
+            }).join('')}
+        </ul>
+    </div>`;
+}
+
+function renderSpeakerAnalytics(speakerAnalytics, l10n) {
+    const { t } = l10n;
+    const speakers = speakerAnalytics?.speakers || [];
+    const cell = value => escapeHtml(value ?? '—');
+    const headings = ['speaker', 'talkTime', 'share', 'turns', 'averageTurn', 'longestMonologue', 'interruptions', 'interrupted', 'firstLast'];
+    return `<div class="items speaker-analytics">
+        <h2>🗣️ ${escapeHtml(t('speakerAnalytics', { count: speakers.length }))}</h2>
+        ${speakers.length > 0 ? `<table class="items-table">
+            <tr>${headings.map(key => `<th>${escapeHtml(t(key))}</th>`).join('')}</tr>
+            ${speakers.map(s => `<tr><td>${cell(s.name)}</td><td>${cell(formatDuration(s.talkTimeMs))}</td><td><span class="share-bar" style="width: ${Math.round(Number(s.sharePercent) || 0)}px"></span> ${cell(s.sharePercent)}%</td><td>${cell(s.turns)}</td><td>${cell(formatDuration(s.averageTurnMs))}</td><td>${s.longestMonologue ? cell(`${formatDuration(s.longestMonologue.durationMs)} (${s.longestMonologue.start})`) : '—'}</td><td>${cell(s.interruptions)}</td><td>${cell(s.interrupted)}</td><td>${cell(`${s.firstSpokenAt} / ${s.lastSpokenAt}`)}</td></tr>`).join('')}
+        </table>
+        <p><strong>${escapeHtml(t('meetingLength'))}:</strong> ${cell(formatDuration(speakerAnalytics.totals.meetingDurationMs))} | <strong>${escapeHtml(t('overlaps'))}:</strong> ${cell(speakerAnalytics.totals.totalOverlaps)} | <strong>${escapeHtml(t('balance'))}:</strong> ${cell(speakerAnalytics.totals.balanceScore)} ${escapeHtml(t('balanceHint'))}</p>` : `<p class="empty">${escapeHtml(t('noSpeakerInformation'))}</p>`}
+    </div>`;
+}
+
+function renderTranscriptViewer(timestampBlocks, linkAt, l10n) {
+    const { t } = l10n;
+    const cues = timestampBlocks.map((block, i) => ({ ...block, index: i })).filter(block => block.content);
+    const speakers = [...new Set(cues.map(cue => cue.speaker || ''))];
+    return `<div class="transcript" id="transcript">
+        <h2>📝 ${escapeHtml(t('transcript', { count: cues.length }))}</h2>
+        <div class="transcript-tools" id="transcript-tools" hidden>
+            <input type="search" id="transcript-search" placeholder="${escapeHtml(t('searchTranscript'))}" aria-label="${escapeHtml(t('searchTranscript'))}">
+            <span class="transcript-count" id="transcript-count" data-template="${escapeHtml(t('linesShown'))}"></span>
+            <div class="speaker-filter">
+                ${speakers.map(speaker => `<label><input type="checkbox" value="${escapeHtml(speaker)}" checked> ${escapeHtml(speaker || t('noSpeaker'))}</label>`).join('\n                ')}
+            </div>
+        </div>
+        <ol class="cues">
+            ${cues.map(cue => `<li class="cue" id="cue-${cue.index}" data-speaker="${escapeHtml(cue.speaker || '')}">${timestampLink(cue.timestamp, linkAt(cue.timestamp), `cue-${cue.index}`)}${cue.speaker ? `<span class="speaker">${escapeHtml(cue.speaker)}</span>` : ''}<span class="cue-text">${escapeHtml(cue.content)}</span></li>`).join('\n            ')}
+        </ol>
+        <p class="empty" id="transcript-empty" hidden>${escapeHtml(t('noMatchingLines'))}</p>
+    </div>`;
+}
+
+function renderProcessingInfo(result, l10n, extra = '') {
+    const { t } = l10n;
+    const metadata = result.metadata || {};
+    const tokens = metadata.openaiTokens || {};
+    return `<div class="metadata">
+        <h3>📊 ${escapeHtml(t('processingInformation'))}</h3>
+        <p><strong>${escapeHtml(t('file'))}:</strong> ${escapeHtml(t('bytes', { count: metadata.fileSize }))} | <strong>${escapeHtml(t('timestamps'))}:</strong> ${escapeHtml(metadata.totalTimestamps)} | <strong>${escapeHtml(t('processing'))}:</strong> ${escapeHtml(metadata.processingTimeMs)}ms${extra}</p>
+        <p><strong>${escapeHtml(t('transcriptLanguage'))}:</strong> ${escapeHtml(l10n.languageName(metadata.transcriptLanguage))}</p>
+        <p><strong>${escapeHtml(t('tokens'))}:</strong> ${escapeHtml(t('tokenUsage', { prompt: tokens.prompt || 0, completion: tokens.completion || 0, total: tokens.total || 0 }))}</p>
+    </div>`;
+}
+
+function renderPage(heading, body, l10n) {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    const policy = `default-src 'none'; style-src 'unsafe-inline'; img-src data:; script-src 'nonce-${nonce}'; base-uri 'none'; form-action 'none'`;
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(l10n.language)}">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="${policy}">
+    <meta name="referrer" content="no-referrer">
+    <title>${escapeHtml(l10n.t('reportTitle', { title: heading }))}</title>
+    <style>${STYLES}
+    </style>
+</head>
+<body>
+    ${body}
+    <script nonce="${nonce}">${VIEWER_SCRIPT}
+    </script>
+</body>
+</html>`;
+}
+
+// Cue timestamps link into the recording in the format the result's links were built with
+function createLinkAt(result) {
+    const videoUrl = safeUrl(result.videoUrl);
+    const format = result.metadata?.videoLinkFormat;
+    return timestamp => (videoUrl ? buildVideoLink(videoUrl, timestamp, format) : '');
+}
+
+/**
+ * Profile analysis report: meeting details, summary, chapters, key points, profile sections,
+ * speaker analytics and the transcript viewer.
+ */
+function renderHtmlReport(result, sections = []) {
+    const { meetingTitle, keyPoints = [], summary = '', metadata = {} } = result;
+    const l10n = createLocalizer(result.localization);
+    const { t } = l10n;
+    const timestampBlocks = result.timestampBlocks || [];
+    const cueAnchor = createCueAnchors(timestampBlocks);
+
+    return renderPage(meetingTitle, `${renderMeetingHeader(meetingTitle, result, l10n, [
+        `<p><strong>${escapeHtml(t('processingTime'))}:</strong> ${escapeHtml(metadata.processingTimeMs)}ms | <strong>${escapeHtml(t('keyPoints'))}:</strong> ${keyPoints.length}</p>`
+    ])}
+    <div class="summary">
+        <h2>📋 ${escapeHtml(t('executiveSummary'))}</h2>
+        <p>${escapeHtml(summary).replace(/\n/g, '<br>')}</p>
+    </div>
+    ${renderChaptersHtml(result.chapters, l10n, cueAnchor)}
+    ${renderKeyPoints(keyPoints, cueAnchor, l10n)}
+    ${renderSectionsHtml(sections, result, l10n)}
+    ${renderSpeakerAnalytics(result.speakerAnalytics, l10n)}
+    ${renderTranscriptViewer(timestampBlocks, createLinkAt(result), l10n)}
+    ${renderProcessingInfo(result, l10n)}
+    <footer>
+        <p><em>${escapeHtml(t('generatedBy'))}</em></p>
+        <p>${escapeHtml(t('file'))}: ${escapeHtml(result.actualFile)} | ${escapeHtml(t('processed'))}: ${escapeHtml(l10n.dateTime(metadata.processedAt))}</p>
+    </footer>`, l10n);
+}
+
+/**
+ * Custom analysis report: the schema-shaped output rendered generically, then the transcript viewer.
+ */
+function renderCustomHtmlReport(result, heading) {
+    const l10n = createLocalizer(result.localization);
+    return renderPage(heading, `${renderMeetingHeader(heading, result, l10n)}
+    ${renderOutputHtml(result.output, l10n)}
+    ${renderTranscriptViewer(result.timestampBlocks || [], createLinkAt(result), l10n)}
+    ${renderProcessingInfo(result, l10n, ` | <strong>${escapeHtml(l10n.t('attempts'))}:</strong> ${escapeHtml(result.validation?.attempts)}`)}`, l10n);
+}
+
+module.exports = {
+    renderHtmlReport,
+    renderCustomHtmlReport
+};
@@ -0,0 +1,92 @@
+module.exports = {
+    messages: {
+        reportTitle: 'Besprechungsanalyse: {title}',
+        meetingDate: 'Besprechungsdatum',
+        duration: 'Dauer',
+        participants: 'Teilnehmende',
+        generated: 'Erstellt',
+        processingTime: 'Verarbeitungszeit',
+        keyPoints: 'Kernpunkte',
+        unknown: 'Unbekannt',
+        executiveSummary: 'Zusammenfassung',
+        chapters: 'Kapitel ({count})',
+        keyDiscussionPoints: 'Wichtige Diskussionspunkte ({count} Einträge)',
+        notFoundInTranscript: 'nicht im Transkript gefunden',
+        speaker: 'Sprecher',
+        speakerAnalytics: 'Redeanteile ({count} Sprecher)',
+        talkTime: 'Redezeit',
+        share: 'Anteil',
+        turns: 'Wortbeiträge',
+        averageTurn: 'Ø Beitrag',
+        longestMonologue: 'Längster Monolog',
+        interruptions: 'Unterbrechungen',
+        interrupted: 'Unterbrochen',
+        firstLast: 'Erster / Letzter Beitrag',
+        meetingLength: 'Besprechungsdauer',
+        overlaps: 'Überschneidungen',
+        balance: 'Ausgewogenheit',
+        balanceHint: '(1 = gleichmäßig verteilt)',
+        noSpeakerInformation: 'Keine Sprecherangaben in diesem Transkript.',
+        transcript: 'Transkript ({count} Zeilen)',
+        searchTranscript: 'Transkript durchsuchen',
+        noSpeaker: 'Ohne Sprecher',
+        linesShown: '{shown} von {total} Zeilen',
+        noMatchingLines: 'Keine Zeilen entsprechen der Suche und den Sprecherfiltern.',
+        processingInformation: 'Verarbeitungsinformationen',
+        file: 'Datei',
+        fileSize: 'Dateigröße',
+        bytes: '{count} Bytes',
+        timestamps: 'Zeitmarken',
+        processing: 'Verarbeitung',
+        tokens: 'Tokens',
+        tokenUsage: 'Prompt {prompt}, Antwort {completion}, gesamt {total}',
+        attempts: 'Versuche',
+        transcriptLanguage: 'Sprache des Transkripts',
+        processed: 'Verarbeitet',
+        generatedBy: 'Erstellt mit Azure Functions VTT Meeting Transcript Processor',
+        time: 'Zeit',
+        none: 'Keine.',
+        page: 'Seite {page} von {pages}'
+    },
+    profileText: {
+        'Action Items': 'Aufgaben',
+        'No action items identified.': 'Keine Aufgaben erkannt.',
+        'Owner': 'Verantwortlich',
+        'Action': 'Aufgabe',
+        'Due': 'Fällig',
+        'Decisions': 'Entscheidungen',
+        'No decisions recorded.': 'Keine Entscheidungen festgehalten.',
+        'Open Questions': 'Offene Fragen',
+        'No open questions.': 'Keine offenen Fragen.',
+        'Topics Covered': 'Behandelte Themen',
+        'No topics identified.': 'Keine Themen erkannt.',
+        'Topic': 'Thema',
+        'What Was Covered': 'Inhalt',
+        'Tips': 'Tipps',
+        'Features Demonstrated': 'Vorgeführte Funktionen',
+        'No features were demonstrated.': 'Es wurden keine Funktionen vorgeführt.',
+        'Feature': 'Funktion',
+        'Demonstration': 'Vorführung',
+        'Presenter': 'Vortragende',
+        'Questions & Answers': 'Fragen & Antworten',
+        'No learner questions.': 'Keine Fragen der Teilnehmenden.',
+        'Question': 'Frage',
+        'Answer': 'Antwort',
+        'Asked By': 'Gefragt von',
+        'Answered By': 'Beantwortet von',
+        'Homework & Action Items': 'Hausaufgaben & Aufgaben',
+        'Follow-up Materials': 'Weiterführende Materialien',
+        'No follow-up materials mentioned.': 'Keine weiterführenden Materialien erwähnt.',
+        'Suggested Quiz': 'Vorgeschlagenes Quiz',
+        'No quiz questions could be generated.': 'Es konnten keine Quizfragen erstellt werden.',
+        'Options': 'Optionen',
+        'Updates': 'Statusmeldungen',
+        'No individual updates found.': 'Keine individuellen Statusmeldungen gefunden.',
+        'Person': 'Person',
+        'Done': 'Erledigt',
+        'Next': 'Als Nächstes',
+        'Blockers': 'Hindernisse',
+        'No blockers raised.': 'Keine Hindernisse genannt.',
+        'Follow-ups': 'Nachverfolgung'
+    }
+};
@@ -0,0 +1,50 @@
+// Transcript language from its function words: articles, pronouns, auxiliaries and fillers make up
+// a large share of any spoken text and differ clearly between languages, so counting them is
+// reliable for meeting-length input without a model call. Names and product terms are ignored by
+// construction. Only the languages the reports have catalogs for are detected.
+
+const FUNCTION_WORDS = {
+    en: ['the', 'and', 'of', 'to', 'is', 'that', 'it', 'you', 'we', 'this', 'for', 'with', 'have', 'are', 'not', 'was', 'what', 'but', 'can', 'they', 'just', 'there', 'about', 'would', 'your', 'know', 'yeah', 'okay', 'think', 'going', 'right', 'will', 'if', 'all'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'ich', 'nicht', 'es', 'wir', 'zu', 'ein', 'eine', 'den', 'mit', 'auf', 'dass', 'auch', 'hier', 'wie', 'haben', 'noch', 'dann', 'aber', 'wenn', 'kann', 'jetzt', 'mal', 'ja', 'genau', 'also', 'oder', 'schon', 'sind', 'für', 'dem', 'wird'],
+    fr: ['le', 'la', 'les', 'et', 'est', 'je', 'que', 'pas', 'des', 'un', 'une', 'on', 'vous', 'nous', 'il', 'ce', 'ça', 'qui', 'dans', 'pour', 'sur', 'mais', 'avec', 'du', 'au', 'oui', 'alors', 'donc', 'bien', 'fait', 'peut', 'tout', 'très', 'voilà', 'aussi', 'être'],
+    es: ['el', 'los', 'las', 'y', 'que', 'es', 'en', 'un', 'una', 'no', 'por', 'con', 'para', 'se', 'lo', 'pero', 'como', 'más', 'esto', 'está', 'son', 'muy', 'bueno', 'sí', 'yo', 'también', 'vamos', 'entonces', 'hay', 'porque', 'eso', 'todo', 'puede', 'cuando', 'tiene', 'del'],
+    it: ['il', 'che', 'di', 'è', 'non', 'un', 'una', 'per', 'sono', 'con', 'si', 'ma', 'come', 'anche', 'questo', 'quello', 'della', 'del', 'nel', 'alla', 'cosa', 'perché', 'allora', 'quindi', 'bene', 'sì', 'io', 'noi', 'fare', 'ho', 'abbiamo', 'molto', 'poi', 'ci', 'gli'],
+    nl: ['de', 'het', 'een', 'en', 'dat', 'van', 'ik', 'niet', 'je', 'we', 'wij', 'zijn', 'op', 'te', 'met', 'voor', 'maar', 'ook', 'dan', 'nog', 'wel', 'als', 'er', 'die', 'dit', 'hebben', 'kunnen', 'moet', 'wat', 'gaan', 'even', 'naar', 'heel', 'goed', 'bij', 'nu'],
+    pt: ['o', 'os', 'as', 'e', 'que', 'é', 'não', 'um', 'uma', 'do', 'da', 'em', 'no', 'na', 'para', 'com', 'por', 'mas', 'isso', 'está', 'você', 'nós', 'eu', 'também', 'então', 'muito', 'bem', 'sim', 'vamos', 'tem', 'são', 'pode', 'aqui', 'mais', 'quando', 'foi']
+};
+
+// Below this many words, or this many function word hits, the sample says nothing reliable
+const MIN_WORDS = 20;
+const MIN_HITS = 5;
+const MAX_WORDS = 20000;
+
+const WORD_SETS = Object.fromEntries(Object.entries(FUNCTION_WORDS).map(([code, words]) => [code, new Set(words)]));
+
+/**
+ * Detects the language of transcript text.
+ * Returns { language, confidence } where language is a catalog code or null when undecided,
+ * and confidence (0–1) is how far the best language leads the runner-up.
+ */
+function detectLanguage(text) {
+    const words = (String(text || '').toLowerCase().match(/\p{L}+/gu) || []).slice(0, MAX_WORDS);
+    if (words.length < MIN_WORDS) return { language: null, confidence: 0 };
+
+    const hits = Object.fromEntries(Object.keys(WORD_SETS).map(code => [code, 0]));
+    for (const word of words) {
+        for (const [code, set] of Object.entries(WORD_SETS)) {
+            if (set.has(word)) hits[code]++;
+        }
+    }
+
+    const ranked = Object.entries(hits).sort((a, b) => b[1] - a[1]);
+    const [best, runnerUp] = ranked;
+    if (best[1] < MIN_HITS) return { language: null, confidence: 0 };
+    return {
+        language: best[0],
+        confidence: Math.round(((best[1] - runnerUp[1]) / best[1]) * 100) / 100
+    };
+}
+
+module.exports = {
+    detectLanguage
+};
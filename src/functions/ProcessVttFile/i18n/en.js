@@ -0,0 +1,56 @@
+// English report labels. Every other catalog falls back to these for keys it does not define.
+// Profile section titles, empty texts and column labels are written in English in the profiles
+// themselves, so English needs no profileText entries.
+
+module.exports = {
+    messages: {
+        reportTitle: 'Meeting Analysis: {title}',
+        meetingDate: 'Meeting Date',
+        duration: 'Duration',
+        participants: 'Participants',
+        generated: 'Generated',
+        processingTime: 'Processing Time',
+        keyPoints: 'Key Points',
+        unknown: 'Unknown',
+        executiveSummary: 'Executive Summary',
+        chapters: 'Chapters ({count})',
+        keyDiscussionPoints: 'Key Discussion Points ({count} items)',
+        notFoundInTranscript: 'not found in transcript',
+        speaker: 'Speaker',
+        speakerAnalytics: 'Speaker Analytics ({count} speakers)',
+        talkTime: 'Talk Time',
+        share: 'Share',
+        turns: 'Turns',
+        averageTurn: 'Avg Turn',
+        longestMonologue: 'Longest Monologue',
+        interruptions: 'Interruptions',
+        interrupted: 'Interrupted',
+        firstLast: 'First / Last',
+        meetingLength: 'Meeting Length',
+        overlaps: 'Overlaps',
+        balance: 'Balance',
+        balanceHint: '(1 = evenly shared)',
+        noSpeakerInformation: 'No speaker information in this transcript.',
+        transcript: 'Transcript ({count} lines)',
+        searchTranscript: 'Search the transcript',
+        noSpeaker: 'No speaker',
+        linesShown: '{shown} of {total} lines',
+        noMatchingLines: 'No lines match the search and speaker filters.',
+        processingInformation: 'Processing Information',
+        file: 'File',
+        fileSize: 'File Size',
+        bytes: '{count} bytes',
+        timestamps: 'Timestamps',
+        processing: 'Processing',
+        tokens: 'Tokens',
+        tokenUsage: 'prompt {prompt}, completion {completion}, total {total}',
+        attempts: 'Attempts',
+        transcriptLanguage: 'Transcript Language',
+        processed: 'Processed',
+        generatedBy: 'Generated by Azure Functions VTT Meeting Transcript Processor',
+        time: 'Time',
+        none: 'None.',
+        page: 'Page {page} of {pages}'
+    },
+    profileText: {}
+};
@@ -0,0 +1,92 @@
+module.exports = {
+    messages: {
+        reportTitle: 'Análisis de la reunión: {title}',
+        meetingDate: 'Fecha de la reunión',
+        duration: 'Duración',
+        participants: 'Participantes',
+        generated: 'Generado',
+        processingTime: 'Tiempo de procesamiento',
+        keyPoints: 'Puntos clave',
+        unknown: 'Desconocida',
+        executiveSummary: 'Resumen ejecutivo',
+        chapters: 'Capítulos ({count})',
+        keyDiscussionPoints: 'Puntos clave de la conversación ({count} elementos)',
+        notFoundInTranscript: 'no se encuentra en la transcripción',
+        speaker: 'Interlocutor',
+        speakerAnalytics: 'Análisis de participación ({count} interlocutores)',
+        talkTime: 'Tiempo de palabra',
+        share: 'Proporción',
+        turns: 'Intervenciones',
+        averageTurn: 'Intervención media',
+        longestMonologue: 'Monólogo más largo',
+        interruptions: 'Interrupciones',
+        interrupted: 'Interrumpido',
+        firstLast: 'Primera / Última',
+        meetingLength: 'Duración de la reunión',
+        overlaps: 'Solapamientos',
+        balance: 'Equilibrio',
+        balanceHint: '(1 = reparto equitativo)',
+        noSpeakerInformation: 'Esta transcripción no contiene información de interlocutores.',
+        transcript: 'Transcripción ({count} líneas)',
+        searchTranscript: 'Buscar en la transcripción',
+        noSpeaker: 'Sin interlocutor',
+        linesShown: '{shown} de {total} líneas',
+        noMatchingLines: 'Ninguna línea coincide con la búsqueda y los filtros.',
+        processingInformation: 'Información de procesamiento',
+        file: 'Archivo',
+        fileSize: 'Tamaño del archivo',
+        bytes: '{count} bytes',
+        timestamps: 'Marcas de tiempo',
+        processing: 'Procesamiento',
+        tokens: 'Tokens',
+        tokenUsage: 'prompt {prompt}, respuesta {completion}, total {total}',
+        attempts: 'Intentos',
+        transcriptLanguage: 'Idioma de la transcripción',
+        processed: 'Procesado',
+        generatedBy: 'Generado por Azure Functions VTT Meeting Transcript Processor',
+        time: 'Hora',
+        none: 'Ninguno.',
+        page: 'Página {page} de {pages}'
+    },
+    profileText: {
+        'Action Items': 'Tareas pendientes',
+        'No action items identified.': 'No se identificaron tareas pendientes.',
+        'Owner': 'Responsable',
+        'Action': 'Tarea',
+        'Due': 'Fecha límite',
+        'Decisions': 'Decisiones',
+        'No decisions recorded.': 'No se registraron decisiones.',
+        'Open Questions': 'Preguntas abiertas',
+        'No open questions.': 'No hay preguntas abiertas.',
+        'Topics Covered': 'Temas tratados',
+        'No topics identified.': 'No se identificaron temas.',
+        'Topic': 'Tema',
+        'What Was Covered': 'Contenido',
+        'Tips': 'Consejos',
+        'Features Demonstrated': 'Funciones demostradas',
+        'No features were demonstrated.': 'No se demostró ninguna función.',
+        'Feature': 'Función',
+        'Demonstration': 'Demostración',
+        'Presenter': 'Presentador',
+        'Questions & Answers': 'Preguntas y respuestas',
+        'No learner questions.': 'No hubo preguntas de los participantes.',
+        'Question': 'Pregunta',
+        'Answer': 'Respuesta',
+        'Asked By': 'Preguntado por',
+        'Answered By': 'Respondido por',
+        'Homework & Action Items': 'Deberes y tareas pendientes',
+        'Follow-up Materials': 'Materiales complementarios',
+        'No follow-up materials mentioned.': 'No se mencionaron materiales complementarios.',
+        'Suggested Quiz': 'Cuestionario sugerido',
+        'No quiz questions could be generated.': 'No se pudieron generar preguntas de cuestionario.',
+        'Options': 'Opciones',
+        'Updates': 'Novedades',
+        'No individual updates found.': 'No se encontraron novedades individuales.',
+        'Person': 'Persona',
+        'Done': 'Hecho',
+        'Next': 'Siguiente',
+        'Blockers': 'Bloqueos',
+        'No blockers raised.': 'No se mencionaron bloqueos.',
+        'Follow-ups': 'Seguimientos'
+    }
+};
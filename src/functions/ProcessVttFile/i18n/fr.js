@@ -0,0 +1,92 @@
+module.exports = {
+    messages: {
+        reportTitle: 'Analyse de réunion : {title}',
+        meetingDate: 'Date de la réunion',
+        duration: 'Durée',
+        participants: 'Participants',
+        generated: 'Généré le',
+        processingTime: 'Temps de traitement',
+        keyPoints: 'Points clés',
+        unknown: 'Inconnue',
+        executiveSummary: 'Synthèse',
+        chapters: 'Chapitres ({count})',
+        keyDiscussionPoints: 'Principaux points de discussion ({count} éléments)',
+        notFoundInTranscript: 'introuvable dans la transcription',
+        speaker: 'Intervenant',
+        speakerAnalytics: 'Temps de parole ({count} intervenants)',
+        talkTime: 'Temps de parole',
+        share: 'Part',
+        turns: 'Interventions',
+        averageTurn: 'Intervention moy.',
+        longestMonologue: 'Plus long monologue',
+        interruptions: 'Interruptions',
+        interrupted: 'Interrompu',
+        firstLast: 'Première / Dernière',
+        meetingLength: 'Durée de la réunion',
+        overlaps: 'Chevauchements',
+        balance: 'Équilibre',
+        balanceHint: '(1 = réparti équitablement)',
+        noSpeakerInformation: 'Aucune information sur les intervenants dans cette transcription.',
+        transcript: 'Transcription ({count} lignes)',
+        searchTranscript: 'Rechercher dans la transcription',
+        noSpeaker: 'Sans intervenant',
+        linesShown: '{shown} lignes sur {total}',
+        noMatchingLines: 'Aucune ligne ne correspond à la recherche et aux filtres.',
+        processingInformation: 'Informations de traitement',
+        file: 'Fichier',
+        fileSize: 'Taille du fichier',
+        bytes: '{count} octets',
+        timestamps: 'Horodatages',
+        processing: 'Traitement',
+        tokens: 'Jetons',
+        tokenUsage: 'invite {prompt}, réponse {completion}, total {total}',
+        attempts: 'Tentatives',
+        transcriptLanguage: 'Langue de la transcription',
+        processed: 'Traité le',
+        generatedBy: 'Généré par Azure Functions VTT Meeting Transcript Processor',
+        time: 'Heure',
+        none: 'Aucun.',
+        page: 'Page {page} sur {pages}'
+    },
+    profileText: {
+        'Action Items': 'Actions à mener',
+        'No action items identified.': 'Aucune action identifiée.',
+        'Owner': 'Responsable',
+        'Action': 'Action',
+        'Due': 'Échéance',
+        'Decisions': 'Décisions',
+        'No decisions recorded.': 'Aucune décision consignée.',
+        'Open Questions': 'Questions ouvertes',
+        'No open questions.': 'Aucune question ouverte.',
+        'Topics Covered': 'Sujets abordés',
+        'No topics identified.': 'Aucun sujet identifié.',
+        'Topic': 'Sujet',
+        'What Was Covered': 'Contenu abordé',
+        'Tips': 'Conseils',
+        'Features Demonstrated': 'Fonctionnalités présentées',
+        'No features were demonstrated.': 'Aucune fonctionnalité n’a été présentée.',
+        'Feature': 'Fonctionnalité',
+        'Demonstration': 'Démonstration',
+        'Presenter': 'Présentateur',
+        'Questions & Answers': 'Questions et réponses',
+        'No learner questions.': 'Aucune question des participants.',
+        'Question': 'Question',
+        'Answer': 'Réponse',
+        'Asked By': 'Posée par',
+        'Answered By': 'Répondue par',
+        'Homework & Action Items': 'Devoirs et actions à mener',
+        'Follow-up Materials': 'Ressources complémentaires',
+        'No follow-up materials mentioned.': 'Aucune ressource complémentaire mentionnée.',
+        'Suggested Quiz': 'Quiz proposé',
+        'No quiz questions could be generated.': 'Aucune question de quiz n’a pu être générée.',
+        'Options': 'Options',
+        'Updates': 'Points d’avancement',
+        'No individual updates found.': 'Aucun point d’avancement individuel trouvé.',
+        'Person': 'Personne',
+        'Done': 'Fait',
+        'Next': 'À suivre',
+        'Blockers': 'Points bloquants',
+        'No blockers raised.': 'Aucun point bloquant signalé.',
+        'Follow-ups': 'Suivis'
+    }
+};
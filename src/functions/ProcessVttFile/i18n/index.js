@@ -0,0 +1,129 @@
+const { detectLanguage } = require('./detectLanguage');
+const { createError } = require('../errors');
+
+// Report languages. The transcript language is detected, the model writes the summary, key points
+// and sections in the output language (requested, REPORT_LANGUAGE, or the detected one for "auto"),
+// and the renderers take their labels from that language's message catalog:
+//   messages     - report labels by key, with {placeholders}
+//   profileText  - profile section titles, empty texts and column labels by their English wording
+// Dates are formatted with Intl for the requested locale and time zone, never the host's.
+
+const LANGUAGES = {
+    en: { name: 'English', nativeName: 'English', catalog: require('./en') },
+    de: { name: 'German', nativeName: 'Deutsch', catalog: require('./de') },
+    fr: { name: 'French', nativeName: 'Français', catalog: require('./fr') },
+    es: { name: 'Spanish', nativeName: 'Español', catalog: require('./es') },
+    it: { name: 'Italian', nativeName: 'Italiano', catalog: require('./it') },
+    nl: { name: 'Dutch', nativeName: 'Nederlands', catalog: require('./nl') },
+    pt: { name: 'Portuguese', nativeName: 'Português', catalog: require('./pt') }
+};
+const DEFAULT_LANGUAGE = 'en';
+const AUTO_LANGUAGE = 'auto';
+const DEFAULT_TIME_ZONE = 'UTC';
+
+function optionError(message) {
+    return createError('INVALID_OPTION', message);
+}
+
+/**
+ * Request options over REPORT_LANGUAGE / REPORT_LOCALE / REPORT_TIME_ZONE, validated.
+ * Returns { language, locale, timeZone }; language may still be "auto" and locale undefined,
+ * both are settled once the transcript language is known (finalizeLocalization).
+ */
+function resolveLocalization(requested = {}, config = {}) {
+    const rawLanguage = String(requested.language || config.reportLanguage || AUTO_LANGUAGE).trim();
+    // A regional tag ("de-CH") selects the language and, unless a locale is given, the locale
+    const language = rawLanguage.toLowerCase().split(/[-_]/)[0];
+    if (language !== AUTO_LANGUAGE && !LANGUAGES[language]) {
+        throw optionError(`Unsupported language: ${rawLanguage} (expected ${AUTO_LANGUAGE} or one of ${Object.keys(LANGUAGES).join(', ')})`);
+    }
+
+    let locale = requested.locale || config.reportLocale || (rawLanguage.includes('-') || rawLanguage.includes('_') ? rawLanguage.replace('_', '-') : undefined);
+    if (locale) {
+        try {
+            locale = Intl.getCanonicalLocales(String(locale))[0];
+        } catch {
+            throw optionError(`Invalid locale: ${locale}`);
+        }
+        if (Intl.DateTimeFormat.supportedLocalesOf([locale]).length === 0) {
+            throw optionError(`Unsupported locale: ${locale}`);
+        }
+    }
+
+    const timeZone = String(requested.timeZone || config.reportTimeZone || DEFAULT_TIME_ZONE);
+    try {
+        new Intl.DateTimeFormat('en', { timeZone });
+    } catch {
+        throw optionError(`Invalid time zone: ${timeZone} (expected an IANA name such as Europe/Berlin)`);
+    }
+
+    return { language, locale, timeZone };
+}
+
+/**
+ * Detects the transcript language and settles "auto" and the default locale.
+ * Returns { language, transcriptLanguage, languageConfidence, locale, timeZone }.
+ */
+function finalizeLocalization(options, timestampBlocks) {
+    const detected = detectLanguage(timestampBlocks.map(block => block.content || '').join(' '));
+    const language = options.language === AUTO_LANGUAGE || !options.language
+        ? (detected.language || DEFAULT_LANGUAGE)
+        : options.language;
+    return {
+        language,
+        transcriptLanguage: detected.language,
+        languageConfidence: detected.confidence,
+        locale: options.locale || language,
+        timeZone: options.timeZone || DEFAULT_TIME_ZONE
+    };
+}
+
+// English name for prompts ("Write ... in German")
+function languageName(code) {
+    return LANGUAGES[code]?.name || '';
+}
+
+/**
+ * Label and date helpers for a result's localization (English and UTC when absent):
+ * t(key, vars), text(englishProfileText), date('YYYY-MM-DD'), dateTime(Date | ISO string), languageName(code).
+ */
+function createLocalizer(localization = {}) {
+    const language = LANGUAGES[localization.language] ? localization.language : DEFAULT_LANGUAGE;
+    const { messages, profileText } = LANGUAGES[language].catalog;
+    const fallback = LANGUAGES[DEFAULT_LANGUAGE].catalog.messages;
+    const locale = localization.locale || language;
+    const timeZone = localization.timeZone || DEFAULT_TIME_ZONE;
+
+    const t = (key, vars = {}) => String(messages[key] ?? fallback[key] ?? key)
+        .replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+
+    return {
+        language,
+        locale,
+        timeZone,
+        t,
+        text: english => profileText[english] ?? english,
+        // Meeting dates are calendar days (UTC), so they are not shifted into the time zone
+        date: isoDate => {
+            const match = typeof isoDate === 'string' && isoDate.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+            if (!match) return isoDate || '';
+            return new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' })
+                .format(new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))));
+        },
+        dateTime: value => {
+            const date = value instanceof Date ? value : new Date(value);
+            if (Number.isNaN(date.getTime())) return value ? String(value) : '';
+            return new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeStyle: 'short', timeZone }).format(date);
+        },
+        languageName: code => LANGUAGES[code]?.nativeName || code || t('unknown')
+    };
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    resolveLocalization,
+    finalizeLocalization,
+    languageName,
+    createLocalizer
+};
@@ -0,0 +1,92 @@
+module.exports = {
+    messages: {
+        reportTitle: 'Analisi della riunione: {title}',
+        meetingDate: 'Data della riunione',
+        duration: 'Durata',
+        participants: 'Partecipanti',
+        generated: 'Generato',
+        processingTime: 'Tempo di elaborazione',
+        keyPoints: 'Punti chiave',
+        unknown: 'Sconosciuta',
+        executiveSummary: 'Sintesi',
+        chapters: 'Capitoli ({count})',
+        keyDiscussionPoints: 'Principali punti di discussione ({count} elementi)',
+        notFoundInTranscript: 'non trovato nella trascrizione',
+        speaker: 'Relatore',
+        speakerAnalytics: 'Analisi degli interventi ({count} relatori)',
+        talkTime: 'Tempo di parola',
+        share: 'Quota',
+        turns: 'Interventi',
+        averageTurn: 'Intervento medio',
+        longestMonologue: 'Monologo più lungo',
+        interruptions: 'Interruzioni',
+        interrupted: 'Interrotto',
+        firstLast: 'Primo / Ultimo',
+        meetingLength: 'Durata della riunione',
+        overlaps: 'Sovrapposizioni',
+        balance: 'Equilibrio',
+        balanceHint: '(1 = distribuito equamente)',
+        noSpeakerInformation: 'Nessuna informazione sui relatori in questa trascrizione.',
+        transcript: 'Trascrizione ({count} righe)',
+        searchTranscript: 'Cerca nella trascrizione',
+        noSpeaker: 'Nessun relatore',
+        linesShown: '{shown} di {total} righe',
+        noMatchingLines: 'Nessuna riga corrisponde alla ricerca e ai filtri.',
+        processingInformation: 'Informazioni di elaborazione',
+        file: 'File',
+        fileSize: 'Dimensione del file',
+        bytes: '{count} byte',
+        timestamps: 'Marcatori temporali',
+        processing: 'Elaborazione',
+        tokens: 'Token',
+        tokenUsage: 'prompt {prompt}, risposta {completion}, totale {total}',
+        attempts: 'Tentativi',
+        transcriptLanguage: 'Lingua della trascrizione',
+        processed: 'Elaborato',
+        generatedBy: 'Generato da Azure Functions VTT Meeting Transcript Processor',
+        time: 'Ora',
+        none: 'Nessuno.',
+        page: 'Pagina {page} di {pages}'
+    },
+    profileText: {
+        'Action Items': 'Azioni da svolgere',
+        'No action items identified.': 'Nessuna azione individuata.',
+        'Owner': 'Responsabile',
+        'Action': 'Azione',
+        'Due': 'Scadenza',
+        'Decisions': 'Decisioni',
+        'No decisions recorded.': 'Nessuna decisione registrata.',
+        'Open Questions': 'Domande aperte',
+        'No open questions.': 'Nessuna domanda aperta.',
+        'Topics Covered': 'Argomenti trattati',
+        'No topics identified.': 'Nessun argomento individuato.',
+        'Topic': 'Argomento',
+        'What Was Covered': 'Contenuti trattati',
+        'Tips': 'Suggerimenti',
+        'Features Demonstrated': 'Funzionalità mostrate',
+        'No features were demonstrated.': 'Non è stata mostrata alcuna funzionalità.',
+        'Feature': 'Funzionalità',
+        'Demonstration': 'Dimostrazione',
+        'Presenter': 'Relatore',
+        'Questions & Answers': 'Domande e risposte',
+        'No learner questions.': 'Nessuna domanda dei partecipanti.',
+        'Question': 'Domanda',
+        'Answer': 'Risposta',
+        'Asked By': 'Chiesto da',
+        'Answered By': 'Risposto da',
+        'Homework & Action Items': 'Compiti e azioni da svolgere',
+        'Follow-up Materials': 'Materiali di approfondimento',
+        'No follow-up materials mentioned.': 'Nessun materiale di approfondimento menzionato.',
+        'Suggested Quiz': 'Quiz suggerito',
+        'No quiz questions could be generated.': 'Non è stato possibile generare domande per il quiz.',
+        'Options': 'Opzioni',
+        'Updates': 'Aggiornamenti',
+        'No individual updates found.': 'Nessun aggiornamento individuale trovato.',
+        'Person': 'Persona',
+        'Done': 'Fatto',
+        'Next': 'Prossimi passi',
+        'Blockers': 'Ostacoli',
+        'No blockers raised.': 'Nessun ostacolo segnalato.',
+        'Follow-ups': 'Attività di follow-up'
+    }
+};
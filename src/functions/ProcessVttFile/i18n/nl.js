@@ -0,0 +1,92 @@
+module.exports = {
+    messages: {
+        reportTitle: 'Vergaderanalyse: {title}',
+        meetingDate: 'Vergaderdatum',
+        duration: 'Duur',
+        participants: 'Deelnemers',
+        generated: 'Gegenereerd',
+        processingTime: 'Verwerkingstijd',
+        keyPoints: 'Kernpunten',
+        unknown: 'Onbekend',
+        executiveSummary: 'Samenvatting',
+        chapters: 'Hoofdstukken ({count})',
+        keyDiscussionPoints: 'Belangrijkste bespreekpunten ({count} items)',
+        notFoundInTranscript: 'niet gevonden in het transcript',
+        speaker: 'Spreker',
+        speakerAnalytics: 'Spreekanalyse ({count} sprekers)',
+        talkTime: 'Spreektijd',
+        share: 'Aandeel',
+        turns: 'Beurten',
+        averageTurn: 'Gem. beurt',
+        longestMonologue: 'Langste monoloog',
+        interruptions: 'Onderbrekingen',
+        interrupted: 'Onderbroken',
+        firstLast: 'Eerste / Laatste',
+        meetingLength: 'Vergaderduur',
+        overlaps: 'Overlappingen',
+        balance: 'Balans',
+        balanceHint: '(1 = gelijk verdeeld)',
+        noSpeakerInformation: 'Geen sprekersinformatie in dit transcript.',
+        transcript: 'Transcript ({count} regels)',
+        searchTranscript: 'Transcript doorzoeken',
+        noSpeaker: 'Geen spreker',
+        linesShown: '{shown} van {total} regels',
+        noMatchingLines: 'Geen regels komen overeen met de zoekopdracht en sprekerfilters.',
+        processingInformation: 'Verwerkingsinformatie',
+        file: 'Bestand',
+        fileSize: 'Bestandsgrootte',
+        bytes: '{count} bytes',
+        timestamps: 'Tijdstempels',
+        processing: 'Verwerking',
+        tokens: 'Tokens',
+        tokenUsage: 'prompt {prompt}, antwoord {completion}, totaal {total}',
+        attempts: 'Pogingen',
+        transcriptLanguage: 'Taal van het transcript',
+        processed: 'Verwerkt',
+        generatedBy: 'Gegenereerd door Azure Functions VTT Meeting Transcript Processor',
+        time: 'Tijd',
+        none: 'Geen.',
+        page: 'Pagina {page} van {pages}'
+    },
+    profileText: {
+        'Action Items': 'Actiepunten',
+        'No action items identified.': 'Geen actiepunten gevonden.',
+        'Owner': 'Eigenaar',
+        'Action': 'Actie',
+        'Due': 'Deadline',
+        'Decisions': 'Besluiten',
+        'No decisions recorded.': 'Geen besluiten vastgelegd.',
+        'Open Questions': 'Open vragen',
+        'No open questions.': 'Geen open vragen.',
+        'Topics Covered': 'Behandelde onderwerpen',
+        'No topics identified.': 'Geen onderwerpen gevonden.',
+        'Topic': 'Onderwerp',
+        'What Was Covered': 'Behandelde inhoud',
+        'Tips': 'Tips',
+        'Features Demonstrated': 'Gedemonstreerde functies',
+        'No features were demonstrated.': 'Er zijn geen functies gedemonstreerd.',
+        'Feature': 'Functie',
+        'Demonstration': 'Demonstratie',
+        'Presenter': 'Presentator',
+        'Questions & Answers': 'Vragen & antwoorden',
+        'No learner questions.': 'Geen vragen van deelnemers.',
+        'Question': 'Vraag',
+        'Answer': 'Antwoord',
+        'Asked By': 'Gesteld door',
+        'Answered By': 'Beantwoord door',
+        'Homework & Action Items': 'Huiswerk & actiepunten',
+        'Follow-up Materials': 'Vervolgmateriaal',
+        'No follow-up materials mentioned.': 'Geen vervolgmateriaal genoemd.',
+        'Suggested Quiz': 'Voorgestelde quiz',
+        'No quiz questions could be generated.': 'Er konden geen quizvragen worden gemaakt.',
+        'Options': 'Opties',
+        'Updates': 'Updates',
+        'No individual updates found.': 'Geen individuele updates gevonden.',
+        'Person': 'Persoon',
+        'Done': 'Gedaan',
+        'Next': 'Volgende',
+        'Blockers': 'Blokkades',
+        'No blockers raised.': 'Geen blokkades gemeld.',
+        'Follow-ups': 'Opvolging'
+    }
+};
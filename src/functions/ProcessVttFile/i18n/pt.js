@@ -0,0 +1,92 @@
+module.exports = {
+    messages: {
+        reportTitle: 'Análise da reunião: {title}',
+        meetingDate: 'Data da reunião',
+        duration: 'Duração',
+        participants: 'Participantes',
+        generated: 'Gerado',
+        processingTime: 'Tempo de processamento',
+        keyPoints: 'Pontos-chave',
+        unknown: 'Desconhecida',
+        executiveSummary: 'Resumo executivo',
+        chapters: 'Capítulos ({count})',
+        keyDiscussionPoints: 'Principais pontos de discussão ({count} itens)',
+        notFoundInTranscript: 'não encontrado na transcrição',
+        speaker: 'Orador',
+        speakerAnalytics: 'Análise de participação ({count} oradores)',
+        talkTime: 'Tempo de fala',
+        share: 'Proporção',
+        turns: 'Intervenções',
+        averageTurn: 'Intervenção média',
+        longestMonologue: 'Monólogo mais longo',
+        interruptions: 'Interrupções',
+        interrupted: 'Interrompido',
+        firstLast: 'Primeira / Última',
+        meetingLength: 'Duração da reunião',
+        overlaps: 'Sobreposições',
+        balance: 'Equilíbrio',
+        balanceHint: '(1 = distribuição equilibrada)',
+        noSpeakerInformation: 'Esta transcrição não contém informações sobre oradores.',
+        transcript: 'Transcrição ({count} linhas)',
+        searchTranscript: 'Pesquisar na transcrição',
+        noSpeaker: 'Sem orador',
+        linesShown: '{shown} de {total} linhas',
+        noMatchingLines: 'Nenhuma linha corresponde à pesquisa e aos filtros.',
+        processingInformation: 'Informações de processamento',
+        file: 'Arquivo',
+        fileSize: 'Tamanho do arquivo',
+        bytes: '{count} bytes',
+        timestamps: 'Marcas de tempo',
+        processing: 'Processamento',
+        tokens: 'Tokens',
+        tokenUsage: 'prompt {prompt}, resposta {completion}, total {total}',
+        attempts: 'Tentativas',
+        transcriptLanguage: 'Idioma da transcrição',
+        processed: 'Processado',
+        generatedBy: 'Gerado por Azure Functions VTT Meeting Transcript Processor',
+        time: 'Hora',
+        none: 'Nenhum.',
+        page: 'Página {page} de {pages}'
+    },
+    profileText: {
+        'Action Items': 'Itens de ação',
+        'No action items identified.': 'Nenhum item de ação identificado.',
+        'Owner': 'Responsável',
+        'Action': 'Ação',
+        'Due': 'Prazo',
+        'Decisions': 'Decisões',
+        'No decisions recorded.': 'Nenhuma decisão registrada.',
+        'Open Questions': 'Perguntas em aberto',
+        'No open questions.': 'Nenhuma pergunta em aberto.',
+        'Topics Covered': 'Tópicos abordados',
+        'No topics identified.': 'Nenhum tópico identificado.',
+        'Topic': 'Tópico',
+        'What Was Covered': 'Conteúdo abordado',
+        'Tips': 'Dicas',
+        'Features Demonstrated': 'Funcionalidades demonstradas',
+        'No features were demonstrated.': 'Nenhuma funcionalidade foi demonstrada.',
+        'Feature': 'Funcionalidade',
+        'Demonstration': 'Demonstração',
+        'Presenter': 'Apresentador',
+        'Questions & Answers': 'Perguntas e respostas',
+        'No learner questions.': 'Nenhuma pergunta dos participantes.',
+        'Question': 'Pergunta',
+        'Answer': 'Resposta',
+        'Asked By': 'Perguntado por',
+        'Answered By': 'Respondido por',
+        'Homework & Action Items': 'Tarefas e itens de ação',
+        'Follow-up Materials': 'Materiais complementares',
+        'No follow-up materials mentioned.': 'Nenhum material complementar mencionado.',
+        'Suggested Quiz': 'Questionário sugerido',
+        'No quiz questions could be generated.': 'Não foi possível gerar perguntas para o questionário.',
+        'Options': 'Opções',
+        'Updates': 'Atualizações',
+        'No individual updates found.': 'Nenhuma atualização individual encontrada.',
+        'Person': 'Pessoa',
+        'Done': 'Feito',
+        'Next': 'Próximo',
+        'Blockers': 'Impedimentos',
+        'No blockers raised.': 'Nenhum impedimento relatado.',
+        'Follow-ups': 'Acompanhamentos'
+    }
+};
@@ -1,9 +1,43 @@
-const fetch = require('node-fetch');
-const { app } = require('@azure/functions');
-const { ClientSecretCredential } = require('@azure/identity');
-const { Client } = require('@microsoft/microsoft-graph-client');
-const { TokenCredentialAuthenticationProvider } = require('@microsoft/microsoft-graph-client/authProviders/azureTokenCredentials');
+const { app, output } = require('@azure/functions');
 const { OpenAI } = require('openai');
+const { parseVtt, formatTimestamp } = require('./vttParser');
+const { summarizeTranscript, estimateTokens, getChunkTokens } = require('./summarizer');
+const { resolveProfile } = require('./profiles');
+const { emptySections, finalizeSections, renderSectionsMarkdown } = require('./profiles/sections');
+const { resolveCustomAnalysis } = require('./promptTemplates');
+const { runCustomAnalysis, renderOutputMarkdown } = require('./customAnalysis');
+const { SOURCE_FALLBACK, MIN_SUMMARY_LENGTH, KEY_POINT_BOUNDS } = require('./responseValidator');
+const { resolveGroundingOptions, groundKeyPoints } = require('./grounding');
+const { resolveLinkFormat, buildVideoLink } = require('./videoLinks');
+const { computeSpeakerAnalytics, aggregateSpeakerAnalytics, formatDuration } = require('./speakerAnalytics');
+const { resolveMeetingDate, listParticipants, meetingDuration } = require('./meetingDetails');
+const { isDocumentFormat, generateDocumentOutput, generateCustomDocumentOutput } = require('./documents');
+const { isTranscriptFormat, renderTranscript } = require('./transcriptFormats');
+const { resolveChapterMode, buildChapters, renderChaptersMarkdown } = require('./chapters');
+const { renderHtmlReport, renderCustomHtmlReport } = require('./htmlReport');
+const { safeUrl } = require('./htmlEscape');
+const { resolveLocalization, finalizeLocalization, createLocalizer } = require('./i18n');
+const { resolveRedaction, createRedactor } = require('./redaction');
+const { createCacheStats, mergeCacheStats, getOrCreateClient } = require('./cache');
+const { createRetrier } = require('./retry');
+const { createError, classifyError, classifyUpstreamError, isDebugEnabled, failure, publicMessage, withCorrelationId, errorResponse } = require('./errors');
+const { createJobStore } = require('./jobStore');
+const { createJobDocument, createJobTracker, resolveStaleAfterMs, markStaleJob, toJobStatus } = require('./jobs');
+const { resolveWriteBack, writeReport } = require('./reportWriter');
+const { collectChangedDrives, syncDriveChanges, createSubscription, listSubscriptions, renewSubscriptions, listSubscribedDrives } = require('./webhooks');
+const { createTranscriptSource, resolveSourceKind, getSourceRequirements, describeQuery, findPartialMatches } = require('./sources');
+
+// Async batch jobs are handed to a storage queue; the worker below runs them, so a job survives
+// the HTTP response and is retried by the queue when its instance goes away
+const jobQueueOutput = output.storageQueue({
+    queueName: process.env.JOB_QUEUE_NAME || 'vtt-batch-jobs',
+    connection: 'AzureWebJobsStorage'
+});
+// Changed drives from Graph notifications (and the renewal timer) go to ProcessVttFileDriveSync
+const driveSyncQueueOutput = output.storageQueue({
+    queueName: process.env.DRIVE_SYNC_QUEUE_NAME || 'vtt-drive-changes',
+    connection: 'AzureWebJobsStorage'
+});
 
 process.on('unhandledRejection', (reason) => {
     console.error('Unhandled Rejection:', reason);
@@ -41,84 +75,375 @@ app.http('ProcessVttFile', {
     methods: ['GET', 'POST'],
     authLevel: 'function',
     route: 'ProcessVttFile',
-    handler: async (request, context) => {
+    extraOutputs: [jobQueueOutput],
+    handler: withCorrelationId(async (request, context) => {
         setupLogging(context);
         const startTime = Date.now();
-        context.log('🎯 ProcessVttFile function triggered');
+        context.log(`🎯 ProcessVttFile function triggered (correlation ID: ${context.correlationId})`);
 
         try {
             let fileName, batchMode = false, fileNames = [], outputFormat = 'json';
+            // Inline VTT text (raw body, JSON "vttContent" or multipart upload) bypasses SharePoint
+            let vttContent = null, videoUrl;
+            // Transcript source override (sharepoint, onedrive, local, blob); defaults to TRANSCRIPT_SOURCE
+            let source;
+            // Exact addressing by drive item ID or folder path ("Folder/Sub/file.vtt")
+            let itemId, filePath;
+            // Batch worker pool size; falls back to BATCH_CONCURRENCY
+            let concurrency;
+            // Async job mode: answer 202 with a job ID instead of waiting for the batch
+            let asyncJob = false;
+            // Report write-back to the transcript's drive: { saveReport, outputFolder, conflictBehavior }
+            let writeBack;
+            // Analysis profile (general, training, standup); falls back to ANALYSIS_PROFILE
+            let profile;
+            // Custom analysis: named prompt template and/or caller JSON Schema { template, outputSchema }
+            let custom;
+            // Output language, date locale and time zone { language, locale, timeZone }; REPORT_* settings otherwise
+            let localization;
+            // PII redaction before the model { redact, terms, patterns, reveal, revealKey }; REDACTION_* settings otherwise
+            let redaction;
 
             if (request.method === 'GET') {
                 fileName = request.query.get('name');
                 outputFormat = request.query.get('format') || 'json';
-                context.log(`📥 GET request - fileName: ${fileName}, format: ${outputFormat}`);
+                source = request.query.get('source') || undefined;
+                itemId = request.query.get('itemId') || undefined;
+                filePath = request.query.get('path') || undefined;
+                profile = request.query.get('profile') || undefined;
+                custom = { template: request.query.get('template') || undefined };
+                localization = queryLocalization(request);
+                redaction = queryRedaction(request);
+                writeBack = {
+                    saveReport: request.query.get('saveReport') ?? undefined,
+                    outputFolder: request.query.get('outputFolder') || undefined,
+                    conflictBehavior: request.query.get('conflictBehavior') || undefined
+                };
+                context.log(`📥 GET request - fileName: ${fileName}, format: ${outputFormat}, source: ${source || 'default'}`);
+            } else if (isMultipartRequest(request)) {
+                const upload = await readMultipartUpload(request);
+                fileName = upload.fileName;
+                vttContent = upload.content;
+                videoUrl = upload.fields.videoUrl;
+                profile = upload.fields.profile || request.query.get('profile') || undefined;
+                custom = {
+                    template: upload.fields.template || request.query.get('template') || undefined,
+                    outputSchema: upload.fields.outputSchema || undefined
+                };
+                localization = {
+                    language: upload.fields.language || request.query.get('language') || undefined,
+                    locale: upload.fields.locale || request.query.get('locale') || undefined,
+                    timeZone: upload.fields.timeZone || request.query.get('timeZone') || undefined
+                };
+                redaction = {
+                    redact: upload.fields.redact ?? request.query.get('redact') ?? undefined,
+                    terms: upload.fields.redactTerms || request.query.get('redactTerms') || undefined,
+                    patterns: upload.fields.redactPatterns || request.query.get('redactPatterns') || undefined,
+                    reveal: upload.fields.reveal ?? request.query.get('reveal') ?? undefined,
+                    revealKey: request.headers.get('x-redaction-key') || undefined
+                };
+                outputFormat = upload.fields.outputFormat || request.query.get('format') || 'json';
+                context.log(`📥 Multipart upload - fileName: ${fileName}, length: ${vttContent.length}, format: ${outputFormat}`);
             } else {
                 const body = await request.text();
                 context.log(`📥 POST request - body length: ${body?.length || 0}`);
 
                 if (!body || body.trim() === '') {
-                    throw new Error('Request body is empty');
+                    throw createError('INVALID_REQUEST', 'Request body is empty');
                 }
 
-                try {
-                    const requestData = JSON.parse(body);
-                    fileName = requestData.name;
-                    batchMode = requestData.batchMode || false;
-                    fileNames = requestData.fileNames || [];
-                    outputFormat = requestData.outputFormat || 'json';
+                if (isRawVttBody(request, body)) {
+                    fileName = request.query.get('name') || 'upload.vtt';
+                    vttContent = body;
+                    videoUrl = request.query.get('videoUrl') || undefined;
+                    profile = request.query.get('profile') || undefined;
+                    custom = { template: request.query.get('template') || undefined };
+                    localization = queryLocalization(request);
+                    redaction = queryRedaction(request);
+                    outputFormat = request.query.get('format') || 'json';
+                    context.log(`📥 Raw VTT upload - fileName: ${fileName}, format: ${outputFormat}`);
+                } else {
+                    try {
+                        const requestData = JSON.parse(body);
+                        fileName = requestData.name;
+                        batchMode = requestData.batchMode || false;
+                        fileNames = requestData.fileNames || [];
+                        outputFormat = requestData.outputFormat || 'json';
+                        source = requestData.source;
+                        itemId = requestData.itemId;
+                        concurrency = requestData.concurrency;
+                        asyncJob = requestData.async === true;
+                        filePath = requestData.path;
+                        profile = requestData.profile;
+                        custom = { template: requestData.template, outputSchema: requestData.outputSchema };
+                        localization = { language: requestData.language, locale: requestData.locale, timeZone: requestData.timeZone };
+                        redaction = {
+                            redact: requestData.redact,
+                            terms: requestData.redactTerms,
+                            patterns: requestData.redactPatterns,
+                            reveal: requestData.reveal,
+                            revealKey: request.headers.get('x-redaction-key') || undefined
+                        };
+                        writeBack = {
+                            saveReport: requestData.saveReport,
+                            outputFolder: requestData.outputFolder,
+                            conflictBehavior: requestData.conflictBehavior
+                        };
+                        if (typeof requestData.vttContent === 'string') {
+                            vttContent = requestData.vttContent;
+                            videoUrl = requestData.videoUrl;
+                        }
 
-                    context.log(`📥 Parsed request - batchMode: ${batchMode}, files: ${fileNames.length || 1}, format: ${outputFormat}`);
-                } catch (parseError) {
-                    throw new Error(`Invalid JSON format: ${parseError.message}`);
+                        context.log(`📥 Parsed request - batchMode: ${batchMode}, files: ${fileNames.length || 1}, format: ${outputFormat}, inline: ${vttContent !== null}`);
+                    } catch (parseError) {
+                        throw createError('INVALID_REQUEST', `Invalid JSON format: ${parseError.message}`);
+                    }
                 }
             }
 
-            if (batchMode && fileNames.length > 1) {
+            if (vttContent !== null) {
+                context.log(`📤 Processing uploaded VTT content: ${fileName || 'upload.vtt'}`);
+                return await processSingleFile(context, fileName, outputFormat, { upload: { vttContent, videoUrl }, profile, custom, localization, redaction });
+            }
+
+            if (asyncJob && fileNames.length > 0) {
+                context.log(`🔄 Starting async job for ${fileNames.length} files`);
+                return await startBatchJob(context, fileNames, outputFormat, { source, concurrency, writeBack, profile, custom, localization, redaction });
+            } else if (batchMode && fileNames.length > 1) {
                 context.log(`🔄 Starting batch processing for ${fileNames.length} files`);
-                return await processBatchFiles(context, fileNames, outputFormat);
+                return await processBatchFiles(context, fileNames, outputFormat, { source, concurrency, writeBack, profile, custom, localization, redaction });
             } else {
-                const singleFile = fileName || (fileNames.length > 0 ? fileNames[0] : null);
+                const singleFile = fileName || (fileNames.length > 0 ? fileNames[0] : null) || filePath || itemId;
                 if (!singleFile) {
-                    throw new Error('File name is required (provide "name" parameter or fileNames array)');
+                    throw createError('INVALID_REQUEST', 'File name is required (provide "name", "path" or "itemId" parameter or fileNames array)');
                 }
                 context.log(`🎥 Processing single file: ${singleFile}`);
-                return await processSingleFile(context, singleFile, outputFormat);
+                return await processSingleFile(context, singleFile, outputFormat, { source, itemId, path: filePath, writeBack, profile, custom, localization, redaction });
             }
 
         } catch (error) {
-            context.log.error('❌ Function execution failed:', error?.message || error);
+            const code = classifyError(error);
+            context.log.error(`❌ Function execution failed (${code}):`, error?.message || error);
             context.log.error('❌ Function error stack:', error?.stack || 'No stack trace');
+            return errorResponse(context, failure(code, publicMessage(error, code), {
+                cause: error,
+                processingTimeMs: Date.now() - startTime
+            }));
+        }
+    })
+});
+
+// ✅ Job Status Route: progress while running, aggregated batch result once completed
+app.http('ProcessVttFileJobs', {
+    methods: ['GET'],
+    authLevel: 'function',
+    route: 'ProcessVttFile/jobs/{id}',
+    handler: withCorrelationId(async (request, context) => {
+        setupLogging(context);
+        const jobId = request.params?.id;
+        try {
+            const config = loadConfig(context);
+            const store = createJobStore(context, config);
+            const job = jobId ? await store.get(jobId) : null;
+            if (!job) {
+                return errorResponse(context, failure('JOB_NOT_FOUND', `Job not found: ${jobId}`));
+            }
+            if (markStaleJob(job, resolveStaleAfterMs(config.jobStaleAfterMs))) {
+                context.log.warn(`⚠️ Job ${job.id} marked failed: ${job.error}`);
+                await store.save(job);
+            }
+            const includeResult = request.query.get('includeResult') !== 'false';
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ success: true, ...toJobStatus(job, { includeResult }) })
+            };
+        } catch (error) {
+            const code = classifyUpstreamError(error);
+            context.log.error(`❌ Job status lookup failed for ${jobId} (${code}):`, error?.message || error);
+            return errorResponse(context, failure(code, 'Job status lookup failed', { cause: error }));
+        }
+    })
+});
 
+// ✅ Job Worker: runs the batch of a job enqueued by ProcessVttFile. A message redelivered after a lost
+// worker reruns the job; finished jobs are skipped, so a duplicate delivery does no work twice.
+app.storageQueue('ProcessVttFileJobWorker', {
+    queueName: process.env.JOB_QUEUE_NAME || 'vtt-batch-jobs',
+    connection: 'AzureWebJobsStorage',
+    handler: async (message, context) => {
+        setupLogging(context);
+        await runBatchJob(context, message?.jobId, context.triggerMetadata?.dequeueCount);
+    }
+});
+
+// ✅ Graph Change Notifications: subscription validation and drive change handling.
+// Graph expects an answer within seconds, so changed drives are queued and synced by ProcessVttFileDriveSync.
+app.http('ProcessVttFileNotifications', {
+    methods: ['POST'],
+    authLevel: 'function',
+    route: 'ProcessVttFile/notifications',
+    extraOutputs: [driveSyncQueueOutput],
+    handler: withCorrelationId(async (request, context) => {
+        setupLogging(context);
+
+        const validationToken = request.query.get('validationToken');
+        if (validationToken) {
+            context.log('🔔 Graph subscription validation request');
             return {
-                status: 500,
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({
-                    success: false,
-                    error: 'Function execution failed',
-                    message: error?.message || String(error),
-                    stack: error?.stack || 'No stack trace',
-                    timestamp: new Date().toISOString(),
-                    processingTimeMs: Date.now() - startTime
-                })
+                status: 200,
+                headers: { 'Content-Type': 'text/plain' },
+                body: validationToken
             };
         }
+
+        try {
+            const config = loadConfig(context);
+            const body = JSON.parse((await request.text()) || '{}');
+            const { driveIds, received, rejected } = await collectChangedDrives(context, config, body);
+            context.log(`🔔 Notifications received: ${received}, rejected: ${rejected}, drives: ${driveIds.length}`);
+
+            if (driveIds.length > 0) {
+                context.extraOutputs.set(driveSyncQueueOutput, driveIds.map(driveId => ({ driveId })));
+            }
+            return { status: 202 };
+        } catch (error) {
+            const code = classifyError(error, 'INVALID_REQUEST');
+            context.log.error(`❌ Notification handling failed (${code}):`, error?.message || error);
+            return errorResponse(context, failure(code, code === 'INVALID_REQUEST' ? 'Invalid notification payload' : publicMessage(error, code), { cause: error }));
+        }
+    })
+});
+
+// ✅ Drive Sync Worker: delta sync and processing for one changed drive. A failed sync throws, so the
+// queue retries the message; items are claimed individually and never processed twice.
+app.storageQueue('ProcessVttFileDriveSync', {
+    queueName: process.env.DRIVE_SYNC_QUEUE_NAME || 'vtt-drive-changes',
+    connection: 'AzureWebJobsStorage',
+    handler: async (message, context) => {
+        setupLogging(context);
+        const driveId = message?.driveId;
+        if (!driveId) {
+            context.log.warn('⚠️ Drive sync message without driveId; dropped');
+            return;
+        }
+        const config = loadConfig(context);
+        const results = await syncDriveChanges(context, config, driveId, (fileName, { itemId }) =>
+            processSingleVttFile(context, fileName, config.webhookOutputFormat || 'json', {
+                source: 'sharepoint',
+                itemId,
+                config: { ...config, sharepointDriveId: driveId }
+            })
+        );
+        context.log(`🔔 Drive ${driveId} synced: ${results.length} transcript(s) processed`);
     }
 });
 
-// ✅ Single File Handler
-async function processSingleFile(context, fileName, outputFormat = 'json') {
-    const result = await processSingleVttFile(context, fileName, outputFormat);
+// ✅ Subscription Management: GET lists stored subscriptions, POST creates one for a drive
+app.http('ProcessVttFileSubscriptions', {
+    methods: ['GET', 'POST'],
+    authLevel: 'function',
+    route: 'ProcessVttFile/subscriptions',
+    handler: withCorrelationId(async (request, context) => {
+        setupLogging(context);
+        try {
+            const config = loadConfig(context);
+            const missingConfig = getSourceRequirements('sharepoint').filter(key => key !== 'sharepointDriveId' && !config[key]);
+            if (missingConfig.length > 0) {
+                context.log.error('❌ Missing required configuration:', missingConfig.join(', '));
+                throw createError('CONFIG_MISSING', `Missing required configuration: ${missingConfig.join(', ')}`, { missing: missingConfig });
+            }
+
+            if (request.method === 'GET') {
+                const subscriptions = await listSubscriptions(context, config);
+                return {
+                    status: 200,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ success: true, subscriptions })
+                };
+            }
+
+            const text = await request.text();
+            let options;
+            try {
+                options = text && text.trim() ? JSON.parse(text) : {};
+            } catch (parseError) {
+                throw createError('INVALID_REQUEST', `Invalid JSON format: ${parseError.message}`);
+            }
+            const subscription = await createSubscription(context, config, options);
+            return {
+                status: 201,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ success: true, subscription })
+            };
+        } catch (error) {
+            const code = classifyUpstreamError(error);
+            context.log.error(`❌ Subscription request failed (${code}):`, error?.message || error);
+            return errorResponse(context, failure(code, publicMessage(error, code), { cause: error, debug: { missing: error?.missing } }));
+        }
+    })
+});
+
+// ✅ Subscription Renewal: drive subscriptions expire after ~29 days. Every run also queues a sync of
+// each subscribed drive, which retries items that failed transiently or lost their worker.
+app.timer('RenewGraphSubscriptions', {
+    schedule: process.env.SUBSCRIPTION_RENEW_SCHEDULE || '0 0 */6 * * *',
+    extraOutputs: [driveSyncQueueOutput],
+    handler: async (timer, context) => {
+        setupLogging(context);
+        try {
+            const config = loadConfig(context);
+            const results = await renewSubscriptions(context, config);
+            context.log(`🔔 Subscription renewal checked ${results.length}, renewed ${results.filter(r => r.renewed).length}`);
+            const driveIds = await listSubscribedDrives(context, config);
+            if (driveIds.length > 0) {
+                context.extraOutputs.set(driveSyncQueueOutput, driveIds.map(driveId => ({ driveId })));
+            }
+        } catch (error) {
+            context.log.error('❌ Subscription renewal failed:', error?.message || error);
+        }
+    }
+});
+
+// ✅ Single File Handler (transcript source lookup, or inline content when options.upload is set)
+async function processSingleFile(context, fileName, outputFormat = 'json', options = {}) {
+    const { upload, ...lookup } = options;
+    const result = upload
+        ? await processUploadedVtt(context, upload.vttContent, fileName, outputFormat, { videoUrl: upload.videoUrl, profile: lookup.profile, custom: lookup.custom, localization: lookup.localization, redaction: lookup.redaction })
+        : await processSingleVttFile(context, fileName, outputFormat, lookup);
     const status = result && result.status ? result.status : (result?.success ? 200 : 500);
 
     if (outputFormat.toLowerCase() === 'html' && result.htmlContent) {
+        const headers = { 'Content-Type': 'text/html; charset=utf-8', 'X-Content-Type-Options': 'nosniff' };
+        // The HTML body has no room for the save outcome, so the saved report's URL travels as a header
+        if (result.savedReport?.webUrl) headers['X-Saved-Report-Url'] = result.savedReport.webUrl;
         return {
             status: status,
-            headers: { 'Content-Type': 'text/html' },
+            headers,
             body: result.htmlContent
         };
     }
 
+    // DOCX/PDF reports and transcript exports are answered as the file itself
+    if ((isDocumentFormat(outputFormat) || isTranscriptFormat(outputFormat)) && result.success && result.downloadable?.content !== undefined) {
+        const { contentType, fileName: documentName, content } = result.downloadable;
+        const headers = {
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="${documentName}"`
+        };
+        if (result.savedReport?.webUrl) headers['X-Saved-Report-Url'] = result.savedReport.webUrl;
+        if (result.metadata?.replacedCharacters) headers['X-Replaced-Characters'] = String(result.metadata.replacedCharacters.count);
+        return {
+            status: status,
+            headers,
+            body: content
+        };
+    }
+
+    if (!result.success) {
+        return errorResponse(context, { ...result, status });
+    }
+
     return {
         status: status,
         headers: { 'Content-Type': 'application/json' },
@@ -126,61 +451,123 @@ async function processSingleFile(context, fileName, outputFormat = 'json') {
     };
 }
 
-// ✅ Batch Handler with Option 1A semantics and token aggregation
-async function processBatchFiles(context, fileNames, outputFormat = 'json') {
-    const results = [];
-    const batchStartTime = Date.now();
+// Redaction options from the query string (GET and raw VTT uploads); the reveal key only ever comes as a header
+function queryRedaction(request) {
+    return {
+        redact: request.query.get('redact') ?? undefined,
+        terms: request.query.get('redactTerms') || undefined,
+        patterns: request.query.get('redactPatterns') || undefined,
+        reveal: request.query.get('reveal') ?? undefined,
+        revealKey: request.headers.get('x-redaction-key') || undefined
+    };
+}
 
-    const concurrencyLimit = 1;
-    const batches = chunkArray(fileNames, concurrencyLimit);
+// Localization options from the query string (GET and raw VTT uploads)
+function queryLocalization(request) {
+    return {
+        language: request.query.get('language') || undefined,
+        locale: request.query.get('locale') || undefined,
+        timeZone: request.query.get('timeZone') || undefined
+    };
+}
 
-    context.log(`🧪 BATCH MODE: concurrencyLimit=${concurrencyLimit}, totalFiles=${fileNames.length}, totalBatches=${batches.length}`);
+// ✅ Upload helpers
+function isMultipartRequest(request) {
+    const contentType = (request.headers.get('content-type') || '').toLowerCase();
+    return contentType.startsWith('multipart/form-data');
+}
 
+function isRawVttBody(request, body) {
+    const contentType = (request.headers.get('content-type') || '').toLowerCase();
+    return contentType.startsWith('text/vtt') || /^\uFEFF?WEBVTT(?:[ \t\r\n]|$)/.test(body);
+}
+
+// Reads the first file part of a multipart/form-data body plus any plain text fields
+async function readMultipartUpload(request) {
+    let form;
     try {
-        for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-            const batch = batches[batchIndex];
-            context.log(`▶️ Processing batch ${batchIndex + 1}/${batches.length} (size=${batch.length})`);
-
-            for (const fileName of batch) {
-                const fileStartTime = Date.now();
-                context.log(`  • Processing file in batch: ${fileName}`);
-                try {
-                    const fileResult = await processSingleVttFile(context, fileName, outputFormat);
-                    results.push({
-                        fileName,
-                        success: fileResult.success === true,
-                        processingTimeMs: Date.now() - fileStartTime,
-                        ...fileResult
-                    });
-                } catch (error) {
-                    context.log.error(`  ❌ Unhandled error for ${fileName}:`, error);
-                    context.log.error(`  ❌ Error stack for ${fileName}:`, error?.stack || 'No stack trace');
-                    results.push({
-                        fileName,
-                        success: false,
-                        error: error?.message || String(error),
-                        stack: error?.stack || 'No stack trace',
-                        processingTimeMs: Date.now() - fileStartTime
-                    });
-                }
-            }
+        form = await request.formData();
+    } catch (formError) {
+        throw createError('INVALID_REQUEST', `Invalid multipart body: ${formError.message}`);
+    }
+    const fields = {};
+    let filePart = null;
+    for (const [key, value] of form.entries()) {
+        if (typeof value === 'string') {
+            fields[key] = value;
+        } else if (!filePart) {
+            filePart = value;
+        }
+    }
+
+    if (!filePart && typeof fields.vttContent === 'string') {
+        return { fileName: fields.name || 'upload.vtt', content: fields.vttContent, fields };
+    }
+    if (!filePart) {
+        throw createError('INVALID_REQUEST', 'Multipart request does not contain a file part');
+    }
+
+    return {
+        fileName: fields.name || filePart.name || 'upload.vtt',
+        content: await filePart.text(),
+        fields
+    };
+}
+
+// ✅ Batch Handler with Option 1A semantics and token aggregation
+async function processBatchFiles(context, fileNames, outputFormat = 'json', options = {}) {
+    const body = await runBatch(context, fileNames, outputFormat, options);
+    return {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...body, correlationId: context.correlationId })
+    };
+}
+
+// Runs the batch and returns the aggregated result; options.tracker receives per-file progress
+async function runBatch(context, fileNames, outputFormat = 'json', options = {}) {
+    const batchStartTime = Date.now();
+    const { tracker } = options;
+    const concurrencyLimit = resolveConcurrency(options.concurrency);
 
-            if (batchIndex < batches.length - 1) {
-                context.log('⏸️ Waiting 1s before next batch...');
-                await new Promise(resolve => setTimeout(resolve, 1000));
+    context.log(`🧪 BATCH MODE: concurrencyLimit=${concurrencyLimit}, totalFiles=${fileNames.length}`);
+
+    // Configuration is read once per batch; clients and the drive listing are cached at module level
+    const config = loadConfig(context);
+
+    const results = await runWithConcurrency(fileNames, concurrencyLimit, async (fileName, index) => {
+        const fileStartTime = Date.now();
+        const retrier = createRetrier(context);
+        context.log(`  • Processing file ${index + 1}/${fileNames.length}: ${fileName}`);
+        if (tracker) tracker.onFileStart(index);
+        let entry;
+        try {
+            const fileResult = await processSingleVttFile(context, fileName, outputFormat, { source: options.source, writeBack: options.writeBack, profile: options.profile, custom: options.custom, localization: options.localization, redaction: options.redaction, config, retrier });
+            entry = {
+                fileName,
+                success: fileResult.success === true,
+                processingTimeMs: Date.now() - fileStartTime,
+                retries: retrier.count,
+                ...fileResult
+            };
+            // Batch results are JSON, so DOCX/PDF content travels base64-encoded
+            if (Buffer.isBuffer(entry.downloadable?.content)) {
+                entry.downloadable = { ...entry.downloadable, content: entry.downloadable.content.toString('base64'), encoding: 'base64' };
             }
+        } catch (error) {
+            context.log.error(`  ❌ Unhandled error for ${fileName}:`, error);
+            context.log.error(`  ❌ Error stack for ${fileName}:`, error?.stack || 'No stack trace');
+            const code = classifyError(error);
+            entry = {
+                fileName,
+                ...failure(code, publicMessage(error, code), { cause: error }),
+                processingTimeMs: Date.now() - fileStartTime,
+                retries: retrier.count
+            };
         }
-    } catch (err) {
-        context.log.error('❌ Unhandled error in processBatchFiles:', err);
-        context.log.error('❌ Batch error stack:', err?.stack || 'No stack trace');
-        results.push({
-            fileName: 'BatchError',
-            success: false,
-            error: err?.message || String(err),
-            stack: err?.stack || 'No stack trace',
-            processingTimeMs: Date.now() - batchStartTime
-        });
-    }
+        if (tracker) tracker.onFileDone(index, entry);
+        return entry;
+    });
 
     const batchTotalTime = Date.now() - batchStartTime;
     const successfulFiles = results.filter(r => r.success);
@@ -198,398 +585,779 @@ async function processBatchFiles(context, fileNames, outputFormat = 'json') {
         return acc;
     }, { prompt: 0, completion: 0, total: 0 });
 
+    const cacheTotals = results.reduce((acc, r) => mergeCacheStats(acc, r?.metadata?.cache), createCacheStats());
+    // Same speaker name across files is treated as the same person
+    const speakerTotals = aggregateSpeakerAnalytics(results.map(r => r.speakerAnalytics));
+
     return {
-        status: 200,
-        headers: { 'Content-Type': 'application/json' },
+        success: anySuccess,
+        partialSuccess: anySuccess && !allSuccess,
+        batchMode: true,
+        processedFiles: results.length,
+        successfulFiles: successfulFiles.length,
+        failedFiles: results.length - successfulFiles.length,
+        results,
+        metadata: {
+            batchProcessingTimeMs: batchTotalTime,
+            averageTimePerFile: Math.round(batchTotalTime / Math.max(1, results.length)),
+            concurrencyLimit,
+            totalRetries: results.reduce((sum, r) => sum + (r.retries || 0), 0),
+            outputFormat,
+            timestamp: new Date().toISOString(),
+            openaiTokensTotal: tokenTotals,
+            cacheTotals,
+            speakerTotals
+        }
+    };
+}
+
+// ✅ Async Job Handler: persists the job with its request and enqueues the job ID; answers 202.
+// ProcessVttFileJobWorker runs the batch; poll ProcessVttFile/jobs/{id} for progress.
+async function startBatchJob(context, fileNames, outputFormat = 'json', options = {}) {
+    // Job documents are stored, so revealed PII (and the reveal key) must never end up in one
+    if (options.redaction?.reveal === true || /^(true|1|yes)$/i.test(String(options.redaction?.reveal ?? ''))) {
+        throw createError('INVALID_OPTION', 'reveal is not available for async jobs, whose results are stored');
+    }
+    const config = loadConfig(context);
+    const store = createJobStore(context, config);
+    const { revealKey, ...redaction } = options.redaction || {};
+    const request = {
+        fileNames,
+        outputFormat,
+        options: {
+            source: options.source,
+            concurrency: options.concurrency,
+            writeBack: options.writeBack,
+            profile: options.profile,
+            custom: options.custom,
+            localization: options.localization,
+            redaction
+        }
+    };
+    const job = createJobDocument({ fileNames, outputFormat, source: options.source, concurrency: options.concurrency, profile: options.profile, template: options.custom?.template, language: options.localization?.language, correlationId: context.correlationId, request });
+    await store.save(job);
+    context.extraOutputs.set(jobQueueOutput, { jobId: job.id });
+    context.log(`📨 Job ${job.id} queued (${fileNames.length} files, store: ${store.kind})`);
+
+    const statusUrl = `/api/ProcessVttFile/jobs/${job.id}`;
+    return {
+        status: 202,
+        headers: { 'Content-Type': 'application/json', Location: statusUrl },
         body: JSON.stringify({
-            success: anySuccess,
-            partialSuccess: anySuccess && !allSuccess,
-            batchMode: true,
-            processedFiles: results.length,
-            successfulFiles: successfulFiles.length,
-            failedFiles: results.length - successfulFiles.length,
-            results,
-            metadata: {
-                batchProcessingTimeMs: batchTotalTime,
-                averageTimePerFile: Math.round(batchTotalTime / Math.max(1, results.length)),
-                concurrencyLimit,
-                totalBatches: batches.length,
-                outputFormat,
-                timestamp: new Date().toISOString(),
-                openaiTokensTotal: tokenTotals
-            }
+            success: true,
+            jobId: job.id,
+            correlationId: job.correlationId,
+            status: 'queued',
+            totalFiles: job.totalFiles,
+            statusUrl,
+            createdAt: job.createdAt
         })
     };
 }
 
+// Runs a stored job to completion; failures are recorded in the job instead of poisoning the queue
+async function runBatchJob(context, jobId, dequeueCount = 1) {
+    const config = loadConfig(context);
+    const store = createJobStore(context, config);
+    const job = jobId ? await store.get(jobId) : null;
+    if (!job) {
+        context.log.warn(`⚠️ Job ${jobId} not found; message dropped`);
+        return;
+    }
+    if (job.status !== 'queued' && job.status !== 'running') {
+        context.log(`⏭️ Job ${job.id} already ${job.status}; message dropped`);
+        return;
+    }
+    if (job.status === 'running') {
+        context.log.warn(`⚠️ Job ${job.id} was running on a lost worker; rerunning (delivery ${dequeueCount})`);
+    }
+
+    const tracker = createJobTracker(context, store, job);
+    try {
+        if (!job.request) throw createError('INTERNAL_ERROR', `Job ${job.id} has no stored request`);
+        const { fileNames, outputFormat, options } = job.request;
+        await tracker.start();
+        const result = await runBatch(context, fileNames, outputFormat, { ...options, tracker });
+        await tracker.complete({ ...result, correlationId: job.correlationId });
+        context.log(`🏁 Job ${job.id} completed`);
+    } catch (error) {
+        context.log.error(`❌ Job ${job.id} failed:`, error?.message || error);
+        await tracker.fail(error);
+    }
+}
+
+// Request option errors carry their own code; template reads from Blob storage fail as upstream errors
+function optionFailure(context, optionError, extra) {
+    const code = classifyUpstreamError(optionError);
+    context.log.error(`❌ Invalid options (${code}):`, optionError?.message || optionError);
+    return failure(code, publicMessage(optionError, code), { cause: optionError, ...extra });
+}
+
 // ✅ Granular Error Logging & Debug Statements in processSingleVttFile
-async function processSingleVttFile(context, fileName, outputFormat = 'json') {
+async function processSingleVttFile(context, fileName, outputFormat = 'json', options = {}) {
     const processingStartTime = Date.now();
     try {
         context.log(`🎬 Starting VTT processing for: ${fileName}`);
 
-        // Configuration
-        let config;
+        const config = options.config || loadConfig(context);
+        const cacheStats = createCacheStats();
+        const retrier = options.retrier || createRetrier(context);
+        let sourceKind;
         try {
-            config = {
-                tenantId: process.env.TENANT_ID,
-                clientId: process.env.CLIENT_ID,
-                clientSecret: process.env.CLIENT_SECRET,
-                openaiEndpoint: process.env.OPENAI_ENDPOINT,
-                openaiKey: process.env.OPENAI_KEY,
-                deployment: process.env.OPENAI_DEPLOYMENT || 'gpt-4o-text',
-                sharepointDriveId: process.env.SHAREPOINT_DRIVE_ID,
-                sharepointSiteUrl: process.env.SHAREPOINT_SITE_URL
-            };
-            const loggedConfig = { ...config, clientSecret: '***', openaiKey: '***' };
-            context.log('🔧 Loaded configuration:', JSON.stringify(loggedConfig));
-        } catch (configError) {
-            context.log.error('❌ Error loading configuration:', configError?.message || configError);
-            throw configError;
+            sourceKind = resolveSourceKind(options.source, config);
+        } catch (sourceError) {
+            return failure('INVALID_OPTION', sourceError.message, {
+                processedAt: new Date().toISOString(),
+                processingTimeMs: Date.now() - processingStartTime
+            });
+        }
+
+        let writeBack, profile, custom, localization, redaction;
+        try {
+            writeBack = resolveWriteBack(config, options.writeBack);
+            profile = resolveProfile(options.profile, config);
+            custom = await resolveCustomAnalysis(context, config, options.custom);
+            localization = resolveLocalization(options.localization, config);
+            redaction = resolveRedaction(options.redaction, config);
+        } catch (optionError) {
+            return optionFailure(context, optionError, {
+                processedAt: new Date().toISOString(),
+                processingTimeMs: Date.now() - processingStartTime
+            });
         }
 
-        const requiredConfig = ['tenantId', 'clientId', 'clientSecret', 'openaiKey', 'openaiEndpoint', 'sharepointDriveId'];
+        // Transcript exports never call the model
+        const needsModel = !isTranscriptFormat(outputFormat);
+        const requiredConfig = [...(needsModel ? REQUIRED_OPENAI_CONFIG : []), ...getSourceRequirements(sourceKind)];
         const missingConfig = requiredConfig.filter(key => !config[key]);
         if (missingConfig.length > 0) {
             context.log.error('❌ Missing required configuration:', missingConfig.join(', '));
-            return {
-                success: false,
-                status: 500,
-                error: `Missing required configuration: ${missingConfig.join(', ')}`,
+            return failure('CONFIG_MISSING', undefined, {
+                debug: { missing: missingConfig },
                 processedAt: new Date().toISOString(),
                 processingTimeMs: Date.now() - processingStartTime
-            };
-        }
-        context.log('✅ Configuration validated');
-
-        let openaiClient;
-        try {
-            openaiClient = new OpenAI({
-                apiKey: config.openaiKey,
-                baseURL: `${config.openaiEndpoint}/openai/deployments/${config.deployment}`,
-                defaultQuery: { 'api-version': '2024-08-01-preview' },
-                defaultHeaders: { 'api-key': config.openaiKey }
             });
-            context.log('✅ OpenAI client initialized');
-        } catch (openaiError) {
-            context.log.error('❌ Error initializing OpenAI client:', openaiError?.message || openaiError);
-            throw openaiError;
         }
+        context.log(`✅ Configuration validated (source: ${sourceKind})`);
+
+        const openaiClient = needsModel ? createOpenAIClient(context, config, cacheStats) : null;
 
-        let graphClient;
+        let source;
         try {
-            const credential = new ClientSecretCredential(
-                config.tenantId,
-                config.clientId,
-                config.clientSecret
-            );
-            const authProvider = new TokenCredentialAuthenticationProvider(credential, {
-                scopes: ['https://graph.microsoft.com/.default']
-            });
-            graphClient = Client.initWithMiddleware({ authProvider });
-            context.log('✅ Graph client initialized');
-        } catch (graphError) {
-            context.log.error('❌ Error initializing Graph client:', graphError?.message || graphError);
-            throw graphError;
+            source = createTranscriptSource(context, config, sourceKind, { stats: cacheStats, retrier });
+        } catch (sourceError) {
+            context.log.error(`❌ Error initializing ${sourceKind} source:`, sourceError?.message || sourceError);
+            throw sourceError;
         }
 
-        let driveItems;
+        const fileQuery = options.itemId || options.path
+            ? { name: fileName, itemId: options.itemId, path: options.path }
+            : fileName;
+        context.log(`🔎 Selecting target file for request: ${describeQuery(fileQuery)}`);
+        let targetFile;
         try {
-            context.log(`🔍 Searching for VTT files in drive: ${config.sharepointDriveId}`);
-            driveItems = await graphClient.api(`/drives/${config.sharepointDriveId}/root/children`).get();
-        } catch (driveError) {
-            context.log.error('❌ Error fetching drive items:', driveError?.message || driveError);
-            return {
-                success: false,
-                status: 500,
-                error: `Error fetching drive items: ${driveError?.message || driveError}`,
+            targetFile = await source.findFile(fileQuery);
+        } catch (listError) {
+            if (listError?.code === 'AMBIGUOUS_FILE') {
+                context.log.error(`❌ Ambiguous file request: ${listError.message}`);
+                // The matching names and paths describe the drive, so callers only get the count
+                return failure('AMBIGUOUS_FILE', listError.message, {
+                    candidateCount: listError.candidates?.length || 0,
+                    debug: { candidates: listError.candidates },
+                    processedAt: new Date().toISOString(),
+                    processingTimeMs: Date.now() - processingStartTime
+                });
+            }
+            const code = classifyUpstreamError(listError);
+            context.log.error(`❌ Error fetching drive items (${code}):`, listError?.message || listError);
+            return failure(code, undefined, {
+                cause: listError,
                 processedAt: new Date().toISOString(),
                 processingTimeMs: Date.now() - processingStartTime
-            };
-        }
-
-        const vttFiles = [];
-        for (const item of driveItems.value) {
-            if (item.file && item.name.toLowerCase().endsWith('.vtt')) {
-                vttFiles.push(item);
-                context.log(`  📄 VTT: ${item.name} (${item.size} bytes)`);
-            } else if (item.folder) {
-                try {
-                    const folderItems = await graphClient
-                        .api(`/drives/${config.sharepointDriveId}/items/${item.id}/children`)
-                        .get();
-                    for (const subItem of folderItems.value) {
-                        if (subItem.file && subItem.name.toLowerCase().endsWith('.vtt')) {
-                            vttFiles.push(subItem);
-                            context.log(`    📄 VTT in ${item.name}: ${subItem.name} (${subItem.size} bytes)`);
-                        }
-                    }
-                } catch (folderError) {
-                    context.log.error(`    ❌ Cannot access folder ${item.name}: ${folderError?.message || folderError}`);
-                }
-            }
-        }
-        context.log(`🎬 Total VTT files found: ${vttFiles.length}`);
-
-        context.log(`🔎 Selecting target file for request: ${fileName}`);
-        let targetFile = vttFiles.find(file => file.name.toLowerCase() === fileName.toLowerCase());
-        if (!targetFile) {
-            targetFile = vttFiles.find(file =>
-                file.name.toLowerCase().includes(fileName.replace('.vtt', '').toLowerCase())
-            );
+            });
         }
         if (!targetFile) {
-            const availableFiles = vttFiles.map(f => f.name).slice(0, 10);
-            context.log.error(`❌ File not found: ${fileName}`);
-            return {
-                success: false,
-                status: 404,
-                error: `File not found: ${fileName}`,
-                availableFiles,
+            context.log.error(`❌ File not found: ${describeQuery(fileQuery)}`);
+            // Names that only contain the requested one are counted, never processed; they and the
+            // other files in the drive are only listed in debug mode
+            const candidates = typeof fileQuery === 'string' && !fileQuery.includes('/')
+                ? findPartialMatches(await source.listFiles(), fileQuery)
+                : [];
+            const availableFiles = isDebugEnabled()
+                ? (await source.listFiles()).map(f => f.path || f.name).slice(0, 10)
+                : undefined;
+            const hint = candidates.length > 0
+                ? `; ${candidates.length} file(s) contain this name, request one by its exact name, path or item ID`
+                : '';
+            return failure('FILE_NOT_FOUND', `File not found: ${describeQuery(fileQuery)}${hint}`, {
+                ...(candidates.length > 0 ? { candidateCount: candidates.length } : {}),
+                debug: { candidates: candidates.length > 0 ? candidates : undefined, availableFiles },
                 processedAt: new Date().toISOString(),
                 processingTimeMs: Date.now() - processingStartTime
-            };
+            });
         }
-        context.log(`✅ Found file: ${targetFile.name} (${targetFile.size} bytes)`);
+        context.log(`✅ Found file: ${targetFile.path || targetFile.name} (${targetFile.size} bytes, id: ${targetFile.id})`);
 
         let vttContent;
-        let wasTruncated = false;
         try {
-            context.log(`🔎 Fetching file details for download URL (id: ${targetFile.id})`);
-            const fileDetails = await graphClient
-                .api(`/drives/${config.sharepointDriveId}/items/${targetFile.id}`)
-                .select('@microsoft.graph.downloadUrl,name,size,id')
-                .get();
-
-            const downloadUrl = fileDetails['@microsoft.graph.downloadUrl'] || targetFile['@microsoft.graph.downloadUrl'];
-            context.log(`⬇️ Download URL present: ${Boolean(downloadUrl)} for ${fileDetails.name}`);
-            if (!downloadUrl) {
-                return {
-                    success: false,
-                    status: 502,
-                    error: 'Download URL not available for the selected file.',
-                    fileId: targetFile.id,
-                    fileName: targetFile.name,
-                    processedAt: new Date().toISOString(),
-                    processingTimeMs: Date.now() - processingStartTime
-                };
-            }
-
-            const httpFetch = globalThis.fetch ? globalThis.fetch.bind(globalThis) : fetch;
-            const response = await httpFetch(downloadUrl);
-            context.log(`⬇️ HTTP GET ${response.status} for VTT content (${targetFile.name})`);
-            if (!response.ok) {
-                throw new Error(`Failed to download VTT: HTTP ${response.status}`);
-            }
-
-            const raw = await response.text();
-            const MAX_CHARS = Number(process.env.MAX_VTT_CHARS || 32000);
-            wasTruncated = raw.length > MAX_CHARS;
-            vttContent = wasTruncated ? raw.slice(0, MAX_CHARS) : raw;
-            context.log(`✅ Downloaded content: ${raw.length} characters`);
-            if (wasTruncated) {
-                context.log(`⚠️ Content truncated from ${raw.length} to ${MAX_CHARS} characters`);
-            }
+            vttContent = await source.download(targetFile);
+            context.log(`✅ Downloaded content: ${vttContent.length} characters`);
         } catch (downloadError) {
-            context.log.error('❌ Error downloading VTT file:', downloadError);
+            // A file that vanished between listing and download is still a 404; the listing is stale
+            const code = downloadError?.status === 404 || downloadError?.code === 'ENOENT'
+                ? 'FILE_NOT_FOUND'
+                : classifyUpstreamError(downloadError);
+            if (code === 'FILE_NOT_FOUND') source.invalidateListing();
+            context.log.error(`❌ Error downloading VTT file (${code}):`, downloadError);
             context.log.error('❌ Download error stack:', downloadError?.stack || 'No stack trace');
-            return {
-                success: false,
-                status: 500,
-                error: `Error downloading VTT file: ${downloadError?.message || downloadError}`,
-                stack: downloadError?.stack || 'No stack trace',
+            return failure(code, code === 'FILE_NOT_FOUND' ? `File not found: ${targetFile.name}` : undefined, {
+                cause: downloadError,
+                fileId: targetFile.id,
+                fileName: targetFile.name,
                 processedAt: new Date().toISOString(),
                 processingTimeMs: Date.now() - processingStartTime
-            };
+            });
         }
 
-        let timestampBlocks;
+        // The recording is optional: without it the report simply has no video links
+        let recording = null;
         try {
-            timestampBlocks = parseVttTimestamps(vttContent);
-            context.log(`✅ Parsed VTT timestamps, blocks: ${timestampBlocks.length}`);
-        } catch (parseError) {
-            context.log.error('❌ Error parsing VTT timestamps:', parseError?.message || parseError);
-            context.log.error('❌ Parse error stack:', parseError?.stack || 'No stack trace');
-            return {
-                success: false,
-                status: 500,
-                error: `Error parsing VTT timestamps: ${parseError?.message || parseError}`,
-                stack: parseError?.stack || 'No stack trace',
+            recording = await source.findRecording(targetFile);
+            context.log(recording ? `🎞️ Recording found: ${recording.name}` : '🎞️ No recording found next to the transcript');
+        } catch (recordingError) {
+            context.log.warn(`⚠️ Recording lookup failed: ${recordingError?.message || recordingError}`);
+        }
+
+        const result = await processVttContent(context, {
+            config,
+            openaiClient,
+            vttContent,
+            fileName,
+            fileMetadata: targetFile,
+            recording,
+            profile,
+            custom,
+            localization,
+            redaction,
+            outputFormat,
+            processingStartTime,
+            cacheStats,
+            retrier
+        });
+
+        // A failed save is reported in savedReport and does not fail the analysis
+        if (writeBack && result.success) {
+            result.savedReport = await writeReport(context, source, targetFile, result, writeBack);
+        }
+        return result;
+
+    } catch (error) {
+        context.log.error(`❌ Error in processSingleVttFile for ${fileName}:`, error?.message || error);
+        context.log.error('❌ Single file error stack:', error?.stack || 'No stack trace');
+        const code = classifyUpstreamError(error);
+        return failure(code, publicMessage(error, code), {
+            cause: error,
+            file: fileName,
+            processedAt: new Date().toISOString(),
+            processingTimeMs: Date.now() - processingStartTime
+        });
+    }
+}
+
+// ✅ Uploaded content handler: runs the full pipeline on VTT text supplied by the caller
+async function processUploadedVtt(context, vttContent, fileName, outputFormat = 'json', options = {}) {
+    const processingStartTime = Date.now();
+    const uploadName = fileName || 'upload.vtt';
+    try {
+        context.log(`🎬 Starting VTT processing for uploaded content: ${uploadName} (${vttContent.length} characters)`);
+
+        if (!/^\uFEFF?WEBVTT/.test(vttContent)) {
+            return failure('PARSE_FAILED', 'Uploaded content is not a WebVTT document (missing WEBVTT header)', {
+                file: uploadName,
                 processedAt: new Date().toISOString(),
                 processingTimeMs: Date.now() - processingStartTime
-            };
+            });
         }
 
-        let meetingMetadata;
+        const config = loadConfig(context);
+        const cacheStats = createCacheStats();
+        const retrier = createRetrier(context);
+        let profile, custom, localization, redaction;
         try {
-            meetingMetadata = extractMeetingMetadata(vttContent, targetFile, config.sharepointSiteUrl);
-            context.log(`✅ Extracted meeting metadata: ${JSON.stringify(meetingMetadata)}`);
-        } catch (metaError) {
-            context.log.error('❌ Error extracting meeting metadata:', metaError?.message || metaError);
-            context.log.error('❌ Metadata error stack:', metaError?.stack || 'No stack trace');
-            return {
-                success: false,
-                status: 500,
-                error: `Error extracting meeting metadata: ${metaError?.message || metaError}`,
-                stack: metaError?.stack || 'No stack trace',
+            profile = resolveProfile(options.profile, config);
+            custom = await resolveCustomAnalysis(context, config, options.custom);
+            localization = resolveLocalization(options.localization, config);
+            redaction = resolveRedaction(options.redaction, config);
+        } catch (optionError) {
+            return optionFailure(context, optionError, {
+                file: uploadName,
                 processedAt: new Date().toISOString(),
                 processingTimeMs: Date.now() - processingStartTime
-            };
+            });
+        }
+        const needsModel = !isTranscriptFormat(outputFormat);
+        const missingConfig = needsModel ? REQUIRED_OPENAI_CONFIG.filter(key => !config[key]) : [];
+        if (missingConfig.length > 0) {
+            context.log.error('❌ Missing required configuration:', missingConfig.join(', '));
+            return failure('CONFIG_MISSING', undefined, {
+                debug: { missing: missingConfig },
+                processedAt: new Date().toISOString(),
+                processingTimeMs: Date.now() - processingStartTime
+            });
         }
+        context.log('✅ Configuration validated');
 
-        const transcriptText = timestampBlocks.map(b => `${b.timestamp || ""} ${b.content || ""}`).join("\n");
+        const openaiClient = needsModel ? createOpenAIClient(context, config, cacheStats) : null;
 
-        // --- Refined Key Point Extraction Logic ---
-        const aiPrompt = `
-You are a service that outputs ONLY strict JSON. No prose. No Markdown. No code fences.
-Analyze the transcript and return exactly this JSON schema:
+        // Only web URLs become video links; anything else (javascript:, relative paths) is ignored
+        const videoUrl = safeUrl(options.videoUrl);
+        if (options.videoUrl && !videoUrl) {
+            context.log.warn(`⚠️ Ignoring videoUrl that is not an absolute http(s) URL: ${String(options.videoUrl).slice(0, 100)}`);
+        }
 
-{
-  "summary": "2-3 sentences executive summary",
-  "keyPoints": [
-    { "title": "short topic or action", "timestamp": "HH:MM:SS", "speaker": "name if known", "videoLink": "" }
-  ]
+        return await processVttContent(context, {
+            config,
+            openaiClient,
+            vttContent,
+            fileName: uploadName,
+            fileMetadata: { name: uploadName, size: Buffer.byteLength(vttContent, 'utf8') },
+            // Uploaded transcripts have no recording unless the caller supplies one
+            videoUrl,
+            profile,
+            custom,
+            localization,
+            redaction,
+            outputFormat,
+            processingStartTime,
+            cacheStats,
+            retrier
+        });
+    } catch (error) {
+        context.log.error(`❌ Error in processUploadedVtt for ${uploadName}:`, error?.message || error);
+        context.log.error('❌ Upload error stack:', error?.stack || 'No stack trace');
+        const code = classifyUpstreamError(error);
+        return failure(code, publicMessage(error, code), {
+            cause: error,
+            file: uploadName,
+            processedAt: new Date().toISOString(),
+            processingTimeMs: Date.now() - processingStartTime
+        });
+    }
 }
 
-Rules:
-- Output a single JSON object only.
-- keyPoints: 5–12 items when possible.
-- If a field is unknown, use an empty string.
-Transcript:
-${transcriptText}
-`;
-
-        let aiParsed = {};
-        let summary = "";
-        let keyPoints = [];
-        // Token usage log holder
-        let tokensLog = { prompt: 0, completion: 0, total: 0 };
-        try {
-            const aiResponse = await openaiClient.chat.completions.create({
-                model: config.deployment,
-                messages: [
-                    { role: 'system', content: 'You output only strict JSON objects that match the user schema.' },
-                    { role: 'user', content: aiPrompt }
-                ],
-                temperature: 0.2,
-                max_tokens: 1024,
-                // Force structured JSON from Azure OpenAI (2024-08-01-preview)
-                response_format: { type: 'json_object' }
-            });
-            context.log('🧠 Raw AI response:', aiResponse);
-
-            // Token usage logging
-            const usage = aiResponse?.usage || {};
-            tokensLog = {
-                prompt: usage.prompt_tokens || 0,
-                completion: usage.completion_tokens || 0,
-                total: usage.total_tokens || 0
-            };
-            context.log(`🧾 OpenAI tokens: ${JSON.stringify(tokensLog)}`);
-
-            const aiContent = aiResponse?.choices?.[0]?.message?.content ?? '';
-            aiParsed = safeParseModelJson(aiContent);
-            context.log('🧠 Parsed AI response:', aiParsed);
-
-            summary = (aiParsed && typeof aiParsed.summary === 'string') ? aiParsed.summary : "";
-            keyPoints = Array.isArray(aiParsed?.keyPoints) ? aiParsed.keyPoints.filter(Boolean) : [];
-        } catch (err) {
-            context.log.error('❌ Error calling or parsing OpenAI:', err);
-            context.log.error('❌ OpenAI error stack:', err?.stack || 'No stack trace');
-            summary = "";
-            keyPoints = [];
-        }
-
-        // Build video links if available
-        if (keyPoints.length > 0) {
-            keyPoints = keyPoints.map(point => ({
-                ...point,
-                videoLink: point?.timestamp && meetingMetadata.videoUrl
-                    ? `${meetingMetadata.videoUrl}#t=${(point.timestamp || '').replace(/:/g, 'h').replace(/h(\d{2})$/, 'm$1s')}`
-                    : (point?.videoLink || "")
-            }));
-        }
+// ✅ Processing core: parse, metadata, AI analysis and output formatting for downloaded or uploaded VTT text
+async function processVttContent(context, { config, openaiClient, vttContent, fileName, fileMetadata, videoUrl = '', recording = null, profile = resolveProfile(), custom = null, localization = resolveLocalization(), redaction = resolveRedaction(), outputFormat = 'json', processingStartTime = Date.now(), cacheStats = createCacheStats(), retrier = createRetrier(context) }) {
+    let timestampBlocks;
+    try {
+        timestampBlocks = parseVttTimestamps(vttContent);
+        context.log(`✅ Parsed VTT timestamps, blocks: ${timestampBlocks.length}`);
+    } catch (parseError) {
+        context.log.error('❌ Error parsing VTT timestamps:', parseError?.message || parseError);
+        context.log.error('❌ Parse error stack:', parseError?.stack || 'No stack trace');
+        return failure('PARSE_FAILED', 'The transcript could not be parsed as WebVTT', {
+            cause: parseError,
+            processedAt: new Date().toISOString(),
+            processingTimeMs: Date.now() - processingStartTime
+        });
+    }
 
-        // Fallbacks: never fail the request just because AI format varied
-        if (!summary || summary.trim().length < 20) {
-            summary = generateFallbackSummary(transcriptText);
-        }
-        if (!Array.isArray(keyPoints) || keyPoints.length < 3) {
-            const fallback = deriveKeyPointsFallbackFromText(transcriptText);
-            keyPoints = fallback.slice(0, 8).map((title, idx) => ({
-                title,
-                timestamp: timestampBlocks[idx]?.timestamp || "",
-                speaker: timestampBlocks[idx]?.speaker || "",
-                videoLink: timestampBlocks[idx]?.timestamp && meetingMetadata.videoUrl
-                    ? `${meetingMetadata.videoUrl}#t=${(timestampBlocks[idx].timestamp || '').replace(/:/g, 'h').replace(/h(\d{2})$/, 'm$1s')}`
-                    : ""
-            }));
-        }
+    // Redaction: speakers and cue text get placeholders before any of it reaches the model or the output
+    const redactor = createRedactor(redaction);
+    const sourceBlocks = timestampBlocks;
+    if (redactor.enabled) {
+        timestampBlocks = timestampBlocks.map(block => ({
+            ...block,
+            speaker: redactor.redact(block.speaker),
+            content: redactor.redact(block.content)
+        }));
+    }
 
-        const metadata = {
-            endpoint: config.openaiEndpoint,
-            deployment: config.deployment,
-            fileSize: targetFile.size,
-            originalContentLength: vttContent.length,
-            processedContentLength: vttContent.length,
-            truncated: wasTruncated,
-            estimatedTokens: Math.round(vttContent.length / 4),
-            totalTimestamps: timestampBlocks.length,
-            totalKeyPoints: keyPoints.length,
+    let meetingMetadata;
+    try {
+        meetingMetadata = extractMeetingMetadata(vttContent, fileMetadata, timestampBlocks);
+        meetingMetadata.title = redactor.redact(meetingMetadata.title);
+        // A recording found in the drive wins over a caller-supplied URL
+        meetingMetadata.videoUrl = recording?.webUrl || videoUrl || '';
+        context.log(`✅ Extracted meeting metadata: ${JSON.stringify(meetingMetadata)}`);
+    } catch (metaError) {
+        context.log.error('❌ Error extracting meeting metadata:', metaError?.message || metaError);
+        context.log.error('❌ Metadata error stack:', metaError?.stack || 'No stack trace');
+        return failure('PARSE_FAILED', 'Meeting details could not be read from the transcript', {
+            cause: metaError,
             processedAt: new Date().toISOString(),
-            processingTimeMs: Date.now() - processingStartTime,
-            // Per-file OpenAI token usage
-            openaiTokens: tokensLog
-        };
+            processingTimeMs: Date.now() - processingStartTime
+        });
+    }
 
-        let result;
-        try {
-            result = {
-                success: true,
-                meetingTitle: meetingMetadata.title,
-                date: meetingMetadata.date,
-                videoUrl: meetingMetadata.videoUrl,
-                file: fileName,
-                actualFile: targetFile.name,
-                summary,
-                keyPoints,
-                timestampBlocks,
-                metadata
-            };
-            result = await applyOutputFormat(context, result, outputFormat);
-            context.log('✅ Output formatted');
-        } catch (formatError) {
-            context.log.error('❌ Error formatting output:', formatError?.message || formatError);
-            context.log.error('❌ Format error stack:', formatError?.stack || 'No stack trace');
-            return {
-                success: false,
-                status: 500,
-                error: `Error formatting output: ${formatError?.message || formatError}`,
-                stack: formatError?.stack || 'No stack trace',
-                processedAt: new Date().toISOString(),
-                processingTimeMs: Date.now() - processingStartTime
-            };
-        }
+    if (redactor.enabled) {
+        const { counts, total } = redactor.report();
+        context.log(`🛡️ Redacted ${total} value(s): ${JSON.stringify(counts)}${redactor.reveal ? ' (revealed in the output)' : ''}`);
+    }
 
-        return result;
+    if (isTranscriptFormat(outputFormat)) {
+        // Exports never reach the model, so revealed exports are rendered from the original cues
+        return generateTranscriptOutput(context, {
+            vttContent,
+            fileName,
+            fileMetadata,
+            timestampBlocks: redactor.reveal ? sourceBlocks : timestampBlocks,
+            meetingMetadata: redactor.reveal ? redactor.rehydrate(meetingMetadata) : meetingMetadata,
+            redactionReport: redactor.report(),
+            outputFormat,
+            processingStartTime,
+            cacheStats,
+            retrier
+        });
+    }
 
-    } catch (error) {
-        context.log.error(`❌ Error in processSingleVttFile for ${fileName}:`, error?.message || error);
-        context.log.error('❌ Single file error stack:', error?.stack || 'No stack trace');
-        return {
-            success: false,
-            status: 500,
-            error: error?.message || String(error),
-            stack: error?.stack || 'No stack trace',
+    // Output language: requested, REPORT_LANGUAGE, or the transcript's own for "auto"
+    const reportLocalization = finalizeLocalization(localization, timestampBlocks);
+    context.log(`🌐 Transcript language: ${reportLocalization.transcriptLanguage || 'undetected'} (confidence ${reportLocalization.languageConfidence}), report: ${reportLocalization.language}, ${reportLocalization.locale}, ${reportLocalization.timeZone}`);
+
+    // Offsets in the recording's player format (VIDEO_LINK_FORMAT)
+    const linkFormat = config.videoLinkFormat;
+    const videoLinkAt = timestamp => buildVideoLink(meetingMetadata.videoUrl, timestamp, linkFormat);
+
+    if (custom) {
+        return processCustomAnalysis(context, { config, openaiClient, vttContent, fileName, fileMetadata, custom, timestampBlocks, meetingMetadata, localization: reportLocalization, redactor, outputFormat, processingStartTime, cacheStats, retrier });
+    }
+
+    const transcriptText = timestampBlocks.map(b => `${b.timestamp || ""} ${b.content || ""}`).join("\n");
+
+    let summary = "";
+    let keyPoints = [];
+    let sectionItems = emptySections(profile.sections);
+    let itemValidationErrors = [];
+    // Where each field came from: ai, ai-repaired or fallback
+    let sources = Object.fromEntries(['summary', 'keyPoints', ...profile.sections.map(s => s.key)].map(key => [key, SOURCE_FALLBACK]));
+    let repairAttempts = 0;
+    // Token usage log holder
+    let tokensLog = { prompt: 0, completion: 0, total: 0 };
+    let chunkCount = 0;
+    try {
+        const aiResult = await summarizeTranscript(context, openaiClient, config.deployment, timestampBlocks, { retrier, profile, language: reportLocalization.language, chunkTokens: config.chunkTokens });
+        summary = aiResult.summary;
+        keyPoints = aiResult.keyPoints;
+        sectionItems = aiResult.sections;
+        itemValidationErrors = aiResult.validationErrors;
+        sources = { ...aiResult.sources };
+        repairAttempts = aiResult.repairs;
+        tokensLog = aiResult.tokens;
+        chunkCount = aiResult.chunkCount;
+        context.log(`🧾 OpenAI tokens: ${JSON.stringify(tokensLog)} across ${chunkCount} chunk(s)`);
+        context.log('🧠 Parsed AI response:', { summary, keyPoints });
+    } catch (err) {
+        context.log.error('❌ Error calling or parsing OpenAI:', err);
+        context.log.error('❌ OpenAI error stack:', err?.stack || 'No stack trace');
+        summary = "";
+        keyPoints = [];
+        sectionItems = emptySections(profile.sections);
+    }
+
+    // Fallbacks: never fail the request just because AI format varied
+    if (!summary || summary.trim().length < MIN_SUMMARY_LENGTH) {
+        summary = generateFallbackSummary(transcriptText);
+        sources.summary = SOURCE_FALLBACK;
+    }
+    if (!Array.isArray(keyPoints) || keyPoints.length < KEY_POINT_BOUNDS.single.min) {
+        sources.keyPoints = SOURCE_FALLBACK;
+        const fallback = deriveKeyPointsFallbackFromText(transcriptText);
+        keyPoints = fallback.slice(0, 8).map((title, idx) => ({
+            title,
+            timestamp: timestampBlocks[idx]?.timestamp || "",
+            speaker: timestampBlocks[idx]?.speaker || ""
+        }));
+    }
+
+    // Grounding: snap every key point to the cue that supports it before links are built.
+    // Titles written in another language than the transcript share no words with it, so it is skipped then.
+    const translated = Boolean(reportLocalization.transcriptLanguage) && reportLocalization.transcriptLanguage !== reportLocalization.language;
+    const groundingOptions = translated ? { ...resolveGroundingOptions(config), mode: 'off' } : resolveGroundingOptions(config);
+    const grounding = groundKeyPoints(keyPoints, timestampBlocks, groundingOptions);
+    keyPoints = grounding.keyPoints.map(point => ({
+        ...point,
+        videoLink: videoLinkAt(point.timestamp)
+    }));
+    if (grounding.stats.unsupported > 0) {
+        context.log.warn(`⚠️ ${grounding.stats.unsupported} key point(s) not supported by the transcript (${grounding.stats.mode})`);
+    }
+
+    // Profile sections: speakers resolved against the VTT voices; no heuristic fallback for these
+    const sections = finalizeSections(
+        profile.sections,
+        sectionItems,
+        timestampBlocks,
+        videoLinkAt
+    );
+    if (itemValidationErrors.length > 0) {
+        context.log.warn(`⚠️ ${itemValidationErrors.length} validation problem(s) left after ${repairAttempts} repair attempt(s); affected entries were dropped or cleared`);
+    }
+
+    // Chapters: the model segments each chunk; lexical cohesion takes over where it gives nothing usable
+    const chapterResult = await buildChapters(context, openaiClient, config.deployment, timestampBlocks, { mode: resolveChapterMode(config), retrier, language: reportLocalization.language, chunkTokens: config.chunkTokens });
+    const chapters = chapterResult.chapters.map(chapter => ({ ...chapter, videoLink: videoLinkAt(chapter.start) }));
+    tokensLog = {
+        prompt: tokensLog.prompt + chapterResult.tokens.prompt,
+        completion: tokensLog.completion + chapterResult.tokens.completion,
+        total: tokensLog.total + chapterResult.tokens.total
+    };
+    context.log(`📑 Chapters: ${chapters.length} (${chapterResult.stats.ai} from the model, ${chapterResult.stats.fallback} lexical)`);
+
+    const speakerAnalytics = computeSpeakerAnalytics(timestampBlocks);
+    context.log(`🗣️ Speaker analytics: ${speakerAnalytics.totals.speakerCount} speaker(s), ${speakerAnalytics.totals.totalTurns} turn(s)`);
+
+    const metadata = {
+        ...(isDebugEnabled() ? { endpoint: config.openaiEndpoint } : {}),
+        deployment: config.deployment,
+        fileSize: fileMetadata.size,
+        originalContentLength: vttContent.length,
+        processedContentLength: vttContent.length,
+        truncated: false,
+        summaryChunks: chunkCount,
+        estimatedTokens: estimateTokens(transcriptText),
+        totalTimestamps: timestampBlocks.length,
+        totalKeyPoints: keyPoints.length,
+        profile: profile.name,
+        sectionCounts: Object.fromEntries(Object.entries(sections).map(([key, items]) => [key, items.length])),
+        // Per field: ai (first answer), ai-repaired (after a repair request) or fallback (heuristic/empty)
+        source: sources,
+        repairAttempts,
+        // Key point grounding: supported/unsupported/dropped counts and timestamps moved to their cue
+        grounding: grounding.stats,
+        // Chapter mode, chunks segmented and chapters from the model (ai) or lexical segmentation (fallback)
+        chapters: chapterResult.stats,
+        // VIDEO_LINK_FORMAT the videoLink values were built with
+        videoLinkFormat: linkFormat,
+        // Detectors, terms and patterns applied, matches per placeholder type and whether values were put back
+        redaction: redactor.report(),
+        // Detected transcript language (null when undecided) and how clearly it won
+        transcriptLanguage: reportLocalization.transcriptLanguage,
+        languageConfidence: reportLocalization.languageConfidence,
+        // Problems still present after repair (schema, unknown timestamps or speakers, key point count)
+        itemValidationErrors: itemValidationErrors.slice(0, 20),
+        processedAt: new Date().toISOString(),
+        processingTimeMs: Date.now() - processingStartTime,
+        // Per-file OpenAI token usage
+        openaiTokens: tokensLog,
+        // Client and drive-listing cache hits/misses for this file
+        cache: cacheStats,
+        // Throttled Graph/Blob/OpenAI calls retried for this file
+        retries: retrier.count
+    };
+
+    let result;
+    try {
+        result = {
+            success: true,
+            meetingTitle: meetingMetadata.title,
+            date: meetingMetadata.date,
+            // note, filename, created or modified (see meetingDetails.js); null when unknown
+            dateSource: meetingMetadata.dateSource,
+            participants: meetingMetadata.participants,
+            durationMs: meetingMetadata.durationMs,
+            duration: meetingMetadata.duration,
+            videoUrl: meetingMetadata.videoUrl,
+            // Recording located next to the transcript: { itemId, name, webUrl }
+            recording,
             file: fileName,
+            actualFile: fileMetadata.name,
+            actualPath: fileMetadata.path || fileMetadata.name,
+            itemId: fileMetadata.id,
+            summary,
+            keyPoints,
+            chapters,
+            profile: profile.name,
+            ...sections,
+            // Output language, date locale and time zone of the summary and reports
+            localization: { language: reportLocalization.language, locale: reportLocalization.locale, timeZone: reportLocalization.timeZone },
+            speakerAnalytics,
+            timestampBlocks,
+            metadata
+        };
+        // Authorized callers get the original values in place of the placeholders, in every field and report
+        if (redactor.reveal) result = redactor.rehydrate(result);
+        result = await applyOutputFormat(context, result, outputFormat);
+        context.log('✅ Output formatted');
+    } catch (formatError) {
+        context.log.error('❌ Error formatting output:', formatError?.message || formatError);
+        context.log.error('❌ Format error stack:', formatError?.stack || 'No stack trace');
+        return failure('INTERNAL_ERROR', 'Error formatting output', {
+            cause: formatError,
             processedAt: new Date().toISOString(),
             processingTimeMs: Date.now() - processingStartTime
-        };
+        });
+    }
+
+    return result;
+}
+
+// ✅ Custom analysis: caller template/schema instead of the profile summary.
+// Output that still fails the schema after the corrective retry is answered with 422, including the errors.
+async function processCustomAnalysis(context, { config, openaiClient, vttContent, fileName, fileMetadata, custom, timestampBlocks, meetingMetadata, localization, redactor, outputFormat, processingStartTime, cacheStats, retrier }) {
+    let analysis;
+    try {
+        analysis = await runCustomAnalysis(context, openaiClient, config.deployment, timestampBlocks, custom, { retrier, maxTranscriptTokens: config.customMaxTokens });
+        context.log(`🧾 OpenAI tokens: ${JSON.stringify(analysis.tokens)} (custom analysis, ${analysis.attempts} attempt(s))`);
+    } catch (err) {
+        context.log.error('❌ Error calling or parsing OpenAI:', err);
+        context.log.error('❌ OpenAI error stack:', err?.stack || 'No stack trace');
+        const code = classifyUpstreamError(err);
+        return failure(code, code === 'UPSTREAM_FAILED' ? 'Custom analysis failed' : publicMessage(err, code), {
+            cause: err,
+            template: custom.name,
+            processedAt: new Date().toISOString(),
+            processingTimeMs: Date.now() - processingStartTime
+        });
+    }
+
+    const metadata = {
+        ...(isDebugEnabled() ? { endpoint: config.openaiEndpoint } : {}),
+        deployment: config.deployment,
+        fileSize: fileMetadata.size,
+        originalContentLength: vttContent.length,
+        estimatedTokens: estimateTokens(timestampBlocks.map(b => `${b.timestamp || ""} ${b.content || ""}`).join("\n")),
+        totalTimestamps: timestampBlocks.length,
+        schemaSource: custom.schemaSource,
+        videoLinkFormat: config.videoLinkFormat,
+        redaction: redactor.report(),
+        transcriptLanguage: localization.transcriptLanguage,
+        languageConfidence: localization.languageConfidence,
+        processedAt: new Date().toISOString(),
+        processingTimeMs: Date.now() - processingStartTime,
+        openaiTokens: analysis.tokens,
+        cache: cacheStats,
+        retries: retrier.count
+    };
+
+    let result = {
+        success: analysis.valid,
+        meetingTitle: meetingMetadata.title,
+        date: meetingMetadata.date,
+        dateSource: meetingMetadata.dateSource,
+        participants: meetingMetadata.participants,
+        durationMs: meetingMetadata.durationMs,
+        duration: meetingMetadata.duration,
+        videoUrl: meetingMetadata.videoUrl,
+        file: fileName,
+        actualFile: fileMetadata.name,
+        actualPath: fileMetadata.path || fileMetadata.name,
+        itemId: fileMetadata.id,
+        analysis: 'custom',
+        template: custom.name,
+        output: analysis.output,
+        // Labels and dates of the rendered output; the template's prompt decides the output's own language
+        localization: { language: localization.language, locale: localization.locale, timeZone: localization.timeZone },
+        validation: {
+            valid: analysis.valid,
+            attempts: analysis.attempts,
+            errors: analysis.validationErrors
+        },
+        speakerAnalytics: computeSpeakerAnalytics(timestampBlocks),
+        timestampBlocks,
+        metadata
+    };
+    if (redactor.reveal) result = redactor.rehydrate(result);
+
+    if (!analysis.valid) {
+        context.log.warn(`⚠️ Custom analysis output still fails its schema after ${analysis.attempts} attempt(s)`);
+        return { ...result, ...failure('OUTPUT_SCHEMA_MISMATCH', 'Model output does not conform to the output schema') };
+    }
+
+    try {
+        result = await applyOutputFormat(context, result, outputFormat);
+        context.log('✅ Output formatted');
+    } catch (formatError) {
+        context.log.error('❌ Error formatting output:', formatError?.message || formatError);
+        return failure('INTERNAL_ERROR', 'Error formatting output', {
+            cause: formatError,
+            processedAt: new Date().toISOString(),
+            processingTimeMs: Date.now() - processingStartTime
+        });
+    }
+    return result;
+}
+
+// ✅ Configuration and client helpers
+const REQUIRED_OPENAI_CONFIG = ['openaiKey', 'openaiEndpoint'];
+
+function loadConfig(context) {
+    const config = {
+        tenantId: process.env.TENANT_ID,
+        clientId: process.env.CLIENT_ID,
+        clientSecret: process.env.CLIENT_SECRET,
+        openaiEndpoint: process.env.OPENAI_ENDPOINT,
+        openaiKey: process.env.OPENAI_KEY,
+        deployment: process.env.OPENAI_DEPLOYMENT || 'gpt-4o-text',
+        chunkTokens: getChunkTokens(process.env.OPENAI_CHUNK_TOKENS),
+        sharepointDriveId: process.env.SHAREPOINT_DRIVE_ID,
+        sharepointSiteUrl: process.env.SHAREPOINT_SITE_URL,
+        transcriptSource: process.env.TRANSCRIPT_SOURCE,
+        onedriveUserId: process.env.ONEDRIVE_USER_ID,
+        localTranscriptsDir: process.env.LOCAL_TRANSCRIPTS_DIR,
+        blobConnectionString: process.env.BLOB_CONNECTION_STRING || process.env.AzureWebJobsStorage,
+        blobContainer: process.env.BLOB_CONTAINER,
+        blobPrefix: process.env.BLOB_PREFIX,
+        jobStore: process.env.JOB_STORE,
+        jobBlobContainer: process.env.JOB_BLOB_CONTAINER,
+        jobStaleAfterMs: process.env.JOB_STALE_AFTER_MS,
+        stateStore: process.env.STATE_STORE,
+        stateBlobContainer: process.env.STATE_BLOB_CONTAINER,
+        webhookUrl: process.env.GRAPH_WEBHOOK_URL,
+        webhookClientState: process.env.GRAPH_WEBHOOK_CLIENT_STATE,
+        webhookOutputFormat: process.env.WEBHOOK_OUTPUT_FORMAT,
+        subscriptionMinutes: process.env.GRAPH_SUBSCRIPTION_MINUTES,
+        webhookClaimLeaseMs: process.env.WEBHOOK_CLAIM_LEASE_MS,
+        webhookMaxAttempts: process.env.WEBHOOK_MAX_ATTEMPTS,
+        reportSave: process.env.REPORT_SAVE,
+        reportOutputFolder: process.env.REPORT_OUTPUT_FOLDER,
+        reportConflictBehavior: process.env.REPORT_CONFLICT_BEHAVIOR,
+        analysisProfile: process.env.ANALYSIS_PROFILE,
+        groundingMode: process.env.KEY_POINT_GROUNDING,
+        groundingMinConfidence: process.env.GROUNDING_MIN_CONFIDENCE,
+        videoLinkFormat: resolveLinkFormat({ videoLinkFormat: process.env.VIDEO_LINK_FORMAT }),
+        chapterMode: process.env.CHAPTER_MODE,
+        reportLanguage: process.env.REPORT_LANGUAGE,
+        reportLocale: process.env.REPORT_LOCALE,
+        reportTimeZone: process.env.REPORT_TIME_ZONE,
+        redaction: process.env.REDACTION,
+        redactionTerms: process.env.REDACTION_TERMS,
+        redactionPatterns: process.env.REDACTION_PATTERNS,
+        redactionRevealKey: process.env.REDACTION_REVEAL_KEY,
+        promptTemplatesDir: process.env.PROMPT_TEMPLATES_DIR,
+        promptTemplatesContainer: process.env.PROMPT_TEMPLATES_CONTAINER,
+        customMaxTokens: process.env.CUSTOM_ANALYSIS_MAX_TOKENS
+    };
+    // Names only: values include secrets, endpoints and tenant identifiers
+    context.log('🔧 Loaded configuration, set:', Object.keys(config).filter(key => config[key]).join(', '));
+    return config;
+}
+
+// Reused across files and warm invocations for the same endpoint, deployment and key
+function createOpenAIClient(context, config, stats) {
+    try {
+        return getOrCreateClient('openai', [config.openaiEndpoint, config.deployment, config.openaiKey], () => {
+            const openaiClient = new OpenAI({
+                apiKey: config.openaiKey,
+                baseURL: `${config.openaiEndpoint}/openai/deployments/${config.deployment}`,
+                defaultQuery: { 'api-version': '2024-08-01-preview' },
+                defaultHeaders: { 'api-key': config.openaiKey },
+                // Throttling is retried (and counted) by retry.js instead of the SDK
+                maxRetries: 0
+            });
+            context.log('✅ OpenAI client initialized');
+            return openaiClient;
+        }, stats);
+    } catch (openaiError) {
+        context.log.error('❌ Error initializing OpenAI client:', openaiError?.message || openaiError);
+        throw openaiError;
     }
 }
 
 // ✅ Helper and formatting functions
 async function applyOutputFormat(context, result, outputFormat) {
+    if (result.analysis === 'custom') {
+        return applyCustomOutputFormat(context, result, outputFormat);
+    }
     switch (outputFormat.toLowerCase()) {
         case 'html':
             return generateHtmlOutput(context, result);
@@ -597,71 +1365,80 @@ async function applyOutputFormat(context, result, outputFormat) {
             return generateMarkdownOutput(context, result);
         case 'summary':
             return generateSummaryOutput(context, result);
+        case 'docx':
+        case 'pdf':
+            return generateDocumentOutput(result, outputFormat, resolveProfile(result.profile).sections);
         case 'json':
         default:
             return result;
     }
 }
 
-function generateHtmlOutput(context, result) {
-    const { meetingTitle, keyPoints, summary, metadata } = result;
+function applyCustomOutputFormat(context, result, outputFormat) {
+    const { meetingTitle, template, output, metadata } = result;
+    const heading = `${template ? `${template} — ` : ''}${meetingTitle}`;
+    const baseName = `${meetingTitle.replace(/[^a-z0-9]/gi, '_')}_${(template || 'Custom').replace(/[^a-z0-9]/gi, '_')}`;
+
+    switch (outputFormat.toLowerCase()) {
+        case 'html': {
+            const html = renderCustomHtmlReport(result, heading);
+            return {
+                success: true,
+                outputFormat: 'html',
+                htmlContent: html,
+                downloadable: { contentType: 'text/html', fileName: `${baseName}.html`, content: html, size: html.length }
+            };
+        }
+        case 'markdown': {
+            const l10n = createLocalizer(result.localization);
+            const { t } = l10n;
+            const markdown = `# ${t('reportTitle', { title: heading })}
+
+**${t('meetingDate')}:** ${l10n.date(result.date) || t('unknown')} | **${t('duration')}:** ${result.duration || '—'}  
+**${t('participants')}:** ${(result.participants || []).join(', ') || '—'}  
+**${t('generated')}:** ${l10n.dateTime(new Date())}
+
+${renderOutputMarkdown(output, l10n)}
+
+---
+
+**${t('file')}:** ${result.actualFile} | **${t('processed')}:** ${l10n.dateTime(metadata.processedAt)} | **${t('tokens')}:** ${metadata.openaiTokens?.total || 0}`;
+            return {
+                ...result,
+                outputFormat: 'markdown',
+                markdownContent: markdown,
+                downloadable: { contentType: 'text/markdown', fileName: `${baseName}.md`, content: markdown, size: markdown.length }
+            };
+        }
+        case 'summary':
+            return {
+                success: true,
+                meetingTitle,
+                date: result.date,
+                participants: result.participants,
+                duration: result.duration,
+                template,
+                output,
+                validation: result.validation,
+                localization: result.localization,
+                processingTimeMs: metadata.processingTimeMs,
+                fileSize: metadata.fileSize,
+                tokens: metadata.openaiTokens,
+                outputFormat: 'summary',
+                processedAt: metadata.processedAt
+            };
+        case 'docx':
+        case 'pdf':
+            return generateCustomDocumentOutput(result, outputFormat, heading, baseName);
+        case 'json':
+        default:
+            return result;
+    }
+}
 
-    const html = `<!DOCTYPE html>
-<html>
-<head>
-    <title>Meeting Analysis: ${meetingTitle}</title>
-    <meta charset="UTF-8">
-    <style>
-        body { font-family: Arial, sans-serif; margin: 40px; line-height: 1.6; color: #333; }
-        .header { text-align: center; border-bottom: 2px solid #007acc; padding-bottom: 20px; margin-bottom: 30px; }
-        .summary { background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0; }
-        .key-points { margin: 30px 0; }
-        ul.keypoint-list { margin: 0 0 0 20px; padding: 0; }
-        li.keypoint-item { margin-bottom: 14px; padding: 10px 0; border-bottom: 1px solid #eee; }
-        .timestamp { font-weight: bold; color: #007acc; font-family: monospace; margin-right: 10px; }
-        .speaker { font-style: italic; color: #666; margin-right: 10px; }
-        .title { font-weight: bold; }
-        .metadata { background: #e8f4f8; padding: 20px; border-radius: 8px; margin-top: 30px; }
-        h1 { color: #007acc; margin: 0; }
-        h2 { color: #005a9e; border-bottom: 1px solid #ddd; padding-bottom: 10px; }
-    </style>
-</head>
-<body>
-    <div class="header">
-        <h1>Meeting Analysis: ${meetingTitle}</h1>
-        <p><strong>Generated:</strong> ${new Date().toLocaleDateString()} at ${new Date().toLocaleTimeString()}</p>
-        <p><strong>Processing Time:</strong> ${metadata.processingTimeMs}ms | <strong>Key Points:</strong> ${keyPoints.length}</p>
-    </div>
-    <div class="summary">
-        <h2>📋 Executive Summary</h2>
-        <p>${summary.replace(/\n/g, '<br>')}</p>
-    </div>
-    <div class="key-points">
-        <h2>🎯 Key Discussion Points (${keyPoints.length} items)</h2>
-        <ul class="keypoint-list">
-            ${keyPoints
-                .filter(point => point.title && point.title.trim() !== '')
-                .map(point => `
-                <li class="keypoint-item">
-                    ${point.timestamp ? `<span class="timestamp">${point.timestamp}</span>` : ''}
-                    ${point.speaker ? `<span class="speaker">${point.speaker}</span>` : ''}
-                    <span class="title">${point.title}</span>
-                    ${point.videoLink ? `<a class="video-link" href="${point.videoLink}" target="_blank">🔗 Video</a>` : ''}
-                </li>
-            `).join('')}
-        </ul>
-    </div>
-    <div class="metadata">
-        <h3>📊 Processing Information</h3>
-        <p><strong>File:</strong> ${metadata.fileSize} bytes | <strong>Timestamps:</strong> ${metadata.totalTimestamps} | <strong>Processing:</strong> ${metadata.processingTimeMs}ms</p>
-        <p><strong>Tokens:</strong> prompt ${metadata.openaiTokens?.prompt || 0}, completion ${metadata.openaiTokens?.completion || 0}, total ${metadata.openaiTokens?.total || 0}</p>
-    </div>
-    <footer style="text-align: center; margin-top: 40px; padding-top: 20px; border-top: 1px solid #ddd; color: #666;">
-        <p><em>Generated by Azure Functions VTT Meeting Transcript Processor</em></p>
-        <p>File: ${result.actualFile} | Processed: ${metadata.processedAt}</p>
-    </footer>
-</body>
-</html>`;
+function generateHtmlOutput(context, result) {
+    const { meetingTitle } = result;
+    const html = renderHtmlReport(result, resolveProfile(result.profile).sections);
 
     return {
         success: true,
@@ -678,35 +1455,56 @@ function generateHtmlOutput(context, result) {
 
 function generateMarkdownOutput(context, result) {
     const { meetingTitle, keyPoints, summary, metadata } = result;
+    const { speakerAnalytics } = result;
+    const speakers = speakerAnalytics?.speakers || [];
+    const profile = resolveProfile(result.profile);
+    const l10n = createLocalizer(result.localization);
+    const { t } = l10n;
+    const cell = value => String(value || '—').replace(/\|/g, '\\|');
 
-    const markdown = `# Meeting Analysis: ${meetingTitle}
+    const markdown = `# ${t('reportTitle', { title: meetingTitle })}
 
-**Generated:** ${new Date().toLocaleDateString()} at ${new Date().toLocaleTimeString()}  
-**Processing Time:** ${metadata.processingTimeMs}ms | **Key Points:** ${keyPoints.length}
+**${t('meetingDate')}:** ${l10n.date(result.date) || t('unknown')} | **${t('duration')}:** ${result.duration || '—'}  
+**${t('participants')}:** ${(result.participants || []).join(', ') || '—'}  
+**${t('generated')}:** ${l10n.dateTime(new Date())}  
+**${t('processingTime')}:** ${metadata.processingTimeMs}ms | **${t('keyPoints')}:** ${keyPoints.length}
 
-## 📋 Executive Summary
+## 📋 ${t('executiveSummary')}
 
 ${summary}
 
-## 🎯 Key Discussion Points (${keyPoints.length} items)
+${renderChaptersMarkdown(result.chapters, l10n)}
 
-${keyPoints.map((point, index) => `### ${index + 1}. ${point.timestamp} - ${point.title}
+## 🎯 ${t('keyDiscussionPoints', { count: keyPoints.length })}
 
-**Speaker:** ${point.speaker}
+${keyPoints.map((point, index) => `### ${index + 1}. ${point.timestamp} - ${point.title}
 
+**${t('speaker')}:** ${point.speaker}${point.supported === false ? ` | ⚠️ *${t('notFoundInTranscript')}*` : ''}
+${point.quote ? `\n> ${point.quote}\n` : ''}
 ---`).join('\n\n')}
 
-## 📊 Processing Information
+${renderSectionsMarkdown(profile.sections, result, l10n)}
+
+## 🗣️ ${t('speakerAnalytics', { count: speakers.length })}
+
+${speakers.length > 0 ? `| ${t('speaker')} | ${t('talkTime')} | ${t('share')} | ${t('turns')} | ${t('averageTurn')} | ${t('longestMonologue')} | ${t('interruptions')} | ${t('interrupted')} | ${t('firstLast')} |
+|---|---|---|---|---|---|---|---|---|
+${speakers.map(s => `| ${cell(s.name)} | ${formatDuration(s.talkTimeMs)} | ${s.sharePercent}% | ${s.turns} | ${formatDuration(s.averageTurnMs)} | ${s.longestMonologue ? `${formatDuration(s.longestMonologue.durationMs)} (${s.longestMonologue.start})` : '—'} | ${s.interruptions} | ${s.interrupted} | ${s.firstSpokenAt} / ${s.lastSpokenAt} |`).join('\n')}
 
-- **File Size:** ${Math.round(metadata.fileSize / 1024)}KB
-- **Timestamps:** ${metadata.totalTimestamps}
-- **Processing Time:** ${metadata.processingTimeMs}ms
-- **Tokens:** prompt ${metadata.openaiTokens?.prompt || 0}, completion ${metadata.openaiTokens?.completion || 0}, total ${metadata.openaiTokens?.total || 0}
+**${t('meetingLength')}:** ${formatDuration(speakerAnalytics.totals.meetingDurationMs)} | **${t('overlaps')}:** ${speakerAnalytics.totals.totalOverlaps} | **${t('balance')}:** ${speakerAnalytics.totals.balanceScore ?? '—'} ${t('balanceHint')}` : `_${t('noSpeakerInformation')}_`}
+
+## 📊 ${t('processingInformation')}
+
+- **${t('fileSize')}:** ${Math.round(metadata.fileSize / 1024)}KB
+- **${t('timestamps')}:** ${metadata.totalTimestamps}
+- **${t('processingTime')}:** ${metadata.processingTimeMs}ms
+- **${t('transcriptLanguage')}:** ${l10n.languageName(metadata.transcriptLanguage)}
+- **${t('tokens')}:** ${t('tokenUsage', { prompt: metadata.openaiTokens?.prompt || 0, completion: metadata.openaiTokens?.completion || 0, total: metadata.openaiTokens?.total || 0 })}
 
 ---
 
-**File:** ${result.actualFile} | **Processed:** ${metadata.processedAt}  
-*Generated by Azure Functions VTT Meeting Transcript Processor*`;
+**${t('file')}:** ${result.actualFile} | **${t('processed')}:** ${l10n.dateTime(metadata.processedAt)}  
+*${t('generatedBy')}*`;
 
     return {
         ...result,
@@ -727,13 +1525,25 @@ function generateSummaryOutput(context, result) {
     return {
         success: true,
         meetingTitle,
+        date: result.date,
+        participants: result.participants,
+        duration: result.duration,
         summary,
         keyPointsCount: keyPoints.length,
         topKeyPoints: keyPoints.slice(0, 5).map(point => ({
             timestamp: point.timestamp,
             title: point.title,
-            speaker: point.speaker
+            speaker: point.speaker,
+            confidence: point.confidence
         })),
+        chapters: (result.chapters || []).map(({ title, start, end }) => ({ title, start, end })),
+        profile: result.profile,
+        ...Object.fromEntries(resolveProfile(result.profile).sections.map(section => [
+            section.key,
+            (result[section.key] || []).map(({ videoLink, ...item }) => item)
+        ])),
+        localization: result.localization,
+        transcriptLanguage: metadata.transcriptLanguage,
         processingTimeMs: metadata.processingTimeMs,
         fileSize: metadata.fileSize,
         tokens: metadata.openaiTokens,
@@ -742,6 +1552,42 @@ function generateSummaryOutput(context, result) {
     };
 }
 
+// ✅ Transcript exports (srt, vtt, txt, paragraphs): the parsed cues written out, no analysis
+function generateTranscriptOutput(context, { vttContent, fileName, fileMetadata, timestampBlocks, meetingMetadata, redactionReport, outputFormat, processingStartTime, cacheStats, retrier }) {
+    const transcript = renderTranscript(timestampBlocks, outputFormat);
+    context.log(`📝 Transcript export: ${outputFormat} (${transcript.cueCount} cues)`);
+
+    return {
+        success: true,
+        outputFormat: outputFormat.toLowerCase(),
+        meetingTitle: meetingMetadata.title,
+        date: meetingMetadata.date,
+        participants: meetingMetadata.participants,
+        duration: meetingMetadata.duration,
+        file: fileName,
+        actualFile: fileMetadata.name,
+        actualPath: fileMetadata.path || fileMetadata.name,
+        itemId: fileMetadata.id,
+        downloadable: {
+            contentType: transcript.contentType,
+            fileName: `${meetingMetadata.title.replace(/[^a-z0-9]/gi, '_')}${transcript.suffix}.${transcript.extension}`,
+            content: transcript.content,
+            size: Buffer.byteLength(transcript.content, 'utf8')
+        },
+        metadata: {
+            fileSize: fileMetadata.size,
+            originalContentLength: vttContent.length,
+            totalTimestamps: timestampBlocks.length,
+            exportedCues: transcript.cueCount,
+            redaction: redactionReport,
+            processedAt: new Date().toISOString(),
+            processingTimeMs: Date.now() - processingStartTime,
+            cache: cacheStats,
+            retries: retrier.count
+        }
+    };
+}
+
 function deriveKeyPointsFallbackFromText(text) {
     if (!text) return [];
     const bullets = Array.from(new Set(
@@ -758,73 +1604,64 @@ function deriveKeyPointsFallbackFromText(text) {
         .slice(0, 8);
 }
 
+// Maps parsed WebVTT cues to the timestamp blocks used throughout the pipeline.
+// `timestamp` stays HH:MM:SS for prompts and links; `start`/`end` are milliseconds.
 function parseVttTimestamps(vttContent) {
     if (!vttContent) return [];
 
-    const contentBlocks = [];
-    const lines = vttContent.split('\n');
-    let currentBlock = null;
-
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-
-        const timestampMatch = line.match(/(\d{2}:\d{2}:\d{2})\.\d{3}/);
-        if (timestampMatch) {
-            if (currentBlock) contentBlocks.push(currentBlock);
-            currentBlock = { timestamp: timestampMatch[1], content: '', speaker: null };
-        } else if (currentBlock && line.length > 0) {
-            const speakerMatch = line.match(/<v\s+([^>]+)>(.+)<\/v>/);
-            if (speakerMatch) {
-                currentBlock.speaker = speakerMatch[1];
-                currentBlock.content += speakerMatch[2] + ' ';
-            } else {
-                currentBlock.content += line + ' ';
-            }
-        }
-    }
-
-    if (currentBlock) contentBlocks.push(currentBlock);
-    return contentBlocks;
+    return parseVtt(vttContent).cues.map(cue => ({
+        id: cue.id,
+        timestamp: formatTimestamp(cue.start),
+        start: cue.start,
+        end: cue.end,
+        speaker: cue.speaker,
+        content: cue.text
+    }));
 }
 
-function extractMeetingMetadata(vttContent, fileMetadata, sharepointSiteUrl) {
+// The recording URL is filled in by the caller from the source's findRecording.
+// Date, participants and duration come from meetingDetails.js.
+function extractMeetingMetadata(vttContent, fileMetadata, timestampBlocks = parseVttTimestamps(vttContent)) {
     const noteMatch = vttContent.match(/NOTE\s+(.+)/);
     const meetingTitle = noteMatch ? noteMatch[1].trim()
         : fileMetadata.name.replace('.vtt', '').replace(/[-_]/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-
-    const videoUrl = sharepointSiteUrl
-        ? `${sharepointSiteUrl}/Shared%20Documents/${fileMetadata.name.replace('.vtt', '')}`
-        : "https://yourtenant.sharepoint.com/video-placeholder";
+    const { durationMs, duration } = meetingDuration(timestampBlocks);
+    const { date, dateSource } = resolveMeetingDate({ notes: parseVtt(vttContent).notes, fileMetadata, durationMs });
 
     return {
         title: meetingTitle,
-        videoUrl,
-        date: new Date().toISOString().split('T')[0],
+        videoUrl: '',
+        date,
+        dateSource,
+        participants: listParticipants(timestampBlocks),
+        durationMs,
+        duration,
         filename: fileMetadata.name
     };
 }
 
-function chunkArray(array, chunkSize) {
-    const chunks = [];
-    for (let i = 0; i < array.length; i += chunkSize) {
-        chunks.push(array.slice(i, i + chunkSize));
-    }
-    return chunks;
+const DEFAULT_BATCH_CONCURRENCY = 3;
+const MAX_BATCH_CONCURRENCY = 10;
+
+// Request value wins over BATCH_CONCURRENCY; clamped to 1..MAX_BATCH_CONCURRENCY
+function resolveConcurrency(requested) {
+    const value = Number(requested ?? process.env.BATCH_CONCURRENCY ?? DEFAULT_BATCH_CONCURRENCY);
+    if (!Number.isFinite(value)) return DEFAULT_BATCH_CONCURRENCY;
+    return Math.min(MAX_BATCH_CONCURRENCY, Math.max(1, Math.floor(value)));
 }
 
-// Safe JSON parse for model outputs that may include code fences
-function safeParseModelJson(text) {
-    if (!text) return {};
-    let cleaned = String(text).trim();
-    cleaned = cleaned.replace(/^```(?:json)?\s*/i, '').replace(/```$/i, '').trim();
-    try { return JSON.parse(cleaned); } catch {}
-    const start = cleaned.indexOf('{');
-    const end = cleaned.lastIndexOf('}');
-    if (start >= 0 && end > start) {
-        const candidate = cleaned.slice(start, end + 1);
-        try { return JSON.parse(candidate); } catch {}
-    }
-    return {};
+// Worker pool: at most `limit` items in flight, results kept in input order
+async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+    await Promise.all(runners);
+    return results;
 }
 
 function generateFallbackSummary(text) {
@@ -0,0 +1,26 @@
+const { createStateStore } = require('./stateStore');
+
+// Job state persistence for asynchronous batches.
+// The store exposes { kind, save(job), get(id) } and keeps the whole job document.
+// Jobs are created by the HTTP function, run by the queue worker and polled from any instance,
+// so JOB_STORE defaults to "blob" (BLOB_CONNECTION_STRING or AzureWebJobsStorage). "memory" keeps
+// jobs in this instance only: for local runs and tests, where the worker runs in the same host.
+
+const DEFAULT_JOB_CONTAINER = 'vtt-jobs';
+
+function createJobStore(context, config) {
+    const store = createStateStore(context, config, {
+        kind: config.jobStore || 'blob',
+        container: config.jobBlobContainer || DEFAULT_JOB_CONTAINER
+    });
+
+    return {
+        kind: store.kind,
+        save: job => store.put(job.id, job),
+        get: id => store.get(id)
+    };
+}
+
+module.exports = {
+    createJobStore
+};
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { classifyError, publicMessage } = require('./errors');
+
+// Asynchronous batch jobs: the job document, progress tracking and the polling view.
+// A tracker keeps the job in memory and persists snapshots one at a time, so concurrent
+// batch workers never interleave read-modify-write cycles against the store.
+// The HTTP request only stores the job and enqueues its ID; the queue worker runs the batch from
+// the stored `request`. A running tracker persists a heartbeat (`heartbeatAt`), so a running job whose
+// worker died (instance recycled, scale-in, timeout) is recognized by a stale heartbeat and marked
+// failed. Queued jobs are never stale: they wait for the queue however long its backlog is.
+
+const HEARTBEAT_MS = 30 * 1000;
+// Well past the heartbeat and the 10 minute function timeout (host.json)
+const DEFAULT_STALE_AFTER_MS = 15 * 60 * 1000;
+
+function createJobDocument({ fileNames, outputFormat, source, concurrency, profile, template, language, correlationId, request = null }) {
+    const now = new Date().toISOString();
+    return {
+        id: crypto.randomUUID(),
+        correlationId: correlationId || null,
+        status: 'queued',
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        heartbeatAt: null,
+        completedAt: null,
+        outputFormat,
+        source: source || null,
+        profile: profile || null,
+        template: template || null,
+        language: language || null,
+        concurrency: concurrency ?? null,
+        totalFiles: fileNames.length,
+        completedFiles: 0,
+        successfulFiles: 0,
+        failedFiles: 0,
+        openaiTokensTotal: { prompt: 0, completion: 0, total: 0 },
+        files: fileNames.map(fileName => ({
+            fileName,
+            state: 'pending',
+            retries: 0,
+            status: null,
+            code: null,
+            error: null,
+            processingTimeMs: null
+        })),
+        errorCode: null,
+        error: null,
+        result: null,
+        // What the worker runs: { fileNames, outputFormat, options }; not part of the status view
+        request
+    };
+}
+
+function createJobTracker(context, store, job) {
+    let pending = Promise.resolve();
+    let heartbeat = null;
+
+    function stopHeartbeat() {
+        if (heartbeat) clearInterval(heartbeat);
+        heartbeat = null;
+    }
+
+    function persist() {
+        job.updatedAt = new Date().toISOString();
+        if (job.status === 'running') job.heartbeatAt = job.updatedAt;
+        const snapshot = JSON.parse(JSON.stringify(job));
+        pending = pending
+            .then(() => store.save(snapshot))
+            .catch(error => context.log.error(`❌ Failed to persist job ${job.id}:`, error?.message || error));
+        return pending;
+    }
+
+    return {
+        job,
+        persist,
+        start() {
+            job.status = 'running';
+            job.startedAt = new Date().toISOString();
+            // A rerun after a lost worker starts over; results of the earlier attempt are discarded
+            job.attempts = (job.attempts || 0) + 1;
+            job.completedFiles = 0;
+            job.successfulFiles = 0;
+            job.failedFiles = 0;
+            job.openaiTokensTotal = { prompt: 0, completion: 0, total: 0 };
+            job.files = job.files.map(file => ({ ...file, state: 'pending', retries: 0, status: null, code: null, error: null, processingTimeMs: null }));
+            stopHeartbeat();
+            heartbeat = setInterval(persist, HEARTBEAT_MS);
+            heartbeat.unref?.();
+            return persist();
+        },
+        onFileStart(index) {
+            job.files[index].state = 'running';
+            return persist();
+        },
+        onFileDone(index, fileResult) {
+            const entry = job.files[index];
+            entry.state = fileResult.success ? 'succeeded' : 'failed';
+            entry.retries = fileResult.retries || 0;
+            entry.status = fileResult.status || (fileResult.success ? 200 : 500);
+            entry.code = fileResult.success ? null : (fileResult.code || 'INTERNAL_ERROR');
+            entry.error = fileResult.success ? null : (fileResult.error || 'Processing failed');
+            entry.processingTimeMs = fileResult.processingTimeMs ?? null;
+
+            job.completedFiles++;
+            if (fileResult.success) job.successfulFiles++;
+            else job.failedFiles++;
+
+            const tokens = fileResult?.metadata?.openaiTokens;
+            if (tokens) {
+                job.openaiTokensTotal.prompt += tokens.prompt || 0;
+                job.openaiTokensTotal.completion += tokens.completion || 0;
+                job.openaiTokensTotal.total += tokens.total || 0;
+            }
+            return persist();
+        },
+        complete(result) {
+            stopHeartbeat();
+            job.status = 'completed';
+            job.completedAt = new Date().toISOString();
+            job.result = result;
+            return persist();
+        },
+        fail(error) {
+            stopHeartbeat();
+            job.status = 'failed';
+            job.completedAt = new Date().toISOString();
+            // Only the code and a caller-safe message are stored; the job document is served as is
+            job.errorCode = classifyError(error);
+            job.error = publicMessage(error, job.errorCode);
+            return persist();
+        }
+    };
+}
+
+function resolveStaleAfterMs(value) {
+    const ms = Number(value);
+    return Number.isFinite(ms) && ms > 0 ? ms : DEFAULT_STALE_AFTER_MS;
+}
+
+// Last sign of life of a running job's worker
+function lastHeartbeat(job) {
+    return job.heartbeatAt || job.startedAt;
+}
+
+// Running without a heartbeat for staleAfterMs: the worker is gone
+function isStaleJob(job, staleAfterMs = DEFAULT_STALE_AFTER_MS, now = Date.now()) {
+    if (job.status !== 'running') return false;
+    const lastSeen = Date.parse(lastHeartbeat(job));
+    return Number.isFinite(lastSeen) && now - lastSeen > staleAfterMs;
+}
+
+/**
+ * Marks a stale job failed (JOB_STALE) and returns true; the caller persists the job.
+ */
+function markStaleJob(job, staleAfterMs, now = Date.now()) {
+    if (!isStaleJob(job, staleAfterMs, now)) return false;
+    const lastSeen = lastHeartbeat(job);
+    job.status = 'failed';
+    job.completedAt = new Date(now).toISOString();
+    job.updatedAt = job.completedAt;
+    job.errorCode = 'JOB_STALE';
+    job.error = `The job stopped reporting progress (last heartbeat ${lastSeen}); resubmit it`;
+    for (const file of job.files) {
+        if (file.state === 'pending' || file.state === 'running') file.state = 'abandoned';
+    }
+    return true;
+}
+
+// Poll response: progress always, the aggregated result only once the job has finished
+function toJobStatus(job, { includeResult = true } = {}) {
+    const { result, request, ...status } = job;
+    return {
+        ...status,
+        progress: job.totalFiles > 0 ? Math.round((job.completedFiles / job.totalFiles) * 100) : 100,
+        ...(includeResult && job.status === 'completed' ? { result } : {})
+    };
+}
+
+module.exports = {
+    createJobDocument,
+    createJobTracker,
+    resolveStaleAfterMs,
+    isStaleJob,
+    markStaleJob,
+    toJobStatus
+};
@@ -0,0 +1,97 @@
+const { formatDuration } = require('./speakerAnalytics');
+
+// When the meeting happened, who spoke and how long it ran, from the transcript and its file.
+// The date is taken from the first of these that has one:
+//   note      - a date written in a NOTE block ("NOTE Weekly sync 2025-03-04")
+//   filename  - a date in the file name (Teams: "Weekly sync-20250304_100512-Meeting Transcript.vtt")
+//   created   - the file's creation time; a transcript is written when the meeting ends,
+//               so its length is subtracted before the date is taken
+//   modified  - the file's last modification time
+// Dates are calendar dates in UTC; null when nothing gives one.
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_NAME = `(${MONTHS.map(m => `${m.slice(0, 3)}(?:${m.slice(3)})?`).join('|')})\\.?`;
+
+// 2025-03-04, 2025_03_04, 2025.03.04, 2025/03/04 and the compact 20250304
+const NUMERIC_DATE = /(?<!\d)((?:19|20)\d{2})([-_./]?)(\d{2})\2(\d{2})(?!\d)/g;
+// "4 March 2025", "March 4, 2025", "Mar 4th 2025"
+const DAY_MONTH_YEAR = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_NAME}\\s*,?\\s+((?:19|20)\\d{2})\\b`, 'gi');
+const MONTH_DAY_YEAR = new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\s*,?\\s+((?:19|20)\\d{2})\\b`, 'gi');
+
+function toIsoDate(year, month, day) {
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCFullYear() !== Number(year) || date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+        return null;
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+function monthNumber(name) {
+    return MONTHS.findIndex(m => m.startsWith(name.toLowerCase().slice(0, 3))) + 1;
+}
+
+/**
+ * First calendar date written in a piece of text, as YYYY-MM-DD; null when there is none.
+ * Day-first and month-first numeric forms (03/04/2025) are ambiguous and ignored.
+ */
+function findDateInText(text) {
+    const value = String(text || '');
+    const candidates = [];
+
+    for (const m of value.matchAll(NUMERIC_DATE)) candidates.push({ index: m.index, date: toIsoDate(m[1], m[3], m[4]) });
+    for (const m of value.matchAll(DAY_MONTH_YEAR)) candidates.push({ index: m.index, date: toIsoDate(m[3], monthNumber(m[2]), m[1]) });
+    for (const m of value.matchAll(MONTH_DAY_YEAR)) candidates.push({ index: m.index, date: toIsoDate(m[3], monthNumber(m[1]), m[2]) });
+
+    const found = candidates.filter(c => c.date).sort((a, b) => a.index - b.index)[0];
+    return found ? found.date : null;
+}
+
+function toDate(value) {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    // Filesystems without birth times report the epoch
+    return Number.isNaN(date.getTime()) || date.getTime() <= 0 ? null : date;
+}
+
+/**
+ * Meeting date and where it came from: { date: 'YYYY-MM-DD' | null, dateSource: note|filename|created|modified|null }.
+ * File times are read from the drive item (createdDateTime/lastModifiedDateTime) or the
+ * same-named properties other sources put on the file.
+ */
+function resolveMeetingDate({ notes = [], fileMetadata = {}, durationMs = 0 }) {
+    for (const note of notes) {
+        const date = findDateInText(note);
+        if (date) return { date, dateSource: 'note' };
+    }
+
+    const fileDate = findDateInText(fileMetadata.name);
+    if (fileDate) return { date: fileDate, dateSource: 'filename' };
+
+    const created = toDate(fileMetadata.item?.createdDateTime || fileMetadata.createdDateTime);
+    const modified = toDate(fileMetadata.item?.lastModifiedDateTime || fileMetadata.lastModifiedDateTime);
+    // Created after its last change means the file was copied; the modification time is then closer to the meeting
+    if (created && !(modified && modified < created)) {
+        return { date: new Date(created.getTime() - durationMs).toISOString().slice(0, 10), dateSource: 'created' };
+    }
+    if (modified) return { date: modified.toISOString().slice(0, 10), dateSource: 'modified' };
+
+    return { date: null, dateSource: null };
+}
+
+// Distinct <v> voices in order of first appearance
+function listParticipants(timestampBlocks) {
+    return [...new Set((timestampBlocks || []).map(block => block.speaker).filter(Boolean))];
+}
+
+// Recordings start at 00:00:00, so the meeting runs until the last cue ends
+function meetingDuration(timestampBlocks) {
+    const durationMs = (timestampBlocks || []).reduce((max, block) => Math.max(max, Number(block.end) || 0), 0);
+    return { durationMs, duration: formatDuration(durationMs) };
+}
+
+module.exports = {
+    findDateInText,
+    resolveMeetingDate,
+    listParticipants,
+    meetingDuration
+};
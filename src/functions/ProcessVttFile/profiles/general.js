@@ -0,0 +1,84 @@
+const { TIMESTAMP_PATTERN } = require('./sections');
+
+// Default profile: any business meeting. Who committed to what, what was decided, what is still open.
+
+const ACTION_ITEMS = {
+    key: 'actionItems',
+    title: 'Action Items',
+    icon: '✅',
+    empty: 'No action items identified.',
+    schema: {
+        type: 'object',
+        required: ['description'],
+        properties: {
+            description: { type: 'string', minLength: 3 },
+            owner: { type: 'string' },
+            dueDate: { type: 'string' },
+            timestamp: { type: 'string', pattern: TIMESTAMP_PATTERN }
+        }
+    },
+    prompt: '{ "description": "what was committed to", "owner": "speaker who owns it", "dueDate": "YYYY-MM-DD or the deadline as said, empty if none", "timestamp": "HH:MM:SS" }',
+    rule: 'only explicit commitments or assignments; owner must be a speaker name from the transcript; dueDate only if a deadline is mentioned, never invented.',
+    textField: 'description',
+    speakerFields: ['owner'],
+    render: {
+        columns: [
+            { field: 'owner', label: 'Owner' },
+            { field: 'description', label: 'Action' },
+            { field: 'dueDate', label: 'Due' }
+        ]
+    }
+};
+
+const DECISIONS = {
+    key: 'decisions',
+    title: 'Decisions',
+    icon: '🧭',
+    empty: 'No decisions recorded.',
+    schema: {
+        type: 'object',
+        required: ['description'],
+        properties: {
+            description: { type: 'string', minLength: 3 },
+            speaker: { type: 'string' },
+            timestamp: { type: 'string', pattern: TIMESTAMP_PATTERN }
+        }
+    },
+    prompt: '{ "description": "what was decided", "speaker": "who stated it", "timestamp": "HH:MM:SS" }',
+    rule: 'only decisions the group actually agreed on.',
+    textField: 'description',
+    speakerFields: ['speaker'],
+    render: { text: 'description', by: 'speaker' }
+};
+
+const OPEN_QUESTIONS = {
+    key: 'openQuestions',
+    title: 'Open Questions',
+    icon: '❓',
+    empty: 'No open questions.',
+    schema: {
+        type: 'object',
+        required: ['question'],
+        properties: {
+            question: { type: 'string', minLength: 3 },
+            speaker: { type: 'string' },
+            timestamp: { type: 'string', pattern: TIMESTAMP_PATTERN }
+        }
+    },
+    prompt: '{ "question": "question left unanswered", "speaker": "who raised it", "timestamp": "HH:MM:SS" }',
+    rule: 'questions raised but not answered by the end of the meeting.',
+    textField: 'question',
+    speakerFields: ['speaker'],
+    render: { text: 'question', by: 'speaker' }
+};
+
+module.exports = {
+    ACTION_ITEMS,
+    profile: {
+        name: 'general',
+        description: 'Business meeting: summary, key points, action items, decisions and open questions',
+        intro: 'Analyze the meeting transcript',
+        summaryHint: '2-3 sentences executive summary',
+        sections: [ACTION_ITEMS, DECISIONS, OPEN_QUESTIONS]
+    }
+};
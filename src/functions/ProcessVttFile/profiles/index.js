@@ -0,0 +1,29 @@
+// Analysis profiles: what the model is asked to extract and how the reports present it.
+// Every profile exposes { name, description, intro, summaryHint, sections } (see sections.js);
+// summary and keyPoints are common to all profiles.
+
+const { createError } = require('../errors');
+const general = require('./general');
+const training = require('./training');
+const standup = require('./standup');
+
+const PROFILES = {
+    general: general.profile,
+    training: training.profile,
+    standup: standup.profile
+};
+
+// Request value wins over ANALYSIS_PROFILE; general stays the default
+function resolveProfile(requested, config = {}) {
+    const name = String(requested || config.analysisProfile || 'general').toLowerCase();
+    if (!PROFILES[name]) {
+        const error = createError('INVALID_OPTION', `Unknown analysis profile: ${name} (expected one of ${Object.keys(PROFILES).join(', ')})`);
+        throw error;
+    }
+    return PROFILES[name];
+}
+
+module.exports = {
+    PROFILES,
+    resolveProfile
+};
@@ -0,0 +1,247 @@
+const { validateSchema } = require('../schema');
+const { escapeHtml, safeUrl } = require('../htmlEscape');
+const { createLocalizer } = require('../i18n');
+
+// Profile sections: the structured arrays a profile asks the model for next to
+// summary/keyPoints (action items, Q&A pairs, standup updates...).
+// A section is described once and the same definition drives the prompt, schema
+// validation, the chunk merge, speaker resolution and the HTML/Markdown rendering:
+//   key, title, icon, empty       - result field and report heading
+//   schema                        - JSON Schema for one item (see schema.js)
+//   prompt, rule                  - example item and extra instruction for the prompt
+//   textField                     - identity of an item when merging chunks
+//   speakerFields                 - fields matched to VTT voices (first falls back to the speaker at the timestamp)
+//   limit                         - maximum items kept after merging
+//   checkItem(item, path)         - optional rule across fields; may repair the item in place and
+//                                   returns [{ path, message }], an item with problems is dropped
+//   render                        - { columns: [{ field, label }] } for a table or { text, by } for a list
+
+const TIMESTAMP_PATTERN = '^(\\d{2}:\\d{2}:\\d{2})?$';
+
+function trimString(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+// "5:12" or "1:05:12.000" -> "00:05:12" / "01:05:12"; anything else is left for the schema to reject
+function padTimestamp(value) {
+    const match = typeof value === 'string' && value.trim().match(/^(?:(\d{1,2}):)?(\d{1,2}):(\d{2})(?:\.\d+)?$/);
+    if (!match) return value;
+    return [match[1] || '0', match[2], match[3]].map(part => part.padStart(2, '0')).join(':');
+}
+
+// Picks up to `count` items spread evenly across the list
+function spreadPick(items, count) {
+    if (items.length <= count) return items.slice();
+    const step = items.length / count;
+    return Array.from({ length: count }, (_, i) => items[Math.floor(i * step)]);
+}
+
+function normalizeField(value, schema) {
+    if (schema?.type === 'array') {
+        return (Array.isArray(value) ? value : []).map(v => trimString(v)).filter(Boolean);
+    }
+    return trimString(value);
+}
+
+function emptySections(sections) {
+    return Object.fromEntries(sections.map(section => [section.key, []]));
+}
+
+// Lines inserted into the JSON schema block of a prompt
+function sectionPromptSchema(sections) {
+    return sections
+        .map(section => `  "${section.key}": [\n    ${section.prompt}\n  ]`)
+        .join(',\n');
+}
+
+function sectionPromptRules(sections) {
+    return sections
+        .filter(section => section.rule)
+        .map(section => `- ${section.key}: ${section.rule}`)
+        .concat(sections.length > 0 ? ['- Use an empty array for any section with nothing to report.'] : [])
+        .join('\n');
+}
+
+/**
+ * Validates each section array of a parsed model answer against its item schema.
+ * Returns { items: { [key]: [...] }, errors: [{ path, message }] }; invalid items are dropped.
+ * options.checkItem(section, item, path) may add further errors and clear the fields it rejects.
+ */
+function normalizeSections(sections, parsed, { checkItem } = {}) {
+    const items = emptySections(sections);
+    const errors = [];
+
+    for (const section of sections) {
+        const raw = parsed?.[section.key];
+        if (raw === undefined) continue;
+        if (!Array.isArray(raw)) {
+            errors.push({ path: `$.${section.key}`, message: 'expected array' });
+            continue;
+        }
+        raw.forEach((item, i) => {
+            if (item && typeof item === 'object' && item.timestamp !== undefined) {
+                item = { ...item, timestamp: padTimestamp(item.timestamp) };
+            }
+            const itemErrors = validateSchema(item, section.schema, `$.${section.key}[${i}]`);
+            if (itemErrors.length > 0) {
+                errors.push(...itemErrors);
+                return;
+            }
+            const normalized = {};
+            for (const [field, fieldSchema] of Object.entries(section.schema.properties)) {
+                normalized[field] = normalizeField(item[field], fieldSchema);
+            }
+            const ruleErrors = section.checkItem ? section.checkItem(normalized, `$.${section.key}[${i}]`) : [];
+            if (ruleErrors.length > 0) {
+                errors.push(...ruleErrors);
+                return;
+            }
+            if (checkItem) errors.push(...checkItem(section, normalized, `$.${section.key}[${i}]`));
+            items[section.key].push(normalized);
+        });
+    }
+    return { items, errors };
+}
+
+function itemText(section, item) {
+    return String(item[section.textField] || '').toLowerCase().replace(/\W+/g, ' ').trim();
+}
+
+// Concatenates per-chunk items in order, dropping repeats of the same text
+function mergeSections(sections, parts) {
+    const merged = emptySections(sections);
+    for (const section of sections) {
+        const seen = new Set();
+        for (const part of parts) {
+            for (const item of part?.[section.key] || []) {
+                const text = itemText(section, item);
+                if (seen.has(text)) continue;
+                seen.add(text);
+                merged[section.key].push(item);
+            }
+        }
+        if (section.limit) merged[section.key] = spreadPick(merged[section.key], section.limit);
+    }
+    return merged;
+}
+
+// Exact (case-insensitive) name first, then a unique first-name match
+function matchSpeaker(name, speakers) {
+    const wanted = trimString(name).toLowerCase();
+    if (!wanted) return '';
+    const exact = speakers.find(s => s.toLowerCase() === wanted);
+    if (exact) return exact;
+    const byFirstName = speakers.filter(s => s.toLowerCase().split(/\s+/)[0] === wanted.split(/\s+/)[0]);
+    return byFirstName.length === 1 ? byFirstName[0] : trimString(name);
+}
+
+/**
+ * Resolves speaker fields against the VTT voices and adds video links to timestamped items.
+ * The first speaker field of an item falls back to whoever spoke at its timestamp.
+ */
+function finalizeSections(sections, items, timestampBlocks, buildVideoLink) {
+    const speakers = [...new Set((timestampBlocks || []).map(b => b.speaker).filter(Boolean))];
+    // Last cue starting at or before the timestamp (HH:MM:SS compares correctly as text)
+    const speakerAt = timestamp => {
+        if (!timestamp) return '';
+        const cue = (timestampBlocks || []).filter(b => b.speaker && b.timestamp <= timestamp).pop();
+        return cue ? cue.speaker : '';
+    };
+
+    const finalized = {};
+    for (const section of sections) {
+        const speakerFields = section.speakerFields || [];
+        const hasTimestamp = Boolean(section.schema.properties.timestamp);
+        finalized[section.key] = (items[section.key] || []).map(item => {
+            const resolved = { ...item };
+            speakerFields.forEach((field, index) => {
+                resolved[field] = matchSpeaker(item[field], speakers) || (index === 0 ? speakerAt(item.timestamp) : '');
+            });
+            if (hasTimestamp) resolved.videoLink = buildVideoLink(item.timestamp);
+            return resolved;
+        });
+    }
+    return finalized;
+}
+
+function displayValue(value) {
+    return Array.isArray(value) ? value.join('; ') : String(value || '');
+}
+
+function renderSectionsHtml(sections, result, l10n = createLocalizer()) {
+    const timeCell = item => {
+        if (!item.timestamp) return '';
+        const href = safeUrl(item.videoLink);
+        return href
+            ? `<a class="timestamp" href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${escapeHtml(item.timestamp)}</a>`
+            : `<span class="timestamp">${escapeHtml(item.timestamp)}</span>`;
+    };
+
+    return sections.map(section => {
+        const items = result[section.key] || [];
+        let body;
+        if (items.length === 0) {
+            body = `<p class="empty">${escapeHtml(l10n.text(section.empty))}</p>`;
+        } else if (section.render.columns) {
+            const columns = section.render.columns;
+            const showTime = Boolean(section.schema.properties.timestamp);
+            body = `<table class="items-table">
+            <tr>${columns.map(c => `<th>${escapeHtml(l10n.text(c.label))}</th>`).join('')}${showTime ? `<th>${escapeHtml(l10n.t('time'))}</th>` : ''}</tr>
+            ${items.map(item => `<tr>${columns.map(c => `<td>${escapeHtml(displayValue(item[c.field]) || '—')}</td>`).join('')}${showTime ? `<td>${timeCell(item)}</td>` : ''}</tr>`).join('')}
+        </table>`;
+        } else {
+            const { text, by } = section.render;
+            body = `<ul>
+            ${items.map(item => `<li>${timeCell(item)} ${escapeHtml(item[text])}${by && item[by] ? ` <span class="speaker">— ${escapeHtml(item[by])}</span>` : ''}</li>`).join('')}
+        </ul>`;
+        }
+        return `<div class="items section-${escapeHtml(section.key)}">
+        <h2>${escapeHtml(section.icon)} ${escapeHtml(l10n.text(section.title))} (${items.length})</h2>
+        ${body}
+    </div>`;
+    }).join('\n    ');
+}
+
+function renderSectionsMarkdown(sections, result, l10n = createLocalizer()) {
+    const timeRef = item => item.timestamp
+        ? (item.videoLink ? `[${item.timestamp}](${item.videoLink})` : item.timestamp)
+        : '';
+    const cell = value => (displayValue(value) || '—').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+    return sections.map(section => {
+        const items = result[section.key] || [];
+        let body;
+        if (items.length === 0) {
+            body = `_${l10n.text(section.empty)}_`;
+        } else if (section.render.columns) {
+            const columns = section.render.columns;
+            const showTime = Boolean(section.schema.properties.timestamp);
+            const header = [...columns.map(c => l10n.text(c.label)), ...(showTime ? [l10n.t('time')] : [])];
+            body = [
+                `| ${header.join(' | ')} |`,
+                `|${header.map(() => '---').join('|')}|`,
+                ...items.map(item => `| ${[...columns.map(c => cell(item[c.field])), ...(showTime ? [timeRef(item) || '—'] : [])].join(' | ')} |`)
+            ].join('\n');
+        } else {
+            const { text, by } = section.render;
+            body = items
+                .map(item => `- ${timeRef(item) ? `${timeRef(item)} ` : ''}${item[text]}${by && item[by] ? ` — *${item[by]}*` : ''}`)
+                .join('\n');
+        }
+        return `## ${section.icon} ${l10n.text(section.title)} (${items.length})\n\n${body}`;
+    }).join('\n\n');
+}
+
+module.exports = {
+    TIMESTAMP_PATTERN,
+    spreadPick,
+    emptySections,
+    sectionPromptSchema,
+    sectionPromptRules,
+    normalizeSections,
+    mergeSections,
+    matchSpeaker,
+    finalizeSections,
+    renderSectionsHtml,
+    renderSectionsMarkdown
+};
@@ -0,0 +1,65 @@
+const { TIMESTAMP_PATTERN } = require('./sections');
+const { ACTION_ITEMS } = require('./general');
+
+// Daily standups: one update per person (done, next, blockers) plus the blockers and follow-ups raised.
+
+const UPDATES = {
+    key: 'updates',
+    title: 'Updates',
+    icon: '👥',
+    empty: 'No individual updates found.',
+    schema: {
+        type: 'object',
+        required: ['person'],
+        properties: {
+            person: { type: 'string', minLength: 1 },
+            yesterday: { type: 'string' },
+            today: { type: 'string' },
+            blockers: { type: 'string' },
+            timestamp: { type: 'string', pattern: TIMESTAMP_PATTERN }
+        }
+    },
+    prompt: '{ "person": "speaker giving the update", "yesterday": "what they finished", "today": "what they will work on", "blockers": "what blocks them, empty if nothing", "timestamp": "HH:MM:SS" }',
+    rule: 'one entry per person who gave an update; person must be a speaker name from the transcript.',
+    textField: 'person',
+    speakerFields: ['person'],
+    render: {
+        columns: [
+            { field: 'person', label: 'Person' },
+            { field: 'yesterday', label: 'Done' },
+            { field: 'today', label: 'Next' },
+            { field: 'blockers', label: 'Blockers' }
+        ]
+    }
+};
+
+const BLOCKERS = {
+    key: 'blockers',
+    title: 'Blockers',
+    icon: '🚧',
+    empty: 'No blockers raised.',
+    schema: {
+        type: 'object',
+        required: ['description'],
+        properties: {
+            description: { type: 'string', minLength: 3 },
+            owner: { type: 'string' },
+            timestamp: { type: 'string', pattern: TIMESTAMP_PATTERN }
+        }
+    },
+    prompt: '{ "description": "what is blocked and why", "owner": "speaker who is blocked", "timestamp": "HH:MM:SS" }',
+    rule: 'impediments that need help from someone outside the speaker.',
+    textField: 'description',
+    speakerFields: ['owner'],
+    render: { text: 'description', by: 'owner' }
+};
+
+module.exports = {
+    profile: {
+        name: 'standup',
+        description: 'Daily standup: per-person updates, blockers and follow-ups',
+        intro: 'Analyze the daily standup transcript',
+        summaryHint: '2-3 sentences on overall team progress and risks',
+        sections: [UPDATES, BLOCKERS, { ...ACTION_ITEMS, title: 'Follow-ups' }]
+    }
+};
@@ -0,0 +1,168 @@
+const { TIMESTAMP_PATTERN } = require('./sections');
+const { ACTION_ITEMS } = require('./general');
+
+// Training sessions (Dynamics 365 walkthroughs and similar): what was taught and demonstrated,
+// learner questions with their answers, follow-up material and a short quiz to check understanding.
+
+const TOPICS = {
+    key: 'topics',
+    title: 'Topics Covered',
+    icon: '📚',
+    empty: 'No topics identified.',
+    schema: {
+        type: 'object',
+        required: ['title'],
+        properties: {
+            title: { type: 'string', minLength: 3 },
+            description: { type: 'string' },
+            tips: { type: 'array', items: { type: 'string' } },
+            timestamp: { type: 'string', pattern: TIMESTAMP_PATTERN }
+        }
+    },
+    prompt: '{ "title": "topic taught, e.g. Lead Management Process", "description": "1-2 sentences on what was taught", "tips": ["best practice or tip shared"], "timestamp": "HH:MM:SS" }',
+    rule: 'one entry per distinct topic, in the order taught.',
+    textField: 'title',
+    render: {
+        columns: [
+            { field: 'title', label: 'Topic' },
+            { field: 'description', label: 'What Was Covered' },
+            { field: 'tips', label: 'Tips' }
+        ]
+    }
+};
+
+const DEMONSTRATED_FEATURES = {
+    key: 'demonstratedFeatures',
+    title: 'Features Demonstrated',
+    icon: '🖥️',
+    empty: 'No features were demonstrated.',
+    schema: {
+        type: 'object',
+        required: ['feature'],
+        properties: {
+            feature: { type: 'string', minLength: 2 },
+            description: { type: 'string' },
+            presenter: { type: 'string' },
+            timestamp: { type: 'string', pattern: TIMESTAMP_PATTERN }
+        }
+    },
+    prompt: '{ "feature": "product feature or screen shown", "description": "what was shown", "presenter": "speaker who demonstrated it", "timestamp": "HH:MM:SS" }',
+    rule: 'only features actually shown on screen or walked through, not just mentioned.',
+    textField: 'feature',
+    speakerFields: ['presenter'],
+    render: {
+        columns: [
+            { field: 'feature', label: 'Feature' },
+            { field: 'description', label: 'Demonstration' },
+            { field: 'presenter', label: 'Presenter' }
+        ]
+    }
+};
+
+const QA_PAIRS = {
+    key: 'qaPairs',
+    title: 'Questions & Answers',
+    icon: '💬',
+    empty: 'No learner questions.',
+    schema: {
+        type: 'object',
+        required: ['question'],
+        properties: {
+            question: { type: 'string', minLength: 3 },
+            answer: { type: 'string' },
+            askedBy: { type: 'string' },
+            answeredBy: { type: 'string' },
+            timestamp: { type: 'string', pattern: TIMESTAMP_PATTERN }
+        }
+    },
+    prompt: '{ "question": "question a learner asked", "answer": "answer given, empty if none", "askedBy": "speaker", "answeredBy": "speaker", "timestamp": "HH:MM:SS of the question" }',
+    rule: 'questions asked during the session with the answer given.',
+    textField: 'question',
+    speakerFields: ['askedBy', 'answeredBy'],
+    render: {
+        columns: [
+            { field: 'question', label: 'Question' },
+            { field: 'answer', label: 'Answer' },
+            { field: 'askedBy', label: 'Asked By' },
+            { field: 'answeredBy', label: 'Answered By' }
+        ]
+    }
+};
+
+const FOLLOW_UP_MATERIALS = {
+    key: 'followUpMaterials',
+    title: 'Follow-up Materials',
+    icon: '📎',
+    empty: 'No follow-up materials mentioned.',
+    schema: {
+        type: 'object',
+        required: ['title'],
+        properties: {
+            title: { type: 'string', minLength: 2 },
+            description: { type: 'string' },
+            timestamp: { type: 'string', pattern: TIMESTAMP_PATTERN }
+        }
+    },
+    prompt: '{ "title": "document, link, exercise or next session mentioned", "description": "why it is useful", "timestamp": "HH:MM:SS" }',
+    rule: 'only materials or next sessions mentioned in the transcript.',
+    textField: 'title',
+    render: { text: 'title', by: 'description' }
+};
+
+function optionKey(text) {
+    return String(text).toLowerCase().replace(/\s+/g, ' ').replace(/[.!?]+$/, '').trim();
+}
+
+// The answer must be one of the options. Case, spacing and a trailing full stop are forgiven, and so is
+// an option letter ("B", "b)", "B. Save the record"); the answer is then rewritten to the option text.
+function checkQuizAnswer(item, path) {
+    const wanted = optionKey(item.answer);
+    let option = item.options.find(o => optionKey(o) === wanted);
+    if (!option) {
+        const letter = item.answer.match(/^([a-f])(?:[.):]\s*(.*))?$/i);
+        const candidate = letter && item.options[letter[1].toLowerCase().charCodeAt(0) - 97];
+        if (candidate && (!letter[2] || optionKey(letter[2]) === optionKey(candidate))) option = candidate;
+    }
+    if (!option) return [{ path: `${path}.answer`, message: `must be one of the options (${item.options.map(o => JSON.stringify(o)).join(', ')})` }];
+    item.answer = option;
+    return [];
+}
+
+const QUIZ = {
+    key: 'quiz',
+    title: 'Suggested Quiz',
+    icon: '📝',
+    empty: 'No quiz questions could be generated.',
+    schema: {
+        type: 'object',
+        required: ['question', 'options', 'answer'],
+        properties: {
+            question: { type: 'string', minLength: 5 },
+            options: { type: 'array', minItems: 2, maxItems: 6, items: { type: 'string' } },
+            answer: { type: 'string', minLength: 1 },
+            timestamp: { type: 'string', pattern: TIMESTAMP_PATTERN }
+        }
+    },
+    prompt: '{ "question": "multiple choice question on the session content", "options": ["A", "B", "C", "D"], "answer": "the correct option text", "timestamp": "HH:MM:SS where it was taught" }',
+    rule: '3-5 multiple choice questions answerable from this transcript; answer must be one of the options.',
+    textField: 'question',
+    limit: 8,
+    checkItem: checkQuizAnswer,
+    render: {
+        columns: [
+            { field: 'question', label: 'Question' },
+            { field: 'options', label: 'Options' },
+            { field: 'answer', label: 'Answer' }
+        ]
+    }
+};
+
+module.exports = {
+    profile: {
+        name: 'training',
+        description: 'Training session: topics, demonstrated features, Q&A, homework, follow-up materials and a quiz',
+        intro: 'You are an expert in Dynamics 365 CRM training analysis. Analyze the training session transcript',
+        summaryHint: '2-3 sentences on what the session taught and who it is for',
+        sections: [TOPICS, DEMONSTRATED_FEATURES, QA_PAIRS, { ...ACTION_ITEMS, title: 'Homework & Action Items' }, FOLLOW_UP_MATERIALS, QUIZ]
+    }
+};
@@ -0,0 +1,143 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { BlobServiceClient } = require('@azure/storage-blob');
+const { getOrCreateClient, createTtlCache } = require('./cache');
+const { createError } = require('./errors');
+const { checkSchemaPatterns } = require('./schema');
+
+// Named prompt templates for custom analyses, kept as "{name}.json" documents in
+// PROMPT_TEMPLATES_DIR (local folder, checked first) or the PROMPT_TEMPLATES_CONTAINER blob container:
+//   { "description": "...", "prompt": "... {{transcript}} ...", "schema": { JSON Schema }, "maxTokens": 2048 }
+// "{{transcript}}" and "{{schema}}" are filled in at request time; without {{transcript}} the
+// transcript is appended. A request may pass its own JSON Schema instead of, or on top of, a template.
+
+const TEMPLATE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const DEFAULT_TEMPLATE_TTL_MS = 60 * 1000;
+
+function getTemplateTtlMs() {
+    const configured = Number(process.env.PROMPT_TEMPLATE_CACHE_TTL_MS);
+    return Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_TEMPLATE_TTL_MS;
+}
+
+const templateCache = createTtlCache(getTemplateTtlMs);
+
+function templateError(message, code) {
+    return createError(code, message);
+}
+
+async function readLocalTemplate(config, name) {
+    const filePath = path.join(path.resolve(config.promptTemplatesDir), `${name}.json`);
+    try {
+        return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error?.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function readBlobTemplate(context, config, name) {
+    const containerClient = getOrCreateClient('template-blob', [config.blobConnectionString, config.promptTemplatesContainer], () => {
+        const serviceClient = BlobServiceClient.fromConnectionString(config.blobConnectionString);
+        context.log(`✅ Prompt template container client initialized (${config.promptTemplatesContainer})`);
+        return serviceClient.getContainerClient(config.promptTemplatesContainer);
+    });
+    try {
+        const buffer = await containerClient.getBlobClient(`${name}.json`).downloadToBuffer();
+        return buffer.toString('utf8');
+    } catch (error) {
+        if (error?.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+// Every pattern is compiled before the model is called, so a bad one fails the request up front
+function assertSchemaPatterns(schema, label, code) {
+    const problems = checkSchemaPatterns(schema);
+    if (problems.length > 0) {
+        throw templateError(`${label} has invalid patterns: ${problems.slice(0, 5).map(p => `${p.path}: ${p.message}`).join('; ')}`, code);
+    }
+}
+
+function parseTemplate(name, text) {
+    let template;
+    try {
+        template = JSON.parse(text);
+    } catch (parseError) {
+        throw templateError(`Prompt template ${name} is not valid JSON: ${parseError.message}`, 'CONFIG_INVALID');
+    }
+    if (!template || typeof template.prompt !== 'string' || !template.prompt.trim()) {
+        throw templateError(`Prompt template ${name} has no "prompt" text`, 'CONFIG_INVALID');
+    }
+    if (template.schema) assertSchemaPatterns(template.schema, `Prompt template ${name} schema`, 'CONFIG_INVALID');
+    return { name, ...template };
+}
+
+/**
+ * Loads a named template from the configured folder or container (cached for PROMPT_TEMPLATE_CACHE_TTL_MS).
+ */
+async function loadPromptTemplate(context, config, name) {
+    if (!TEMPLATE_NAME_PATTERN.test(String(name))) {
+        throw templateError(`Invalid template name: ${name} (letters, digits, "-" and "_" only)`, 'INVALID_OPTION');
+    }
+    if (!config.promptTemplatesDir && !(config.promptTemplatesContainer && config.blobConnectionString)) {
+        throw templateError('Missing required configuration: PROMPT_TEMPLATES_DIR or PROMPT_TEMPLATES_CONTAINER', 'CONFIG_MISSING');
+    }
+
+    const cacheKey = `${config.promptTemplatesDir || ''}|${config.promptTemplatesContainer || ''}|${name}`;
+    return templateCache.getOrLoad(cacheKey, async () => {
+        let text = config.promptTemplatesDir ? await readLocalTemplate(config, name) : null;
+        if (text === null && config.promptTemplatesContainer && config.blobConnectionString) {
+            text = await readBlobTemplate(context, config, name);
+        }
+        if (text === null) {
+            throw templateError(`Prompt template not found: ${name}`, 'TEMPLATE_NOT_FOUND');
+        }
+        context.log(`🧩 Loaded prompt template: ${name}`);
+        return parseTemplate(name, text);
+    });
+}
+
+function parseSchemaOption(outputSchema) {
+    if (outputSchema === undefined || outputSchema === null || outputSchema === '') return undefined;
+    let schema = outputSchema;
+    if (typeof schema === 'string') {
+        try {
+            schema = JSON.parse(schema);
+        } catch (parseError) {
+            throw templateError(`outputSchema is not valid JSON: ${parseError.message}`, 'INVALID_OPTION');
+        }
+    }
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        throw templateError('outputSchema must be a JSON Schema object', 'INVALID_OPTION');
+    }
+    // JSON mode always answers with an object
+    if (schema.type !== undefined && schema.type !== 'object') {
+        throw templateError('outputSchema must describe an object ("type": "object")', 'INVALID_OPTION');
+    }
+    assertSchemaPatterns(schema, 'outputSchema', 'INVALID_OPTION');
+    return schema;
+}
+
+/**
+ * Turns request options ({ template, outputSchema }) into a custom analysis definition
+ * { name, prompt, schema, maxTokens }, or null when the request uses an analysis profile.
+ */
+async function resolveCustomAnalysis(context, config, requested = {}) {
+    const schemaOverride = parseSchemaOption(requested.outputSchema);
+    if (!requested.template && !schemaOverride) return null;
+
+    const template = requested.template ? await loadPromptTemplate(context, config, requested.template) : null;
+    const schema = schemaOverride || template?.schema || null;
+    return {
+        name: template?.name || null,
+        prompt: template?.prompt || null,
+        schema,
+        schemaSource: schemaOverride ? 'request' : (schema ? 'template' : null),
+        maxTokens: Number(template?.maxTokens) || undefined
+    };
+}
+
+module.exports = {
+    loadPromptTemplate,
+    resolveCustomAnalysis
+};
@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const { createError } = require('./errors');
+
+// Redacts personal and sensitive data from the transcript before anything is sent to the model.
+// Matches are replaced by numbered placeholders ("[EMAIL_1]"); the same value always gets the same
+// placeholder within a file, so the model can still tell people and addresses apart. The placeholder
+// map lives only for the request: callers presenting REDACTION_REVEAL_KEY get the analysis with the
+// original values put back, everyone else gets the placeholders.
+//   detectors  - built-in: url (links with token-like parameters), email, iban, card, phone
+//   terms      - literal words or names, matched case-insensitively as whole words
+//   patterns   - regular expressions from REDACTION_PATTERNS, each with an optional placeholder name.
+//                They run over every cue on the event loop, so requests cannot supply them: a
+//                backtracking pattern from a caller could stall the host.
+
+// Query parameters whose values are credentials (SAS signatures, OAuth codes, API keys, session IDs)
+const SECRET_PARAM = /[?&#](?:[^=&#]*(?:token|key|sig|signature|secret|password|passwd|pwd|auth|code|session|credential)[^=&#]*)=[^&#\s]+/i;
+
+const DETECTORS = {
+    url: { label: 'URL', pattern: /\bhttps?:\/\/[^\s<>"']+/gi, accept: value => SECRET_PARAM.test(value) },
+    email: { label: 'EMAIL', pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu, normalize: value => value.toLowerCase() },
+    iban: { label: 'IBAN', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/gi, accept: isValidIban, normalize: compact },
+    card: { label: 'CARD', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, accept: value => passesLuhn(value.replace(/\D/g, '')), normalize: digits },
+    phone: {
+        label: 'PHONE',
+        pattern: /(?<![\p{L}\p{N}+]|\d[.\/-])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,5}\)[ .-]?)?\d[\d .\/-]{4,16}\d(?![\p{L}\p{N}]|[.\/-]\d)/gu,
+        accept: isPhoneNumber,
+        normalize: digits
+    }
+};
+const DETECTOR_NAMES = Object.keys(DETECTORS);
+
+const MAX_TERMS = 500;
+const MAX_PATTERNS = 20;
+const MAX_PATTERN_LENGTH = 500;
+const PLACEHOLDER = /\[([A-Z][A-Z0-9]*)_(\d+)\]/g;
+
+function optionError(message, code = 'INVALID_OPTION') {
+    return createError(code, message);
+}
+
+function digits(value) {
+    return value.replace(/\D/g, '');
+}
+
+function compact(value) {
+    return value.replace(/\s/g, '').toUpperCase();
+}
+
+function passesLuhn(number) {
+    let sum = 0;
+    for (let i = 0; i < number.length; i++) {
+        let digit = Number(number[number.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// ISO 13616 check digits: country and check moved to the end, letters as 10..35, mod 97 must be 1
+function isValidIban(value) {
+    const iban = compact(value);
+    if (iban.length < 15 || iban.length > 34) return false;
+    const numeric = `${iban.slice(4)}${iban.slice(0, 4)}`.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+    let remainder = 0;
+    for (const char of numeric) remainder = (remainder * 10 + Number(char)) % 97;
+    return remainder === 1;
+}
+
+// 7-15 digits (E.164), but not dates, times or amounts with thousands separators ("1.500.000")
+function isPhoneNumber(value) {
+    const count = digits(value).length;
+    if (count < 7 || count > 15) return false;
+    if (/^\d{4}[-/.]\d{1,2}[-/.]\d{1,2}$|^\d{1,2}[-/.]\d{1,2}[-/.]\d{4}$/.test(value)) return false;
+    if (/^\d{1,3}(?:[., ]\d{3})+$/.test(value)) return false;
+    // Plain runs of digits are more often IDs or amounts; require 10 digits, a + or an area code
+    const grouped = /[ .\/()-]/.test(value) || value.startsWith('+');
+    return grouped || count >= 10;
+}
+
+function toList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    if (Array.isArray(value)) return value;
+    return String(value).split(/[,\n]/);
+}
+
+function parseDetectors(value) {
+    if (value === undefined || value === null) return null;
+    if (value === true || /^(true|on|all|yes)$/i.test(String(value).trim())) return [...DETECTOR_NAMES];
+    if (value === false || /^(false|off|none|no|)$/i.test(String(value).trim())) return [];
+    const names = toList(value).map(name => String(name).trim().toLowerCase()).filter(Boolean);
+    const unknown = names.filter(name => !DETECTORS[name]);
+    if (unknown.length > 0) {
+        throw optionError(`Unknown redaction detector: ${unknown.join(', ')} (expected on, off or any of ${DETECTOR_NAMES.join(', ')})`);
+    }
+    return [...new Set(names)];
+}
+
+// Patterns as a JSON array or an array of strings / { name, pattern, flags }
+function parsePatterns(value, origin) {
+    if (value === undefined || value === null || value === '') return [];
+    let list = value;
+    if (typeof value === 'string') {
+        if (value.trim().startsWith('[')) {
+            try {
+                list = JSON.parse(value);
+            } catch (error) {
+                throw optionError(`${origin} is not a valid JSON array: ${error.message}`);
+            }
+        } else {
+            list = [value];
+        }
+    }
+    if (!Array.isArray(list)) throw optionError(`${origin} must be an array of patterns`);
+
+    return list.map(entry => {
+        const spec = typeof entry === 'string' ? { pattern: entry } : (entry || {});
+        const source = String(spec.pattern || '');
+        if (!source || source.length > MAX_PATTERN_LENGTH) {
+            throw optionError(`${origin}: every pattern needs 1-${MAX_PATTERN_LENGTH} characters`);
+        }
+        const flags = `g${String(spec.flags || '').replace(/[^imsu]/g, '')}`;
+        let pattern;
+        try {
+            pattern = new RegExp(source, [...new Set(flags)].join(''));
+        } catch (error) {
+            throw optionError(`${origin}: invalid pattern ${source}: ${error.message}`);
+        }
+        const label = String(spec.name || 'custom').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 20) || 'CUSTOM';
+        return { label: /^[A-Z]/.test(label) ? label : `P${label}`, pattern };
+    });
+}
+
+function revealAllowed(presentedKey, revealKey) {
+    if (!revealKey || !presentedKey) return false;
+    // Compare digests so neither the length nor the content leaks through timing
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(presentedKey), digest(revealKey));
+}
+
+/**
+ * Request options over REDACTION / REDACTION_TERMS / REDACTION_PATTERNS, validated.
+ * requested: { redact, terms, patterns, reveal, revealKey } - terms add to the settings; patterns
+ * are only accepted from settings and refused in requests.
+ * Returns { enabled, detectors, terms, patterns, reveal }. A reveal without the matching
+ * REDACTION_REVEAL_KEY is refused with 403.
+ */
+function resolveRedaction(requested = {}, config = {}) {
+    const detectors = parseDetectors(requested.redact) ?? parseDetectors(config.redaction) ?? [];
+
+    const terms = [...new Set([...toList(config.redactionTerms), ...toList(requested.terms)]
+        .map(term => String(term).trim())
+        .filter(term => term.length >= 2))];
+    if (terms.length > MAX_TERMS) throw optionError(`Too many redaction terms (${terms.length}, at most ${MAX_TERMS})`);
+
+    let configPatterns;
+    try {
+        configPatterns = parsePatterns(config.redactionPatterns, 'REDACTION_PATTERNS');
+    } catch (error) {
+        throw optionError(error.message, 'CONFIG_INVALID');
+    }
+    if (configPatterns.length > MAX_PATTERNS) {
+        throw optionError(`Too many redaction patterns in REDACTION_PATTERNS (${configPatterns.length}, at most ${MAX_PATTERNS})`, 'CONFIG_INVALID');
+    }
+    if (toList(requested.patterns).length > 0) {
+        throw optionError('redactPatterns is not accepted in requests; configure custom patterns in REDACTION_PATTERNS and use redactTerms for words and names');
+    }
+    const patterns = configPatterns;
+
+    const reveal = requested.reveal === true || /^(true|1|yes)$/i.test(String(requested.reveal ?? ''));
+    if (reveal && !config.redactionRevealKey) {
+        throw optionError('Revealing redacted values is not enabled (REDACTION_REVEAL_KEY is not set)', 'FORBIDDEN');
+    }
+    if (reveal && !revealAllowed(requested.revealKey, config.redactionRevealKey)) {
+        throw optionError('Revealing redacted values requires a valid x-redaction-key header', 'FORBIDDEN');
+    }
+
+    return {
+        enabled: detectors.length > 0 || terms.length > 0 || patterns.length > 0,
+        detectors,
+        terms,
+        patterns,
+        reveal
+    };
+}
+
+// Every match of every rule, then the non-overlapping ones in rule order (built-ins, patterns, terms)
+function findMatches(text, rules) {
+    const taken = [];
+    for (const rule of rules) {
+        rule.pattern.lastIndex = 0;
+        let match;
+        while ((match = rule.pattern.exec(text)) !== null) {
+            if (match[0] === '') {
+                rule.pattern.lastIndex++;
+                continue;
+            }
+            const start = match.index;
+            const end = start + match[0].length;
+            if (rule.accept && !rule.accept(match[0])) continue;
+            if (taken.some(m => start < m.end && end > m.start)) continue;
+            taken.push({ start, end, value: match[0], rule });
+        }
+    }
+    return taken.sort((a, b) => a.start - b.start);
+}
+
+function mapStrings(value, fn) {
+    if (typeof value === 'string') return fn(value);
+    if (Array.isArray(value)) return value.map(item => mapStrings(item, fn));
+    if (value && typeof value === 'object' && !Buffer.isBuffer(value) && !(value instanceof Date)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)]));
+    }
+    return value;
+}
+
+/**
+ * Redactor for one file: redact(text) swaps matches for placeholders, rehydrate(value) puts the
+ * original values back into any string, array or object, report() summarizes what was redacted.
+ * reveal says whether this caller may see the original values.
+ */
+function createRedactor(options = {}) {
+    const rules = [
+        ...(options.detectors || []).map(name => DETECTORS[name]),
+        ...(options.patterns || []),
+        ...((options.terms || []).length > 0 ? [{
+            label: 'TERM',
+            pattern: new RegExp(`(?<![\\p{L}\\p{N}])(?:${[...options.terms]
+                .sort((a, b) => b.length - a.length)
+                .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+                .join('|')})(?![\\p{L}\\p{N}])`, 'giu'),
+            normalize: value => value.toLowerCase()
+        }] : [])
+    ];
+
+    const placeholders = new Map();
+    const originals = new Map();
+    const counters = {};
+    const counts = {};
+
+    const placeholderFor = (rule, value) => {
+        const key = `${rule.label}\u0000${rule.normalize ? rule.normalize(value) : value}`;
+        if (!placeholders.has(key)) {
+            counters[rule.label] = (counters[rule.label] || 0) + 1;
+            const placeholder = `[${rule.label}_${counters[rule.label]}]`;
+            placeholders.set(key, placeholder);
+            originals.set(placeholder, value);
+        }
+        counts[rule.label] = (counts[rule.label] || 0) + 1;
+        return placeholders.get(key);
+    };
+
+    const redact = text => {
+        if (!options.enabled || typeof text !== 'string' || text === '') return text;
+        let output = '';
+        let position = 0;
+        for (const match of findMatches(text, rules)) {
+            output += text.slice(position, match.start) + placeholderFor(match.rule, match.value);
+            position = match.end;
+        }
+        return output + text.slice(position);
+    };
+
+    const rehydrateText = text => (originals.size === 0 ? text
+        : text.replace(PLACEHOLDER, placeholder => originals.get(placeholder) ?? placeholder));
+
+    return {
+        enabled: Boolean(options.enabled),
+        reveal: Boolean(options.reveal),
+        redact,
+        rehydrate: value => mapStrings(value, rehydrateText),
+        // Counts and labels only; the redacted values never leave the request
+        report: () => ({
+            enabled: Boolean(options.enabled),
+            detectors: options.detectors || [],
+            terms: (options.terms || []).length,
+            patterns: (options.patterns || []).map(p => p.label),
+            counts: { ...counts },
+            total: Object.values(counts).reduce((sum, n) => sum + n, 0),
+            distinctValues: originals.size,
+            revealed: Boolean(options.reveal)
+        })
+    };
+}
+
+module.exports = {
+    REDACTION_DETECTORS: DETECTOR_NAMES,
+    resolveRedaction,
+    createRedactor
+};
@@ -0,0 +1,107 @@
+// Write-back of generated reports into the drive the transcript came from.
+// The report lands next to the VTT, or under an output folder (REPORT_OUTPUT_FOLDER or the
+// request's outputFolder) resolved from the drive root. Only Graph drive sources can save.
+
+const { createError } = require('./errors');
+
+// Request/setting value -> Graph @microsoft.graph.conflictBehavior
+const CONFLICT_BEHAVIORS = {
+    overwrite: 'replace',
+    rename: 'rename',
+    skip: 'fail'
+};
+
+function parseFlag(value) {
+    if (typeof value === 'boolean') return value;
+    return ['true', '1', 'yes'].includes(String(value || '').toLowerCase());
+}
+
+/**
+ * Merges request options ({ saveReport, outputFolder, conflictBehavior }) with the
+ * REPORT_* defaults. Returns null when nothing should be saved.
+ */
+function resolveWriteBack(config, requested = {}) {
+    const enabled = requested.saveReport !== undefined && requested.saveReport !== null
+        ? parseFlag(requested.saveReport)
+        : parseFlag(config.reportSave);
+    if (!enabled) return null;
+
+    const conflictBehavior = String(requested.conflictBehavior || config.reportConflictBehavior || 'rename').toLowerCase();
+    if (!CONFLICT_BEHAVIORS[conflictBehavior]) {
+        const error = createError('INVALID_OPTION', `Unknown conflictBehavior: ${conflictBehavior} (expected one of ${Object.keys(CONFLICT_BEHAVIORS).join(', ')})`);
+        throw error;
+    }
+
+    const folder = requested.outputFolder || config.reportOutputFolder || '';
+    return {
+        folder: String(folder).replace(/\\/g, '/').replace(/^\/+|\/+$/g, ''),
+        conflictBehavior
+    };
+}
+
+function reportBaseName(result) {
+    const base = result.meetingTitle || String(result.actualFile || result.file || 'meeting').replace(/\.vtt$/i, '');
+    return base.replace(/[^a-z0-9]/gi, '_');
+}
+
+// Reports and transcript exports already carry a downloadable; json and summary results are saved as JSON
+function buildReportDocument(result) {
+    if (result.downloadable?.content) {
+        const { fileName, contentType, content } = result.downloadable;
+        return { fileName, contentType, content };
+    }
+    const { downloadable, savedReport, ...report } = result;
+    return {
+        fileName: `${reportBaseName(result)}_Analysis.json`,
+        contentType: 'application/json',
+        content: JSON.stringify(report, null, 2)
+    };
+}
+
+function folderOf(filePath) {
+    const path = String(filePath || '');
+    const idx = path.lastIndexOf('/');
+    return idx >= 0 ? path.slice(0, idx) : '';
+}
+
+/**
+ * Uploads the formatted result through source.saveReport and describes the outcome
+ * as { saved, skipped, fileName, folder, webUrl, itemId, conflictBehavior } or { saved: false, error }.
+ */
+async function writeReport(context, source, targetFile, result, writeBack) {
+    if (typeof source.saveReport !== 'function') {
+        return { saved: false, error: `Saving reports is not supported for the ${source.kind} source` };
+    }
+
+    const document = buildReportDocument(result);
+    const folder = writeBack.folder || folderOf(targetFile.path);
+    context.log(`💾 Saving report ${document.fileName} to ${folder || '(drive root)'} (conflict: ${writeBack.conflictBehavior})`);
+
+    try {
+        const saved = await source.saveReport({
+            folder,
+            fileName: document.fileName,
+            contentType: document.contentType,
+            content: document.content,
+            conflictBehavior: CONFLICT_BEHAVIORS[writeBack.conflictBehavior]
+        });
+        context.log(`✅ Report ${saved.skipped ? 'already exists, skipped' : 'saved'}: ${saved.webUrl}`);
+        return {
+            saved: !saved.skipped,
+            skipped: saved.skipped,
+            fileName: saved.name,
+            folder,
+            webUrl: saved.webUrl,
+            itemId: saved.id,
+            conflictBehavior: writeBack.conflictBehavior
+        };
+    } catch (error) {
+        context.log.error(`❌ Failed to save report ${document.fileName}:`, error?.message || error);
+        return { saved: false, fileName: document.fileName, folder, error: error?.message || String(error) };
+    }
+}
+
+module.exports = {
+    resolveWriteBack,
+    writeReport
+};
@@ -0,0 +1,205 @@
+const { normalizeSections, matchSpeaker } = require('./profiles/sections');
+
+// Field-by-field validation of a summarization answer against the transcript it came from.
+// Every field (summary, keyPoints and each profile section) is checked on its own so a repair
+// request only has to fix what is wrong and each field can report where its data came from:
+//   ai           - accepted from the first answer
+//   ai-repaired  - accepted after the model was sent the problems and answered again
+//   fallback     - no usable model output; heuristic or empty content was used instead
+
+const SOURCE_AI = 'ai';
+const SOURCE_REPAIRED = 'ai-repaired';
+const SOURCE_FALLBACK = 'fallback';
+
+const MIN_SUMMARY_LENGTH = 20;
+// Single-call answers and map-step (per chunk) answers
+const KEY_POINT_BOUNDS = {
+    single: { min: 3, max: 12 },
+    part: { min: 1, max: 6 }
+};
+const TIMESTAMP_FORMAT = /^\d{2}:\d{2}:\d{2}$/;
+
+/**
+ * What an answer may refer to: the HH:MM:SS cue timestamps and the VTT voices.
+ */
+function createTranscriptIndex(timestampBlocks) {
+    const blocks = timestampBlocks || [];
+    return {
+        timestamps: new Set(blocks.map(b => b.timestamp).filter(Boolean)),
+        speakers: [...new Set(blocks.map(b => b.speaker).filter(Boolean))]
+    };
+}
+
+function checkTimestamp(value, index, path, { required = false } = {}) {
+    if (!value) return required ? [{ path, message: 'is required' }] : [];
+    if (!TIMESTAMP_FORMAT.test(value)) return [{ path, message: 'must be HH:MM:SS' }];
+    if (!index.timestamps.has(value)) return [{ path, message: `${value} does not start any transcript line` }];
+    return [];
+}
+
+// Returns the VTT spelling of the name, or null when nobody by that name spoke.
+// Transcripts without voices cannot be checked, so any name passes.
+function resolveSpeaker(value, index) {
+    if (!value || index.speakers.length === 0) return value;
+    const matched = matchSpeaker(value, index.speakers);
+    return index.speakers.includes(matched) ? matched : null;
+}
+
+function validateSummary(parsed) {
+    const summary = typeof parsed?.summary === 'string' ? parsed.summary.trim() : '';
+    if (summary.length >= MIN_SUMMARY_LENGTH) return { value: summary, errors: [] };
+    return {
+        value: '',
+        errors: [{ path: '$.summary', message: summary ? `must be at least ${MIN_SUMMARY_LENGTH} characters` : 'is required' }]
+    };
+}
+
+// Key points with a bad title or timestamp are dropped; an unknown speaker is cleared
+function validateKeyPoints(parsed, index, bounds) {
+    const raw = parsed?.keyPoints;
+    if (!Array.isArray(raw)) {
+        return { value: [], errors: [{ path: '$.keyPoints', message: raw === undefined ? 'is required' : 'expected array' }] };
+    }
+
+    const errors = [];
+    const value = [];
+    raw.forEach((point, i) => {
+        const path = `$.keyPoints[${i}]`;
+        if (!point || typeof point !== 'object') {
+            errors.push({ path, message: 'expected object' });
+            return;
+        }
+        const title = typeof point.title === 'string' ? point.title.trim() : '';
+        const timestamp = typeof point.timestamp === 'string' ? point.timestamp.trim() : '';
+        const speaker = typeof point.speaker === 'string' ? point.speaker.trim() : '';
+
+        const pointErrors = [
+            ...(title ? [] : [{ path: `${path}.title`, message: 'is required' }]),
+            ...checkTimestamp(timestamp, index, `${path}.timestamp`, { required: true })
+        ];
+        errors.push(...pointErrors);
+        if (pointErrors.length > 0) return;
+
+        const resolved = resolveSpeaker(speaker, index);
+        if (resolved === null) {
+            errors.push({ path: `${path}.speaker`, message: `${speaker} is not a speaker in the transcript` });
+        }
+        value.push({ title, timestamp, speaker: resolved || '', videoLink: '' });
+    });
+
+    if (value.length < bounds.min) {
+        errors.push({ path: '$.keyPoints', message: `expected at least ${bounds.min} valid items, got ${value.length}` });
+    } else if (value.length > bounds.max) {
+        errors.push({ path: '$.keyPoints', message: `expected at most ${bounds.max} items, got ${value.length}` });
+    }
+    return { value: value.slice(0, bounds.max), errors };
+}
+
+// Section items: schema first (normalizeSections), then timestamps and speaker fields against the transcript.
+// Rejected timestamps and speakers are cleared rather than dropping the whole item.
+function validateSectionFields(sections, parsed, index) {
+    const checkItem = (section, item, path) => {
+        const errors = [];
+        if (item.timestamp !== undefined) {
+            const timestampErrors = checkTimestamp(item.timestamp, index, `${path}.timestamp`);
+            if (timestampErrors.length > 0) item.timestamp = '';
+            errors.push(...timestampErrors);
+        }
+        for (const field of section.speakerFields || []) {
+            const resolved = resolveSpeaker(item[field], index);
+            if (resolved === null) {
+                errors.push({ path: `${path}.${field}`, message: `${item[field]} is not a speaker in the transcript` });
+                item[field] = '';
+            } else {
+                item[field] = resolved;
+            }
+        }
+        return errors;
+    };
+
+    const { items, errors } = normalizeSections(sections, parsed, { checkItem });
+    return Object.fromEntries(sections.map(section => [section.key, {
+        value: items[section.key],
+        errors: parsed?.[section.key] === undefined
+            ? [{ path: `$.${section.key}`, message: 'is required' }]
+            : errors.filter(e => e.path === `$.${section.key}` || e.path.startsWith(`$.${section.key}[`))
+    }]));
+}
+
+/**
+ * Validates a parsed answer field by field.
+ * Returns { summary, keyPoints, [section key]: ... }, each { value, errors }; value holds only what passed.
+ */
+function validateAnswer(parsed, { index, profile, bounds = KEY_POINT_BOUNDS.single }) {
+    return {
+        summary: validateSummary(parsed),
+        keyPoints: validateKeyPoints(parsed, index, bounds),
+        ...validateSectionFields(profile.sections, parsed, index)
+    };
+}
+
+function answerErrors(report) {
+    return Object.values(report).flatMap(field => field.errors);
+}
+
+function buildRepairPrompt(errors, index) {
+    const speakers = index.speakers.length > 0
+        ? `\n- Speaker and owner names must be one of: ${index.speakers.join(', ')} (or an empty string).`
+        : '';
+    return `Your previous answer has these problems:
+${errors.slice(0, 20).map(e => `- ${e.path}: ${e.message}`).join('\n')}
+
+Return the complete corrected JSON object with the same schema.
+- Every timestamp must be copied exactly from the HH:MM:SS prefix of a transcript line.${speakers}`;
+}
+
+function isEmptyValue(value) {
+    return Array.isArray(value) ? value.length === 0 : !value;
+}
+
+/**
+ * Keeps, per field, whichever of the current and repaired answers has fewer problems
+ * (on a tie, the one that kept more items). Fields taken from the repaired answer are marked ai-repaired.
+ */
+function mergeRepairedAnswer(report, repaired, sources) {
+    const merged = { ...report };
+    for (const [key, field] of Object.entries(report)) {
+        const candidate = repaired[key];
+        if (field.errors.length === 0 || !candidate) continue;
+        const keepsMore = Array.isArray(candidate.value) && candidate.value.length > field.value.length;
+        if (candidate.errors.length < field.errors.length || (candidate.errors.length === field.errors.length && keepsMore)) {
+            merged[key] = candidate;
+            sources[key] = SOURCE_REPAIRED;
+        }
+    }
+    return merged;
+}
+
+// A field that still has problems and nothing usable left did not come from the model
+function settleSources(report, sources) {
+    for (const [key, field] of Object.entries(report)) {
+        if (field.errors.length > 0 && isEmptyValue(field.value)) sources[key] = SOURCE_FALLBACK;
+    }
+    return sources;
+}
+
+// One source for a field across map-step chunks: fallback only when no chunk produced it
+function combineSources(list) {
+    if (list.length === 0 || list.every(s => s === SOURCE_FALLBACK)) return SOURCE_FALLBACK;
+    return list.includes(SOURCE_REPAIRED) ? SOURCE_REPAIRED : SOURCE_AI;
+}
+
+module.exports = {
+    SOURCE_AI,
+    SOURCE_REPAIRED,
+    SOURCE_FALLBACK,
+    MIN_SUMMARY_LENGTH,
+    KEY_POINT_BOUNDS,
+    createTranscriptIndex,
+    validateAnswer,
+    answerErrors,
+    buildRepairPrompt,
+    mergeRepairedAnswer,
+    settleSources,
+    combineSources
+};
@@ -0,0 +1,89 @@
+// Retry with exponential backoff for throttled Graph, Blob and Azure OpenAI calls.
+// Honors Retry-After / retry-after-ms and counts retries so callers can report them.
+
+const RETRYABLE_STATUS = new Set([429, 503]);
+
+const DEFAULT_MAX_RETRIES = 4;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 60000;
+
+function getErrorStatus(error) {
+    return error?.status ?? error?.statusCode ?? error?.response?.status;
+}
+
+function readHeader(headers, name) {
+    if (!headers) return undefined;
+    if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+    const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+    return key ? headers[key] : undefined;
+}
+
+// Retry-After may be delta-seconds or an HTTP date; Azure OpenAI also sends retry-after-ms
+function getRetryAfterMs(error) {
+    const headers = error?.headers || error?.response?.headers;
+    const ms = Number(readHeader(headers, 'retry-after-ms'));
+    if (Number.isFinite(ms) && ms >= 0) return ms;
+
+    const value = readHeader(headers, 'retry-after');
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isRetryable(error) {
+    return RETRYABLE_STATUS.has(Number(getErrorStatus(error)));
+}
+
+function readRetrySettings() {
+    const maxRetries = Number(process.env.RETRY_MAX_RETRIES);
+    const baseDelayMs = Number(process.env.RETRY_BASE_DELAY_MS);
+    const maxDelayMs = Number(process.env.RETRY_MAX_DELAY_MS);
+    return {
+        maxRetries: Number.isInteger(maxRetries) && maxRetries >= 0 ? maxRetries : DEFAULT_MAX_RETRIES,
+        baseDelayMs: Number.isFinite(baseDelayMs) && baseDelayMs >= 0 ? baseDelayMs : DEFAULT_BASE_DELAY_MS,
+        maxDelayMs: Number.isFinite(maxDelayMs) && maxDelayMs > 0 ? maxDelayMs : DEFAULT_MAX_DELAY_MS
+    };
+}
+
+function backoffDelayMs(attempt, error, settings) {
+    const retryAfter = getRetryAfterMs(error);
+    if (retryAfter !== null) return Math.min(retryAfter, settings.maxDelayMs);
+    const exponential = settings.baseDelayMs * 2 ** attempt;
+    const jitter = Math.random() * settings.baseDelayMs;
+    return Math.min(exponential + jitter, settings.maxDelayMs);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates a retry runner bound to one unit of work (a file).
+ * Usage: `await retrier.run('Graph list', () => graphClient.api(...).get())`; `retrier.count` holds retries so far.
+ */
+function createRetrier(context, settings = readRetrySettings()) {
+    const retrier = {
+        count: 0,
+        async run(label, operation) {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await operation();
+                } catch (error) {
+                    if (!isRetryable(error) || attempt >= settings.maxRetries) throw error;
+                    const delay = backoffDelayMs(attempt, error, settings);
+                    retrier.count++;
+                    context?.log?.warn?.(`⏳ ${label} throttled (HTTP ${getErrorStatus(error)}), retry ${attempt + 1}/${settings.maxRetries} in ${Math.round(delay)}ms`);
+                    await sleep(delay);
+                }
+            }
+        }
+    };
+    return retrier;
+}
+
+module.exports = {
+    createRetrier,
+    getErrorStatus,
+    getRetryAfterMs,
+    isRetryable
+};
@@ -0,0 +1,213 @@
+// Static check for caller-supplied regular expressions, which run on the worker's event loop.
+// JavaScript regexes backtrack, so a pattern can take exponential time on a short input ("^(a+)+$")
+// or polynomial time through quantifiers that compete for the same characters (".*.*.*x"). Bounding
+// the pattern and input length does not help against either. Patterns are parsed and refused when:
+//   - a repeated group contains a quantifier or an alternation   (a+)+  (a|ab)*  (\d?)+
+//   - they use backreferences                                     (a)\1  \k<name>
+//   - quantifiers that can match the same characters follow each other, more than once for a
+//     pattern anchored with ^ and at all otherwise                \d+\d+  \S+@\S+ (unanchored)
+// Everything else backtracks at most quadratically in the input length.
+
+// Repetition spans above this count as unbounded
+const MAX_BOUNDED_SPAN = 10;
+
+// Characters used to decide whether two character matchers overlap
+const SAMPLE_CHARACTERS = [
+    ...Array.from({ length: 128 }, (_, code) => String.fromCharCode(code)),
+    '\u00a0', '\u2028', '\u3000', 'é', 'ß', 'Ж', '中', '\ud83d', '\ude00'
+];
+
+// --- Parser: alternatives of sequences of { atom, min, max } terms ---
+
+function parseQuantifier(source, state) {
+    const char = source[state.i];
+    let min = 1;
+    let max = 1;
+    if (char === '*' || char === '+' || char === '?') {
+        min = char === '+' ? 1 : 0;
+        max = char === '?' ? 1 : Infinity;
+        state.i++;
+    } else if (char === '{') {
+        const match = source.slice(state.i).match(/^\{(\d+)(,(\d*))?\}/);
+        if (!match) return { min, max };
+        min = Number(match[1]);
+        max = match[2] === undefined ? min : (match[3] === '' ? Infinity : Number(match[3]));
+        state.i += match[0].length;
+    } else {
+        return { min, max };
+    }
+    if (source[state.i] === '?') state.i++;
+    return { min, max };
+}
+
+function parseEscape(source, state) {
+    const start = state.i;
+    const next = source[start + 1];
+    state.i += 2;
+    if (/[1-9]/.test(next) || (next === 'k' && source[state.i] === '<')) {
+        state.backreference = true;
+        while (/[0-9]/.test(source[state.i] || '')) state.i++;
+        if (next === 'k') state.i = source.indexOf('>', state.i) + 1 || source.length;
+        return { kind: 'empty', source: source.slice(start, state.i) };
+    }
+    if (next === 'b' || next === 'B') return { kind: 'empty', source: source.slice(start, state.i) };
+    if ((next === 'u' || next === 'p' || next === 'P') && source[state.i] === '{') {
+        state.i = source.indexOf('}', state.i) + 1 || source.length;
+    } else if (next === 'u') {
+        state.i += 4;
+    } else if (next === 'x') {
+        state.i += 2;
+    } else if (next === 'c') {
+        state.i += 1;
+    }
+    return { kind: 'char', source: source.slice(start, state.i) };
+}
+
+function parseClass(source, state) {
+    const start = state.i;
+    let i = start + 1;
+    if (source[i] === '^') i++;
+    while (i < source.length && source[i] !== ']') i += source[i] === '\\' ? 2 : 1;
+    state.i = i + 1;
+    return { kind: 'char', source: source.slice(start, state.i) };
+}
+
+function parseGroup(source, state) {
+    const start = state.i;
+    const prefix = source.slice(start).match(/^\((\?(?:[:=!]|<[=!]|<[^>]*>))?/)[0];
+    state.i += prefix.length;
+    const body = parseAlternatives(source, state);
+    state.i++;
+    return { kind: 'group', lookaround: /^\(\?<?[=!]$/.test(prefix), body, source: source.slice(start, state.i) };
+}
+
+function parseAtom(source, state) {
+    const char = source[state.i];
+    if (char === '(') return parseGroup(source, state);
+    if (char === '[') return parseClass(source, state);
+    if (char === '\\') return parseEscape(source, state);
+    state.i++;
+    if (char === '^' || char === '$') return { kind: 'empty', source: char, anchor: char };
+    return { kind: 'char', source: char };
+}
+
+function parseSequence(source, state) {
+    const terms = [];
+    while (state.i < source.length && source[state.i] !== '|' && source[state.i] !== ')') {
+        const start = state.i;
+        const atom = parseAtom(source, state);
+        const { min, max } = parseQuantifier(source, state);
+        terms.push({ atom, min, max, source: source.slice(start, state.i) });
+    }
+    return terms;
+}
+
+function parseAlternatives(source, state) {
+    const alternatives = [parseSequence(source, state)];
+    while (source[state.i] === '|') {
+        state.i++;
+        alternatives.push(parseSequence(source, state));
+    }
+    return alternatives;
+}
+
+// --- Analysis ---
+
+function isVariable(term) {
+    return term.min !== term.max;
+}
+
+function isUnbounded(term) {
+    return term.max - term.min > MAX_BOUNDED_SPAN;
+}
+
+// A group that matches its body exactly once behaves like its contents written inline
+function flatten(terms) {
+    return terms.flatMap(term => (term.atom.kind === 'group' && !term.atom.lookaround && term.atom.body.length === 1 && term.min === 1 && term.max === 1
+        ? flatten(term.atom.body[0])
+        : [term]));
+}
+
+function characterTester(atom, flags) {
+    if (atom.kind === 'empty' || atom.lookaround) return () => false;
+    if (atom.kind === 'group') {
+        const testers = atom.body.flat().map(term => characterTester(term.atom, flags));
+        return char => testers.some(test => test(char));
+    }
+    const regex = new RegExp(`^(?:${atom.source})$`, flags.replace(/[gy]/g, ''));
+    return char => regex.test(char);
+}
+
+function overlaps(a, b, flags) {
+    const testA = characterTester(a.atom, flags);
+    const testB = characterTester(b.atom, flags);
+    return SAMPLE_CHARACTERS.some(char => testA(char) && testB(char));
+}
+
+// A term between two competing quantifiers keeps them apart only if it must match a character
+// the first one cannot
+function isPassable(term, from, flags) {
+    return term.atom.kind === 'empty' || term.atom.lookaround || term.min === 0 || overlaps(from, term, flags);
+}
+
+// Longest run of unbounded quantifiers in the sequence that can each take over the text of the previous one
+function longestCompetingChain(terms, flags) {
+    const chain = terms.map(() => 0);
+    const end = terms.map((_, i) => i);
+    for (let i = terms.length - 1; i >= 0; i--) {
+        if (!isUnbounded(terms[i])) continue;
+        chain[i] = 1;
+        for (let j = i + 1; j < terms.length; j++) {
+            if (chain[j] >= chain[i] && overlaps(terms[i], terms[j], flags)) {
+                chain[i] = 1 + chain[j];
+                end[i] = end[j];
+            }
+            if (!isPassable(terms[j], terms[i], flags)) break;
+        }
+    }
+    const longest = Math.max(0, ...chain);
+    const start = chain.indexOf(longest);
+    return { longest, source: terms.slice(start, end[start] + 1).map(term => term.source).join('') };
+}
+
+function containsRepetitionOrChoice(alternatives) {
+    return alternatives.length > 1 || alternatives.some(terms => terms.some(term => isVariable(term)
+        || (term.atom.kind === 'group' && containsRepetitionOrChoice(term.atom.body))));
+}
+
+function analyze(alternatives, anchored, flags) {
+    for (const rawTerms of alternatives) {
+        const terms = flatten(rawTerms);
+        for (const term of terms) {
+            if (term.atom.kind !== 'group') continue;
+            if (!term.atom.lookaround && term.max > 1 && containsRepetitionOrChoice(term.atom.body)) {
+                return `repeats a group that contains a quantifier or an alternation: ${term.source}`;
+            }
+            const nested = analyze(term.atom.body, false, flags);
+            if (nested) return nested;
+        }
+        // Each competing quantifier multiplies the work per start position; unanchored patterns
+        // are also tried from every position
+        const { longest, source } = longestCompetingChain(terms, flags);
+        const allowed = anchored && terms[0]?.atom.anchor === '^' ? 2 : 1;
+        if (longest > allowed) {
+            return `has quantifiers that can match the same text one after another: ${source}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Why a regular expression source could backtrack catastrophically, or null when it is safe to run
+ * on untrusted input. The source must already compile.
+ */
+function findBacktrackingRisk(source, flags = '') {
+    const state = { i: 0, backreference: false };
+    const alternatives = parseAlternatives(String(source), state);
+    if (state.backreference) return 'uses a backreference';
+    return analyze(alternatives, true, flags);
+}
+
+module.exports = {
+    findBacktrackingRisk
+};
@@ -0,0 +1,166 @@
+const { findBacktrackingRisk } = require('./safePattern');
+
+// Minimal JSON Schema validation for model output.
+// Supports the subset the analysis schemas use: type (single or list), properties, required,
+// additionalProperties: false, items, enum, pattern, minLength/maxLength, minItems/maxItems
+// and minimum/maximum. Unknown keywords are ignored.
+// Schemas can come from callers, so `pattern` is restricted: patterns that could backtrack
+// catastrophically (nested or competing quantifiers, backreferences; see safePattern.js) or are longer
+// than MAX_PATTERN_LENGTH are rejected by checkSchemaPatterns and never run by validateSchema.
+// Strings longer than MAX_PATTERN_INPUT_LENGTH are reported instead of being matched, which bounds
+// the quadratic backtracking the remaining patterns can still do.
+
+const MAX_PATTERN_LENGTH = 256;
+const MAX_PATTERN_INPUT_LENGTH = 2000;
+
+const MAX_COMPILED_PATTERNS = 500;
+
+const compiledPatterns = new Map();
+
+// Compiled and checked once per pattern string: { regex, risk }; an invalid pattern throws the SyntaxError
+function compilePattern(pattern) {
+    let compiled = compiledPatterns.get(pattern);
+    if (!compiled) {
+        const regex = new RegExp(pattern);
+        compiled = { regex, risk: findBacktrackingRisk(pattern) };
+        if (compiledPatterns.size >= MAX_COMPILED_PATTERNS) compiledPatterns.clear();
+        compiledPatterns.set(pattern, compiled);
+    }
+    return compiled;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function checkPattern(value, pattern, path) {
+    if (value.length > MAX_PATTERN_INPUT_LENGTH) {
+        return [{ path, message: `is longer than ${MAX_PATTERN_INPUT_LENGTH} characters, too long to check against ${pattern}` }];
+    }
+    let compiled;
+    try {
+        compiled = compilePattern(pattern);
+    } catch (patternError) {
+        return [{ path, message: `has an invalid pattern ${pattern}: ${patternError.message}` }];
+    }
+    if (compiled.risk) {
+        return [{ path, message: `cannot be checked against ${pattern}: the pattern ${compiled.risk}` }];
+    }
+    return compiled.regex.test(value) ? [] : [{ path, message: `must match ${pattern}` }];
+}
+
+/**
+ * Checks every `pattern` in the schema (through properties and items) and returns a list of
+ * { path, message } for patterns that are not strings, too long, do not compile or could
+ * backtrack catastrophically.
+ */
+function checkSchemaPatterns(schema, path = '$') {
+    const problems = [];
+    if (!schema || typeof schema !== 'object') return problems;
+
+    if (schema.pattern !== undefined) {
+        if (typeof schema.pattern !== 'string') {
+            problems.push({ path, message: 'pattern must be a string' });
+        } else if (schema.pattern.length > MAX_PATTERN_LENGTH) {
+            problems.push({ path, message: `pattern is longer than ${MAX_PATTERN_LENGTH} characters` });
+        } else {
+            try {
+                const { risk } = compilePattern(schema.pattern);
+                if (risk) problems.push({ path, message: `pattern ${risk}` });
+            } catch (patternError) {
+                problems.push({ path, message: `pattern does not compile: ${patternError.message}` });
+            }
+        }
+    }
+    if (schema.items) problems.push(...checkSchemaPatterns(schema.items, `${path}[]`));
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        problems.push(...checkSchemaPatterns(propertySchema, `${path}.${key}`));
+    }
+    return problems;
+}
+
+/**
+ * Validates value against schema and returns a list of { path, message } (empty when valid).
+ */
+function validateSchema(value, schema, path = '$') {
+    const errors = [];
+    if (!schema || typeof schema !== 'object') return errors;
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern) {
+            errors.push(...checkPattern(value, schema.pattern, path));
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be <= ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+        }
+        const properties = schema.properties || {};
+        for (const [key, propertySchema] of Object.entries(properties)) {
+            if (value[key] !== undefined) errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+        }
+        if (schema.additionalProperties === false) {
+            for (const key of Object.keys(value)) {
+                if (!properties[key]) errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+            }
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    MAX_PATTERN_LENGTH,
+    MAX_PATTERN_INPUT_LENGTH,
+    checkSchemaPatterns,
+    validateSchema
+};
@@ -0,0 +1,61 @@
+const { BlobServiceClient } = require('@azure/storage-blob');
+const { getOrCreateClient } = require('../cache');
+const { createRetrier } = require('../retry');
+
+// Account and container URL without the query string, which holds the SAS token for SAS connection strings.
+// Two accounts can have containers of the same name, so listings are cached per URL.
+function containerLocation(containerClient) {
+    const url = new URL(containerClient.url);
+    return `${url.origin}${url.pathname}`;
+}
+
+// Transcript source backed by an Azure Blob Storage container (BLOB_CONTAINER).
+// Works against Azurite with "UseDevelopmentStorage=true" as the connection string.
+function createBlobContainerSource(context, config, { stats, retrier = createRetrier(context) } = {}) {
+    const containerClient = getOrCreateClient('blob', [config.blobConnectionString, config.blobContainer], () => {
+        // SDK retries are disabled so throttling goes through retry.js like the other sources
+        const serviceClient = BlobServiceClient.fromConnectionString(config.blobConnectionString, {
+            retryOptions: { maxTries: 1 }
+        });
+        context.log(`✅ Blob container client initialized (${config.blobContainer})`);
+        return serviceClient.getContainerClient(config.blobContainer);
+    }, stats);
+
+    async function listFiles() {
+        context.log(`🔍 Searching for VTT files in container: ${config.blobContainer}`);
+        const files = await retrier.run('Blob list', async () => {
+            const listed = [];
+            for await (const blob of containerClient.listBlobsFlat({ prefix: config.blobPrefix || undefined })) {
+                if (!blob.name.toLowerCase().endsWith('.vtt')) continue;
+                listed.push({
+                    id: blob.name,
+                    name: blob.name.split('/').pop(),
+                    size: blob.properties.contentLength,
+                    path: blob.name,
+                    createdDateTime: blob.properties.createdOn?.toISOString() || null,
+                    lastModifiedDateTime: blob.properties.lastModified?.toISOString() || null
+                });
+            }
+            return listed;
+        });
+        context.log(`🎬 Total VTT files found: ${files.length}`);
+        return files;
+    }
+
+    async function download(file) {
+        context.log(`⬇️ Downloading blob: ${file.path}`);
+        const buffer = await retrier.run('Blob download', () => containerClient.getBlobClient(file.path).downloadToBuffer());
+        return buffer.toString('utf8');
+    }
+
+    return {
+        kind: 'blob',
+        cacheKey: `blob:${containerLocation(containerClient)}:${config.blobPrefix || ''}`,
+        listFiles,
+        download,
+        // No recordings next to files outside a drive
+        findRecording: async () => null
+    };
+}
+
+module.exports = { createBlobContainerSource };
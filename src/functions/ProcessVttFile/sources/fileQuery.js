@@ -0,0 +1,87 @@
+// File queries shared by all transcript sources: name, folder path or item ID lookups.
+
+// A file can be addressed by name, by folder path ("Folder/Sub/file.vtt") or by item ID.
+// Plain strings containing a slash are treated as paths.
+function toFileQuery(query) {
+    if (query && typeof query === 'object') {
+        return {
+            name: query.name || '',
+            path: normalizePath(query.path || ''),
+            itemId: query.itemId || ''
+        };
+    }
+    const text = String(query || '');
+    return text.includes('/')
+        ? { name: '', path: normalizePath(text), itemId: '' }
+        : { name: text, path: '', itemId: '' };
+}
+
+function normalizePath(value) {
+    return String(value || '').replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+}
+
+function describeQuery(query) {
+    const q = toFileQuery(query);
+    return q.itemId || q.path || q.name;
+}
+
+function ambiguousFileError(query, candidates) {
+    const error = new Error(`Multiple files match "${describeQuery(query)}"; specify the folder path or item ID`);
+    error.status = 409;
+    error.code = 'AMBIGUOUS_FILE';
+    error.candidates = candidates.map(file => ({ id: file.id, name: file.name, path: file.path }));
+    return error;
+}
+
+function nameKey(name) {
+    return String(name || '').toLowerCase().replace(/\.vtt$/, '');
+}
+
+// Resolves a query against a file listing.
+// Item ID and path must match exactly; names match exactly, then by base name (without ".vtt").
+// More than one candidate at the winning step is an ambiguity error. Partial name matches are
+// never picked; see findPartialMatches.
+function matchFile(files, query) {
+    const q = toFileQuery(query);
+
+    if (q.itemId) {
+        return files.find(file => file.id === q.itemId) || null;
+    }
+    if (q.path) {
+        const wantedPath = q.path.toLowerCase();
+        return files.find(file => normalizePath(file.path).toLowerCase() === wantedPath) || null;
+    }
+
+    const wanted = q.name.toLowerCase();
+    if (!wanted) return null;
+    const steps = [
+        file => file.name.toLowerCase() === wanted,
+        file => nameKey(file.name) === nameKey(wanted)
+    ];
+
+    for (const step of steps) {
+        const candidates = files.filter(step);
+        if (candidates.length === 1) return candidates[0];
+        if (candidates.length > 1) throw ambiguousFileError(query, candidates);
+    }
+    return null;
+}
+
+// Files whose name contains the queried name: suggestions for a not-found error, never a match
+function findPartialMatches(files, query) {
+    const q = toFileQuery(query);
+    const wanted = nameKey(q.name);
+    if (q.itemId || q.path || !wanted) return [];
+    return files
+        .filter(file => nameKey(file.name).includes(wanted))
+        .map(file => ({ id: file.id, name: file.name, path: file.path }));
+}
+
+module.exports = {
+    toFileQuery,
+    normalizePath,
+    describeQuery,
+    ambiguousFileError,
+    matchFile,
+    findPartialMatches
+};
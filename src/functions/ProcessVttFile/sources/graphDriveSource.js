@@ -0,0 +1,225 @@
+const fetch = require('node-fetch');
+const { ClientSecretCredential } = require('@azure/identity');
+const { Client, AuthenticationHandler, RedirectHandler, RedirectHandlerOptions, TelemetryHandler, HTTPMessageHandler } = require('@microsoft/microsoft-graph-client');
+const { TokenCredentialAuthenticationProvider } = require('@microsoft/microsoft-graph-client/authProviders/azureTokenCredentials');
+const { matchFile, toFileQuery } = require('./fileQuery');
+const { getOrCreateClient } = require('../cache');
+const { createRetrier } = require('../retry');
+
+// Transcript source backed by a Microsoft Graph drive: a SharePoint document library
+// (SHAREPOINT_DRIVE_ID) or a user's OneDrive (ONEDRIVE_USER_ID). Also saves generated reports back to the drive.
+function createGraphDriveSource(context, config, { kind = 'sharepoint', stats, retrier = createRetrier(context), listFiles: cachedListFiles } = {}) {
+    const graphClient = getGraphClient(context, config, stats);
+
+    const driveBase = kind === 'onedrive'
+        ? `/users/${config.onedriveUserId}/drive`
+        : `/drives/${config.sharepointDriveId}`;
+
+    // Follows @odata.nextLink so folders with more than one page of children are read in full
+    async function getAllChildren(itemPath) {
+        const items = [];
+        let page = await retrier.run('Graph list', () => graphClient.api(`${driveBase}/${itemPath}/children`).top(PAGE_SIZE).get());
+        items.push(...(page.value || []));
+        while (page['@odata.nextLink']) {
+            const nextLink = page['@odata.nextLink'];
+            page = await retrier.run('Graph list', () => graphClient.api(nextLink).get());
+            items.push(...(page.value || []));
+        }
+        return items;
+    }
+
+    // Recursive walk of the whole drive; each file carries its folder path from the root
+    async function listFiles() {
+        context.log(`🔍 Searching for VTT files in drive: ${driveBase}`);
+        const vttFiles = [];
+        const pending = [{ itemPath: 'root', folderPath: '' }];
+        let foldersVisited = 0;
+
+        while (pending.length > 0) {
+            const { itemPath, folderPath } = pending.shift();
+            let children;
+            try {
+                children = await getAllChildren(itemPath);
+                foldersVisited++;
+            } catch (folderError) {
+                // The root must be readable; unreadable subfolders are skipped
+                if (itemPath === 'root') throw folderError;
+                context.log.error(`    ❌ Cannot access folder ${folderPath}: ${folderError?.message || folderError}`);
+                continue;
+            }
+
+            for (const item of children) {
+                if (item.folder) {
+                    pending.push({ itemPath: `items/${item.id}`, folderPath: joinPath(folderPath, item.name) });
+                } else if (item.file && item.name.toLowerCase().endsWith('.vtt')) {
+                    vttFiles.push(toFile(item, folderPath));
+                    context.log(`  📄 VTT: ${joinPath(folderPath, item.name)} (${item.size} bytes)`);
+                }
+            }
+        }
+        context.log(`🎬 Total VTT files found: ${vttFiles.length} in ${foldersVisited} folder(s)`);
+        return vttFiles;
+    }
+
+    // Item IDs and paths resolve directly against Graph; names fall back to the full listing
+    async function findFile(query) {
+        const q = toFileQuery(query);
+        if (q.itemId || q.path) {
+            const itemPath = q.itemId
+                ? `items/${encodeURIComponent(q.itemId)}`
+                : `root:/${q.path.split('/').map(encodeURIComponent).join('/')}:`;
+            try {
+                const item = await retrier.run('Graph lookup', () => graphClient.api(`${driveBase}/${itemPath}`).get());
+                if (!item.file) return null;
+                return toFile(item, parentPathOf(item));
+            } catch (lookupError) {
+                if (lookupError?.statusCode === 404) return null;
+                throw lookupError;
+            }
+        }
+        return matchFile(await (cachedListFiles || listFiles)(), q);
+    }
+
+    async function download(file) {
+        context.log(`🔎 Fetching file details for download URL (id: ${file.id})`);
+        const fileDetails = await retrier.run('Graph item', () => graphClient
+            .api(`${driveBase}/items/${file.id}`)
+            .select('@microsoft.graph.downloadUrl,name,size,id')
+            .get());
+
+        const downloadUrl = fileDetails['@microsoft.graph.downloadUrl'] || file.item?.['@microsoft.graph.downloadUrl'];
+        context.log(`⬇️ Download URL present: ${Boolean(downloadUrl)} for ${fileDetails.name}`);
+        if (!downloadUrl) {
+            const error = new Error('Download URL not available for the selected file.');
+            error.status = 502;
+            throw error;
+        }
+
+        const httpFetch = globalThis.fetch ? globalThis.fetch.bind(globalThis) : fetch;
+        return retrier.run('VTT download', async () => {
+            const response = await httpFetch(downloadUrl);
+            context.log(`⬇️ HTTP GET ${response.status} for VTT content (${file.name})`);
+            if (!response.ok) {
+                const error = new Error(`Failed to download VTT: HTTP ${response.status}`);
+                error.status = response.status;
+                error.headers = response.headers;
+                throw error;
+            }
+            return response.text();
+        });
+    }
+
+    // Teams/Stream keep the recording next to the transcript under the same base name.
+    // The .mp4 path is tried first; other video formats or differently cased names come from the folder listing.
+    async function findRecording(file) {
+        const parentId = file.item?.parentReference?.id;
+        const folder = file.path && file.path.includes('/') ? file.path.slice(0, file.path.lastIndexOf('/')) : '';
+        const baseName = file.name.replace(/\.vtt$/i, '');
+        const folderItemPath = parentId
+            ? `items/${encodeURIComponent(parentId)}`
+            : (folder ? `root:/${folder.split('/').map(encodeURIComponent).join('/')}:` : 'root');
+
+        const directPath = parentId
+            ? `${folderItemPath}:/${encodeURIComponent(`${baseName}.mp4`)}:`
+            : `root:/${joinPath(folder, `${baseName}.mp4`).split('/').map(encodeURIComponent).join('/')}:`;
+        try {
+            const item = await retrier.run('Graph lookup', () => graphClient.api(`${driveBase}/${directPath}`).get());
+            if (item.file) return toRecording(item);
+        } catch (lookupError) {
+            if (lookupError?.statusCode !== 404) throw lookupError;
+        }
+
+        const siblings = await getAllChildren(folderItemPath);
+        const match = siblings.find(item => isVideoItem(item)
+            && item.name.replace(/\.[^.]+$/, '').toLowerCase() === baseName.toLowerCase());
+        return match ? toRecording(match) : null;
+    }
+
+    // Simple upload (reports stay well under the 4 MB limit); Graph creates missing folders in the path.
+    // conflictBehavior "fail" is how "skip" is expressed: the existing item is returned instead.
+    async function saveReport({ folder, fileName, content, contentType, conflictBehavior = 'rename' }) {
+        const itemPath = `root:/${joinPath(folder, fileName).split('/').map(encodeURIComponent).join('/')}:`;
+        const body = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+        try {
+            const item = await retrier.run('Graph upload', () => graphClient
+                .api(`${driveBase}/${itemPath}/content`)
+                .query({ '@microsoft.graph.conflictBehavior': conflictBehavior })
+                .header('Content-Type', contentType || 'application/octet-stream')
+                .put(body));
+            return { id: item.id, name: item.name, webUrl: item.webUrl, skipped: false };
+        } catch (uploadError) {
+            if (conflictBehavior !== 'fail' || uploadError?.statusCode !== 409) throw uploadError;
+            const existing = await retrier.run('Graph lookup', () => graphClient.api(`${driveBase}/${itemPath}`).get());
+            return { id: existing.id, name: existing.name, webUrl: existing.webUrl, skipped: true };
+        }
+    }
+
+    return {
+        kind,
+        cacheKey: `${kind}:${driveBase}`,
+        graphClient,
+        listFiles,
+        findFile,
+        download,
+        saveReport,
+        findRecording
+    };
+}
+
+const PAGE_SIZE = 200;
+const VIDEO_EXTENSIONS = ['.mp4', '.m4v', '.mov', '.webm', '.mkv'];
+
+// One credential per app registration: ClientSecretCredential caches and refreshes its token,
+// so reusing it (and the Graph client on top) avoids a token request per file.
+// The default chain's RetryHandler is left out: throttling is retried (and counted) by retry.js.
+function getGraphClient(context, config, stats) {
+    return getOrCreateClient('graph', [config.tenantId, config.clientId, config.clientSecret], () => {
+        const credential = new ClientSecretCredential(config.tenantId, config.clientId, config.clientSecret);
+        const authProvider = new TokenCredentialAuthenticationProvider(credential, {
+            scopes: ['https://graph.microsoft.com/.default']
+        });
+        const graphClient = Client.initWithMiddleware({
+            middleware: [
+                new AuthenticationHandler(authProvider),
+                new RedirectHandler(new RedirectHandlerOptions()),
+                new TelemetryHandler(),
+                new HTTPMessageHandler()
+            ]
+        });
+        context.log('✅ Graph client initialized');
+        return graphClient;
+    }, stats);
+}
+
+function joinPath(folder, name) {
+    return folder ? `${folder}/${name}` : name;
+}
+
+// parentReference.path looks like "/drives/{id}/root:/Folder/Sub"
+function parentPathOf(item) {
+    const parentPath = item?.parentReference?.path || '';
+    const idx = parentPath.indexOf('root:');
+    return idx >= 0 ? decodeURIComponent(parentPath.slice(idx + 5)).replace(/^\/+/, '') : '';
+}
+
+function isVideoItem(item) {
+    if (!item?.file) return false;
+    if (item.video || String(item.file.mimeType || '').startsWith('video/')) return true;
+    return VIDEO_EXTENSIONS.some(ext => item.name.toLowerCase().endsWith(ext));
+}
+
+function toRecording(item) {
+    return { itemId: item.id, name: item.name, webUrl: item.webUrl || '' };
+}
+
+function toFile(item, folder = '') {
+    return {
+        id: item.id,
+        name: item.name,
+        size: item.size,
+        path: joinPath(folder, item.name),
+        item
+    };
+}
+
+module.exports = { createGraphDriveSource, getGraphClient };
@@ -0,0 +1,88 @@
+// Transcript sources: where VTT files are listed, found and downloaded from.
+// Every source exposes { kind, listFiles(), findFile(query), download(file), findRecording(file) }
+// (plus invalidateListing(), added here)
+// and files as { id, name, size, path }, so the processing core never talks to storage directly.
+// findRecording resolves the meeting recording as { itemId, name, webUrl } or null.
+// Graph drive sources also implement saveReport({ folder, fileName, content, contentType, conflictBehavior }).
+
+const { createGraphDriveSource } = require('./graphDriveSource');
+const { createLocalFolderSource } = require('./localFolderSource');
+const { createBlobContainerSource } = require('./blobContainerSource');
+const { matchFile, findPartialMatches, toFileQuery, normalizePath, describeQuery } = require('./fileQuery');
+const { listingCache } = require('../cache');
+const { createError } = require('../errors');
+
+const GRAPH_CREDENTIALS = ['tenantId', 'clientId', 'clientSecret'];
+
+const SOURCE_REQUIREMENTS = {
+    sharepoint: [...GRAPH_CREDENTIALS, 'sharepointDriveId'],
+    onedrive: [...GRAPH_CREDENTIALS, 'onedriveUserId'],
+    local: ['localTranscriptsDir'],
+    blob: ['blobConnectionString', 'blobContainer']
+};
+
+const SOURCE_FACTORIES = {
+    sharepoint: (context, config, options) => createGraphDriveSource(context, config, { ...options, kind: 'sharepoint' }),
+    onedrive: (context, config, options) => createGraphDriveSource(context, config, { ...options, kind: 'onedrive' }),
+    local: createLocalFolderSource,
+    blob: createBlobContainerSource
+};
+
+// Request value wins over TRANSCRIPT_SOURCE; SharePoint stays the default
+function resolveSourceKind(requested, config) {
+    const kind = String(requested || config.transcriptSource || 'sharepoint').toLowerCase();
+    if (!SOURCE_FACTORIES[kind]) {
+        throw createError('INVALID_OPTION', `Unknown transcript source: ${kind} (expected one of ${Object.keys(SOURCE_FACTORIES).join(', ')})`);
+    }
+    return kind;
+}
+
+function getSourceRequirements(kind) {
+    return SOURCE_REQUIREMENTS[kind] || [];
+}
+
+// Listings are cached per source (drive, folder or container) for DRIVE_LIST_CACHE_TTL_MS,
+// so a batch and later warm invocations do not re-walk the same drive.
+// The cached lister is handed to the factory so a source's own findFile uses it too.
+// A file missing from a cached listing may have been added since: the listing is dropped and
+// reloaded once before the file is reported as not found.
+function createTranscriptSource(context, config, kind, { stats, retrier } = {}) {
+    let servedFromCache = false;
+    const listFiles = async () => {
+        let loaded = false;
+        const files = await listingCache.getOrLoad(source.cacheKey, () => {
+            loaded = true;
+            return source.listFiles();
+        }, stats, 'listings');
+        if (!loaded) servedFromCache = true;
+        return files;
+    };
+    const invalidateListing = () => listingCache.delete(source.cacheKey);
+    const source = SOURCE_FACTORIES[kind](context, config, { stats, retrier, listFiles });
+    const findFile = source.findFile || (async query => matchFile(await listFiles(), query));
+
+    return {
+        ...source,
+        listFiles,
+        invalidateListing,
+        findFile: async query => {
+            servedFromCache = false;
+            const file = await findFile(query);
+            if (file || !servedFromCache) return file;
+            context.log(`🔄 ${describeQuery(query)} not in the cached listing; reloading it`);
+            invalidateListing();
+            return findFile(query);
+        }
+    };
+}
+
+module.exports = {
+    createTranscriptSource,
+    resolveSourceKind,
+    getSourceRequirements,
+    matchFile,
+    findPartialMatches,
+    toFileQuery,
+    normalizePath,
+    describeQuery
+};
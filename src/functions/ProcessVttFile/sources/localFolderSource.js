@@ -0,0 +1,59 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Transcript source backed by a local directory (LOCAL_TRANSCRIPTS_DIR), walked recursively.
+// Useful for local runs against fixtures such as test-download.vtt.
+function createLocalFolderSource(context, config) {
+    const rootDir = path.resolve(config.localTranscriptsDir);
+
+    async function walk(dir, files) {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+                await walk(fullPath, files);
+            } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.vtt')) {
+                const stat = await fs.stat(fullPath);
+                const relativePath = path.relative(rootDir, fullPath).split(path.sep).join('/');
+                files.push({
+                    id: relativePath,
+                    name: entry.name,
+                    size: stat.size,
+                    path: relativePath,
+                    createdDateTime: stat.birthtimeMs > 0 ? stat.birthtime.toISOString() : null,
+                    lastModifiedDateTime: stat.mtime.toISOString()
+                });
+            }
+        }
+        return files;
+    }
+
+    async function listFiles() {
+        context.log(`🔍 Searching for VTT files in local folder: ${rootDir}`);
+        const files = await walk(rootDir, []);
+        context.log(`🎬 Total VTT files found: ${files.length}`);
+        return files;
+    }
+
+    async function download(file) {
+        const fullPath = path.resolve(rootDir, file.path);
+        // Never read outside the configured folder
+        if (fullPath !== rootDir && !fullPath.startsWith(rootDir + path.sep)) {
+            throw new Error(`Path escapes transcript folder: ${file.path}`);
+        }
+        context.log(`⬇️ Reading local VTT file: ${file.path}`);
+        return fs.readFile(fullPath, 'utf8');
+    }
+
+    return {
+        kind: 'local',
+        cacheKey: `local:${rootDir}`,
+        listFiles,
+        download,
+        // No recordings next to files outside a drive
+        findRecording: async () => null
+    };
+}
+
+module.exports = { createLocalFolderSource };
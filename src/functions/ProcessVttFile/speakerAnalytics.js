@@ -0,0 +1,199 @@
+const { formatTimestamp } = require('./vttParser');
+
+// Per-speaker participation computed locally from cue start/end times (no AI involved).
+// A turn is a run of consecutive cues by the same speaker with no silence longer than
+// TURN_GAP_MS between them. A turn that starts before the previous speaker's turn has ended
+// is an overlap; an overlap longer than INTERRUPTION_MIN_OVERLAP_MS is an interruption.
+
+const TURN_GAP_MS = 3000;
+const INTERRUPTION_MIN_OVERLAP_MS = 1000;
+const UNKNOWN_SPEAKER = 'Unknown';
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// Sum of the union of [start, end) intervals, so overlapping cues are not counted twice
+function unionDuration(intervals) {
+    const sorted = intervals.filter(i => i.end > i.start).sort((a, b) => a.start - b.start);
+    let total = 0;
+    let current = null;
+    for (const interval of sorted) {
+        if (!current || interval.start > current.end) {
+            if (current) total += current.end - current.start;
+            current = { ...interval };
+        } else if (interval.end > current.end) {
+            current.end = interval.end;
+        }
+    }
+    if (current) total += current.end - current.start;
+    return total;
+}
+
+function buildTurns(timestampBlocks) {
+    const turns = [];
+    for (const block of timestampBlocks || []) {
+        if (!Number.isFinite(block.start) || !Number.isFinite(block.end)) continue;
+        const speaker = block.speaker || UNKNOWN_SPEAKER;
+        const last = turns[turns.length - 1];
+        if (last && last.speaker === speaker && block.start - last.end <= TURN_GAP_MS) {
+            last.end = Math.max(last.end, block.end);
+            last.cues.push(block);
+        } else {
+            turns.push({ speaker, start: block.start, end: block.end, cues: [block] });
+        }
+    }
+    return turns;
+}
+
+// Normalized Shannon entropy of talk-time shares: 1 = everyone spoke equally, 0 = one voice
+function balanceScore(talkTimes) {
+    const total = talkTimes.reduce((sum, t) => sum + t, 0);
+    if (talkTimes.length < 2 || total === 0) return talkTimes.length === 1 ? 0 : null;
+    const entropy = talkTimes
+        .filter(t => t > 0)
+        .reduce((sum, t) => sum - (t / total) * Math.log(t / total), 0);
+    return round(entropy / Math.log(talkTimes.length), 2);
+}
+
+function emptySpeaker(name) {
+    return {
+        name,
+        talkTimeMs: 0,
+        sharePercent: 0,
+        turns: 0,
+        averageTurnMs: 0,
+        longestMonologue: null,
+        interruptions: 0,
+        interrupted: 0,
+        overlaps: 0,
+        firstSpokenMs: null,
+        lastSpokenMs: null
+    };
+}
+
+function withDerivedFields(speakers, totalTalkTimeMs) {
+    return speakers
+        .map(s => ({
+            ...s,
+            sharePercent: totalTalkTimeMs > 0 ? round((s.talkTimeMs / totalTalkTimeMs) * 100) : 0,
+            averageTurnMs: s.turns > 0 ? Math.round(s.talkTimeMs / s.turns) : 0,
+            firstSpokenAt: s.firstSpokenMs === null ? '' : formatTimestamp(s.firstSpokenMs),
+            lastSpokenAt: s.lastSpokenMs === null ? '' : formatTimestamp(s.lastSpokenMs)
+        }))
+        .sort((a, b) => b.talkTimeMs - a.talkTimeMs);
+}
+
+function summarize(speakers, extra = {}) {
+    const totalTalkTimeMs = speakers.reduce((sum, s) => sum + s.talkTimeMs, 0);
+    return {
+        speakers: withDerivedFields(speakers, totalTalkTimeMs),
+        totals: {
+            speakerCount: speakers.length,
+            totalTalkTimeMs,
+            totalTurns: speakers.reduce((sum, s) => sum + s.turns, 0),
+            totalInterruptions: speakers.reduce((sum, s) => sum + s.interruptions, 0),
+            totalOverlaps: speakers.reduce((sum, s) => sum + s.overlaps, 0),
+            balanceScore: balanceScore(speakers.map(s => s.talkTimeMs)),
+            dominantSpeaker: speakers.reduce((top, s) => (!top || s.talkTimeMs > top.talkTimeMs ? s : top), null)?.name || '',
+            ...extra
+        }
+    };
+}
+
+/**
+ * Computes speaker analytics for one transcript from its timestamp blocks.
+ * Returns { speakers: [...sorted by talk time], totals }.
+ */
+function computeSpeakerAnalytics(timestampBlocks) {
+    const turns = buildTurns(timestampBlocks);
+    const bySpeaker = new Map();
+    const get = name => {
+        if (!bySpeaker.has(name)) bySpeaker.set(name, { ...emptySpeaker(name), intervals: [] });
+        return bySpeaker.get(name);
+    };
+
+    turns.forEach((turn, index) => {
+        const speaker = get(turn.speaker);
+        speaker.turns++;
+        speaker.intervals.push(...turn.cues.map(c => ({ start: c.start, end: c.end })));
+        speaker.firstSpokenMs = speaker.firstSpokenMs === null ? turn.start : Math.min(speaker.firstSpokenMs, turn.start);
+        speaker.lastSpokenMs = speaker.lastSpokenMs === null ? turn.end : Math.max(speaker.lastSpokenMs, turn.end);
+
+        const durationMs = turn.end - turn.start;
+        if (!speaker.longestMonologue || durationMs > speaker.longestMonologue.durationMs) {
+            speaker.longestMonologue = {
+                durationMs,
+                start: formatTimestamp(turn.start),
+                end: formatTimestamp(turn.end)
+            };
+        }
+
+        const previous = turns[index - 1];
+        if (previous && turn.start < previous.end) {
+            speaker.overlaps++;
+            if (previous.end - turn.start > INTERRUPTION_MIN_OVERLAP_MS) {
+                speaker.interruptions++;
+                get(previous.speaker).interrupted++;
+            }
+        }
+    });
+
+    const speakers = [...bySpeaker.values()].map(({ intervals, ...s }) => ({ ...s, talkTimeMs: unionDuration(intervals) }));
+    const meetingStart = turns.length > 0 ? turns[0].start : 0;
+    const meetingEnd = turns.reduce((max, t) => Math.max(max, t.end), 0);
+    return summarize(speakers, { meetingDurationMs: Math.max(0, meetingEnd - meetingStart) });
+}
+
+/**
+ * Combines per-file analytics (batch mode) by speaker name; shares and averages are recomputed.
+ */
+function aggregateSpeakerAnalytics(analyticsList) {
+    const bySpeaker = new Map();
+    let files = 0;
+    let meetingDurationMs = 0;
+
+    for (const analytics of analyticsList) {
+        if (!analytics?.speakers) continue;
+        files++;
+        meetingDurationMs += analytics.totals?.meetingDurationMs || 0;
+        for (const s of analytics.speakers) {
+            if (!bySpeaker.has(s.name)) bySpeaker.set(s.name, { ...emptySpeaker(s.name), files: 0 });
+            const agg = bySpeaker.get(s.name);
+            agg.files++;
+            agg.talkTimeMs += s.talkTimeMs;
+            agg.turns += s.turns;
+            agg.interruptions += s.interruptions;
+            agg.interrupted += s.interrupted;
+            agg.overlaps += s.overlaps;
+            if (s.longestMonologue && (!agg.longestMonologue || s.longestMonologue.durationMs > agg.longestMonologue.durationMs)) {
+                agg.longestMonologue = s.longestMonologue;
+            }
+        }
+    }
+
+    // First/last spoken times are per recording and have no meaning across files
+    const { speakers, totals } = summarize([...bySpeaker.values()], { meetingDurationMs, files });
+    return {
+        speakers: speakers.map(({ firstSpokenMs, lastSpokenMs, firstSpokenAt, lastSpokenAt, ...s }) => s),
+        totals
+    };
+}
+
+// "1h 02m 05s" / "4m 10s" / "12s"
+function formatDuration(ms) {
+    const totalSeconds = Math.round((Number(ms) || 0) / 1000);
+    const h = Math.floor(totalSeconds / 3600);
+    const m = Math.floor((totalSeconds % 3600) / 60);
+    const s = totalSeconds % 60;
+    if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m ${String(s).padStart(2, '0')}s`;
+    if (m > 0) return `${m}m ${String(s).padStart(2, '0')}s`;
+    return `${s}s`;
+}
+
+module.exports = {
+    computeSpeakerAnalytics,
+    aggregateSpeakerAnalytics,
+    formatDuration
+};
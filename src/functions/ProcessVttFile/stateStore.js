@@ -0,0 +1,183 @@
+const { BlobServiceClient } = require('@azure/storage-blob');
+const { getOrCreateClient } = require('./cache');
+const { createError } = require('./errors');
+
+// Keyed JSON document storage for state that outlives a request: async jobs, webhook
+// subscriptions, delta links and processed-item markers.
+// Every store exposes { kind, get(key), put(key, doc), claim(key, doc), list(prefix), delete(key) }
+// plus optimistic updates: getVersioned(key) -> { doc, version } and replace(key, doc, version),
+// which only writes when the document is still at that version.
+// "memory" only serves the instance that wrote the state; "blob" works across instances
+// and runs against Azurite with "UseDevelopmentStorage=true".
+
+const memoryContainers = new Map();
+
+function clone(doc) {
+    return doc === undefined ? undefined : JSON.parse(JSON.stringify(doc));
+}
+
+function createMemoryStateStore(containerName) {
+    if (!memoryContainers.has(containerName)) memoryContainers.set(containerName, new Map());
+    const docs = memoryContainers.get(containerName);
+    // Versions only need to change on every write; a per-container counter does that
+    let writes = 0;
+    const write = (key, doc) => docs.set(key, { doc: clone(doc), version: String(++writes) });
+
+    return {
+        kind: 'memory',
+        async get(key) {
+            return docs.has(key) ? clone(docs.get(key).doc) : null;
+        },
+        async getVersioned(key) {
+            if (!docs.has(key)) return null;
+            const { doc, version } = docs.get(key);
+            return { doc: clone(doc), version };
+        },
+        async put(key, doc) {
+            write(key, doc);
+        },
+        // Stores doc only if key is absent; returns false when another caller got there first
+        async claim(key, doc) {
+            if (docs.has(key)) return false;
+            write(key, doc);
+            return true;
+        },
+        // Stores doc only if key is still at version; returns false when it changed meanwhile
+        async replace(key, doc, version) {
+            if (docs.get(key)?.version !== version) return false;
+            write(key, doc);
+            return true;
+        },
+        async list(prefix = '') {
+            return [...docs.entries()]
+                .filter(([key]) => key.startsWith(prefix))
+                .map(([key, entry]) => ({ key, doc: clone(entry.doc) }));
+        },
+        async delete(key) {
+            docs.delete(key);
+        }
+    };
+}
+
+function createBlobStateStore(context, config, containerName) {
+    const containerClient = getOrCreateClient('state-blob', [config.blobConnectionString, containerName], () => {
+        const serviceClient = BlobServiceClient.fromConnectionString(config.blobConnectionString);
+        context.log(`✅ State store container client initialized (${containerName})`);
+        return serviceClient.getContainerClient(containerName);
+    });
+    let containerReady = null;
+
+    function ensureContainer() {
+        if (!containerReady) {
+            containerReady = containerClient.createIfNotExists().catch(error => {
+                containerReady = null;
+                throw error;
+            });
+        }
+        return containerReady;
+    }
+
+    function upload(key, doc, conditions) {
+        const body = JSON.stringify(doc);
+        return containerClient.getBlockBlobClient(`${key}.json`).upload(body, Buffer.byteLength(body), {
+            blobHTTPHeaders: { blobContentType: 'application/json' },
+            conditions
+        });
+    }
+
+    async function get(key) {
+        try {
+            const buffer = await containerClient.getBlobClient(`${key}.json`).downloadToBuffer();
+            return JSON.parse(buffer.toString('utf8'));
+        } catch (error) {
+            if (error?.statusCode === 404) return null;
+            throw error;
+        }
+    }
+
+    async function getVersioned(key) {
+        const blobClient = containerClient.getBlobClient(`${key}.json`);
+        try {
+            const properties = await blobClient.getProperties();
+            // Read exactly that version; a write in between fails the read with 412
+            const buffer = await blobClient.downloadToBuffer(0, undefined, { conditions: { ifMatch: properties.etag } });
+            return { doc: JSON.parse(buffer.toString('utf8')), version: properties.etag };
+        } catch (error) {
+            if (error?.statusCode === 404) return null;
+            if (error?.statusCode === 412) return getVersioned(key);
+            throw error;
+        }
+    }
+
+    return {
+        kind: 'blob',
+        get,
+        getVersioned,
+        async put(key, doc) {
+            await ensureContainer();
+            await upload(key, doc);
+        },
+        async claim(key, doc) {
+            await ensureContainer();
+            try {
+                // If-None-Match: * makes the write fail when the blob already exists
+                await upload(key, doc, { ifNoneMatch: '*' });
+                return true;
+            } catch (error) {
+                if (error?.statusCode === 409 || error?.statusCode === 412) return false;
+                throw error;
+            }
+        },
+        async replace(key, doc, version) {
+            await ensureContainer();
+            try {
+                await upload(key, doc, { ifMatch: version });
+                return true;
+            } catch (error) {
+                if (error?.statusCode === 412 || error?.statusCode === 404) return false;
+                throw error;
+            }
+        },
+        async list(prefix = '') {
+            await ensureContainer();
+            const entries = [];
+            for await (const blob of containerClient.listBlobsFlat({ prefix })) {
+                const key = blob.name.replace(/\.json$/, '');
+                const doc = await get(key);
+                if (doc) entries.push({ key, doc });
+            }
+            return entries;
+        },
+        async delete(key) {
+            await containerClient.getBlobClient(`${key}.json`).deleteIfExists();
+        }
+    };
+}
+
+const STATE_STORE_REQUIREMENTS = {
+    memory: [],
+    blob: ['blobConnectionString']
+};
+
+function resolveStateStoreKind(value) {
+    const kind = String(value || 'memory').toLowerCase();
+    if (!STATE_STORE_REQUIREMENTS[kind]) {
+        throw createError('CONFIG_INVALID', `Unknown state store: ${kind} (expected one of ${Object.keys(STATE_STORE_REQUIREMENTS).join(', ')})`);
+    }
+    return kind;
+}
+
+function createStateStore(context, config, { kind, container }) {
+    const resolved = resolveStateStoreKind(kind);
+    const missing = STATE_STORE_REQUIREMENTS[resolved].filter(key => !config[key]);
+    if (missing.length > 0) {
+        throw createError('CONFIG_MISSING', `Missing required configuration for ${resolved} state store: ${missing.join(', ')}`, { missing });
+    }
+    return resolved === 'blob'
+        ? createBlobStateStore(context, config, container)
+        : createMemoryStateStore(container);
+}
+
+module.exports = {
+    createStateStore
+};
@@ -0,0 +1,409 @@
+const { resolveProfile } = require('./profiles');
+const {
+    spreadPick,
+    emptySections,
+    sectionPromptSchema,
+    sectionPromptRules,
+    mergeSections
+} = require('./profiles/sections');
+const {
+    SOURCE_AI,
+    SOURCE_FALLBACK,
+    MIN_SUMMARY_LENGTH,
+    KEY_POINT_BOUNDS,
+    createTranscriptIndex,
+    validateAnswer,
+    answerErrors,
+    buildRepairPrompt,
+    mergeRepairedAnswer,
+    settleSources,
+    combineSources
+} = require('./responseValidator');
+const { languageName } = require('./i18n');
+const { createError } = require('./errors');
+
+// Map-reduce summarization over cue-aligned transcript chunks.
+// Short transcripts go through a single call; long ones are summarized per chunk
+// and merged, so nothing past the first context window is dropped.
+// The analysis profile adds its sections (action items, Q&A, updates...) to the same calls.
+// Every single/map answer is validated field by field against the transcript (responseValidator.js);
+// failing fields are sent back to the model up to MODEL_REPAIR_ATTEMPTS times.
+
+const DEFAULT_CHUNK_TOKENS = 6000;
+// Smaller chunks would turn one transcript into hundreds of model calls
+const MIN_CHUNK_TOKENS = 500;
+const DEFAULT_REPAIR_ATTEMPTS = 1;
+const CHARS_PER_TOKEN = 4;
+
+const SYSTEM_MESSAGE = 'You output only strict JSON objects that match the user schema.';
+
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+function formatBlockLine(block) {
+    const speaker = block.speaker ? `${block.speaker}: ` : '';
+    return `${block.timestamp || ''} ${speaker}${block.content || ''}`;
+}
+
+function formatTranscript(timestampBlocks) {
+    return (timestampBlocks || []).map(formatBlockLine).join('\n');
+}
+
+// Splits blocks into groups whose rendered lines stay within maxTokens.
+// Groups never split a cue; a single oversized cue becomes its own group.
+function groupTimestampBlocks(timestampBlocks, maxTokens = DEFAULT_CHUNK_TOKENS) {
+    const groups = [];
+    let current = [];
+    let currentTokens = 0;
+
+    for (const block of timestampBlocks || []) {
+        const tokens = estimateTokens(formatBlockLine(block)) + 1;
+        if (current.length > 0 && currentTokens + tokens > maxTokens) {
+            groups.push(current);
+            current = [];
+            currentTokens = 0;
+        }
+        current.push(block);
+        currentTokens += tokens;
+    }
+    if (current.length > 0) groups.push(current);
+    return groups;
+}
+
+// The same groups rendered as prompt text
+function chunkTimestampBlocks(timestampBlocks, maxTokens = DEFAULT_CHUNK_TOKENS) {
+    return groupTimestampBlocks(timestampBlocks, maxTokens).map(formatTranscript);
+}
+
+// Profile section lines follow keyPoints inside the schema object
+// Output language rule; the transcript may be in any language, names and timestamps stay verbatim
+function languageRule(language) {
+    const name = languageName(language);
+    return name ? `- Write the summary, titles and all other free text in ${name}, whatever language the transcript is in. Copy timestamps and speaker names exactly as they appear.\n` : '';
+}
+
+function withSections(profile) {
+    return profile.sections.length > 0 ? `,\n${sectionPromptSchema(profile.sections)}` : '';
+}
+
+function buildSinglePrompt(transcript, profile, language) {
+    return `
+You are a service that outputs ONLY strict JSON. No prose. No Markdown. No code fences.
+${profile.intro} and return exactly this JSON schema:
+
+{
+  "summary": "${profile.summaryHint}",
+  "keyPoints": [
+    { "title": "short topic or action", "timestamp": "HH:MM:SS", "speaker": "name if known", "videoLink": "" }
+  ]${withSections(profile)}
+}
+
+Rules:
+- Output a single JSON object only.
+- keyPoints: 5–12 items when possible.
+- If a field is unknown, use an empty string.
+- timestamp must be copied from the transcript line the point comes from.
+${sectionPromptRules(profile.sections)}
+${languageRule(language)}Transcript:
+${transcript}
+`;
+}
+
+function buildMapPrompt(transcript, index, total, profile, language) {
+    return `
+You are a service that outputs ONLY strict JSON. No prose. No Markdown. No code fences.
+This is part ${index + 1} of ${total} of a longer transcript.
+${profile.intro} part only and return exactly this JSON schema:
+
+{
+  "summary": "2-4 sentences covering this part",
+  "keyPoints": [
+    { "title": "short topic or action", "timestamp": "HH:MM:SS", "speaker": "name if known" }
+  ]${withSections(profile)}
+}
+
+Rules:
+- Output a single JSON object only.
+- keyPoints: 2–6 items for this part.
+- timestamp must be copied from the transcript line the point comes from.
+- If a field is unknown, use an empty string.
+${sectionPromptRules(profile.sections)}
+${languageRule(language)}Transcript part:
+${transcript}
+`;
+}
+
+function buildReducePrompt(partials, candidates, language) {
+    const partSummaries = partials
+        .map((p, i) => `Part ${i + 1}: ${p.summary || ''}`)
+        .join('\n');
+    const candidateLines = candidates
+        .map(c => `[${c.id}] ${c.timestamp || ''}${c.speaker ? ` (${c.speaker})` : ''} ${c.title}`)
+        .join('\n');
+
+    return `
+You are a service that outputs ONLY strict JSON. No prose. No Markdown. No code fences.
+Below are summaries of consecutive parts of one meeting and the candidate key points found in them.
+Merge them into a single result with exactly this JSON schema:
+
+{
+  "summary": "2-3 sentences executive summary of the whole meeting",
+  "keyPoints": [
+    { "id": 0, "title": "short topic or action" }
+  ]
+}
+
+Rules:
+- Output a single JSON object only.
+- keyPoints: 5–12 items when possible, in chronological order.
+- Each key point must reference the id of the candidate it is based on; you may reword the title.
+- Do not invent ids.
+${languageRule(language)}Part summaries:
+${partSummaries}
+
+Candidate key points:
+${candidateLines}
+`;
+}
+
+// Safe JSON parse for model outputs that may include code fences
+function safeParseModelJson(text) {
+    if (!text) return {};
+    let cleaned = String(text).trim();
+    cleaned = cleaned.replace(/^```(?:json)?\s*/i, '').replace(/```$/i, '').trim();
+    try { return JSON.parse(cleaned); } catch {}
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start >= 0 && end > start) {
+        const candidate = cleaned.slice(start, end + 1);
+        try { return JSON.parse(candidate); } catch {}
+    }
+    return {};
+}
+
+function addUsage(tokens, response) {
+    const usage = response?.usage || {};
+    tokens.prompt += usage.prompt_tokens || 0;
+    tokens.completion += usage.completion_tokens || 0;
+    tokens.total += usage.total_tokens || 0;
+}
+
+// One JSON-mode chat call; returns the raw content (for follow-up turns) and its parsed object
+async function requestJson(openaiClient, deployment, messages, tokens, retrier, { maxTokens = 2048 } = {}) {
+    const request = () => openaiClient.chat.completions.create({
+        model: deployment,
+        messages,
+        temperature: 0.2,
+        // Room for key points plus the profile's sections
+        max_tokens: maxTokens,
+        // Force structured JSON from Azure OpenAI (2024-08-01-preview)
+        response_format: { type: 'json_object' }
+    });
+    const response = retrier ? await retrier.run('Azure OpenAI', request) : await request();
+    addUsage(tokens, response);
+    const content = response?.choices?.[0]?.message?.content ?? '';
+    return { content, parsed: safeParseModelJson(content) };
+}
+
+async function completeJson(openaiClient, deployment, prompt, tokens, retrier) {
+    const { parsed } = await requestJson(openaiClient, deployment, [
+        { role: 'system', content: SYSTEM_MESSAGE },
+        { role: 'user', content: prompt }
+    ], tokens, retrier);
+    return parsed;
+}
+
+// Requested value, else OPENAI_CHUNK_TOKENS, else the default; anything that is not a whole number of
+// at least MIN_CHUNK_TOKENS is a configuration error (loadConfig resolves it up front)
+function getChunkTokens(requested) {
+    const configured = requested ?? process.env.OPENAI_CHUNK_TOKENS;
+    if (configured === undefined || configured === null || String(configured).trim() === '') return DEFAULT_CHUNK_TOKENS;
+    const tokens = Number(configured);
+    if (!Number.isInteger(tokens) || tokens < MIN_CHUNK_TOKENS) {
+        throw createError('CONFIG_INVALID', `OPENAI_CHUNK_TOKENS must be a whole number of at least ${MIN_CHUNK_TOKENS} (got ${configured})`);
+    }
+    return tokens;
+}
+
+function getRepairAttempts() {
+    const configured = Number(process.env.MODEL_REPAIR_ATTEMPTS || NaN);
+    return Number.isInteger(configured) && configured >= 0 ? configured : DEFAULT_REPAIR_ATTEMPTS;
+}
+
+/**
+ * Asks for a JSON answer and validates it field by field; fields with problems are sent back
+ * as a repair turn in the same conversation. Returns { report, sources, repairs }.
+ */
+async function completeValidated(context, openaiClient, deployment, prompt, tokens, retrier, validation) {
+    const messages = [
+        { role: 'system', content: SYSTEM_MESSAGE },
+        { role: 'user', content: prompt }
+    ];
+    let answer = await requestJson(openaiClient, deployment, messages, tokens, retrier);
+    let report = validateAnswer(answer.parsed, validation);
+    const sources = Object.fromEntries(Object.keys(report).map(key => [key, SOURCE_AI]));
+
+    let repairs = 0;
+    const maxRepairs = getRepairAttempts();
+    while (answerErrors(report).length > 0 && repairs < maxRepairs) {
+        const errors = answerErrors(report);
+        repairs++;
+        context.log.warn(`⚠️ Model answer failed validation (${errors.length} problem(s)); repair attempt ${repairs}/${maxRepairs}`);
+        messages.push(
+            { role: 'assistant', content: answer.content },
+            { role: 'user', content: buildRepairPrompt(errors, validation.index) }
+        );
+        try {
+            answer = await requestJson(openaiClient, deployment, messages, tokens, retrier);
+        } catch (repairError) {
+            context.log.warn(`⚠️ Repair request failed, keeping the validated part of the answer: ${repairError?.message || repairError}`);
+            break;
+        }
+        report = mergeRepairedAnswer(report, validateAnswer(answer.parsed, validation), sources);
+    }
+    return { report, sources: settleSources(report, sources), repairs };
+}
+
+function sectionValues(profile, report) {
+    return Object.fromEntries(profile.sections.map(section => [section.key, report[section.key].value]));
+}
+
+// The reduce answer gets the same bounds as a single-call answer: extra points are thinned out evenly and
+// missing ones are filled with unused chunk points (up to the maximum when the reduce step gave none).
+// Points are returned in transcript order; out-of-bounds answers are reported as validation errors.
+function boundReducedKeyPoints(keyPoints, candidates, validationErrors) {
+    const { min, max } = KEY_POINT_BOUNDS.single;
+    let bounded = keyPoints;
+    if (bounded.length > max) {
+        validationErrors.push({ path: '$.keyPoints', message: `expected at most ${max} items, got ${bounded.length}`, step: 'reduce' });
+        bounded = spreadPick(bounded, max);
+    } else if (bounded.length < min) {
+        if (bounded.length > 0) {
+            validationErrors.push({ path: '$.keyPoints', message: `expected at least ${min} valid items, got ${bounded.length}`, step: 'reduce' });
+        }
+        const used = new Set(bounded.map(point => point.id));
+        const target = bounded.length === 0 ? max : min;
+        const extra = spreadPick(candidates.filter(c => !used.has(c.id)), target - bounded.length);
+        bounded = [...bounded, ...extra];
+    }
+    return bounded.sort((a, b) => a.id - b.id).map(({ id, ...point }) => point);
+}
+
+/**
+ * Summarizes timestamp blocks with the Azure OpenAI deployment using options.profile (default general),
+ * writing in options.language (a catalog code; the model's choice when absent).
+ * Returns { summary, keyPoints, sections, sources, validationErrors, repairs, tokens, chunkCount, reduced };
+ * sections holds one validated array per profile section and sources the origin of every field.
+ */
+async function summarizeTranscript(context, openaiClient, deployment, timestampBlocks, options = {}) {
+    const maxTokens = getChunkTokens(options.chunkTokens);
+    const chunks = chunkTimestampBlocks(timestampBlocks, maxTokens);
+    const tokens = { prompt: 0, completion: 0, total: 0 };
+    const profile = options.profile || resolveProfile();
+    const index = createTranscriptIndex(timestampBlocks);
+
+    if (chunks.length <= 1) {
+        const { report, sources, repairs } = await completeValidated(
+            context, openaiClient, deployment, buildSinglePrompt(chunks[0] || '', profile, options.language), tokens, options.retrier,
+            { index, profile, bounds: KEY_POINT_BOUNDS.single }
+        );
+        return {
+            summary: report.summary.value,
+            keyPoints: report.keyPoints.value,
+            sections: mergeSections(profile.sections, [sectionValues(profile, report)]),
+            sources,
+            validationErrors: answerErrors(report),
+            repairs,
+            tokens,
+            chunkCount: chunks.length,
+            reduced: false
+        };
+    }
+
+    context.log(`🧩 Transcript split into ${chunks.length} chunks (~${maxTokens} tokens each)`);
+
+    const partials = [];
+    const validationErrors = [];
+    let repairs = 0;
+    for (let i = 0; i < chunks.length; i++) {
+        try {
+            const chunk = await completeValidated(
+                context, openaiClient, deployment, buildMapPrompt(chunks[i], i, chunks.length, profile, options.language), tokens, options.retrier,
+                { index, profile, bounds: KEY_POINT_BOUNDS.part }
+            );
+            validationErrors.push(...answerErrors(chunk.report).map(error => ({ ...error, chunk: i + 1 })));
+            repairs += chunk.repairs;
+            partials.push({
+                summary: chunk.report.summary.value,
+                keyPoints: chunk.report.keyPoints.value,
+                sections: sectionValues(profile, chunk.report),
+                sources: chunk.sources
+            });
+            context.log(`  🧩 Chunk ${i + 1}/${chunks.length} summarized`);
+        } catch (chunkError) {
+            context.log.warn(`  ⚠️ Chunk ${i + 1}/${chunks.length} failed: ${chunkError?.message || chunkError}`);
+            partials.push({ summary: '', keyPoints: [], sections: emptySections(profile.sections), sources: {} });
+        }
+    }
+    const partSource = key => combineSources(partials.map(p => p.sources[key] || SOURCE_FALLBACK));
+
+    const candidates = partials
+        .flatMap(p => p.keyPoints)
+        .map((point, id) => ({ ...point, id }));
+
+    let summary = '';
+    let keyPoints = [];
+    try {
+        const merged = await completeJson(openaiClient, deployment, buildReducePrompt(partials, candidates, options.language), tokens, options.retrier);
+        summary = typeof merged.summary === 'string' ? merged.summary : '';
+        const seen = new Set();
+        keyPoints = (Array.isArray(merged.keyPoints) ? merged.keyPoints : [])
+            .map(ref => {
+                const candidate = candidates[Number(ref?.id)];
+                if (!candidate || seen.has(candidate.id)) return null;
+                seen.add(candidate.id);
+                const title = typeof ref.title === 'string' && ref.title.trim() ? ref.title.trim() : candidate.title;
+                return { id: candidate.id, title, timestamp: candidate.timestamp, speaker: candidate.speaker, videoLink: '' };
+            })
+            .filter(Boolean);
+    } catch (reduceError) {
+        context.log.warn(`⚠️ Reduce step failed, combining chunk results: ${reduceError?.message || reduceError}`);
+    }
+
+    const sources = {
+        summary: summary.trim().length >= MIN_SUMMARY_LENGTH ? SOURCE_AI : partSource('summary'),
+        keyPoints: partSource('keyPoints'),
+        ...Object.fromEntries(profile.sections.map(section => [section.key, partSource(section.key)]))
+    };
+    if (summary.trim().length < MIN_SUMMARY_LENGTH) {
+        summary = partials.map(p => p.summary).filter(Boolean).join(' ');
+    }
+    keyPoints = boundReducedKeyPoints(keyPoints, candidates, validationErrors);
+
+    // Chunk items keep their own timestamps; the merge only drops repeats across chunks
+    return {
+        summary,
+        keyPoints,
+        sections: mergeSections(profile.sections, partials.map(p => p.sections)),
+        sources,
+        validationErrors,
+        repairs,
+        tokens,
+        chunkCount: chunks.length,
+        reduced: true
+    };
+}
+
+module.exports = {
+    SYSTEM_MESSAGE,
+    summarizeTranscript,
+    requestJson,
+    languageRule,
+    formatTranscript,
+    groupTimestampBlocks,
+    chunkTimestampBlocks,
+    getChunkTokens,
+    estimateTokens,
+    safeParseModelJson
+};
@@ -0,0 +1,110 @@
+const { formatTimestamp } = require('./vttParser');
+
+// Transcript exports: the parsed cues written back out, no analysis involved.
+//   srt         - SubRip subtitles, cues renumbered from 1, speaker as a "Name: " prefix
+//   vtt         - normalized WebVTT: cues sorted by start, empty cues dropped, one <v> voice per cue,
+//                 NOTE/STYLE/REGION blocks and cue settings removed, text re-escaped
+//   txt         - plain text, one "Name: text" line per cue
+//   paragraphs  - consecutive cues by the same speaker merged into one paragraph under a single timestamp
+
+const TRANSCRIPT_FORMATS = {
+    srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt', suffix: '' },
+    vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt', suffix: '_Clean' },
+    txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt', suffix: '_Transcript' },
+    paragraphs: { contentType: 'text/plain; charset=utf-8', extension: 'txt', suffix: '_Paragraphs' }
+};
+
+function isTranscriptFormat(format) {
+    return Object.prototype.hasOwnProperty.call(TRANSCRIPT_FORMATS, String(format || '').toLowerCase());
+}
+
+// Cues worth exporting, in playback order (stable for equal starts)
+function exportableCues(timestampBlocks) {
+    return (timestampBlocks || [])
+        .filter(block => block.content && Number.isFinite(block.start))
+        .map((block, index) => ({ ...block, index, end: Math.max(block.end, block.start) }))
+        .sort((a, b) => a.start - b.start || a.index - b.index);
+}
+
+function escapeVtt(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function renderSrt(cues) {
+    const srtTime = ms => formatTimestamp(ms, true).replace('.', ',');
+    return cues.map((cue, i) => [
+        String(i + 1),
+        `${srtTime(cue.start)} --> ${srtTime(cue.end)}`,
+        cue.speaker ? `${cue.speaker}: ${cue.content}` : cue.content
+    ].join('\n')).join('\n\n') + '\n';
+}
+
+function renderVtt(cues) {
+    const body = cues.map(cue => [
+        // Identifiers may not contain "-->"; Teams ids are kept so cues can be matched to the source
+        ...(cue.id && !cue.id.includes('-->') ? [cue.id] : []),
+        `${formatTimestamp(cue.start, true)} --> ${formatTimestamp(cue.end, true)}`,
+        cue.speaker ? `<v ${escapeVtt(cue.speaker)}>${escapeVtt(cue.content)}</v>` : escapeVtt(cue.content)
+    ].join('\n'));
+    return ['WEBVTT', ...body].join('\n\n') + '\n';
+}
+
+function renderPlainText(cues) {
+    return cues.map(cue => (cue.speaker ? `${cue.speaker}: ${cue.content}` : cue.content)).join('\n') + '\n';
+}
+
+/**
+ * Merges consecutive cues by the same speaker: [{ speaker, timestamp, start, end, text }].
+ */
+function groupSpeakerParagraphs(timestampBlocks) {
+    const paragraphs = [];
+    for (const cue of exportableCues(timestampBlocks)) {
+        const last = paragraphs[paragraphs.length - 1];
+        if (last && last.speaker === (cue.speaker || '')) {
+            last.text = `${last.text} ${cue.content}`;
+            last.end = Math.max(last.end, cue.end);
+            continue;
+        }
+        paragraphs.push({ speaker: cue.speaker || '', timestamp: formatTimestamp(cue.start), start: cue.start, end: cue.end, text: cue.content });
+    }
+    return paragraphs;
+}
+
+function renderParagraphs(paragraphs) {
+    return paragraphs
+        .map(p => `[${p.timestamp}]${p.speaker ? ` ${p.speaker}` : ''}\n${p.text}`)
+        .join('\n\n') + '\n';
+}
+
+/**
+ * Renders the transcript in one of TRANSCRIPT_FORMATS.
+ * Returns { content, contentType, extension, suffix, cueCount }.
+ */
+function renderTranscript(timestampBlocks, format) {
+    const key = String(format).toLowerCase();
+    const cues = exportableCues(timestampBlocks);
+    let content;
+    switch (key) {
+        case 'srt':
+            content = renderSrt(cues);
+            break;
+        case 'vtt':
+            content = renderVtt(cues);
+            break;
+        case 'paragraphs':
+            content = renderParagraphs(groupSpeakerParagraphs(timestampBlocks));
+            break;
+        case 'txt':
+        default:
+            content = renderPlainText(cues);
+            break;
+    }
+    return { content, ...TRANSCRIPT_FORMATS[key], cueCount: cues.length };
+}
+
+module.exports = {
+    TRANSCRIPT_FORMATS,
+    isTranscriptFormat,
+    groupSpeakerParagraphs,
+    renderTranscript
+};
@@ -0,0 +1,53 @@
+const { formatTimestamp } = require('./vttParser');
+const { createError } = require('./errors');
+
+// Deep links into the meeting recording. Players disagree on how a start offset is passed,
+// so the format is chosen per deployment (VIDEO_LINK_FORMAT):
+//   stream   - ?t=<seconds>  SharePoint/Stream web player (default)
+//   seconds  - #t=<seconds>  HTML5 media fragment, works for direct .mp4 links
+//   hms      - #t=HH:MM:SS   media fragment in clock form, for players that expect it
+
+const LINK_FORMATS = ['stream', 'seconds', 'hms'];
+const DEFAULT_LINK_FORMAT = 'stream';
+
+// Resolved once in loadConfig, so a misconfigured deployment fails before any file is read
+function resolveLinkFormat(config = {}) {
+    const format = String(config.videoLinkFormat || DEFAULT_LINK_FORMAT).toLowerCase();
+    if (!LINK_FORMATS.includes(format)) {
+        throw createError('CONFIG_INVALID', `Unknown VIDEO_LINK_FORMAT: ${format} (expected one of ${LINK_FORMATS.join(', ')})`);
+    }
+    return format;
+}
+
+function timestampToSeconds(timestamp) {
+    const match = typeof timestamp === 'string' && timestamp.trim().match(/^(\d{1,2}):(\d{2}):(\d{2})(?:\.\d+)?$/);
+    return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : null;
+}
+
+/**
+ * Recording URL seeked to a HH:MM:SS timestamp; empty when either part is missing or the timestamp is malformed.
+ * Any fragment already on the URL is replaced.
+ */
+function buildVideoLink(videoUrl, timestamp, format = DEFAULT_LINK_FORMAT) {
+    const seconds = timestampToSeconds(timestamp);
+    if (!videoUrl || seconds === null) return '';
+    const base = videoUrl.split('#')[0];
+    switch (format) {
+        case 'seconds':
+            return `${base}#t=${seconds}`;
+        case 'hms':
+            return `${base}#t=${formatTimestamp(seconds * 1000)}`;
+        case 'stream':
+        default: {
+            const separator = base.includes('?') ? '&' : '?';
+            return `${base}${separator}t=${seconds}`;
+        }
+    }
+}
+
+module.exports = {
+    LINK_FORMATS,
+    resolveLinkFormat,
+    timestampToSeconds,
+    buildVideoLink
+};
@@ -0,0 +1,145 @@
+// WebVTT parser (https://www.w3.org/TR/webvtt1/)
+// Produces cues with id, start/end in milliseconds, speaker and clean text.
+
+const TIMING_LINE = /^((?:\d+:)?\d{2}:\d{2}\.\d{3})[ \t]+-->[ \t]+((?:\d+:)?\d{2}:\d{2}\.\d{3})(?:[ \t]+(.*))?$/;
+
+const ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&apos;': "'",
+    '&nbsp;': ' ',
+    '&lrm;': '\u200E',
+    '&rlm;': '\u200F'
+};
+
+// "01:02:03.456" or "02:03.456" -> milliseconds
+function parseTimestamp(value) {
+    const match = String(value || '').trim().match(/^(?:(\d+):)?(\d{2}):(\d{2})\.(\d{3})$/);
+    if (!match) return null;
+    const [, h, m, s, ms] = match;
+    return ((Number(h || 0) * 60 + Number(m)) * 60 + Number(s)) * 1000 + Number(ms);
+}
+
+// milliseconds -> "HH:MM:SS" (or "HH:MM:SS.mmm" when withMillis is set)
+function formatTimestamp(ms, withMillis = false) {
+    const total = Math.max(0, Math.floor(Number(ms) || 0));
+    const h = Math.floor(total / 3600000);
+    const m = Math.floor((total % 3600000) / 60000);
+    const s = Math.floor((total % 60000) / 1000);
+    const base = [h, m, s].map(n => String(n).padStart(2, '0')).join(':');
+    return withMillis ? `${base}.${String(total % 1000).padStart(3, '0')}` : base;
+}
+
+function parseCueSettings(text) {
+    const settings = {};
+    if (!text) return settings;
+    for (const token of text.trim().split(/[ \t]+/)) {
+        const idx = token.indexOf(':');
+        if (idx > 0 && idx < token.length - 1) {
+            settings[token.slice(0, idx)] = token.slice(idx + 1);
+        }
+    }
+    return settings;
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&(amp|lt|gt|quot|apos|nbsp|lrm|rlm);/g, m => ENTITIES[m])
+        .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)));
+}
+
+// Extracts the first voice annotation and strips all markup from the cue payload.
+// Voice spans may wrap across lines and the closing </v> is optional per spec.
+function parseCuePayload(lines) {
+    const raw = lines.join('\n');
+    let speaker = null;
+    const voiceMatch = raw.match(/<v(?:\.[^\s>]+)*[ \t]+([^>]+)>/);
+    if (voiceMatch) speaker = decodeEntities(voiceMatch[1].trim()) || null;
+
+    const text = decodeEntities(raw.replace(/<[^>]*>/g, ''))
+        .split('\n')
+        .map(l => l.trim())
+        .filter(Boolean)
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return { speaker, text };
+}
+
+function parseVtt(vttContent) {
+    const result = { header: '', notes: [], styles: [], regions: [], cues: [] };
+    if (!vttContent) return result;
+
+    const normalized = String(vttContent)
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n');
+
+    const blocks = normalized.split(/\n[ \t]*\n+/);
+    let first = true;
+
+    for (const block of blocks) {
+        const lines = block.split('\n');
+        while (lines.length && lines[0].trim() === '') lines.shift();
+        while (lines.length && lines[lines.length - 1].trim() === '') lines.pop();
+        if (lines.length === 0) continue;
+
+        if (first) {
+            first = false;
+            if (/^WEBVTT(?:[ \t].*)?$/.test(lines[0])) {
+                result.header = lines[0].slice(6).trim();
+                // A timing line inside the header block starts the first cue (no identifier)
+                const timingIdx = lines.findIndex(l => l.includes('-->'));
+                if (timingIdx < 0) continue;
+                lines.splice(0, timingIdx);
+            }
+        }
+
+        if (/^NOTE(?:[ \t\n]|$)/.test(lines[0])) {
+            result.notes.push(lines.join('\n').replace(/^NOTE[ \t]?/, '').trim());
+            continue;
+        }
+        if (/^STYLE[ \t]*$/.test(lines[0]) && !lines.some(l => l.includes('-->'))) {
+            result.styles.push(lines.slice(1).join('\n'));
+            continue;
+        }
+        if (/^REGION[ \t]*$/.test(lines[0]) && !lines.some(l => l.includes('-->'))) {
+            result.regions.push(parseCueSettings(lines.slice(1).join(' ')));
+            continue;
+        }
+
+        let idx = 0;
+        let id = null;
+        if (!lines[0].includes('-->')) {
+            id = lines[0].trim();
+            idx = 1;
+        }
+        const timing = (lines[idx] || '').trim().match(TIMING_LINE);
+        if (!timing) continue;
+
+        const start = parseTimestamp(timing[1]);
+        const end = parseTimestamp(timing[2]);
+        if (start === null || end === null) continue;
+
+        const { speaker, text } = parseCuePayload(lines.slice(idx + 1));
+        result.cues.push({
+            id,
+            start,
+            end,
+            speaker,
+            text,
+            settings: parseCueSettings(timing[3])
+        });
+    }
+
+    return result;
+}
+
+module.exports = {
+    parseVtt,
+    parseTimestamp,
+    formatTimestamp
+};
@@ -0,0 +1,385 @@
+const crypto = require('crypto');
+const { getGraphClient } = require('./sources/graphDriveSource');
+const { createStateStore } = require('./stateStore');
+const { createRetrier, getErrorStatus } = require('./retry');
+const { createError } = require('./errors');
+const { TRANSCRIPT_FORMATS } = require('./transcriptFormats');
+
+// Graph change notifications for drives: subscription management, delta-query sync and
+// idempotent processing of newly added .vtt files.
+// State kept in the blob state store (STATE_STORE must be "blob", the default):
+//   subscriptions/{id}           subscription record (drive, expiry, notification URL, clientState hash)
+//   delta/{driveId}              last @odata.deltaLink for the drive
+//   processed/{driveId}/{itemId} claim + outcome, so an item is processed once
+//   pending/{driveId}/{itemId}   items claimed but not finished: in progress, or failed transiently
+// A claim holds a lease. A claim whose lease ran out (its worker died mid-item) and a transient
+// failure (429, timeouts, 5xx) are claimed again by the next sync, up to WEBHOOK_MAX_ATTEMPTS.
+// Files this app wrote (saved reports such as "_Clean.vtt") are skipped, so a saved report does
+// not trigger another run.
+
+const DEFAULT_STATE_CONTAINER = 'vtt-state';
+// driveItem subscriptions may live at most 42300 minutes; stay a little under
+const DEFAULT_SUBSCRIPTION_MINUTES = 42000;
+const RENEW_WITHIN_MS = 2 * 24 * 60 * 60 * 1000;
+// Past the 10 minute function timeout (host.json), so a live worker never loses its lease
+const DEFAULT_CLAIM_LEASE_MS = 15 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Claims must hold across instances, so the in-memory store is refused
+function getWebhookStore(context, config) {
+    const kind = String(config.stateStore || 'blob').toLowerCase();
+    if (kind !== 'blob') {
+        throw createError('CONFIG_INVALID', `Graph subscriptions need STATE_STORE=blob (got ${kind}): notifications can reach any instance`);
+    }
+    return createStateStore(context, config, {
+        kind,
+        container: config.stateBlobContainer || DEFAULT_STATE_CONTAINER
+    });
+}
+
+// Report names written back by REPORT_SAVE: "<title>_Clean.vtt", or "<title>_Clean 1.vtt" after a rename conflict
+const SELF_WRITTEN_VTT_PATTERN = new RegExp(`(${Object.values(TRANSCRIPT_FORMATS)
+    .filter(format => format.extension === 'vtt' && format.suffix)
+    .map(format => format.suffix)
+    .join('|')})( \\d+)?\\.vtt$`, 'i');
+
+// Uploaded by this app registration, or named like one of its saved reports
+function isSelfWrittenItem(item, config = {}) {
+    const writer = item?.lastModifiedBy?.application?.id || item?.createdBy?.application?.id;
+    if (writer && config.clientId && writer.toLowerCase() === String(config.clientId).toLowerCase()) return true;
+    return SELF_WRITTEN_VTT_PATTERN.test(String(item?.name || ''));
+}
+
+function positiveNumber(value, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+function resolveClaimSettings(config) {
+    return {
+        leaseMs: positiveNumber(config.webhookClaimLeaseMs, DEFAULT_CLAIM_LEASE_MS),
+        maxAttempts: Math.floor(positiveNumber(config.webhookMaxAttempts, DEFAULT_MAX_ATTEMPTS))
+    };
+}
+
+// Throttling, timeouts and server errors may pass; bad files and bad requests will not
+function isTransientStatus(status) {
+    const code = Number(status);
+    return !Number.isFinite(code) || code === 408 || code === 429 || code >= 500;
+}
+
+/**
+ * Claims an item for processing. A new item, a claim whose lease expired and a transient failure
+ * with attempts left can be claimed; returns the attempt number, 0 when the item is not this
+ * caller's, or -1 when it is out of attempts (a lapsed claim is then closed as failed).
+ */
+async function claimItem(store, key, item, settings, now = Date.now()) {
+    const claim = attempts => ({
+        driveId: item.driveId,
+        itemId: item.id,
+        name: item.name,
+        state: 'processing',
+        attempts,
+        claimedAt: new Date(now).toISOString(),
+        leaseExpiresAt: new Date(now + settings.leaseMs).toISOString()
+    });
+    if (await store.claim(key, claim(1))) return 1;
+
+    const current = await store.getVersioned(key);
+    if (!current) return 0;
+    const { doc, version } = current;
+    const attempts = doc.attempts || 1;
+    const leaseEnd = Date.parse(doc.leaseExpiresAt || '') || Date.parse(doc.claimedAt || '') + settings.leaseMs;
+    const lapsed = doc.state === 'processing' && leaseEnd <= now;
+    const retryable = doc.state === 'failed' && doc.transient === true;
+    if (!lapsed && !retryable) return 0;
+
+    if (attempts >= settings.maxAttempts) {
+        if (lapsed) {
+            await store.replace(key, {
+                ...doc,
+                state: 'failed',
+                transient: false,
+                error: `Processing did not finish within ${attempts} attempt(s)`,
+                processedAt: new Date(now).toISOString()
+            }, version);
+        }
+        return -1;
+    }
+    return await store.replace(key, claim(attempts + 1), version) ? attempts + 1 : 0;
+}
+
+function subscriptionExpiry(config) {
+    const minutes = Number(config.subscriptionMinutes) || DEFAULT_SUBSCRIPTION_MINUTES;
+    return new Date(Date.now() + minutes * 60 * 1000).toISOString();
+}
+
+// Only a hash of the clientState is stored; notifications are compared against it
+function hashClientState(clientState) {
+    return crypto.createHash('sha256').update(String(clientState)).digest('hex');
+}
+
+function clientStateMatches(clientState, expectedHash) {
+    if (typeof clientState !== 'string' || typeof expectedHash !== 'string') return false;
+    const actual = Buffer.from(hashClientState(clientState), 'hex');
+    const expected = Buffer.from(expectedHash, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Checks each notification against the stored record of its subscription and returns the distinct
+ * drives that changed. Notifications for unknown subscriptions or with a wrong clientState are
+ * counted and dropped.
+ */
+async function collectChangedDrives(context, config, body, store = getWebhookStore(context, config)) {
+    const notifications = Array.isArray(body?.value) ? body.value : [];
+    const driveIds = new Set();
+    const records = new Map();
+    let rejected = 0;
+
+    for (const notification of notifications) {
+        const subscriptionId = typeof notification?.subscriptionId === 'string' ? notification.subscriptionId : '';
+        if (subscriptionId && !records.has(subscriptionId)) {
+            records.set(subscriptionId, await store.get(`subscriptions/${subscriptionId}`));
+        }
+        const record = records.get(subscriptionId);
+        if (!record?.driveId || !clientStateMatches(notification.clientState, record.clientStateHash)) {
+            rejected++;
+            continue;
+        }
+        driveIds.add(record.driveId);
+    }
+    return { driveIds: [...driveIds], received: notifications.length, rejected };
+}
+
+async function initializeDeltaLink(context, config, store, driveId, retrier) {
+    const graphClient = getGraphClient(context, config);
+    const page = await retrier.run('Graph delta', () => graphClient.api(`/drives/${driveId}/root/delta?token=latest`).get());
+    const deltaLink = page['@odata.deltaLink'];
+    if (deltaLink) {
+        await store.put(`delta/${driveId}`, { driveId, deltaLink, updatedAt: new Date().toISOString() });
+    }
+    return deltaLink;
+}
+
+// One sync per drive at a time on this instance; notifications arriving mid-sync queue one rerun
+const activeSyncs = new Map();
+
+function syncDriveChanges(context, config, driveId, processFile) {
+    const active = activeSyncs.get(driveId);
+    if (active) {
+        active.rerun = true;
+        return active.promise;
+    }
+
+    const state = { rerun: false, promise: null };
+    state.promise = (async () => {
+        const results = [];
+        try {
+            do {
+                state.rerun = false;
+                results.push(...await runDeltaSync(context, config, driveId, processFile));
+            } while (state.rerun);
+        } finally {
+            activeSyncs.delete(driveId);
+        }
+        return results;
+    })();
+    activeSyncs.set(driveId, state);
+    return state.promise;
+}
+
+async function runDeltaSync(context, config, driveId, processFile) {
+    const store = getWebhookStore(context, config);
+    const retrier = createRetrier(context);
+    const graphClient = getGraphClient(context, config);
+
+    const deltaState = await store.get(`delta/${driveId}`);
+    if (!deltaState?.deltaLink) {
+        // Without a baseline, a full delta would replay every existing file; start from "now"
+        context.log(`🔔 No delta link for drive ${driveId}; initializing from latest`);
+        await initializeDeltaLink(context, config, store, driveId, retrier);
+        return [];
+    }
+
+    const changedFiles = [];
+    let skipped = 0;
+    let page = await retrier.run('Graph delta', () => graphClient.api(deltaState.deltaLink).get());
+    while (true) {
+        for (const item of page.value || []) {
+            if (item.deleted || !item.file || !item.name?.toLowerCase().endsWith('.vtt')) continue;
+            if (isSelfWrittenItem(item, config)) {
+                skipped++;
+                continue;
+            }
+            changedFiles.push(item);
+        }
+        const nextLink = page['@odata.nextLink'];
+        if (!nextLink) break;
+        page = await retrier.run('Graph delta', () => graphClient.api(nextLink).get());
+    }
+    context.log(`🔔 Delta for drive ${driveId}: ${changedFiles.length} changed VTT file(s)${skipped ? `, ${skipped} written by this app skipped` : ''}`);
+
+    // Items left unfinished by earlier syncs (lapsed claims, transient failures) get another turn
+    const candidates = new Map(changedFiles.map(item => [item.id, { id: item.id, name: item.name, driveId }]));
+    for (const { doc } of await store.list(`pending/${driveId}/`)) {
+        if (doc?.itemId && !candidates.has(doc.itemId)) candidates.set(doc.itemId, { id: doc.itemId, name: doc.name, driveId });
+    }
+
+    const settings = resolveClaimSettings(config);
+    const results = [];
+    for (const item of candidates.values()) {
+        const key = `processed/${driveId}/${item.id}`;
+        const pendingKey = `pending/${driveId}/${item.id}`;
+        const attempt = await claimItem(store, key, item, settings);
+        if (attempt === -1) {
+            await store.delete(pendingKey);
+            context.log.warn(`  ⚠️ Giving up on ${item.name} (${item.id}) after ${settings.maxAttempts} attempt(s)`);
+            continue;
+        }
+        if (attempt === 0) {
+            context.log(`  ⏭️ Already processed or in progress: ${item.name} (${item.id})`);
+            continue;
+        }
+        await store.put(pendingKey, { driveId, itemId: item.id, name: item.name });
+
+        context.log(`  🎬 Processing transcript from notification: ${item.name} (attempt ${attempt})`);
+        let outcome;
+        try {
+            const result = await processFile(item.name, { itemId: item.id, driveId });
+            const status = result?.status || (result?.success ? 200 : 500);
+            outcome = {
+                state: result?.success ? 'succeeded' : 'failed',
+                status,
+                code: result?.success ? null : (result?.code || null),
+                error: result?.success ? null : (result?.error || 'Processing failed'),
+                transient: !result?.success && isTransientStatus(status)
+            };
+        } catch (error) {
+            const status = getErrorStatus(error) || 500;
+            outcome = { state: 'failed', status, code: error?.code || null, error: error?.message || String(error), transient: isTransientStatus(status) };
+        }
+        // Permanent failures stay claimed: a broken file must not be retried on every notification
+        const retryLater = outcome.transient && attempt < settings.maxAttempts;
+        await store.put(key, {
+            driveId,
+            itemId: item.id,
+            name: item.name,
+            ...outcome,
+            transient: retryLater,
+            attempts: attempt,
+            processedAt: new Date().toISOString()
+        });
+        if (!retryLater) await store.delete(pendingKey);
+        results.push({ itemId: item.id, name: item.name, attempts: attempt, ...outcome, transient: retryLater });
+    }
+
+    if (page['@odata.deltaLink']) {
+        await store.put(`delta/${driveId}`, { driveId, deltaLink: page['@odata.deltaLink'], updatedAt: new Date().toISOString() });
+    }
+    return results;
+}
+
+async function createSubscription(context, config, { driveId, notificationUrl, clientState } = {}) {
+    const targetDrive = driveId || config.sharepointDriveId;
+    const url = notificationUrl || config.webhookUrl;
+    // Every subscription gets a clientState, so notifications can always be told from forgeries
+    const state = String(clientState || config.webhookClientState || crypto.randomBytes(32).toString('base64url'));
+    const missing = [];
+    if (!targetDrive) missing.push('driveId (or SHAREPOINT_DRIVE_ID)');
+    if (!url) missing.push('notificationUrl (or GRAPH_WEBHOOK_URL)');
+    if (missing.length > 0) {
+        throw createError('INVALID_OPTION', `Missing required subscription settings: ${missing.join(', ')}`);
+    }
+    // Graph limit for clientState
+    if (state.length > 128) {
+        throw createError('INVALID_OPTION', 'clientState must be at most 128 characters');
+    }
+
+    const store = getWebhookStore(context, config);
+    const retrier = createRetrier(context);
+    const graphClient = getGraphClient(context, config);
+
+    // Baseline first so the first notification only sees files added after subscribing
+    await initializeDeltaLink(context, config, store, targetDrive, retrier);
+
+    const subscription = await retrier.run('Graph subscription', () => graphClient.api('/subscriptions').post({
+        changeType: 'updated',
+        notificationUrl: url,
+        resource: `drives/${targetDrive}/root`,
+        expirationDateTime: subscriptionExpiry(config),
+        clientState: state
+    }));
+
+    const record = {
+        id: subscription.id,
+        driveId: targetDrive,
+        resource: subscription.resource,
+        notificationUrl: url,
+        expirationDateTime: subscription.expirationDateTime,
+        createdAt: new Date().toISOString()
+    };
+    await store.put(`subscriptions/${subscription.id}`, { ...record, clientStateHash: hashClientState(state) });
+    context.log(`🔔 Subscription ${subscription.id} created for drive ${targetDrive} (expires ${subscription.expirationDateTime})`);
+    return record;
+}
+
+async function listSubscriptions(context, config) {
+    const store = getWebhookStore(context, config);
+    return (await store.list('subscriptions/')).map(({ doc: { clientStateHash, ...subscription } }) => subscription);
+}
+
+/**
+ * Extends subscriptions that expire within `withinMs`; subscriptions Graph no longer knows are dropped.
+ */
+async function renewSubscriptions(context, config, { withinMs = RENEW_WITHIN_MS } = {}) {
+    const store = getWebhookStore(context, config);
+    const retrier = createRetrier(context);
+    const graphClient = getGraphClient(context, config);
+    const results = [];
+
+    for (const { key, doc } of await store.list('subscriptions/')) {
+        const expiresAt = Date.parse(doc.expirationDateTime);
+        if (Number.isFinite(expiresAt) && expiresAt - Date.now() > withinMs) {
+            results.push({ id: doc.id, renewed: false, expirationDateTime: doc.expirationDateTime });
+            continue;
+        }
+        try {
+            const updated = await retrier.run('Graph subscription', () => graphClient
+                .api(`/subscriptions/${doc.id}`)
+                .patch({ expirationDateTime: subscriptionExpiry(config) }));
+            await store.put(key, { ...doc, expirationDateTime: updated.expirationDateTime, renewedAt: new Date().toISOString() });
+            context.log(`🔔 Subscription ${doc.id} renewed until ${updated.expirationDateTime}`);
+            results.push({ id: doc.id, renewed: true, expirationDateTime: updated.expirationDateTime });
+        } catch (error) {
+            if (error?.statusCode === 404) {
+                await store.delete(key);
+                context.log.warn(`⚠️ Subscription ${doc.id} no longer exists; removed`);
+                results.push({ id: doc.id, renewed: false, removed: true });
+            } else {
+                context.log.error(`❌ Failed to renew subscription ${doc.id}:`, error?.message || error);
+                results.push({ id: doc.id, renewed: false, error: error?.message || String(error) });
+            }
+        }
+    }
+    return results;
+}
+
+/**
+ * Drives with a stored subscription; the renewal timer queues a sync for each to retry pending items.
+ */
+async function listSubscribedDrives(context, config) {
+    return [...new Set((await listSubscriptions(context, config)).map(subscription => subscription.driveId).filter(Boolean))];
+}
+
+module.exports = {
+    collectChangedDrives,
+    claimItem,
+    isSelfWrittenItem,
+    isTransientStatus,
+    listSubscribedDrives,
+    syncDriveChanges,
+    createSubscription,
+    listSubscriptions,
+    renewSubscriptions
+};